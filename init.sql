@@ -44,9 +44,16 @@ CREATE TABLE limitless_content_nodes (
     end_offset_ms INTEGER,
     speaker_name VARCHAR(255),
     speaker_identifier VARCHAR(50), -- e.g., 'SPEAKER_01'
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-    -- No updated_at here as these are typically immutable parts of an entry
+    node_key VARCHAR(255) NOT NULL, -- Position of the node in the entry's tree, e.g. '0.2.1'. Used to reconcile re-syncs.
+    content_hash CHAR(64) NOT NULL, -- SHA-256 of the node's fields, to detect changed nodes
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (entry_id, node_key)
 );
+CREATE TRIGGER set_limitless_content_nodes_timestamp
+BEFORE UPDATE ON limitless_content_nodes
+FOR EACH ROW
+EXECUTE FUNCTION trigger_set_timestamp();
 
 -- === Bee.computer Data Tables ===
 
@@ -61,6 +68,7 @@ CREATE TABLE bee_conversations (
     short_summary TEXT,
     state VARCHAR(50), -- e.g., 'completed', 'processing'
     primary_location JSONB, -- Store as JSON, e.g., { "latitude": ..., "longitude": ..., "address": "..." }
+    source_updated_at TIMESTAMP WITH TIME ZONE, -- updated_at reported by Bee; unchanged conversations skip the detail fetch
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -156,10 +164,11 @@ CREATE TABLE mood_entries (
     mood_score INTEGER CHECK (mood_score >= 1 AND mood_score <= 10), -- Or whatever scale
     mood_text VARCHAR(50),  -- Optional short text, e.g., "Happy", "Tired"
     notes TEXT,             -- Longer reflections or notes about the mood
-    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP, -- When the mood was actually recorded
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP, -- When the mood was actually recorded
+    source VARCHAR(20) NOT NULL DEFAULT 'mood', -- 'mood' (API and CSV import) or 'journal' (a note's front-matter mood)
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE (user_id, date) -- Assuming one mood entry per user per day
+    UNIQUE (date, recorded_at, source) -- Several check-ins per day; re-posting the same recorded_at updates that check-in
 );
 CREATE TRIGGER set_mood_entries_timestamp
 BEFORE UPDATE ON mood_entries
@@ -177,6 +186,21 @@ CREATE TABLE daily_aggregations (
     has_mood_data BOOLEAN DEFAULT FALSE,
     limitless_entry_count INTEGER DEFAULT 0,
     bee_conversation_count INTEGER DEFAULT 0,
+    has_life_events_data BOOLEAN DEFAULT FALSE,
+    life_event_count INTEGER DEFAULT 0,
+    has_calendar_data BOOLEAN DEFAULT FALSE,
+    calendar_event_count INTEGER DEFAULT 0,
+    has_health_data BOOLEAN DEFAULT FALSE,
+    has_location_data BOOLEAN DEFAULT FALSE,
+    location_point_count INTEGER DEFAULT 0,
+    has_journal_data BOOLEAN DEFAULT FALSE,
+    journal_entry_count INTEGER DEFAULT 0,
+    has_photo_data BOOLEAN DEFAULT FALSE,
+    photo_count INTEGER DEFAULT 0,
+    mood_checkin_count INTEGER DEFAULT 0,
+    mood_score_mean NUMERIC(4,2), -- Mean of the day's mood check-ins
+    mood_score_min INTEGER,
+    mood_score_max INTEGER,
     ai_summary TEXT, -- AI-generated summary for the day
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
@@ -197,6 +221,7 @@ CREATE INDEX idx_limitless_entries_date ON limitless_entries(DATE(start_time) DE
 CREATE INDEX idx_bee_conversations_start_time ON bee_conversations(start_time DESC);
 CREATE INDEX idx_bee_conversations_date ON bee_conversations(DATE(start_time) DESC);
 CREATE INDEX idx_bee_utterances_spoken_at ON bee_utterances(spoken_at DESC);
+CREATE INDEX idx_bee_locations_recorded_at ON bee_locations(recorded_at); -- Dominant daily location for weather
 
 CREATE INDEX idx_weather_entries_date ON weather_entries(date DESC);
 CREATE INDEX idx_mood_entries_date ON mood_entries(date DESC);
@@ -234,7 +259,7 @@ CREATE INDEX idx_bee_utterances_conversation_id ON bee_utterances(conversation_i
 -- For MVP, assuming single user or user_id is handled at application layer / implicitly.
 -- The 'user_id' columns are added but commented out or nullable for now.
 -- If user_id becomes mandatory, constraints and indexes should be updated.
--- For example, mood_entries UNIQUE constraint would be (user_id, date).
+-- For example, mood_entries UNIQUE constraint would be (user_id, date, recorded_at).
 
 -- Default user_id for single-user MVP (if needed for FKs or logic)
 -- CREATE TABLE users (
@@ -246,19 +271,79 @@ CREATE INDEX idx_bee_utterances_conversation_id ON bee_utterances(conversation_i
 -- INSERT INTO users (id, username) VALUES ('00000000-0000-0000-0000-000000000000', 'default_user') ON CONFLICT DO NOTHING;
 -- Then, user_id columns could default to this UUID.
 -- For MVP, we are keeping it simpler and user_id is mostly for future planning.
--- The current mood_entries unique constraint is (user_id, date), which means user_id should be populated.
+-- mood_entries used to be unique on (user_id, date); it is now unique on (date, recorded_at, source).
 -- Let's make user_id nullable for now or remove it for pure single-user MVP.
 -- For MVP, let's simplify and remove user_id from mood_entries and daily_aggregations unique constraints
 -- and make the columns nullable.
 
 ALTER TABLE mood_entries DROP CONSTRAINT IF EXISTS mood_entries_user_id_date_key;
 ALTER TABLE mood_entries ALTER COLUMN user_id DROP NOT NULL;
-ALTER TABLE mood_entries ADD CONSTRAINT mood_entries_date_key UNIQUE (date); -- Assuming single user for MVP
 
 ALTER TABLE daily_aggregations DROP CONSTRAINT IF EXISTS daily_aggregations_date_user_id_key;
 ALTER TABLE daily_aggregations ALTER COLUMN user_id DROP NOT NULL;
 -- The daily_aggregations already has UNIQUE (date)
 
+-- === Upgrading an existing database ===
+-- This script only runs when the database is first created. The statements below bring a database created
+-- by an earlier version up to date, and the tables that follow are only created if they are missing. All of it
+-- is a no-op on a fresh database, so everything from here to the end of the script can be run again on its own
+-- with psql.
+
+-- limitless_content_nodes gained node_key, content_hash and updated_at (nodes are reconciled by position on
+-- re-sync). Existing nodes get a placeholder key and hash that no synced node matches, so the next sync of
+-- their entry replaces them.
+ALTER TABLE limitless_content_nodes ADD COLUMN IF NOT EXISTS node_key VARCHAR(255);
+ALTER TABLE limitless_content_nodes ADD COLUMN IF NOT EXISTS content_hash CHAR(64);
+ALTER TABLE limitless_content_nodes ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+UPDATE limitless_content_nodes SET node_key = 'legacy.' || id WHERE node_key IS NULL;
+UPDATE limitless_content_nodes SET content_hash = repeat('0', 64) WHERE content_hash IS NULL;
+ALTER TABLE limitless_content_nodes ALTER COLUMN node_key SET NOT NULL;
+ALTER TABLE limitless_content_nodes ALTER COLUMN content_hash SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS limitless_content_nodes_entry_id_node_key_key ON limitless_content_nodes(entry_id, node_key);
+CREATE OR REPLACE TRIGGER set_limitless_content_nodes_timestamp
+BEFORE UPDATE ON limitless_content_nodes
+FOR EACH ROW
+EXECUTE FUNCTION trigger_set_timestamp();
+
+-- mood_entries used to allow one check-in per day (UNIQUE (date)); it is now unique on (date, recorded_at, source),
+-- and recorded_at must be set. Rows without one get their creation time (at most one per day existed before).
+-- Journal check-ins are marked with their source after journal_entries below.
+ALTER TABLE mood_entries DROP CONSTRAINT IF EXISTS mood_entries_date_key;
+ALTER TABLE mood_entries DROP CONSTRAINT IF EXISTS mood_entries_date_recorded_at_key;
+UPDATE mood_entries SET recorded_at = COALESCE(created_at, date::timestamp AT TIME ZONE 'UTC') WHERE recorded_at IS NULL;
+ALTER TABLE mood_entries ALTER COLUMN recorded_at SET NOT NULL;
+ALTER TABLE mood_entries ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'mood';
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conrelid = 'mood_entries'::regclass AND conname = 'mood_entries_date_recorded_at_source_key') THEN
+    ALTER TABLE mood_entries ADD CONSTRAINT mood_entries_date_recorded_at_source_key UNIQUE (date, recorded_at, source);
+  END IF;
+END
+$$;
+
+-- bee_conversations gained source_updated_at. Existing conversations have none, so the next sync fetches
+-- their details once more and records it.
+ALTER TABLE bee_conversations ADD COLUMN IF NOT EXISTS source_updated_at TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS idx_bee_locations_recorded_at ON bee_locations(recorded_at);
+
+-- daily_aggregations gained flags and counts for the newer sources and the day's mood summary. Existing days
+-- pick them up the next time their sources sync.
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS has_life_events_data BOOLEAN DEFAULT FALSE;
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS life_event_count INTEGER DEFAULT 0;
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS has_calendar_data BOOLEAN DEFAULT FALSE;
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS calendar_event_count INTEGER DEFAULT 0;
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS has_health_data BOOLEAN DEFAULT FALSE;
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS has_location_data BOOLEAN DEFAULT FALSE;
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS location_point_count INTEGER DEFAULT 0;
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS has_journal_data BOOLEAN DEFAULT FALSE;
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS journal_entry_count INTEGER DEFAULT 0;
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS has_photo_data BOOLEAN DEFAULT FALSE;
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS photo_count INTEGER DEFAULT 0;
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS mood_checkin_count INTEGER DEFAULT 0;
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS mood_score_mean NUMERIC(4,2);
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS mood_score_min INTEGER;
+ALTER TABLE daily_aggregations ADD COLUMN IF NOT EXISTS mood_score_max INTEGER;
+
 -- System Metadata Table (for BaseConnector and general app settings)
 CREATE TABLE IF NOT EXISTS system_metadata (
     key VARCHAR(255) PRIMARY KEY,
@@ -267,9 +352,247 @@ CREATE TABLE IF NOT EXISTS system_metadata (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
-CREATE TRIGGER set_system_metadata_timestamp
+CREATE OR REPLACE TRIGGER set_system_metadata_timestamp
 BEFORE UPDATE ON system_metadata
 FOR EACH ROW
 EXECUTE FUNCTION trigger_set_timestamp();
 
+-- Sync run history (one row per connector sync, see SyncRunStore)
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source VARCHAR(100) NOT NULL,
+    triggered_by VARCHAR(20) NOT NULL, -- 'cron', 'api', 'backfill' (weather backfill or a backfill job), 'watch', 'webhook' or 'reprocess'
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- 'queued' (waiting for a running sync of the source), 'running', 'success', 'partial', 'failed'
+    options JSONB, -- Options the sync was started with (e.g., forceFullSync)
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    new_entries INTEGER DEFAULT 0,
+    updated_entries INTEGER DEFAULT 0,
+    error_count INTEGER DEFAULT 0,
+    affected_dates DATE[] DEFAULT '{}', -- Days whose data was touched by this run
+    error_message TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_sync_runs_started_at ON sync_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_runs_source_started_at ON sync_runs(source, started_at DESC);
+
+-- Generic timestamped events imported from dropped JSON/CSV files (see FileDropConnector)
+CREATE TABLE IF NOT EXISTS life_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source VARCHAR(100) NOT NULL, -- Name of the filedrop mapping that imported the event
+    external_id VARCHAR(255) NOT NULL, -- Id from the file, or a hash of the record when the file has none
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    category VARCHAR(100),
+    title TEXT,
+    value NUMERIC,
+    unit VARCHAR(50),
+    data JSONB, -- The original record
+    source_file VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (source, external_id)
+);
+CREATE OR REPLACE TRIGGER set_life_events_timestamp
+BEFORE UPDATE ON life_events
+FOR EACH ROW
+EXECUTE FUNCTION trigger_set_timestamp();
+CREATE INDEX IF NOT EXISTS idx_life_events_occurred_at ON life_events(occurred_at DESC);
+
+-- Calendar events imported from .ics files or URLs (see IcsConnector). Recurring events have one row per occurrence.
+CREATE TABLE IF NOT EXISTS calendar_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    calendar VARCHAR(100) NOT NULL, -- Name of the calendar in dataSources.ics.calendars
+    uid VARCHAR(512) NOT NULL, -- iCalendar UID, shared by all occurrences of a recurring event
+    occurrence_start TIMESTAMP WITH TIME ZONE NOT NULL, -- Original start of the occurrence (RECURRENCE-ID for moved ones)
+    title TEXT,
+    description TEXT,
+    location TEXT,
+    start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    end_time TIMESTAMP WITH TIME ZONE,
+    is_all_day BOOLEAN DEFAULT FALSE,
+    is_recurring BOOLEAN DEFAULT FALSE,
+    status VARCHAR(20), -- 'confirmed', 'tentative'; cancelled occurrences are not stored
+    organizer TEXT,
+    date DATE NOT NULL, -- Day the event counts toward, in the configured timezone
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (calendar, uid, occurrence_start)
+);
+CREATE OR REPLACE TRIGGER set_calendar_events_timestamp
+BEFORE UPDATE ON calendar_events
+FOR EACH ROW
+EXECUTE FUNCTION trigger_set_timestamp();
+CREATE INDEX IF NOT EXISTS idx_calendar_events_date ON calendar_events(date);
+
+-- Daily health metrics from an Apple Health export (see HealthConnector)
+CREATE TABLE IF NOT EXISTS health_daily_metrics (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    date DATE NOT NULL UNIQUE,
+    steps INTEGER,
+    sleep_minutes INTEGER, -- Time asleep (or in bed) for the sleep that ended on this day
+    resting_heart_rate NUMERIC(5,1), -- Beats per minute, daily mean
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE OR REPLACE TRIGGER set_health_daily_metrics_timestamp
+BEFORE UPDATE ON health_daily_metrics
+FOR EACH ROW
+EXECUTE FUNCTION trigger_set_timestamp();
+
+CREATE TABLE IF NOT EXISTS health_workouts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    external_id VARCHAR(64) NOT NULL UNIQUE, -- Hash of activity type, source and start (the export has no ids)
+    activity_type VARCHAR(100) NOT NULL, -- e.g. 'Running', 'Walking', 'Cycling'
+    start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    end_time TIMESTAMP WITH TIME ZONE,
+    duration_minutes NUMERIC(7,1),
+    distance NUMERIC(10,3),
+    distance_unit VARCHAR(20),
+    energy_burned NUMERIC(8,1), -- kcal
+    source_name VARCHAR(255),
+    date DATE NOT NULL, -- Local day the workout started
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE OR REPLACE TRIGGER set_health_workouts_timestamp
+BEFORE UPDATE ON health_workouts
+FOR EACH ROW
+EXECUTE FUNCTION trigger_set_timestamp();
+CREATE INDEX IF NOT EXISTS idx_health_workouts_date ON health_workouts(date);
+
+-- Source-agnostic location history (see LocationConnector): GPX tracks, Google Takeout exports, ...
+CREATE TABLE IF NOT EXISTS location_points (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source VARCHAR(50) NOT NULL, -- 'gpx', 'google_records', 'google_semantic'
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    latitude DOUBLE PRECISION NOT NULL,
+    longitude DOUBLE PRECISION NOT NULL,
+    accuracy_m REAL, -- Reported accuracy radius in meters
+    altitude_m REAL,
+    place_name TEXT, -- GPX waypoint name or Google place visit name
+    address TEXT,
+    source_file VARCHAR(512), -- Path relative to the import directory
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (source, recorded_at)
+);
+CREATE INDEX IF NOT EXISTS idx_location_points_recorded_at ON location_points(recorded_at);
+
+-- Markdown daily notes (see JournalConnector)
+CREATE TABLE IF NOT EXISTS journal_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    file_path VARCHAR(1024) NOT NULL UNIQUE, -- Relative to the journal directory
+    date DATE NOT NULL, -- From the YYYY-MM-DD file name
+    title TEXT,
+    body TEXT, -- Markdown without the front-matter
+    front_matter JSONB,
+    tags TEXT[] DEFAULT '{}', -- Front-matter tags plus inline #tags
+    mood_score INTEGER, -- Front-matter mood mapped to 1-10
+    mood_entry_id UUID REFERENCES mood_entries(id) ON DELETE SET NULL, -- The check-in created from the front-matter mood
+    word_count INTEGER,
+    content_hash VARCHAR(64) NOT NULL, -- sha256 of the file; unchanged notes aren't re-imported
+    file_mtime TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE OR REPLACE TRIGGER set_journal_entries_timestamp
+BEFORE UPDATE ON journal_entries
+FOR EACH ROW
+EXECUTE FUNCTION trigger_set_timestamp();
+CREATE INDEX IF NOT EXISTS idx_journal_entries_date ON journal_entries(date);
+-- Check-ins created from notes before mood_entries had a source still say 'mood'.
+UPDATE mood_entries SET source = 'journal'
+WHERE source <> 'journal' AND id IN (SELECT mood_entry_id FROM journal_entries WHERE mood_entry_id IS NOT NULL);
+
+-- Photos and other media files, keyed by the day they were taken (see PhotoConnector)
+CREATE TABLE IF NOT EXISTS media_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source VARCHAR(50) NOT NULL, -- Connector that imported the item, e.g. 'photos'
+    file_path VARCHAR(1024) NOT NULL, -- Relative to the connector's directory
+    date DATE NOT NULL, -- Day the photo was taken, in the configured timezone
+    taken_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    taken_at_source VARCHAR(10), -- 'exif' or 'file' (modification time, when the photo has no EXIF date)
+    latitude DOUBLE PRECISION,
+    longitude DOUBLE PRECISION,
+    camera VARCHAR(255),
+    width INTEGER,
+    height INTEGER,
+    mime_type VARCHAR(50),
+    file_size BIGINT,
+    file_mtime TIMESTAMP WITH TIME ZONE,
+    thumbnail_path VARCHAR(255), -- Relative to the thumbnail directory; NULL if the image couldn't be decoded
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (source, file_path)
+);
+CREATE OR REPLACE TRIGGER set_media_items_timestamp
+BEFORE UPDATE ON media_items
+FOR EACH ROW
+EXECUTE FUNCTION trigger_set_timestamp();
+CREATE INDEX IF NOT EXISTS idx_media_items_date ON media_items(date);
+
+-- Raw payloads as fetched from each source, gzip-compressed JSON (see RawPayloadStore).
+-- POST /api/data/reprocess/:source replays them through the connector's current processData.
+CREATE TABLE IF NOT EXISTS raw_payloads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source VARCHAR(100) NOT NULL,
+    sync_run_id UUID REFERENCES sync_runs(id) ON DELETE SET NULL, -- Run that fetched (or received) the payload
+    fetched_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP WITH TIME ZONE, -- NULL if processing never completed
+    affected_dates DATE[], -- Days whose data the payload touched when it was last processed
+    payload BYTEA NOT NULL,
+    size_bytes INTEGER NOT NULL, -- Uncompressed JSON size
+    compressed_bytes INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_raw_payloads_source_fetched_at ON raw_payloads(source, fetched_at);
+CREATE INDEX IF NOT EXISTS idx_raw_payloads_affected_dates ON raw_payloads USING GIN (affected_dates);
+
+-- Long-running jobs, e.g. historical backfills (see JobStore and JobManager).
+-- A backfill walks params.start..params.end in chunks; next_date is where it resumes after a cancel or restart.
+CREATE TABLE IF NOT EXISTS jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    type VARCHAR(50) NOT NULL, -- 'backfill'
+    source VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- 'running', 'completed', 'cancelled', 'failed'
+    params JSONB NOT NULL, -- { start, end, chunkDays, order }
+    next_date DATE, -- First day of the next chunk (its last day when walking newest first); NULL once done
+    cursor JSONB, -- Connector state carried from one chunk to the next (e.g. Bee's page per sub-source)
+    days_total INTEGER NOT NULL DEFAULT 0,
+    days_completed INTEGER NOT NULL DEFAULT 0,
+    new_entries INTEGER NOT NULL DEFAULT 0,
+    updated_entries INTEGER NOT NULL DEFAULT 0,
+    error_count INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    heartbeat_at TIMESTAMP WITH TIME ZONE, -- Refreshed by the process running the job; stale means it was interrupted
+    cancel_requested BOOLEAN NOT NULL DEFAULT FALSE, -- Set by a cancel from another process; the job stops after its current chunk
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE OR REPLACE TRIGGER set_jobs_timestamp
+BEFORE UPDATE ON jobs
+FOR EACH ROW
+EXECUTE FUNCTION trigger_set_timestamp();
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs(created_at DESC);
+
+-- Sync scheduler state per source (see ScheduleStore and SyncScheduler). sync_interval, paused and quiet_hours
+-- are changes made through /api/data/schedules; NULL sync_interval or quiet_hours means the configured value applies.
+CREATE TABLE IF NOT EXISTS sync_schedules (
+    source VARCHAR(100) PRIMARY KEY,
+    sync_interval VARCHAR(100), -- Duration ('30m', '1h', '1h30m') or cron expression
+    paused BOOLEAN NOT NULL DEFAULT FALSE,
+    quiet_hours JSONB, -- { start: 'HH:MM', end: 'HH:MM', timezone }, or false for none
+    next_run_at TIMESTAMP WITH TIME ZONE,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_run_id UUID,
+    last_status VARCHAR(20), -- sync_runs status of the last scheduled run, or 'skipped' if the source was already syncing
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE OR REPLACE TRIGGER set_sync_schedules_timestamp
+BEFORE UPDATE ON sync_schedules
+FOR EACH ROW
+EXECUTE FUNCTION trigger_set_timestamp();
+
 -- End of script
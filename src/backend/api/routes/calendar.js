@@ -32,6 +32,12 @@ router.get('/month/:year/:month', async (req, res, next) => {
         has_bee_data,
         has_weather_data,
         has_mood_data,
+        has_life_events_data,
+        has_calendar_data,
+        has_health_data,
+        has_location_data,
+        has_journal_data,
+        has_photo_data,
         limitless_entry_count,
         bee_conversation_count
       FROM daily_aggregations
@@ -50,6 +56,12 @@ router.get('/month/:year/:month', async (req, res, next) => {
       if (row.has_bee_data) dataTypes.push('bee');
       if (row.has_weather_data) dataTypes.push('weather');
       if (row.has_mood_data) dataTypes.push('mood');
+      if (row.has_life_events_data) dataTypes.push('life_events');
+      if (row.has_calendar_data) dataTypes.push('calendar');
+      if (row.has_health_data) dataTypes.push('health');
+      if (row.has_location_data) dataTypes.push('location');
+      if (row.has_journal_data) dataTypes.push('journal');
+      if (row.has_photo_data) dataTypes.push('photos');
 
       return {
         date: DateNormalizer.formatDateToYYYYMMDD(new Date(row.date)), // Ensure correct formatting
@@ -136,6 +148,69 @@ router.get('/day/:date', async (req, res, next) => {
       };
     }
 
+    // Fetch calendar events for the day (all-day events first, then by start time)
+    const calendarQuery = `
+        SELECT id, calendar, title, description, location, start_time, end_time, is_all_day, is_recurring, status, organizer
+        FROM calendar_events
+        WHERE date = $1 ORDER BY is_all_day DESC, start_time ASC;`;
+    const calendarResult = await db.query(calendarQuery, [dateStr]);
+    if (calendarResult.rows.length > 0) {
+      responsePayload.modules.calendar = {
+        events: calendarResult.rows,
+        count: calendarResult.rows.length,
+      };
+    }
+
+    // Fetch photos for the day; the files themselves are served by /api/media
+    const photosQuery = `
+        SELECT id, taken_at, latitude, longitude, camera, width, height, thumbnail_path IS NOT NULL AS has_thumbnail
+        FROM media_items
+        WHERE date = $1 ORDER BY taken_at ASC;`;
+    const photosResult = await db.query(photosQuery, [dateStr]);
+    if (photosResult.rows.length > 0) {
+      responsePayload.modules.photos = {
+        items: photosResult.rows.map(({ has_thumbnail, ...photo }) => ({
+          ...photo,
+          url: `/api/media/${photo.id}/original`,
+          thumbnail_url: has_thumbnail ? `/api/media/${photo.id}/thumbnail` : null,
+        })),
+        count: photosResult.rows.length,
+      };
+    }
+
+    // Fetch journal notes for the day
+    const journalQuery = `
+        SELECT id, file_path, title, body, tags, mood_score, word_count
+        FROM journal_entries
+        WHERE date = $1 ORDER BY file_path ASC;`;
+    const journalResult = await db.query(journalQuery, [dateStr]);
+    if (journalResult.rows.length > 0) {
+      responsePayload.modules.journal = {
+        entries: journalResult.rows,
+        count: journalResult.rows.length,
+      };
+    }
+
+    // Fetch health metrics and workouts for the day
+    const healthResult = await db.query(
+      'SELECT steps, sleep_minutes, resting_heart_rate FROM health_daily_metrics WHERE date = $1;',
+      [dateStr]
+    );
+    const workoutsResult = await db.query(
+      `SELECT id, activity_type, start_time, end_time, duration_minutes, distance, distance_unit, energy_burned
+       FROM health_workouts WHERE date = $1 ORDER BY start_time ASC;`,
+      [dateStr]
+    );
+    if (healthResult.rows.length > 0 || workoutsResult.rows.length > 0) {
+      const metrics = healthResult.rows[0] || {};
+      responsePayload.modules.health = {
+        steps: metrics.steps ?? null,
+        sleep_minutes: metrics.sleep_minutes ?? null,
+        resting_heart_rate: metrics.resting_heart_rate !== null && metrics.resting_heart_rate !== undefined ? Number(metrics.resting_heart_rate) : null,
+        workouts: workoutsResult.rows,
+      };
+    }
+
     // Fetch Weather data for the day
     const weatherQuery = `
         SELECT temperature_high, temperature_low, condition, description, humidity, icon_code, sunrise, sunset
@@ -146,11 +221,26 @@ router.get('/day/:date', async (req, res, next) => {
       responsePayload.modules.weather = weatherResult.rows[0]; // Assuming one entry per day/location
     }
 
-    // Fetch Mood data for the day
-    const moodQuery = `SELECT mood_score, mood_text, notes, recorded_at FROM mood_entries WHERE date = $1;`;
+    // Fetch Mood check-ins for the day, with the daily summary kept in daily_aggregations
+    const moodQuery = `SELECT id, mood_score, mood_text, notes, recorded_at FROM mood_entries WHERE date = $1 ORDER BY recorded_at ASC;`;
     const moodResult = await db.query(moodQuery, [dateStr]);
     if (moodResult.rows.length > 0) {
-      responsePayload.modules.mood = moodResult.rows[0];
+      const summaryResult = await db.query(
+        'SELECT mood_score_mean, mood_score_min, mood_score_max, mood_checkin_count FROM daily_aggregations WHERE date = $1;',
+        [dateStr]
+      );
+      const summary = summaryResult.rows[0] || {};
+      const scores = moodResult.rows.map(row => row.mood_score);
+      responsePayload.modules.mood = {
+        // Fall back to computing from the check-ins if the aggregation row hasn't been refreshed yet
+        mean: summary.mood_score_mean !== null && summary.mood_score_mean !== undefined
+          ? Number(summary.mood_score_mean)
+          : Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100,
+        min: summary.mood_score_min ?? Math.min(...scores),
+        max: summary.mood_score_max ?? Math.max(...scores),
+        count: moodResult.rows.length,
+        checkins: moodResult.rows,
+      };
     }
 
     res.json(responsePayload);
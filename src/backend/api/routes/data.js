@@ -2,26 +2,82 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../../utils/logger');
 const DataSyncManager = require('../../services/dataIngestion/DataSyncManager');
-const MoodConnector = require('../../services/dataIngestion/MoodConnector'); // For manual mood entry
+const ConnectorRegistry = require('../../services/dataIngestion/ConnectorRegistry');
+const SyncScheduler = require('../../services/dataIngestion/SyncScheduler');
+const SourceStatus = require('../../services/dataIngestion/SourceStatus');
+const SyncRunStore = require('../../services/storage/SyncRunStore');
+const DateNormalizer = require('../../services/processing/DateNormalizer');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_BACKFILL_DAYS = 366;
+
+// Optional ?start=YYYY-MM-DD&end=YYYY-MM-DD query parameters as { range }, or { error } if one is malformed.
+const parseDateRange = (query) => {
+  const range = {};
+  for (const key of ['start', 'end']) {
+    if (query[key] === undefined) continue;
+    if (!DateNormalizer.isValidYYYYMMDD(query[key])) {
+      return { error: `${key} must be a date in YYYY-MM-DD format.` };
+    }
+    range[key] = query[key];
+  }
+  return { range };
+};
 
 // POST /api/data/sync/{source}
 // Triggers a sync for a specific data source.
+// With ?dryRun=true nothing is saved: the response lists the records that would be new or changed per
+// table and the days whose daily aggregation would change, e.g. to preview forceFullSync on a big account.
+// Only one sync per source runs at a time: if one is already running this responds 409 with its runId,
+// or with ?join=true waits for that run and responds with its result.
 router.post('/sync/:source', async (req, res, next) => {
   const { source } = req.params;
   const forceFullSync = req.query.forceFullSync === 'true'; // Example: /api/data/sync/limitless?forceFullSync=true
+  const dryRun = req.query.dryRun === 'true';
+  const join = req.query.join === 'true';
+  // Optional YYYY-MM-DD range for connectors that sync by date (e.g. ics, weather)
+  const { range, error } = parseDateRange(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-  logger.info(`API: Received request to sync source: ${source}`, { forceFullSync });
+  logger.info(`API: Received request to sync source: ${source}`, { forceFullSync, dryRun, join, ...range });
 
   if (!source) {
     return res.status(400).json({ error: 'Source parameter is required.' });
   }
 
+  if (dryRun) {
+    try {
+      const result = await DataSyncManager.previewSync(source, { forceFullSync, ...range });
+      if (result.success || result.partial) {
+        return res.json({ message: `Dry run for ${source} completed. Nothing was saved.`, details: result });
+      }
+      if (result.status === 409) {
+        return res.status(409).json({ error: result.message, runId: result.runId });
+      }
+      return res.status(result.status || (result.degraded ? 503 : 500)).json({ error: `Dry run failed for source: ${source}.`, details: result.message || result });
+    } catch (error) {
+      logger.error(`API: Error during dry run for ${source}: ${error.message}`, { stack: error.stack });
+      return next(error);
+    }
+  }
+
   try {
     // DataSyncManager.syncSource returns a result object.
-    const result = await DataSyncManager.syncSource(source, { forceFullSync, triggeredBy: 'api' });
+    const result = await DataSyncManager.syncSource(source, { forceFullSync, join, ...range, triggeredBy: 'api' });
 
-    if (result.success) {
+    if (result.joined && result.success) {
+      res.json({ message: `Joined the running sync for ${source}.`, details: result });
+    } else if (result.success) {
       res.json({ message: `Sync initiated for ${source}.`, details: result });
+    } else if (result.status === 409) {
+      res.status(409).json({ error: result.message, runId: result.runId });
+    } else if (result.partial) {
+      // Some data was stored, but the fetch could not retrieve everything.
+      res.status(207).json({ message: `Sync for ${source} completed partially.`, details: result });
+    } else if (result.degraded) {
+      res.status(503).json({ error: `Source ${source} is degraded.`, details: result.message });
     } else {
       // If the connector itself is not found or disabled, syncSource handles it.
       // If an error occurred during sync, it's also in result.
@@ -36,13 +92,211 @@ router.post('/sync/:source', async (req, res, next) => {
   }
 });
 
+// GET /api/data/sync/runs
+// Lists recorded sync runs, newest first. Optional filters: ?source=bee&status=failed&limit=20&offset=0
+router.get('/sync/runs', async (req, res, next) => {
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+  const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+
+  if (isNaN(limit) || limit < 1 || limit > 500 || isNaN(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Invalid limit or offset. limit must be 1-500 and offset >= 0.' });
+  }
+
+  try {
+    const runs = await SyncRunStore.list({ source: req.query.source, status: req.query.status, limit, offset });
+    res.json({ runs, limit, offset });
+  } catch (error) {
+    logger.error(`API: Error listing sync runs: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+// GET /api/data/sync/runs/{id}
+// Returns a single sync run.
+router.get('/sync/runs/:id', async (req, res, next) => {
+  const { id } = req.params;
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Invalid sync run id.' });
+  }
+
+  try {
+    const run = await SyncRunStore.getById(id);
+    if (!run) {
+      return res.status(404).json({ error: `Sync run ${id} not found.` });
+    }
+    res.json(run);
+  } catch (error) {
+    logger.error(`API: Error fetching sync run ${id}: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+// GET /api/data/sync/{source}/checkpoints
+// Shows the checkpoint (last sync time) and saved pagination cursor for each of a source's streams.
+// Most sources have a single stream (null); Bee has one per sub-source (conversations, facts, todos, locations).
+router.get('/sync/:source/checkpoints', async (req, res, next) => {
+  const { source } = req.params;
+  const connector = DataSyncManager.getConnector(source);
+  if (!connector) {
+    return res.status(404).json({ error: `Connector ${source} not found or not enabled.` });
+  }
+
+  try {
+    res.json({ source, checkpoints: await connector.getCheckpoints() });
+  } catch (error) {
+    logger.error(`API: Error fetching checkpoints for ${source}: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+// DELETE /api/data/sync/{source}/checkpoints/{stream?}
+// Resets one stream's checkpoint (e.g. /api/data/sync/bee/checkpoints/facts), or every stream of the
+// source when no stream is given, so the next sync refetches from the beginning.
+router.delete('/sync/:source/checkpoints/:stream?', async (req, res, next) => {
+  const { source, stream } = req.params;
+  const connector = DataSyncManager.getConnector(source);
+  if (!connector) {
+    return res.status(404).json({ error: `Connector ${source} not found or not enabled.` });
+  }
+
+  const streams = connector.getCheckpointStreams();
+  if (stream && !streams.includes(stream)) {
+    return res.status(400).json({ error: `Unknown stream '${stream}' for ${source}. Valid streams: ${streams.filter(Boolean).join(', ') || 'none'}.` });
+  }
+
+  try {
+    const reset = stream ? [stream] : streams;
+    for (const name of reset) {
+      await connector.resetCheckpoint(name);
+    }
+    logger.info(`API: Reset checkpoints for ${source}`, { streams: reset });
+    res.json({ message: `Checkpoints reset for ${source}.`, streams: reset });
+  } catch (error) {
+    logger.error(`API: Error resetting checkpoints for ${source}: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+// POST /api/data/reprocess/{source}?start=YYYY-MM-DD&end=YYYY-MM-DD
+// Replays the source's archived raw payloads (see RawPayloadStore) through its current processData,
+// e.g. after a field-mapping fix, without downloading anything again. With a range, only payloads that
+// touched a day in it are replayed. Recorded in sync_runs with triggered_by 'reprocess'.
+router.post('/reprocess/:source', async (req, res, next) => {
+  const { source } = req.params;
+  const { range, error } = parseDateRange(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (range.start && range.end && range.start > range.end) {
+    return res.status(400).json({ error: 'end must be on or after start.' });
+  }
+
+  logger.info(`API: Received request to reprocess source: ${source}`, range);
+  try {
+    const result = await DataSyncManager.reprocessSource(source, range);
+    if (result.success) {
+      res.json({ message: `Reprocessed ${result.payloads} archived payload(s) for ${source}.`, details: result });
+    } else if (result.status === 409) {
+      res.status(409).json({ error: result.message, runId: result.runId });
+    } else {
+      res.status(result.status || 500).json({ error: `Failed to reprocess source: ${source}.`, details: result.message || result });
+    }
+  } catch (error) {
+    logger.error(`API: Error reprocessing source ${source}: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+// POST /api/data/ingest/{source}
+// Accepts data pushed by a source (phone automations, Bee/Limitless push features) instead of waiting for a poll.
+// Only for connectors that declare a webhookSchema and have dataSources.<source>.webhook.secret configured.
+// The body must be signed: HMAC-SHA256 of the raw body with that secret, sent as "sha256=<hex>" in the
+// source's signature header (X-Lifeboard-Signature by default). Valid payloads are processed in the
+// background; the response carries the id of the sync run that records the result.
+router.post('/ingest/:source', async (req, res, next) => {
+  const { source } = req.params;
+  const connector = DataSyncManager.getConnector(source);
+  // Unknown, disabled and non-webhook sources look the same, so the endpoint doesn't reveal which exist.
+  if (!connector || !connector.acceptsWebhooks()) {
+    return res.status(404).json({ error: `Source ${source} does not accept webhook payloads.` });
+  }
+
+  const signature = req.get(connector.getWebhookSignatureHeader());
+  if (!signature || !connector.verifyWebhookSignature(req.rawBody, signature)) {
+    logger.warn(`API: Rejected webhook payload for ${source} with a missing or invalid signature.`);
+    return res.status(401).json({ error: 'Missing or invalid signature.' });
+  }
+
+  const errors = ConnectorRegistry.validateWebhookPayload(source, req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: `Invalid payload for ${source}.`, details: errors });
+  }
+
+  try {
+    const result = await DataSyncManager.ingest(source, req.body);
+    if (!result.accepted) {
+      return res.status(404).json({ error: result.message });
+    }
+    logger.info(`API: Accepted webhook payload for ${source} (sync run ${result.runId}).`);
+    res.status(202).json({ message: `Payload accepted for ${source}.`, runId: result.runId });
+  } catch (error) {
+    logger.error(`API: Error accepting webhook payload for ${source}: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+// POST /api/data/weather/backfill?start=YYYY-MM-DD&end=YYYY-MM-DD
+// Fetches historical weather for every day in the range that has data from another source
+// but no weather entry yet. Runs as a regular weather sync (recorded in sync_runs).
+router.post('/weather/backfill', async (req, res, next) => {
+  const { start, end } = req.query;
+  if (!DateNormalizer.isValidYYYYMMDD(start) || !DateNormalizer.isValidYYYYMMDD(end)) {
+    return res.status(400).json({ error: 'start and end query parameters are required in YYYY-MM-DD format.' });
+  }
+  const rangeDays = (DateNormalizer.parseDate(end) - DateNormalizer.parseDate(start)) / (24 * 60 * 60 * 1000) + 1;
+  if (isNaN(rangeDays) || rangeDays < 1 || rangeDays > MAX_BACKFILL_DAYS) {
+    return res.status(400).json({ error: `end must be on or after start, and the range can span at most ${MAX_BACKFILL_DAYS} days.` });
+  }
+
+  const connector = DataSyncManager.getConnector('weather');
+  if (!connector) {
+    return res.status(404).json({ error: 'Connector weather not found or not enabled.' });
+  }
+
+  logger.info(`API: Received request to backfill weather from ${start} to ${end}`);
+  try {
+    const dates = await connector.findDatesMissingWeather(start, end);
+    if (dates.length === 0) {
+      return res.json({ message: `No days between ${start} and ${end} are missing weather.`, dates });
+    }
+
+    const result = await DataSyncManager.syncSource('weather', { dates, triggeredBy: 'backfill' });
+    if (result.success) {
+      res.json({ message: `Weather backfilled for ${dates.length} day(s).`, dates, details: result });
+    } else if (result.partial) {
+      res.status(207).json({ message: 'Weather backfill completed partially.', dates, details: result });
+    } else if (result.status === 409) {
+      res.status(409).json({ error: result.message, runId: result.runId });
+    } else if (result.degraded) {
+      res.status(503).json({ error: 'Source weather is degraded.', details: result.message });
+    } else {
+      res.status(500).json({ error: 'Failed to backfill weather.', details: result.message || result });
+    }
+  } catch (error) {
+    logger.error(`API: Error backfilling weather: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
 // POST /api/data/sync-all
-// Triggers a sync for all enabled data sources.
+// Triggers a sync for all enabled data sources. A source that is already syncing reports status 409
+// with the running runId in its details, unless ?join=true, which waits for that run instead.
 router.post('/sync-all', async (req, res, next) => {
   const forceFullSync = req.query.forceFullSync === 'true';
-  logger.info('API: Received request to sync all sources.', { forceFullSync });
+  const join = req.query.join === 'true';
+  logger.info('API: Received request to sync all sources.', { forceFullSync, join });
   try {
-    const results = await DataSyncManager.syncAllSources({ forceFullSync, triggeredBy: 'api' });
+    const results = await DataSyncManager.syncAllSources({ forceFullSync, join, triggeredBy: 'api' });
     res.json({ message: 'Sync initiated for all enabled sources.', details: results });
   } catch (error) {
     logger.error(`API: Error syncing all sources: ${error.message}`, { stack: error.stack });
@@ -50,9 +304,86 @@ router.post('/sync-all', async (req, res, next) => {
   }
 });
 
+// GET /api/data/sources
+// Reports every connector: enabled, loaded, whether its credentials are set (missing settings and unset
+// "${VAR}" placeholders are listed) and accepted by the source, last successful and failed run, next
+// scheduled run. Credentials are checked with a small authenticated request, cached for a few minutes;
+// ?refresh=true checks again, ?probe=false skips the check.
+router.get('/sources', async (req, res, next) => {
+  try {
+    const sources = await SourceStatus.list({ refresh: req.query.refresh === 'true', probe: req.query.probe !== 'false' });
+    res.json({ sources });
+  } catch (error) {
+    logger.error(`API: Error reporting source status: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+// GET /api/data/schedules
+// Lists each enabled source's sync schedule: its interval (and whether it comes from the API, config or the
+// connector's default), whether it is paused, its quiet hours, and the next and last scheduled run.
+router.get('/schedules', (req, res) => {
+  res.json({ schedules: SyncScheduler.list() });
+});
+
+// GET /api/data/schedules/{source}
+router.get('/schedules/:source', (req, res) => {
+  const schedule = SyncScheduler.describe(req.params.source);
+  if (!schedule) {
+    return res.status(404).json({ error: `Connector ${req.params.source} not found or not enabled.` });
+  }
+  res.json(schedule);
+});
+
+// PATCH /api/data/schedules/{source}
+// Pauses, resumes or retimes a source's scheduled syncs without a restart. Body (all optional):
+//   { "paused": true, "interval": "2h" | "0 3 * * *" | null, "quietHours": { "start": "23:00", "end": "07:00", "timezone": "Europe/Berlin" } | false | null }
+// null goes back to the configured value; quietHours false turns quiet hours off for the source. Changes are kept across restarts.
+router.patch('/schedules/:source', async (req, res, next) => {
+  const { source } = req.params;
+  const { interval, paused, quietHours } = req.body || {};
+  logger.info(`API: Received request to update the sync schedule of ${source}`, { interval, paused, quietHours });
+  try {
+    const result = await SyncScheduler.update(source, { interval, paused, quietHours });
+    if (!result.success) {
+      return res.status(result.status || 500).json({ error: result.message });
+    }
+    res.json(result.schedule);
+  } catch (error) {
+    logger.error(`API: Error updating the sync schedule of ${source}: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+
+// Mood is loaded like any other connector; it is absent when disabled in the configuration.
+const getMoodConnector = () => DataSyncManager.getConnector('mood');
+const MOOD_DISABLED_ERROR = { error: 'Mood tracking is currently disabled in server configuration.' };
+
+// GET /api/data/mood?start=YYYY-MM-DD&end=YYYY-MM-DD
+// Lists mood check-ins in the range (oldest first) along with each day's mean, min and max.
+router.get('/mood', async (req, res, next) => {
+  const { start, end } = req.query;
+  if (!DateNormalizer.isValidYYYYMMDD(start) || !DateNormalizer.isValidYYYYMMDD(end) || start > end) {
+    return res.status(400).json({ error: 'start and end query parameters are required in YYYY-MM-DD format, with start <= end.' });
+  }
+
+  const moodConnector = getMoodConnector();
+  if (!moodConnector) {
+    return res.status(403).json(MOOD_DISABLED_ERROR);
+  }
+
+  try {
+    const { entries, days } = await moodConnector.listEntries(start, end);
+    res.json({ start, end, entries, days });
+  } catch (error) {
+    logger.error(`API: Error listing mood entries: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
 
 // POST /api/data/mood
-// Endpoint for manually adding a mood entry.
+// Endpoint for manually adding a mood check-in. Several check-ins per day are kept.
 router.post('/mood', async (req, res, next) => {
   const moodData = req.body;
   // user_id could be extracted from auth middleware in future, for MVP it might be null or part of body
@@ -67,16 +398,16 @@ router.post('/mood', async (req, res, next) => {
 
   try {
     // The MoodConnector's processData method is used to save the mood entry.
-    const moodConnector = new MoodConnector(); // Or get a singleton instance
-    if (!moodConnector.isEnabled()) {
-        return res.status(403).json({ error: 'Mood tracking is currently disabled in server configuration.' });
+    const moodConnector = getMoodConnector();
+    if (!moodConnector) {
+      return res.status(403).json(MOOD_DISABLED_ERROR);
     }
     const result = await moodConnector.processData(moodData);
 
     if (result.errors > 0) {
       res.status(400).json({ error: 'Failed to save mood entry.', details: result.message || 'Validation error or database issue.' });
     } else {
-      res.status(201).json({ message: 'Mood entry saved successfully.', details: result });
+      res.status(201).json({ message: 'Mood entry saved successfully.', id: result.ids[0], details: result });
     }
   } catch (error) {
     logger.error(`API: Error saving mood entry: ${error.message}`, { stack: error.stack });
@@ -84,5 +415,98 @@ router.post('/mood', async (req, res, next) => {
   }
 });
 
+// POST /api/data/mood/import?dryRun=true
+// Imports mood history from a CSV file sent as the request body (Content-Type: text/csv), e.g.
+//   curl -X POST --data-binary @daylio_export.csv -H 'Content-Type: text/csv' .../api/data/mood/import?dryRun=true
+// Accepts generic CSVs (date, time, mood_score|mood, mood_text, notes) and Daylio exports. Mood labels are
+// mapped to the 1-10 scale with dataSources.mood.import.labelMap. Responds with a report of new, updated
+// and rejected rows; with dryRun=true nothing is written.
+router.post('/mood/import', express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '5mb' }), async (req, res, next) => {
+  const dryRun = req.query.dryRun === 'true';
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return res.status(400).json({ error: 'Send the CSV file as the request body with Content-Type: text/csv.' });
+  }
+
+  const moodConnector = getMoodConnector();
+  if (!moodConnector) {
+    return res.status(403).json(MOOD_DISABLED_ERROR);
+  }
+
+  logger.info('API: Received mood import.', { dryRun, bytes: req.body.length });
+  try {
+    const report = await moodConnector.importCsv(req.body, { dryRun });
+    if (report.error) {
+      return res.status(400).json({ error: 'Failed to import mood history.', details: report.error });
+    }
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Dry run: nothing was saved.' : 'Mood history imported.',
+      report,
+    });
+  } catch (error) {
+    logger.error(`API: Error importing mood history: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+// PUT /api/data/mood/{id}
+// Edits a check-in. Any of date, mood_score, mood_text, notes and recorded_at may be given.
+router.put('/mood/:id', async (req, res, next) => {
+  const { id } = req.params;
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Invalid mood entry id.' });
+  }
+
+  const moodConnector = getMoodConnector();
+  if (!moodConnector) {
+    return res.status(403).json(MOOD_DISABLED_ERROR);
+  }
+
+  const { date, mood_score, mood_text, notes, recorded_at } = req.body || {};
+  const changes = Object.fromEntries(
+    Object.entries({ date, mood_score, mood_text, notes, recorded_at }).filter(([, value]) => value !== undefined)
+  );
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update. Provide date, mood_score, mood_text, notes or recorded_at.' });
+  }
+
+  try {
+    const { entry, error } = await moodConnector.updateEntry(id, changes);
+    if (error) {
+      return res.status(400).json({ error: 'Failed to update mood entry.', details: error });
+    }
+    if (!entry) {
+      return res.status(404).json({ error: `Mood entry ${id} not found.` });
+    }
+    res.json({ message: 'Mood entry updated successfully.', entry });
+  } catch (error) {
+    logger.error(`API: Error updating mood entry ${id}: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+// DELETE /api/data/mood/{id}
+router.delete('/mood/:id', async (req, res, next) => {
+  const { id } = req.params;
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Invalid mood entry id.' });
+  }
+
+  const moodConnector = getMoodConnector();
+  if (!moodConnector) {
+    return res.status(403).json(MOOD_DISABLED_ERROR);
+  }
+
+  try {
+    const deleted = await moodConnector.deleteEntry(id);
+    if (!deleted) {
+      return res.status(404).json({ error: `Mood entry ${id} not found.` });
+    }
+    res.json({ message: 'Mood entry deleted successfully.', id });
+  } catch (error) {
+    logger.error(`API: Error deleting mood entry ${id}: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
 
 module.exports = router;
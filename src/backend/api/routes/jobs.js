@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../../utils/logger');
+const JobManager = require('../../services/dataIngestion/JobManager');
+const DateNormalizer = require('../../services/processing/DateNormalizer');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TERMINAL_STATUSES = ['completed', 'cancelled', 'failed'];
+const SSE_HEARTBEAT_MS = 15000;
+
+// Sends the result of a JobManager call: { success, job } or { success: false, status, message }.
+const sendJobResult = (res, result, successStatus = 200) => {
+  if (result.success) {
+    return res.status(successStatus).json({ ...(result.message ? { message: result.message } : {}), job: result.job });
+  }
+  return res.status(result.status || 500).json({ error: result.message, ...(result.jobId ? { jobId: result.jobId } : {}) });
+};
+
+// POST /api/jobs
+// Starts a job. Body: { "type": "backfill", "source": "limitless", "start": "YYYY-MM-DD", "end": "YYYY-MM-DD", "chunkDays": 7 }
+// chunkDays is optional (defaults to the connector's). Responds 202 with the job; follow it at GET /api/jobs/{id}.
+router.post('/', async (req, res, next) => {
+  const { type = 'backfill', source, start, end, chunkDays } = req.body || {};
+  if (type !== 'backfill') {
+    return res.status(400).json({ error: `Unknown job type '${type}'. Supported: backfill.` });
+  }
+  if (!source || !DateNormalizer.isValidYYYYMMDD(start) || !DateNormalizer.isValidYYYYMMDD(end)) {
+    return res.status(400).json({ error: 'source, start and end (YYYY-MM-DD) are required.' });
+  }
+
+  logger.info(`API: Received request to backfill ${source} from ${start} to ${end}`, { chunkDays });
+  try {
+    sendJobResult(res, await JobManager.startBackfill(source, { start, end, chunkDays }), 202);
+  } catch (error) {
+    logger.error(`API: Error starting backfill for ${source}: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+// GET /api/jobs
+// Lists jobs, newest first. Optional filters: ?source=bee&type=backfill&status=running&limit=20&offset=0
+router.get('/', async (req, res, next) => {
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+  const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+  if (isNaN(limit) || limit < 1 || limit > 500 || isNaN(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Invalid limit or offset. limit must be 1-500 and offset >= 0.' });
+  }
+
+  try {
+    const jobs = await JobManager.listJobs({ source: req.query.source, type: req.query.type, status: req.query.status, limit, offset });
+    res.json({ jobs, limit, offset });
+  } catch (error) {
+    logger.error(`API: Error listing jobs: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+// GET /api/jobs/{id}
+// Returns the job with its progress (days completed, counts, progress_percent, eta_seconds).
+// With `Accept: text/event-stream` (e.g. an EventSource) it streams Server-Sent Events instead:
+//   event: job       the job as it is now, sent first
+//   event: progress  after every chunk: { job, details: { chunk: { start, end, days }, runId, newEntries, updatedEntries, errors } }
+//   event: status    when the job completes, is cancelled or fails; the stream then ends
+router.get('/:id', async (req, res, next) => {
+  const { id } = req.params;
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Invalid job id.' });
+  }
+
+  try {
+    const job = await JobManager.getJob(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found.' });
+    }
+    if (req.accepts(['json', 'text/event-stream']) !== 'text/event-stream') {
+      return res.json(job);
+    }
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('job', job);
+    if (TERMINAL_STATUSES.includes(job.status)) return res.end();
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+    let finished = false;
+    const finish = (finalJob, details = {}) => {
+      if (finished) return;
+      finished = true;
+      send('status', { job: finalJob, details });
+      res.end();
+    };
+    const unsubscribe = JobManager.subscribe(id, (event, updatedJob, details) => {
+      if (finished) return;
+      if (event === 'status' && TERMINAL_STATUSES.includes(updatedJob.status)) return finish(updatedJob, details);
+      send(event, { job: updatedJob, details });
+    });
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    // The job may have finished between reading it and subscribing, in which case no status event is coming.
+    // The stream is already open, so a failed lookup is only logged; the events keep coming if the job runs.
+    try {
+      const current = await JobManager.getJob(id);
+      if (current && TERMINAL_STATUSES.includes(current.status)) finish(current);
+    } catch (error) {
+      logger.error(`API: Error re-reading job ${id} for its event stream: ${error.message}`, { stack: error.stack });
+    }
+  } catch (error) {
+    logger.error(`API: Error fetching job ${id}: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+// POST /api/jobs/{id}/cancel
+// Stops a running job after its current chunk. Its progress is kept, so it can be resumed.
+router.post('/:id/cancel', async (req, res, next) => {
+  const { id } = req.params;
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Invalid job id.' });
+  }
+  try {
+    sendJobResult(res, await JobManager.cancel(id), 202);
+  } catch (error) {
+    logger.error(`API: Error cancelling job ${id}: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+// POST /api/jobs/{id}/resume
+// Continues a cancelled or failed job from its last completed chunk.
+router.post('/:id/resume', async (req, res, next) => {
+  const { id } = req.params;
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Invalid job id.' });
+  }
+  try {
+    sendJobResult(res, await JobManager.resume(id), 202);
+  } catch (error) {
+    logger.error(`API: Error resuming job ${id}: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../../utils/logger');
+const db = require('../../services/storage/DatabaseManager');
+const DataSyncManager = require('../../services/dataIngestion/DataSyncManager');
+
+// Serves the files behind media_items rows (see PhotoConnector). The connector that imported an
+// item resolves its paths, so only files inside that connector's configured directories are served.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function resolveMediaFile(req, res, next, kind) {
+  const { id } = req.params;
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Invalid media item id.' });
+  }
+
+  try {
+    const result = await db.query('SELECT id, source, file_path, thumbnail_path, mime_type FROM media_items WHERE id = $1;', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Media item not found.' });
+    }
+    const item = result.rows[0];
+    const connector = DataSyncManager.getConnector(item.source);
+    if (!connector || typeof connector.resolveFiles !== 'function') {
+      return res.status(404).json({ error: `Source ${item.source} is not enabled.` });
+    }
+
+    const filePath = connector.resolveFiles(item)[kind];
+    if (!filePath) {
+      return res.status(404).json({ error: kind === 'thumbnail' ? 'This item has no thumbnail.' : 'File not found.' });
+    }
+    res.sendFile(filePath, { headers: kind === 'original' && item.mime_type ? { 'Content-Type': item.mime_type } : {}, maxAge: '7d' }, (error) => {
+      if (error && !res.headersSent) {
+        logger.warn(`API: Could not send ${kind} for media item ${item.id}: ${error.message}`);
+        res.status(404).json({ error: 'File not found.' });
+      }
+    });
+  } catch (error) {
+    logger.error(`API: Error serving media item ${id}: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+}
+
+// GET /api/media/:id/thumbnail
+router.get('/:id/thumbnail', (req, res, next) => resolveMediaFile(req, res, next, 'thumbnail'));
+
+// GET /api/media/:id/original
+router.get('/:id/original', (req, res, next) => resolveMediaFile(req, res, next, 'original'));
+
+module.exports = router;
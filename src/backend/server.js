@@ -1,13 +1,15 @@
 const express = require('express');
 const logger = require('./utils/logger');
 const config = require('./services/storage/ConfigManager');
+const db = require('./services/storage/DatabaseManager');
 
 const app = express();
 // Use port from config, fallback to environment variable, then default
 const PORT = config.get('server.port', process.env.PORT || 3000);
 
 // Middleware
-app.use(express.json()); // For parsing application/json
+// For parsing application/json. The raw body is kept for verifying webhook signatures (see /api/data/ingest).
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // Basic Route
 app.get('/', (req, res) => {
@@ -15,20 +17,29 @@ app.get('/', (req, res) => {
 });
 
 // Health Check Endpoint
-app.get('/health', (req, res) => {
-  // Basic health check, can be expanded later
-  // For example, check DB connection status
-  res.status(200).json({ status: 'UP', timestamp: new Date().toISOString(), version: config.get('version', 'N/A') });
+app.get('/health', async (req, res) => {
+  // DOWN (503) when the database can't be reached; per-connector health is at /api/data/sources.
+  const database = await db.checkHealth();
+  res.status(database.reachable ? 200 : 503).json({
+    status: database.reachable ? 'UP' : 'DOWN',
+    timestamp: new Date().toISOString(),
+    version: config.get('version', 'N/A'),
+    database,
+  });
 });
 
 // Placeholder for future routes
 const calendarRoutes = require('./api/routes/calendar');
 const chatRoutes = require('./api/routes/chat');
 const dataRoutes = require('./api/routes/data');
+const mediaRoutes = require('./api/routes/media');
+const jobRoutes = require('./api/routes/jobs');
 
 app.use('/api/calendar', calendarRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/data', dataRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/jobs', jobRoutes);
 
 
 // Error Handling Middleware
@@ -57,6 +68,10 @@ app.use((req, res, next) => {
 app.listen(PORT, () => {
   logger.info(`Server is running on port ${PORT}`);
   logger.info(`Current environment: ${process.env.NODE_ENV || 'development'}`);
+  // Sync runs left running by a stopped server are marked failed, then backfill jobs that were running
+  // when it stopped continue from their last checkpoint.
+  require('./services/dataIngestion/DataSyncManager').failInterruptedRuns()
+    .then(() => require('./services/dataIngestion/JobManager').resumeInterruptedJobs());
   // logger.debug('Effective configuration:', config.getEffectiveConfig()); // Use debug level for verbose logs
 });
 
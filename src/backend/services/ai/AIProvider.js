@@ -58,7 +58,12 @@ class AIProvider {
     };
 
     try {
-      const moodRes = await db.query("SELECT mood_score, mood_text FROM mood_entries WHERE date = $1", [dateString]);
+      // Several check-ins per day: use the day's mean score and the latest check-in's text.
+      const moodRes = await db.query(
+        `SELECT ROUND(AVG(mood_score), 1)::float AS mood_score, (ARRAY_AGG(mood_text ORDER BY recorded_at DESC))[1] AS mood_text
+         FROM mood_entries WHERE date = $1 HAVING COUNT(*) > 0`,
+        [dateString]
+      );
       if (moodRes.rows.length > 0) data.mood = moodRes.rows[0];
 
       const weatherRes = await db.query("SELECT condition, temperature_high FROM weather_entries WHERE date = $1", [dateString]);
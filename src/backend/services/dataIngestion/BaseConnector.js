@@ -1,12 +1,44 @@
+const crypto = require('crypto');
+const axios = require('axios');
 const logger = require('../../utils/logger');
 const db = require('../storage/DatabaseManager');
 const config = require('../storage/ConfigManager');
+const CircuitBreaker = require('./CircuitBreaker');
+const RawPayloadStore = require('../storage/RawPayloadStore');
+const DryRunReport = require('../storage/DryRunReport');
+const { applyDefaults } = require('../../utils/schemaValidator');
+
+// Defaults for the shared HTTP layer. Override per source under dataSources.<name>.retry
+// and dataSources.<name>.circuitBreaker in lifeboard.config.yml.
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: 3,          // Retries per request
+  baseDelayMs: 500,       // First backoff step; doubles with each attempt
+  maxDelayMs: 30000,      // Cap for a single backoff (and for honoring Retry-After)
+  budget: 20,             // Total retries allowed per sync run across all requests
+};
+const DEFAULT_CIRCUIT_BREAKER = {
+  failureThreshold: 5,    // Consecutive failed requests before the source is marked degraded
+  cooldownMs: 5 * 60 * 1000,
+};
+const DEFAULT_WEBHOOK_SIGNATURE_HEADER = 'X-Lifeboard-Signature';
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const PROBE_TIMEOUT_MS = 10000;
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class BaseConnector {
   constructor(sourceName) {
-    this.sourceName = sourceName;
-    this.sourceConfig = config.get(`dataSources.${sourceName}`, {});
-    this.apiClient = null; // To be configured by subclasses, e.g., using axios
+    // Subclasses registered through a manifest may omit sourceName; it then comes from the manifest.
+    const manifest = this.constructor.manifest;
+    this.sourceName = sourceName || (manifest && manifest.name);
+    // Apply defaults declared in the manifest's config schema (if any) beneath the user's config.
+    this.sourceConfig = applyDefaults(manifest && manifest.configSchema, config.get(`dataSources.${this.sourceName}`, {}));
+    this.apiClient = null; // To be configured by subclasses, usually via this.createHttpClient()
+
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...(this.sourceConfig.retry || {}) };
+    this.circuitBreaker = new CircuitBreaker(this.sourceName, { ...DEFAULT_CIRCUIT_BREAKER, ...(this.sourceConfig.circuitBreaker || {}) });
+    this._resetRunState();
 
     if (!this.sourceConfig.enabled) {
       logger.info(`Data source ${this.sourceName} is disabled in configuration.`);
@@ -17,6 +49,116 @@ class BaseConnector {
     return this.sourceConfig.enabled === true;
   }
 
+  // True while the circuit breaker is open or half-open after repeated request failures.
+  isDegraded() {
+    return this.circuitBreaker.getStatus().degraded;
+  }
+
+  // Create an axios instance that retries transient failures with exponential backoff and jitter,
+  // honors HTTP 429 Retry-After, draws retries from the per-run budget and feeds the circuit breaker.
+  // Subclasses should use this instead of axios.create() for anything that talks to a remote API.
+  createHttpClient(axiosConfig = {}) {
+    const client = axios.create(axiosConfig);
+
+    client.interceptors.request.use((requestConfig) => {
+      if (!this.circuitBreaker.allowRequest()) {
+        const error = new Error(`${this.sourceName} is degraded after repeated failures. Requests paused until ${this.circuitBreaker.getStatus().retryAt}.`);
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+      }
+      return requestConfig;
+    });
+
+    client.interceptors.response.use(
+      (response) => {
+        this.circuitBreaker.recordSuccess();
+        return response;
+      },
+      async (error) => {
+        const requestConfig = error.config;
+        if (error.code === 'CIRCUIT_OPEN' || !requestConfig) throw error;
+
+        const attempt = requestConfig.retryAttempt || 0;
+        const delay = this._getRetryDelay(error, requestConfig, attempt);
+        if (delay === null) {
+          if (this._isTransientError(error)) this.circuitBreaker.recordFailure(error);
+          throw error;
+        }
+
+        requestConfig.retryAttempt = attempt + 1;
+        this.retryBudgetRemaining--;
+        logger.warn(`${this.sourceName}: Request to ${requestConfig.url} failed (${error.response?.status || error.code || error.message}). Retry ${attempt + 1}/${this.retryPolicy.maxRetries} in ${delay}ms.`);
+        await sleep(delay);
+        return client.request(requestConfig);
+      }
+    );
+
+    return client;
+  }
+
+  _isTransientError(error) {
+    if (!error.response) return true; // Network errors, timeouts, connection resets
+    return RETRYABLE_STATUS_CODES.includes(error.response.status);
+  }
+
+  // Returns the delay before the next retry in ms, or null if the request should not be retried.
+  _getRetryDelay(error, requestConfig, attempt) {
+    if (!this._isTransientError(error)) return null;
+    if (!IDEMPOTENT_METHODS.includes((requestConfig.method || 'get').toLowerCase())) return null;
+    if (attempt >= this.retryPolicy.maxRetries) return null;
+    if (this.retryBudgetRemaining <= 0) {
+      logger.warn(`${this.sourceName}: Retry budget exhausted for this sync run. Not retrying ${requestConfig.url}.`);
+      return null;
+    }
+
+    if (error.response?.status === 429) {
+      const retryAfterMs = this._parseRetryAfter(error.response.headers?.['retry-after']);
+      if (retryAfterMs !== null) {
+        if (retryAfterMs > this.retryPolicy.maxDelayMs) {
+          logger.warn(`${this.sourceName}: Rate limited with Retry-After of ${retryAfterMs}ms, longer than maxDelayMs. Giving up on ${requestConfig.url}.`);
+          return null;
+        }
+        return retryAfterMs;
+      }
+    }
+
+    // Exponential backoff with "full jitter": a random delay between 0 and the capped exponential step.
+    const exponential = Math.min(this.retryPolicy.maxDelayMs, this.retryPolicy.baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * exponential);
+  }
+
+  // Retry-After may be a number of seconds or an HTTP date.
+  _parseRetryAfter(headerValue) {
+    if (headerValue === undefined || headerValue === null || headerValue === '') return null;
+    const seconds = Number(headerValue);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = new Date(headerValue);
+    return isNaN(date.getTime()) ? null : Math.max(0, date.getTime() - Date.now());
+  }
+
+  // Called by subclasses when a fetch could only retrieve part of the data (e.g., a page failed).
+  // The sync is then reported as partial rather than successful.
+  reportPartialFetch(reason) {
+    logger.warn(`${this.sourceName}: Partial fetch - ${reason}`);
+    this.partialFetchReasons.push(reason);
+  }
+
+  _resetRunState() {
+    this.retryBudgetRemaining = this.retryPolicy.budget;
+    this.partialFetchReasons = [];
+  }
+
+  _finalizeResult(result) {
+    if (this.partialFetchReasons.length === 0) return result;
+    return {
+      ...result,
+      success: false,
+      partial: true,
+      message: `Partial fetch for ${this.sourceName}: ${this.partialFetchReasons.join('; ')}`,
+      warnings: [...this.partialFetchReasons],
+    };
+  }
+
   // Method to be implemented by subclasses to fetch data from the source API
   async fetchData(options = {}) {
     throw new Error(`fetchData() must be implemented by ${this.constructor.name}`);
@@ -27,6 +169,41 @@ class BaseConnector {
     throw new Error(`processData() must be implemented by ${this.constructor.name}`);
   }
 
+  // Optional hook: check that the source accepts the configured credentials with the cheapest authenticated
+  // request it has (see GET /api/data/sources). Returns { ok, message }, or null when there is nothing to check.
+  async probe() {
+    return null;
+  }
+
+  // Send one probe request with `client`'s base URL, headers and default params. Unlike the client itself
+  // this makes a single attempt with a short timeout and leaves the circuit breaker and retry budget alone,
+  // so a health check neither waits on backoff nor marks the source degraded.
+  async probeRequest(client, requestConfig) {
+    try {
+      await axios.request({
+        method: 'get',
+        ...requestConfig,
+        baseURL: client.defaults.baseURL,
+        headers: client.defaults.headers,
+        params: { ...(client.defaults.params || {}), ...(requestConfig.params || {}) },
+        timeout: PROBE_TIMEOUT_MS,
+      });
+      return { ok: true, message: 'Credentials accepted.' };
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (status === 401 || status === 403) {
+        return { ok: false, message: `Credentials rejected (HTTP ${status}).` };
+      }
+      return { ok: false, message: `Probe failed: ${status ? `HTTP ${status}` : (error.code || error.message)}.` };
+    }
+  }
+
+  // Optional hook for connectors that can detect new data themselves (e.g. a watched directory).
+  // DataSyncManager calls watch() once at startup with a callback that runs a sync (triggered by 'watch').
+  watch(onChange) {}
+
+  stopWatching() {}
+
   // Generic method to trigger a sync operation for the source
   async sync(options = {}) {
     if (!this.isEnabled()) {
@@ -34,16 +211,27 @@ class BaseConnector {
       return { success: false, message: `${this.sourceName} is disabled.`, newEntries: 0, updatedEntries: 0, errors: 0 };
     }
 
+    if (this.circuitBreaker.isOpen()) {
+      const { retryAt } = this.circuitBreaker.getStatus();
+      logger.warn(`Sync skipped for degraded source: ${this.sourceName}. Next attempt allowed after ${retryAt}.`);
+      return { success: false, degraded: true, message: `${this.sourceName} is degraded after repeated failures. Retry after ${retryAt}.`, newEntries: 0, updatedEntries: 0, errors: 0 };
+    }
+
     logger.info(`Starting sync for ${this.sourceName}...`, options);
+    this._resetRunState();
     try {
       const rawData = await this.fetchData(options);
       if (rawData) {
-        const processResult = await this.processData(rawData, options); // Pass options if needed for context
+        const payloadId = await this._archivePayload(rawData, options.runId, options.dryRun);
+        const processResult = options.dryRun
+          ? await this._previewProcessing(rawData, options)
+          : await this.processData(rawData, options); // Pass options if needed for context
+        await RawPayloadStore.markProcessed(payloadId, processResult.affectedDates);
         logger.info(`Sync completed for ${this.sourceName}.`, processResult);
-        return { success: true, ...processResult };
+        return this._finalizeResult({ success: true, ...processResult });
       } else {
         logger.warn(`No data fetched for ${this.sourceName}. Sync might be partial or no new data available.`);
-        return { success: true, message: 'No new data fetched.', newEntries: 0, updatedEntries: 0, errors: 0 };
+        return this._finalizeResult({ success: true, message: 'No new data fetched.', newEntries: 0, updatedEntries: 0, errors: 0 });
       }
     } catch (error) {
       logger.error(`Error during sync for ${this.sourceName}: ${error.message}`, {
@@ -51,19 +239,132 @@ class BaseConnector {
         source: this.sourceName,
         options
       });
+      return { success: false, degraded: this.isDegraded(), message: error.message, newEntries: 0, updatedEntries: 0, errors: 1 };
+    }
+  }
+
+  // Dry runs (see DataSyncManager.previewSync) process inside a transaction that is rolled back, and report what
+  // it changed. Only processing runs in it, so the transaction isn't held open while fetchData pages through an API.
+  async _previewProcessing(rawData, options) {
+    return db.withRollback(async (client) => {
+      const processResult = await this.processData(rawData, options);
+      return { ...processResult, changes: await DryRunReport.collect(client) };
+    });
+  }
+
+  // --- Webhook ingestion ---
+  // Connectors whose manifest declares a webhookSchema accept pushed payloads at POST /api/data/ingest/<name>,
+  // once dataSources.<name>.webhook.secret is set. Senders sign the raw request body with HMAC-SHA256
+  // using that secret and send it as "sha256=<hex>" (or bare hex) in webhook.signatureHeader.
+
+  acceptsWebhooks() {
+    const manifest = this.constructor.manifest || {};
+    const webhookConfig = this.sourceConfig.webhook || {};
+    return Boolean(manifest.webhookSchema && webhookConfig.secret);
+  }
+
+  getWebhookSignatureHeader() {
+    return (this.sourceConfig.webhook || {}).signatureHeader || DEFAULT_WEBHOOK_SIGNATURE_HEADER;
+  }
+
+  verifyWebhookSignature(rawBody, signature) {
+    const secret = (this.sourceConfig.webhook || {}).secret;
+    if (!secret || !rawBody || typeof signature !== 'string') return false;
+    const provided = Buffer.from(signature.trim().replace(/^sha256=/i, ''), 'hex');
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    // timingSafeEqual throws on length mismatch, so compare lengths first (this leaks nothing about the secret).
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+
+  // Turns a validated webhook payload into what processData expects. Override when the pushed shape differs,
+  // or to drop fields (such as sync progress) that a push must not be allowed to set.
+  fromWebhookPayload(payload) {
+    return payload;
+  }
+
+  // Processes a pushed payload like the processing half of sync(). No fetch happens, so checkpoints are left alone.
+  async ingest(payload, options = {}) {
+    logger.info(`Processing webhook payload for ${this.sourceName}...`);
+    this._resetRunState();
+    try {
+      const data = this.fromWebhookPayload(payload);
+      const payloadId = await this._archivePayload(data, options.runId);
+      const processResult = await this.processData(data, { ...options, webhook: true });
+      await RawPayloadStore.markProcessed(payloadId, processResult.affectedDates);
+      logger.info(`Webhook payload processed for ${this.sourceName}.`, processResult);
+      return this._finalizeResult({ success: (processResult.errors || 0) === 0, ...processResult });
+    } catch (error) {
+      logger.error(`Error processing webhook payload for ${this.sourceName}: ${error.message}`, { stack: error.stack, source: this.sourceName });
       return { success: false, message: error.message, newEntries: 0, updatedEntries: 0, errors: 1 };
     }
   }
 
+  // --- Raw payload archive ---
+  // Everything handed to processData by sync() or ingest() is archived (see RawPayloadStore), unless the
+  // manifest sets archiveRawPayloads: false, e.g. for connectors whose originals are local files anyway.
+
+  archivesRawPayloads() {
+    return (this.constructor.manifest || {}).archiveRawPayloads !== false;
+  }
+
+  async _archivePayload(data, runId = null, dryRun = false) {
+    return this.archivesRawPayloads() && !dryRun ? RawPayloadStore.save(this.sourceName, data, runId) : null;
+  }
+
+  // Turns an archived payload back into processData input. Override to drop anything that must not be
+  // applied twice, such as sync progress that would move checkpoints back to where they were.
+  fromArchivedPayload(payload) {
+    return payload;
+  }
+
+  // Replays archived payloads, oldest first, through the current processData. With start/end (YYYY-MM-DD),
+  // only payloads that touched a day in the range are replayed; each is replayed in full.
+  async reprocess(options = {}) {
+    const payloadIds = await RawPayloadStore.listIds(this.sourceName, options);
+    logger.info(`Reprocessing ${payloadIds.length} archived payload(s) for ${this.sourceName}...`, options);
+    this._resetRunState();
+
+    let newEntries = 0;
+    let updatedEntries = 0;
+    let errors = 0;
+    const affectedDates = new Set();
+    for (const payloadId of payloadIds) {
+      try {
+        const payload = await RawPayloadStore.load(payloadId);
+        const processResult = await this.processData(this.fromArchivedPayload(payload), { ...options, reprocess: true });
+        await RawPayloadStore.markProcessed(payloadId, processResult.affectedDates);
+        newEntries += processResult.newEntries || 0;
+        updatedEntries += processResult.updatedEntries || 0;
+        errors += processResult.errors || 0;
+        (processResult.affectedDates || []).forEach(date => affectedDates.add(date));
+      } catch (error) {
+        logger.error(`Error reprocessing archived payload ${payloadId} for ${this.sourceName}: ${error.message}`, { stack: error.stack });
+        errors++;
+      }
+    }
+
+    logger.info(`Reprocessing complete for ${this.sourceName}. New: ${newEntries}, Updated: ${updatedEntries}, Errors: ${errors}`);
+    return {
+      success: errors === 0,
+      ...(errors > 0 ? { message: `${errors} error(s) while reprocessing ${this.sourceName}.` } : {}),
+      payloads: payloadIds.length,
+      newEntries,
+      updatedEntries,
+      errors,
+      affectedDates: [...affectedDates].sort(),
+    };
+  }
+
   // Utility method to get the last sync timestamp (example, could be stored in DB)
-  async getLastSyncTime() {
+  // Connectors that track several independent streams (e.g. Bee's sub-sources) pass the stream name.
+  async getLastSyncTime(stream = null) {
     // This is a placeholder. In a real implementation, you'd fetch this from a
     // dedicated table in the database that stores sync metadata per source.
     // For now, we can simulate or return a fixed old date to fetch everything.
     // Example: SELECT last_successful_sync FROM data_source_sync_status WHERE source_name = $1
     const result = await db.query(
       "SELECT value FROM system_metadata WHERE key = $1",
-      [`last_sync_time_${this.sourceName}`]
+      [this._lastSyncKey(stream)]
     );
     if (result.rows.length > 0) {
       return new Date(result.rows[0].value);
@@ -73,18 +374,77 @@ class BaseConnector {
   }
 
   // Utility method to update the last sync timestamp
-  async updateLastSyncTime(syncTime) {
+  async updateLastSyncTime(syncTime, stream = null) {
     // Placeholder: Update in the database.
     // Example: INSERT INTO data_source_sync_status (source_name, last_successful_sync) VALUES ($1, $2)
     // ON CONFLICT (source_name) DO UPDATE SET last_successful_sync = $2, updated_at = NOW()
-    logger.info(`Updating last sync time for ${this.sourceName} to ${syncTime.toISOString()}`);
+    logger.info(`Updating last sync time for ${this.sourceName}${stream ? `/${stream}` : ''} to ${syncTime.toISOString()}`);
     await db.query(
       `INSERT INTO system_metadata (key, value) VALUES ($1, $2)
        ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = NOW()`,
-      [`last_sync_time_${this.sourceName}`, syncTime.toISOString()]
+      [this._lastSyncKey(stream), syncTime.toISOString()]
     );
   }
 
+  _lastSyncKey(stream = null) {
+    return `last_sync_time_${this.sourceName}${stream ? `_${stream}` : ''}`;
+  }
+
+  _cursorKey(stream = null) {
+    return `sync_cursor_${this.sourceName}${stream ? `_${stream}` : ''}`;
+  }
+
+  // Names of the independently checkpointed streams. `null` is the connector-wide checkpoint.
+  getCheckpointStreams() {
+    return [null];
+  }
+
+  // Current checkpoint (last sync time) and saved pagination cursor for each stream.
+  async getCheckpoints() {
+    const checkpoints = [];
+    for (const stream of this.getCheckpointStreams()) {
+      const lastSyncTime = await this.getLastSyncTime(stream);
+      checkpoints.push({
+        stream,
+        lastSyncTime: lastSyncTime.getTime() > 0 ? lastSyncTime.toISOString() : null,
+        cursor: await this.getMetadata(this._cursorKey(stream)),
+      });
+    }
+    return checkpoints;
+  }
+
+  // Forget a stream's checkpoint and cursor so its next sync starts from the beginning.
+  async resetCheckpoint(stream = null) {
+    logger.info(`Resetting sync checkpoint for ${this.sourceName}${stream ? `/${stream}` : ''}`);
+    await this.deleteMetadata(this._lastSyncKey(stream));
+    await this.deleteMetadata(this._cursorKey(stream));
+  }
+
+  // Generic connector state stored in system_metadata (pagination cursors, per-stream checkpoints, ...).
+  // Values are JSON-encoded so objects round-trip.
+  async getMetadata(key) {
+    const result = await db.query("SELECT value FROM system_metadata WHERE key = $1", [key]);
+    if (result.rows.length === 0 || result.rows[0].value === null) return null;
+    try {
+      return JSON.parse(result.rows[0].value);
+    } catch (error) {
+      logger.warn(`${this.sourceName}: Ignoring unparseable metadata value for ${key}.`);
+      return null;
+    }
+  }
+
+  async setMetadata(key, value) {
+    await db.query(
+      `INSERT INTO system_metadata (key, value) VALUES ($1, $2)
+       ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = NOW()`,
+      [key, JSON.stringify(value)]
+    );
+  }
+
+  async deleteMetadata(key) {
+    await db.query("DELETE FROM system_metadata WHERE key = $1", [key]);
+  }
+
   // Helper for constructing API parameters, removing undefined values
   buildApiParams(paramObj) {
     const params = {};
@@ -1,12 +1,22 @@
-const axios = require('axios');
 const BaseConnector = require('./BaseConnector');
 const logger = require('../../utils/logger');
 const db = require('../storage/DatabaseManager');
+const DateNormalizer = require('../processing/DateNormalizer');
+
+// Bee sub-sources, each with its own checkpoint and page cursor.
+// timestampFields decide which items are newer than a sub-source's checkpoint;
+// dateFields decide which day an item belongs to when a date range is fetched.
+const SUB_SOURCES = {
+  conversations: { endpoint: '/conversations', timestampFields: ['updated_at', 'end_time', 'start_time'], dateFields: ['start_time', 'created_at'] },
+  facts: { endpoint: '/facts', timestampFields: ['updated_at', 'created_at'], dateFields: ['created_at'] },
+  todos: { endpoint: '/todos', timestampFields: ['updated_at', 'created_at'], dateFields: ['created_at'] },
+  locations: { endpoint: '/locations', timestampFields: ['recorded_at', 'timestamp', 'created_at'], dateFields: ['recorded_at', 'timestamp', 'created_at'] },
+};
 
 class BeeConnector extends BaseConnector {
   constructor() {
     super('bee'); // Matches config.dataSources key
-    this.apiClient = axios.create({
+    this.apiClient = this.createHttpClient({ // Retries, backoff and circuit breaking come from BaseConnector
       baseURL: this.sourceConfig.baseUrl || 'https://api.bee.computer/v1/me', // Ensure correct base URL
       headers: {
         'Authorization': `Bearer ${this.sourceConfig.apiKey}`,
@@ -16,55 +26,49 @@ class BeeConnector extends BaseConnector {
      logger.info(`BeeConnector initialized. Base URL: ${this.apiClient.defaults.baseURL}, Enabled: ${this.isEnabled()}`);
   }
 
+  // The smallest authenticated request: one conversation.
+  async probe() {
+    return this.probeRequest(this.apiClient, { url: SUB_SOURCES.conversations.endpoint, params: this.buildApiParams({ limit: 1, page: 1 }) });
+  }
+
   async fetchData(options = {}) {
     if (!this.isEnabled() || !this.sourceConfig.apiKey) {
       logger.warn('BeeConnector is disabled or API key is missing. Skipping fetch.');
       return null;
     }
-
-    const lastSyncTime = options.forceFullSync ? new Date(0) : await this.getLastSyncTime();
-    logger.info(`Bee: Fetching data since ${lastSyncTime.toISOString()}`);
+    if (options.start || options.end) return this._fetchRange(options);
 
     const results = {
       conversations: [],
       facts: [],
       todos: [],
       locations: [], // As per dev spec
+      progress: {}, // Per sub-source pagination state; persisted by processData once the items are stored
     };
 
     // Fetching different types of data from Bee.computer
     // Dev spec indicates subSources: conversations, facts, todos, locations
-    // We'll fetch each if enabled in config.
-
+    // Each enabled sub-source is walked independently from its own checkpoint and saved page cursor,
+    // so a burst of new facts can never push the conversations watermark past unfetched conversations.
     try {
-      if (this.sourceConfig.subSources?.conversations) {
-        results.conversations = await this._fetchPaginatedData('/conversations', lastSyncTime, options, 'conversations');
-        // After fetching conversations, we might need to fetch details for each (e.g., transcriptions)
-        if (results.conversations.length > 0) {
-            const detailedConversations = [];
-            for (const convo of results.conversations) {
-                try {
-                    const detailResponse = await this.apiClient.get(`/conversations/${convo.id}`);
-                    detailedConversations.push(detailResponse.data.conversation || detailResponse.data);
-                } catch (detailError) {
-                    logger.error(`Bee: Error fetching details for conversation ${convo.id}: ${detailError.message}`);
-                    detailedConversations.push(convo); // Keep basic info if detail fails
-                }
-            }
-            results.conversations = detailedConversations;
-        }
-      }
-      if (this.sourceConfig.subSources?.facts) {
-        results.facts = await this._fetchPaginatedData('/facts', lastSyncTime, options, 'facts');
-      }
-      if (this.sourceConfig.subSources?.todos) {
-        results.todos = await this._fetchPaginatedData('/todos', lastSyncTime, options, 'todos');
-      }
-      if (this.sourceConfig.subSources?.locations) {
-        // Locations might not have a 'since' or pagination in the same way. Adjust if needed.
-        results.locations = await this._fetchPaginatedData('/locations', lastSyncTime, options, 'locations');
+      for (const [subSource, { endpoint }] of Object.entries(SUB_SOURCES)) {
+        if (!this.sourceConfig.subSources?.[subSource]) continue;
+
+        // A full sync walks from the epoch without touching the stored checkpoint; the new one is only
+        // persisted (by processData) once the items are stored. A saved cursor remembers where its walk started.
+        const savedCursor = options.forceFullSync ? null : await this.getMetadata(this._cursorKey(subSource));
+        const checkpoint = options.forceFullSync ? new Date(0)
+          : (savedCursor && savedCursor.since ? new Date(savedCursor.since) : await this.getLastSyncTime(subSource));
+        logger.info(`Bee: Fetching ${subSource} since ${checkpoint.toISOString()}${savedCursor ? ` (resuming at page ${savedCursor.page})` : ''}`);
+
+        const { items, progress } = await this._fetchPaginatedData(endpoint, checkpoint, savedCursor, options, subSource);
+        results[subSource] = items;
+        results.progress[subSource] = progress;
       }
 
+      results.conversations = await this._fetchConversationDetails(results.conversations);
+      this._holdCheckpointForMissingDetails(results.conversations, results.progress.conversations);
+
       logger.info(`Bee: Successfully fetched data. Conversations: ${results.conversations.length}, Facts: ${results.facts.length}, Todos: ${results.todos.length}, Locations: ${results.locations.length}`);
       return results;
 
@@ -77,22 +81,99 @@ class BeeConnector extends BaseConnector {
     }
   }
 
-  async _fetchPaginatedData(endpoint, sinceTime, options, dataType) {
+  // Conversation details (transcriptions) are only fetched for conversations that changed since we stored them.
+  async _fetchConversationDetails(conversations) {
+    if (conversations.length === 0) return conversations;
+    const changedConversations = await this._filterChangedConversations(conversations);
+    const detailedConversations = [];
+    for (const convo of changedConversations) {
+      try {
+        const detailResponse = await this.apiClient.get(`/conversations/${convo.id}`);
+        detailedConversations.push(detailResponse.data.conversation || detailResponse.data);
+      } catch (detailError) {
+        logger.error(`Bee: Error fetching details for conversation ${convo.id}: ${detailError.message}`);
+        this.reportPartialFetch(`details for conversation ${convo.id} could not be fetched (${detailError.message})`);
+        detailedConversations.push({ ...convo, detailsMissing: true }); // Keep basic info; stored so the details are fetched again
+      }
+    }
+    return detailedConversations;
+  }
+
+  // Conversations stored without their details must come up again in the next walk, so the conversations
+  // checkpoint may only advance to just before the oldest of them.
+  _holdCheckpointForMissingDetails(conversations, progress) {
+    if (!progress) return;
+    const missing = conversations.filter(convo => convo.detailsMissing)
+      .map(convo => this._getTimestamp(convo, SUB_SOURCES.conversations.timestampFields).getTime());
+    if (missing.length === 0) return;
+    const holdAt = new Date(Math.min(...missing) - 1);
+    if (!progress.high || new Date(progress.high) > holdAt) {
+      progress.high = holdAt.getTime() > 0 ? holdAt.toISOString() : null;
+      logger.warn(`Bee: Holding the conversations checkpoint at ${holdAt.toISOString()} until missing conversation details are fetched.`);
+    }
+  }
+
+  // Fetch the items dated within options.start..options.end (YYYY-MM-DD, UTC), e.g. one chunk of a backfill job.
+  // Checkpoints are left alone: the result has no progress. The API is paged newest-first without a date filter,
+  // so each sub-source is walked until it passes the start of the range. The page it stopped at is returned as
+  // backfillCursor; passing that back for the next older range skips the pages already walked.
+  async _fetchRange(options) {
+    const from = DateNormalizer.getStartOfDayUTC(options.start || options.end);
+    const to = DateNormalizer.getEndOfDayUTC(options.end || options.start);
+    const results = { conversations: [], facts: [], todos: [], locations: [], backfillCursor: {} };
+
+    for (const [subSource, { endpoint, dateFields }] of Object.entries(SUB_SOURCES)) {
+      if (!this.sourceConfig.subSources?.[subSource]) continue;
+      let page = (options.backfillCursor && options.backfillCursor[subSource]) || 1;
+      const limit = options.limit || 50;
+      logger.info(`Bee: Fetching ${subSource} dated ${options.start || options.end} to ${options.end || options.start}, starting at page ${page}`);
+
+      while (true) {
+        let pageItems;
+        try {
+          const response = await this.apiClient.get(endpoint, { params: this.buildApiParams({ limit, page }) });
+          pageItems = response.data[subSource] || response.data.data || response.data;
+        } catch (error) {
+          logger.error(`Bee: Error fetching ${subSource} from ${endpoint} (page ${page}): ${error.message}`, { status: error.response?.status });
+          this.reportPartialFetch(`${subSource} page ${page} failed (${error.message}); kept ${results[subSource].length} ${subSource} fetched before the failure`);
+          break;
+        }
+        if (!Array.isArray(pageItems) || pageItems.length === 0) break;
+
+        const timestamps = pageItems.map(item => this._getTimestamp(item, dateFields));
+        results[subSource].push(...pageItems.filter((item, index) => timestamps[index] >= from && timestamps[index] <= to));
+        // Older items follow, so once a page reaches past the start of the range the walk is done.
+        // The next (older) range starts on this same page.
+        if (timestamps.some(timestamp => timestamp < from) || pageItems.length < limit) break;
+        page++;
+      }
+      results.backfillCursor[subSource] = page;
+    }
+
+    results.conversations = await this._fetchConversationDetails(results.conversations);
+    logger.info(`Bee: Fetched range. Conversations: ${results.conversations.length}, Facts: ${results.facts.length}, Todos: ${results.todos.length}, Locations: ${results.locations.length}`);
+    return results;
+  }
+
+  // Walk one sub-source page by page (newest first) until we reach items at or before the checkpoint.
+  // Returns the items newer than the checkpoint plus the progress needed to resume or advance:
+  //   { complete, nextPage, high } where `high` is the newest timestamp seen since the walk began.
+  async _fetchPaginatedData(endpoint, sinceTime, savedCursor, options, dataType) {
+    const { timestampFields } = SUB_SOURCES[dataType];
     let allData = [];
-    let page = options.page || 1; // Bee API might use page-based pagination
+    let page = savedCursor ? savedCursor.page : (options.page || 1);
+    let high = savedCursor && savedCursor.high ? new Date(savedCursor.high) : new Date(0);
     const limit = options.limit || 50;
-    let keepFetching = true;
+    const maxPages = options.maxPages || 10; // Per run; the saved cursor picks up the rest next time
+    let pagesFetched = 0;
+    let complete = false;
 
     logger.debug(`Bee: Fetching ${dataType} from ${endpoint}. Since: ${sinceTime.toISOString()}, Page: ${page}, Limit: ${limit}`);
 
-    while (keepFetching) {
+    while (true) {
       const params = this.buildApiParams({
         limit: limit,
         page: page,
-        // Bee API might use 'updated_since' or 'created_since'
-        // For MVP, we might just fetch recent pages if 'since' is not directly supported for all items
-        // Or filter client-side after fetching if necessary (less ideal)
-        // For now, assuming the API filters by 'since' if available, or we get all and filter in processData
       });
 
       try {
@@ -100,27 +181,33 @@ class BeeConnector extends BaseConnector {
         // The actual data might be in `response.data.conversations`, `response.data.facts`, etc.
         // Or it could be `response.data.data` or just `response.data` if it's an array.
         const responseData = response.data[dataType] || response.data.data || response.data;
+        pagesFetched++;
 
-        if (responseData && responseData.length > 0) {
-          allData = allData.concat(responseData);
-          logger.info(`Bee: Fetched ${responseData.length} ${dataType} on page ${page}. Total ${dataType}: ${allData.length}`);
-
-          // Pagination logic for Bee:
-          // Check if `responseData.length < limit` or if there's a specific pagination indicator.
-          // Example: `response.data.pagination?.has_next_page`
-          if (responseData.length < limit) {
-            keepFetching = false;
-          } else {
-            page++;
-          }
-        } else {
+        if (!Array.isArray(responseData) || responseData.length === 0) {
           logger.info(`Bee: No more ${dataType} found on page ${page}.`);
-          keepFetching = false;
+          complete = true;
+          break;
         }
 
-        if (page > (options.maxPages || 10)) { // Safety break for MVP
-             logger.warn(`Bee: Reached max pages limit for ${dataType}.`);
-             break;
+        // The API has no "since" filter, so filter client-side against this sub-source's checkpoint.
+        const newer = responseData.filter(item => this._getTimestamp(item, timestampFields) > sinceTime);
+        for (const item of newer) {
+          const itemTimestamp = this._getTimestamp(item, timestampFields);
+          if (itemTimestamp > high) high = itemTimestamp;
+        }
+        allData = allData.concat(newer);
+        logger.info(`Bee: Fetched ${responseData.length} ${dataType} on page ${page} (${newer.length} new since checkpoint). Total ${dataType}: ${allData.length}`);
+
+        // Results are newest-first: a page with nothing newer than the checkpoint, or a short page, ends the walk.
+        if (newer.length === 0 || responseData.length < limit) {
+          complete = true;
+          break;
+        }
+        page++;
+
+        if (pagesFetched >= maxPages) {
+          logger.info(`Bee: Reached ${maxPages} pages for ${dataType}. Remaining pages will be fetched on the next sync.`);
+          break;
         }
 
       } catch (error) {
@@ -128,79 +215,128 @@ class BeeConnector extends BaseConnector {
           status: error.response?.status,
           data: error.response?.data,
         });
-        // Decide whether to stop for this data type or try to continue
-        keepFetching = false; // Stop on error for this data type
-        // Optionally rethrow if this should halt the entire Bee sync
+        // Retries have already been exhausted by the shared HTTP layer. Stop for this data type,
+        // keep what was fetched so far, and flag the sync as partial instead of silently truncating.
+        // `page` still points at the failed page so the next run retries it.
+        this.reportPartialFetch(`${dataType} page ${page} failed (${error.message}); kept ${allData.length} ${dataType} fetched before the failure`);
+        break;
       }
     }
-    return allData;
+    return { items: allData, progress: { complete, nextPage: page, high: high.getTime() > 0 ? high.toISOString() : null, since: sinceTime.toISOString() } };
   }
 
+  // Drop conversations whose updated_at and state match what we already stored; their details haven't changed.
+  async _filterChangedConversations(conversations) {
+    const ids = conversations.map(c => c.id).filter(id => id !== undefined && id !== null);
+    if (ids.length === 0) return conversations;
+
+    const existingResult = await db.query(
+      'SELECT bee_id, source_updated_at, state FROM bee_conversations WHERE bee_id = ANY($1::bigint[])',
+      [ids]
+    );
+    const existingById = new Map(existingResult.rows.map(row => [String(row.bee_id), row]));
+
+    const changed = conversations.filter(convo => {
+      const existing = existingById.get(String(convo.id));
+      if (!existing || !existing.source_updated_at || !convo.updated_at) return true; // Can't tell, so fetch
+      return new Date(existing.source_updated_at).getTime() !== new Date(convo.updated_at).getTime()
+        || existing.state !== convo.state;
+    });
+
+    if (changed.length < conversations.length) {
+      logger.info(`Bee: Skipping ${conversations.length - changed.length} unchanged conversations.`);
+    }
+    return changed;
+  }
+
+  // Checkpoints are tracked per sub-source (see SUB_SOURCES).
+  getCheckpointStreams() {
+    return Object.keys(SUB_SOURCES);
+  }
+
+  // Persist one sub-source's progress after its items were stored.
+  // - Walk complete: advance its checkpoint to the newest timestamp seen and drop the page cursor.
+  // - Walk incomplete (page limit or failure): save the page cursor so the next run resumes there.
+  // - Some items failed to store: leave the checkpoint alone and drop the cursor so the walk is redone.
+  //   Items skipped as invalid don't count as failures; they would be skipped again.
+  async _saveSubSourceProgress(subSource, progress, hadErrors) {
+    if (hadErrors) {
+      logger.warn(`Bee: Not advancing ${subSource} checkpoint because some items failed to store.`);
+      await this.deleteMetadata(this._cursorKey(subSource));
+      return;
+    }
+    if (progress.complete) {
+      if (progress.high) await this.updateLastSyncTime(new Date(progress.high), subSource);
+      await this.deleteMetadata(this._cursorKey(subSource));
+    } else {
+      await this.setMetadata(this._cursorKey(subSource), { page: progress.nextPage, high: progress.high, since: progress.since });
+    }
+  }
+
+  // Only the item lists are taken from a push; progress would otherwise move the polling checkpoints.
+  fromWebhookPayload(payload) {
+    const { conversations, facts, todos, locations } = payload;
+    return { conversations, facts, todos, locations };
+  }
+
+  // Archived fetches carry their progress; it is dropped so reprocessing never moves checkpoints.
+  fromArchivedPayload(payload) {
+    return this.fromWebhookPayload(payload);
+  }
 
   async processData(data, options = {}) {
     if (!data) {
       logger.info('Bee: No data object to process.');
-      return { newEntries: 0, updatedEntries: 0, errors: 0 };
+      return { newEntries: 0, updatedEntries: 0, errors: 0, affectedDates: [] };
     }
 
     let totalNew = 0;
     let totalUpdated = 0;
     let totalErrors = 0;
+    let totalSkipped = 0; // Items rejected by validation; they don't hold back checkpoints
+    const storedConvosPerDate = new Map(); // Dates of stored conversations only; skipped ones may have no valid date
+
+    const processors = {
+      conversations: (items) => this._processConversations(items, storedConvosPerDate),
+      facts: (items) => this._processFacts(items),
+      todos: (items) => this._processTodos(items),
+      locations: (items) => this._processLocations(items),
+    };
 
-    let latestSyncTimestamp = await this.getLastSyncTime();
-
-    if (data.conversations && data.conversations.length > 0) {
-      const convoStats = await this._processConversations(data.conversations, latestSyncTimestamp);
-      totalNew += convoStats.newEntries;
-      totalUpdated += convoStats.updatedEntries;
-      totalErrors += convoStats.errors;
-      if (convoStats.latestTimestamp > latestSyncTimestamp) latestSyncTimestamp = convoStats.latestTimestamp;
-    }
-    if (data.facts && data.facts.length > 0) {
-      const factStats = await this._processFacts(data.facts, latestSyncTimestamp);
-      totalNew += factStats.newEntries;
-      totalUpdated += factStats.updatedEntries;
-      totalErrors += factStats.errors;
-      if (factStats.latestTimestamp > latestSyncTimestamp) latestSyncTimestamp = factStats.latestTimestamp;
-    }
-    if (data.todos && data.todos.length > 0) {
-      const todoStats = await this._processTodos(data.todos, latestSyncTimestamp);
-      totalNew += todoStats.newEntries;
-      totalUpdated += todoStats.updatedEntries;
-      totalErrors += todoStats.errors;
-      if (todoStats.latestTimestamp > latestSyncTimestamp) latestSyncTimestamp = todoStats.latestTimestamp;
-    }
-    if (data.locations && data.locations.length > 0) {
-      const locationStats = await this._processLocations(data.locations, latestSyncTimestamp);
-      totalNew += locationStats.newEntries;
-      totalUpdated += locationStats.updatedEntries; // Locations might be insert-only
-      totalErrors += locationStats.errors;
-      if (locationStats.latestTimestamp > latestSyncTimestamp) latestSyncTimestamp = locationStats.latestTimestamp;
-    }
-
-    // Update last sync time with the overall latest timestamp processed
-    if (latestSyncTimestamp > await this.getLastSyncTime()) {
-        await this.updateLastSyncTime(latestSyncTimestamp);
+    for (const [subSource, processItems] of Object.entries(processors)) {
+      const items = data[subSource] || [];
+      let stats = { newEntries: 0, updatedEntries: 0, errors: 0, skipped: 0 };
+      if (items.length > 0) {
+        stats = await processItems(items);
+        totalNew += stats.newEntries;
+        totalUpdated += stats.updatedEntries; // Locations might be insert-only
+        totalErrors += stats.errors;
+        totalSkipped += stats.skipped;
+      }
+      // Replayed payloads carry no progress, so they never move checkpoints.
+      if (data.progress && data.progress[subSource]) {
+        await this._saveSubSourceProgress(subSource, data.progress[subSource], stats.errors > 0);
+      }
     }
 
     // Update daily aggregations
-    // This needs a set of all dates affected by conversations, facts, todos, locations
-    const affectedDates = new Set();
-    (data.conversations || []).forEach(c => affectedDates.add(new Date(c.start_time || c.startTime).toISOString().split('T')[0]));
     // Facts, Todos, Locations might not always have a clear single "date" they belong to for daily aggregation.
     // For MVP, we'll focus on conversations for daily aggregation count for 'bee'.
-
-    for (const date of affectedDates) {
-        const convosOnDate = (data.conversations || []).filter(c => new Date(c.start_time || c.startTime).toISOString().split('T')[0] === date).length;
-        if (convosOnDate > 0) { // Or if any other Bee data type was processed for this date
-            const DataProcessor = require('../processing/DataProcessor');
-            await DataProcessor.updateDailyAggregation(date, this.sourceName, convosOnDate);
-        }
+    const DataProcessor = require('../processing/DataProcessor');
+    for (const [date, convosOnDate] of storedConvosPerDate) {
+        await DataProcessor.updateDailyAggregation(date, this.sourceName, convosOnDate);
     }
 
 
-    logger.info(`Bee: Processing complete. Total New: ${totalNew}, Total Updated: ${totalUpdated}, Total Errors: ${totalErrors}`);
-    return { newEntries: totalNew, updatedEntries: totalUpdated, errors: totalErrors };
+    logger.info(`Bee: Processing complete. Total New: ${totalNew}, Total Updated: ${totalUpdated}, Total Errors: ${totalErrors}, Skipped (invalid): ${totalSkipped}`);
+    return {
+      newEntries: totalNew,
+      updatedEntries: totalUpdated,
+      errors: totalErrors,
+      skipped: totalSkipped,
+      affectedDates: [...storedConvosPerDate.keys()],
+      ...(data.backfillCursor ? { backfillCursor: data.backfillCursor } : {}), // Handed back to the backfill job
+    };
   }
 
   _getTimestamp(item, fields = ['updated_at', 'created_at', 'start_time', 'spoken_at', 'recorded_at']) {
@@ -210,15 +346,11 @@ class BeeConnector extends BaseConnector {
     return new Date(0); // Fallback if no known timestamp field
   }
 
-  async _processConversations(conversations, currentLatestTimestamp) {
-    let newEntries = 0, updatedEntries = 0, errors = 0;
-    let latestItemTimestamp = new Date(0);
+  async _processConversations(conversations, storedPerDate = new Map()) {
+    let newEntries = 0, updatedEntries = 0, errors = 0, skipped = 0;
 
     for (const convo of conversations) {
       try {
-        const itemTimestamp = this._getTimestamp(convo, ['updated_at', 'end_time', 'start_time']);
-        if (itemTimestamp > latestItemTimestamp) latestItemTimestamp = itemTimestamp;
-
         const entry = {
           bee_id: convo.id,
           start_time: new Date(convo.start_time || convo.startTime),
@@ -228,30 +360,35 @@ class BeeConnector extends BaseConnector {
           short_summary: convo.short_summary || convo.shortSummary,
           state: convo.state,
           primary_location: convo.primary_location ? JSON.stringify(convo.primary_location) : null,
+          // Used to skip unchanged conversations; left empty when the details couldn't be fetched so they are fetched next time
+          source_updated_at: convo.updated_at && !convo.detailsMissing ? new Date(convo.updated_at) : null,
         };
 
         if (!entry.bee_id || !entry.start_time || !entry.end_time || isNaN(entry.start_time.getTime()) || isNaN(entry.end_time.getTime())) {
             logger.warn('Bee Conversation: Skipping due to missing critical fields or invalid dates', {id: convo.id, start: convo.start_time, end: convo.end_time});
-            errors++;
+            skipped++;
             continue;
         }
 
         const upsertQuery = `
-          INSERT INTO bee_conversations (bee_id, start_time, end_time, device_type, summary, short_summary, state, primary_location)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          INSERT INTO bee_conversations (bee_id, start_time, end_time, device_type, summary, short_summary, state, primary_location, source_updated_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
           ON CONFLICT (bee_id) DO UPDATE SET
             start_time = EXCLUDED.start_time, end_time = EXCLUDED.end_time, device_type = EXCLUDED.device_type,
             summary = EXCLUDED.summary, short_summary = EXCLUDED.short_summary, state = EXCLUDED.state,
-            primary_location = EXCLUDED.primary_location, updated_at = NOW()
+            primary_location = EXCLUDED.primary_location, source_updated_at = EXCLUDED.source_updated_at, updated_at = NOW()
           RETURNING id, (xmax = 0) AS inserted;
         `;
         const result = await db.query(upsertQuery, [
           entry.bee_id, entry.start_time.toISOString(), entry.end_time.toISOString(), entry.device_type,
-          entry.summary, entry.short_summary, entry.state, entry.primary_location
+          entry.summary, entry.short_summary, entry.state, entry.primary_location,
+          entry.source_updated_at && !isNaN(entry.source_updated_at.getTime()) ? entry.source_updated_at.toISOString() : null
         ]);
 
         const dbConvoId = result.rows[0].id;
         result.rows[0].inserted ? newEntries++ : updatedEntries++;
+        const date = entry.start_time.toISOString().split('T')[0];
+        storedPerDate.set(date, (storedPerDate.get(date) || 0) + 1);
 
         // Process utterances if they exist (e.g., convo.transcriptions or convo.utterances)
         const utterances = convo.transcriptions || convo.utterances;
@@ -264,7 +401,7 @@ class BeeConnector extends BaseConnector {
         errors++;
       }
     }
-    return { newEntries, updatedEntries, errors, latestTimestamp: latestItemTimestamp > currentLatestTimestamp ? latestItemTimestamp : currentLatestTimestamp };
+    return { newEntries, updatedEntries, errors, skipped };
   }
 
   async _processUtterances(utterances, dbConvoId) {
@@ -308,20 +445,16 @@ class BeeConnector extends BaseConnector {
     }
   }
 
-  async _processFacts(facts, currentLatestTimestamp) {
-    let newEntries = 0, updatedEntries = 0, errors = 0;
-    let latestItemTimestamp = new Date(0);
+  async _processFacts(facts) {
+    let newEntries = 0, updatedEntries = 0, errors = 0, skipped = 0;
     for (const fact of facts) {
         try {
-            const itemTimestamp = this._getTimestamp(fact, ['updated_at', 'created_at']);
-            if (itemTimestamp > latestItemTimestamp) latestItemTimestamp = itemTimestamp;
-
             const entry = {
                 bee_id: fact.id,
                 content: fact.content,
                 is_confirmed: fact.is_confirmed !== undefined ? fact.is_confirmed : true,
             };
-            if (!entry.bee_id) { errors++; continue; }
+            if (!entry.bee_id) { skipped++; continue; }
 
             const upsertQuery = `
                 INSERT INTO bee_facts (bee_id, content, is_confirmed) VALUES ($1, $2, $3)
@@ -331,24 +464,20 @@ class BeeConnector extends BaseConnector {
             result.rows[0].inserted ? newEntries++ : updatedEntries++;
         } catch (dbError) { errors++; logger.error(`Bee: Error processing fact ${fact.id}: ${dbError.message}`); }
     }
-    return { newEntries, updatedEntries, errors, latestTimestamp: latestItemTimestamp > currentLatestTimestamp ? latestItemTimestamp : currentLatestTimestamp };
+    return { newEntries, updatedEntries, errors, skipped };
   }
 
-  async _processTodos(todos, currentLatestTimestamp) {
-    let newEntries = 0, updatedEntries = 0, errors = 0;
-    let latestItemTimestamp = new Date(0);
+  async _processTodos(todos) {
+    let newEntries = 0, updatedEntries = 0, errors = 0, skipped = 0;
     for (const todo of todos) {
         try {
-            const itemTimestamp = this._getTimestamp(todo, ['updated_at', 'created_at', 'alarm_at']);
-            if (itemTimestamp > latestItemTimestamp) latestItemTimestamp = itemTimestamp;
-
             const entry = {
                 bee_id: todo.id,
                 text: todo.text,
                 alarm_at: todo.alarm_at ? new Date(todo.alarm_at) : null,
                 completed: todo.completed || false,
             };
-            if (!entry.bee_id) { errors++; continue; }
+            if (!entry.bee_id) { skipped++; continue; }
 
             const upsertQuery = `
                 INSERT INTO bee_todos (bee_id, text, alarm_at, completed) VALUES ($1, $2, $3, $4)
@@ -358,20 +487,18 @@ class BeeConnector extends BaseConnector {
             result.rows[0].inserted ? newEntries++ : updatedEntries++;
         } catch (dbError) { errors++; logger.error(`Bee: Error processing todo ${todo.id}: ${dbError.message}`); }
     }
-    return { newEntries, updatedEntries, errors, latestTimestamp: latestItemTimestamp > currentLatestTimestamp ? latestItemTimestamp : currentLatestTimestamp };
+    return { newEntries, updatedEntries, errors, skipped };
   }
 
-  async _processLocations(locations, currentLatestTimestamp) {
+  async _processLocations(locations) {
     // Locations are often insert-only snapshots.
-    let newEntries = 0, updatedEntries = 0, errors = 0; // updatedEntries might always be 0
-    let latestItemTimestamp = new Date(0);
+    let newEntries = 0, updatedEntries = 0, errors = 0, skipped = 0; // updatedEntries might always be 0
 
     for (const loc of locations) {
       try {
         // Bee dev spec: bee_id, latitude, longitude, address, created_at (for the record in DB)
         // API might provide 'timestamp' or 'recorded_at' for when the location itself was captured.
         const recordedAt = new Date(loc.recorded_at || loc.timestamp || loc.created_at); // Prioritize specific location timestamp
-        if (recordedAt > latestItemTimestamp) latestItemTimestamp = recordedAt;
 
         const entry = {
           bee_id: loc.id, // Assuming API 'id' maps to 'bee_id' for the location record
@@ -383,7 +510,7 @@ class BeeConnector extends BaseConnector {
 
         if (!entry.bee_id || entry.latitude === undefined || entry.longitude === undefined || isNaN(recordedAt.getTime())) {
             logger.warn('Bee Location: Skipping due to missing critical fields or invalid date', loc);
-            errors++;
+            skipped++;
             continue;
         }
 
@@ -416,8 +543,49 @@ class BeeConnector extends BaseConnector {
         errors++;
       }
     }
-    return { newEntries, updatedEntries, errors, latestTimestamp: latestItemTimestamp > currentLatestTimestamp ? latestItemTimestamp : currentLatestTimestamp };
+    return { newEntries, updatedEntries, errors, skipped };
   }
 }
 
+// Manifest used by ConnectorRegistry for discovery, config validation and default scheduling.
+BeeConnector.manifest = {
+  name: 'bee',
+  description: 'Conversations, facts, todos and locations from Bee.computer.',
+  configSchema: {
+    type: 'object',
+    required: ['apiKey'],
+    properties: {
+      enabled: { type: 'boolean', default: false },
+      apiKey: { type: 'string' },
+      baseUrl: { type: 'string', default: 'https://api.bee.computer/v1/me' },
+      syncInterval: { type: 'string' },
+      subSources: {
+        type: 'object',
+        properties: {
+          conversations: { type: 'boolean', default: true },
+          facts: { type: 'boolean', default: true },
+          todos: { type: 'boolean', default: true },
+          locations: { type: 'boolean', default: false },
+        },
+      },
+      webhook: {
+        type: 'object',
+        properties: { secret: { type: 'string' }, signatureHeader: { type: 'string' } },
+      },
+    },
+  },
+  // Payloads accepted at POST /api/data/ingest/bee: any of the sub-source lists, as the API returns them.
+  webhookSchema: {
+    type: 'object',
+    properties: {
+      conversations: { type: 'array', items: { type: 'object', required: ['id'] } },
+      facts: { type: 'array', items: { type: 'object', required: ['id'] } },
+      todos: { type: 'array', items: { type: 'object', required: ['id'] } },
+      locations: { type: 'array', items: { type: 'object' } },
+    },
+  },
+  backfill: { order: 'desc', chunkDays: 30 }, // Newest first, matching the API's paging (see _fetchRange)
+  defaultSchedule: '*/30 * * * *', // Every 30 minutes
+};
+
 module.exports = BeeConnector;
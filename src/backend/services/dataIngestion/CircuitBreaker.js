@@ -0,0 +1,68 @@
+const logger = require('../../utils/logger');
+
+// Simple circuit breaker used by BaseConnector's HTTP layer.
+//
+// closed    -> requests flow normally; consecutive failures are counted.
+// open      -> the source is considered degraded; requests fail fast until cooldown expires.
+// half-open -> after cooldown, requests are let through again. The first success closes
+//              the circuit, a failure re-opens it for another cooldown period.
+
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, cooldownMs = 5 * 60 * 1000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  // Whether a request may be attempted right now. Moves open -> half-open once the cooldown has passed.
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      logger.info(`CircuitBreaker(${this.name}): Cooldown elapsed, allowing trial requests (half-open).`);
+      this.state = 'half-open';
+    }
+    return this.state !== 'open';
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info(`CircuitBreaker(${this.name}): Request succeeded, closing circuit. Source is no longer degraded.`);
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error ? error.message : null;
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        logger.warn(`CircuitBreaker(${this.name}): Opening circuit after ${this.consecutiveFailures} consecutive failures. Source marked degraded for ${this.cooldownMs}ms.`, { lastError: this.lastError });
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  isOpen() {
+    return this.state === 'open' && Date.now() - this.openedAt < this.cooldownMs;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      degraded: this.state !== 'closed',
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const config = require('../storage/ConfigManager');
+const db = require('../storage/DatabaseManager');
+const BaseConnector = require('./BaseConnector');
+const { validate } = require('../../utils/schemaValidator');
+
+// The ConnectorRegistry discovers BaseConnector subclasses so DataSyncManager
+// doesn't need to hard-code each data source.
+//
+// Two kinds of connectors are discovered:
+//   1. Built-in connectors in this directory (files named *Connector.js) that
+//      declare a static `manifest` on their class.
+//   2. Plugins in the configured plugins directory (`connectors.pluginsDir`).
+//      A plugin is either a folder containing a manifest.json (with `main`
+//      pointing at the module, default index.js) or a single .js file whose
+//      exported class declares a static `manifest`.
+//
+// A manifest looks like:
+//   {
+//     "name": "github",                      // Key under dataSources in lifeboard.config.yml
+//     "description": "GitHub activity",
+//     "configSchema": { "type": "object", "required": ["apiKey"], "properties": { ... } },
+//     "defaultSchedule": "0 */6 * * *"       // Cron expression or duration ("6h"); used when dataSources.<name>.syncInterval is not set
+//   }
+//
+// Plugin modules may export the connector class directly, or a factory function
+// that receives { BaseConnector, logger, db, config } and returns the class.
+// The factory form saves plugins living outside the source tree from having to
+// know where BaseConnector is on disk.
+
+const BUILT_IN_DIR = __dirname;
+const DEFAULT_PLUGINS_DIR = './plugins';
+
+class ConnectorRegistry {
+  constructor() {
+    this.connectorClasses = {}; // name -> class (with .manifest attached)
+    this.discovered = false;
+  }
+
+  // Scan the built-in and plugin directories. Safe to call more than once.
+  discover() {
+    this.connectorClasses = {};
+    this._discoverBuiltIns();
+
+    const pluginsDir = path.resolve(process.cwd(), config.get('connectors.pluginsDir', DEFAULT_PLUGINS_DIR));
+    this._discoverPlugins(pluginsDir);
+
+    this.discovered = true;
+    logger.info(`ConnectorRegistry: Discovered connectors: ${Object.keys(this.connectorClasses).join(', ') || 'none'}`);
+    return this.list();
+  }
+
+  _discoverBuiltIns() {
+    const files = fs.readdirSync(BUILT_IN_DIR)
+      .filter(file => file.endsWith('Connector.js') && file !== 'BaseConnector.js');
+
+    for (const file of files) {
+      try {
+        const ConnectorClass = require(path.join(BUILT_IN_DIR, file));
+        this._register(ConnectorClass, ConnectorClass.manifest, file);
+      } catch (error) {
+        logger.error(`ConnectorRegistry: Failed to load built-in connector ${file}: ${error.message}`, { stack: error.stack });
+      }
+    }
+  }
+
+  _discoverPlugins(pluginsDir) {
+    if (!fs.existsSync(pluginsDir)) {
+      logger.debug(`ConnectorRegistry: Plugins directory ${pluginsDir} does not exist. Skipping plugin discovery.`);
+      return;
+    }
+
+    for (const entry of fs.readdirSync(pluginsDir, { withFileTypes: true })) {
+      const entryPath = path.join(pluginsDir, entry.name);
+      try {
+        if (entry.isDirectory()) {
+          const manifestPath = path.join(entryPath, 'manifest.json');
+          if (!fs.existsSync(manifestPath)) {
+            logger.warn(`ConnectorRegistry: Plugin folder ${entryPath} has no manifest.json. Skipping.`);
+            continue;
+          }
+          const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+          const exported = require(path.join(entryPath, manifest.main || 'index.js'));
+          this._register(this._resolveClass(exported), manifest, entryPath);
+        } else if (entry.isFile() && entry.name.endsWith('.js')) {
+          const ConnectorClass = this._resolveClass(require(entryPath));
+          this._register(ConnectorClass, ConnectorClass && ConnectorClass.manifest, entryPath);
+        }
+      } catch (error) {
+        logger.error(`ConnectorRegistry: Failed to load plugin ${entryPath}: ${error.message}`, { stack: error.stack });
+      }
+    }
+  }
+
+  // Accept either a BaseConnector subclass or a factory that builds one.
+  _resolveClass(exported) {
+    if (typeof exported !== 'function') return null;
+    if (exported.prototype instanceof BaseConnector) return exported;
+    return exported({ BaseConnector, logger, db, config });
+  }
+
+  _register(ConnectorClass, manifest, origin) {
+    if (!ConnectorClass || !(ConnectorClass.prototype instanceof BaseConnector)) {
+      logger.warn(`ConnectorRegistry: ${origin} does not export a BaseConnector subclass. Skipping.`);
+      return;
+    }
+    if (!manifest || !manifest.name) {
+      logger.warn(`ConnectorRegistry: ${origin} has no manifest with a name. Skipping.`);
+      return;
+    }
+    if (this.connectorClasses[manifest.name]) {
+      logger.warn(`ConnectorRegistry: A connector named '${manifest.name}' is already registered. Ignoring ${origin}.`);
+      return;
+    }
+
+    // Attach the manifest so BaseConnector can apply config schema defaults.
+    ConnectorClass.manifest = { configSchema: null, defaultSchedule: null, ...manifest };
+    this.connectorClasses[manifest.name] = ConnectorClass;
+    logger.debug(`ConnectorRegistry: Registered connector '${manifest.name}' from ${origin}`);
+  }
+
+  list() {
+    return Object.values(this.connectorClasses).map(ConnectorClass => ConnectorClass.manifest);
+  }
+
+  getManifest(name) {
+    const ConnectorClass = this.connectorClasses[name];
+    return ConnectorClass ? ConnectorClass.manifest : null;
+  }
+
+  // Validate the dataSources.<name> section against the connector's config schema.
+  // Returns an array of error strings (empty if valid or no schema declared).
+  validateConfig(name, sourceConfig) {
+    const manifest = this.getManifest(name);
+    if (!manifest) return [`Unknown connector '${name}'`];
+    return validate(sourceConfig || {}, manifest.configSchema, `dataSources.${name}`);
+  }
+
+  // Validate a pushed webhook payload against the connector's webhookSchema.
+  // Returns an array of error strings (empty if valid).
+  validateWebhookPayload(name, payload) {
+    const manifest = this.getManifest(name);
+    if (!manifest) return [`Unknown connector '${name}'`];
+    if (!manifest.webhookSchema) return [`Connector '${name}' does not accept webhook payloads`];
+    return validate(payload, manifest.webhookSchema, 'payload');
+  }
+
+  // Instantiate a connector by name. Returns null if the name is unknown.
+  create(name) {
+    if (!this.discovered) this.discover();
+    const ConnectorClass = this.connectorClasses[name];
+    if (!ConnectorClass) {
+      logger.warn(`ConnectorRegistry: No connector registered under '${name}'.`);
+      return null;
+    }
+    return new ConnectorClass();
+  }
+}
+
+// Singleton instance
+const connectorRegistryInstance = new ConnectorRegistry();
+module.exports = connectorRegistryInstance;
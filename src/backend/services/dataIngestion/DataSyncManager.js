@@ -2,65 +2,82 @@ const cron = require('node-cron');
 const logger = require('../../utils/logger');
 const config = require('../storage/ConfigManager');
 const DataProcessor = require('../processing/DataProcessor'); // For updating daily aggregations
+const ConnectorRegistry = require('./ConnectorRegistry'); // Discovers built-in and plugin connectors
+const SyncScheduler = require('./SyncScheduler'); // Runs the scheduled syncs
+const SyncRunStore = require('../storage/SyncRunStore'); // Persists sync run history
+const SyncLock = require('../storage/SyncLock'); // Keeps two runs of the same source from overlapping
+const RawPayloadStore = require('../storage/RawPayloadStore'); // Archived payloads, pruned on a schedule
 
-// Import all connectors
-const LimitlessConnector = require('./LimitlessConnector');
-const BeeConnector = require('./BeeConnector');
-const WeatherConnector = require('./WeatherConnector');
-// MoodConnector is not typically synced automatically, but can be included if a batch process is ever needed.
-// const MoodConnector = require('./MoodConnector');
+// How often _joinRun looks for the run that holds a source's lock before it has recorded its start.
+const JOIN_LOOKUP_INITIAL_MS = 100;
+const JOIN_LOOKUP_MAX_MS = 2000;
 
 class DataSyncManager {
   constructor() {
     this.connectors = {};
-    this.cronJobs = {};
+    this.pruneTask = null;
     this._initializeConnectors();
     this._scheduleSyncs();
     logger.info('DataSyncManager initialized and sync jobs scheduled.');
   }
 
   _initializeConnectors() {
-    // Instantiate all available connectors
-    const limitless = new LimitlessConnector();
-    if (limitless.isEnabled()) this.connectors.limitless = limitless;
-
-    const bee = new BeeConnector();
-    if (bee.isEnabled()) this.connectors.bee = bee;
+    // Connectors are discovered by the registry (built-ins plus plugins) rather than imported here,
+    // so adding a data source only requires dropping a connector in place and enabling it in config.
+    for (const manifest of ConnectorRegistry.discover()) {
+      const sourceConfig = config.get(`dataSources.${manifest.name}`);
+      if (!sourceConfig || sourceConfig.enabled !== true) {
+        logger.info(`DataSyncManager: Connector '${manifest.name}' is not enabled in configuration. Skipping.`);
+        continue;
+      }
 
-    const weather = new WeatherConnector();
-    if (weather.isEnabled()) this.connectors.weather = weather;
+      const configErrors = ConnectorRegistry.validateConfig(manifest.name, sourceConfig);
+      if (configErrors.length > 0) {
+        logger.error(`DataSyncManager: Invalid configuration for '${manifest.name}'. Connector will not be loaded.`, { errors: configErrors });
+        continue;
+      }
 
-    // Mood connector is usually not part of automated sync, but can be added if needed
-    // const mood = new MoodConnector();
-    // if (mood.isEnabled()) this.connectors.mood = mood;
+      try {
+        const connector = ConnectorRegistry.create(manifest.name);
+        if (connector && connector.isEnabled()) this.connectors[manifest.name] = connector;
+      } catch (error) {
+        logger.error(`DataSyncManager: Failed to initialize connector '${manifest.name}': ${error.message}`, { stack: error.stack });
+      }
+    }
 
     logger.info(`Initialized connectors: ${Object.keys(this.connectors).join(', ')}`);
   }
 
   _scheduleSyncs() {
+    // Interval syncs (durations or cron expressions, with quiet hours) are run by the SyncScheduler.
+    SyncScheduler.start(this).catch((error) => {
+      logger.error(`DataSyncManager: Failed to start the sync scheduler: ${error.message}`, { stack: error.stack });
+    });
+    this._schedulePayloadPruning();
+
     Object.entries(this.connectors).forEach(([sourceName, connectorInstance]) => {
-      const sourceConfig = config.get(`dataSources.${sourceName}`);
-      if (sourceConfig && sourceConfig.enabled && sourceConfig.syncInterval) {
-        if (cron.validate(sourceConfig.syncInterval)) {
-          logger.info(`Scheduling sync for ${sourceName} with interval: ${sourceConfig.syncInterval}`);
-          this.cronJobs[sourceName] = cron.schedule(sourceConfig.syncInterval, async () => {
-            logger.info(`Cron job triggered for ${sourceName} sync.`);
-            try {
-              await this.syncSource(sourceName, { triggeredBy: 'cron' });
-            } catch (error) {
-              logger.error(`Error during scheduled sync for ${sourceName}: ${error.message}`, { stack: error.stack });
-            }
-          });
-        } else {
-          logger.warn(`Invalid cron interval '${sourceConfig.syncInterval}' for ${sourceName}. Sync will not be scheduled.`);
+      // Connectors that can detect new data themselves get to trigger their own syncs.
+      connectorInstance.watch(async () => {
+        logger.info(`Watch triggered for ${sourceName} sync.`);
+        try {
+          await this.syncSource(sourceName, { triggeredBy: 'watch' });
+        } catch (error) {
+          logger.error(`Error during watch-triggered sync for ${sourceName}: ${error.message}`, { stack: error.stack });
         }
-      } else {
-        logger.info(`Automatic sync not scheduled for ${sourceName} (disabled or no interval).`);
-      }
+      });
     });
   }
 
-  // Trigger sync for a specific data source
+  // The initialized (enabled) connector for a source, or null.
+  getConnector(sourceName) {
+    return this.connectors[sourceName] || null;
+  }
+
+  // Trigger sync for a specific data source.
+  // Only one run per source at a time (see SyncLock). If one is already running the result is
+  // { success: false, status: 409, runId } with that run's id, unless options.join is set, in which case
+  // this waits for that run and returns its result (with joined: true). With options.waitForLock it waits
+  // for the running sync to finish and then runs its own.
   async syncSource(sourceName, options = {}) {
     const connector = this.connectors[sourceName];
     if (!connector) {
@@ -73,39 +90,175 @@ class DataSyncManager {
       return { success: false, message: `${sourceName} is disabled.` };
     }
 
-    logger.info(`DataSyncManager: Starting manual sync for ${sourceName}...`, options);
+    const { join = false, waitForLock = false, ...syncOptions } = options;
+    const lock = await SyncLock.acquire(sourceName, { wait: waitForLock });
+    if (!lock) {
+      const running = await SyncRunStore.findRunning(sourceName);
+      if (join) return this._joinRun(sourceName, running);
+      logger.info(`DataSyncManager: Sync for ${sourceName} (${syncOptions.triggeredBy || 'api'}) not started; ${running ? `run ${running.id}` : 'another run'} is still in progress.`);
+      return {
+        success: false,
+        status: 409,
+        message: `A sync for ${sourceName} is already running.`,
+        runId: running ? running.id : null,
+      };
+    }
+
+    logger.info(`DataSyncManager: Starting manual sync for ${sourceName}...`, syncOptions);
+    const { triggeredBy = 'api', ...runOptions } = syncOptions;
+    const runId = await SyncRunStore.start(sourceName, triggeredBy, runOptions);
     try {
       // The `sync` method in BaseConnector handles fetching and processing
-      const result = await connector.sync(options);
+      const result = await connector.sync({ ...syncOptions, runId });
       logger.info(`DataSyncManager: Sync finished for ${sourceName}. New: ${result.newEntries || 0}, Updated: ${result.updatedEntries || 0}, Errors: ${result.errors || 0}`);
 
-      // Update daily aggregations after successful sync
-      // This part needs careful thought: what date and item count to pass?
-      // If sync fetches data for multiple days, this needs to be more granular.
-      // For MVP, let's assume sync primarily brings in data for "today" or recent past.
-      // A more robust approach would have connectors return which dates were affected.
-      if (result.success && (result.newEntries > 0 || result.updatedEntries > 0)) {
-        // This is a simplification. A connector should ideally report which dates had new/updated data.
-        // For now, we might just update for "today" if relevant, or this needs more info from connectors.
-        // Example: if result contained an array of { date, count }
-        // For now, this is a placeholder for where aggregation updates would occur.
-        // The connectors themselves might be better placed to call DataProcessor.updateDailyAggregation
-        // for the specific dates they processed.
-
-        // Let's assume connectors return the count of items for the primary entity type they manage.
-        // And for simplicity, let's try to update aggregation for today.
-        // This is NOT robust for historical syncs.
-        if (sourceName !== 'weather' && sourceName !== 'mood') { // Weather/Mood have specific date handling
-            const today = new Date().toISOString().split('T')[0];
-            // This count is the total from the sync, not necessarily for 'today'.
-            // A better approach: connectors call DataProcessor.updateDailyAggregation within their processData.
-            // await DataProcessor.updateDailyAggregation(today, sourceName, result.newEntries + result.updatedEntries);
+      // Daily aggregations are updated by the connectors themselves for the dates they touched;
+      // those dates come back as result.affectedDates and are recorded with the run.
+      await SyncRunStore.finish(runId, result);
+      return { ...result, runId };
+    } catch (error) {
+      logger.error(`DataSyncManager: Error during sync for ${sourceName}: ${error.message}`, { stack: error.stack });
+      await SyncRunStore.finish(runId, { success: false, message: error.message });
+      return { success: false, message: error.message, error_details: error, runId };
+    } finally {
+      await lock.release();
+    }
+  }
+
+  // Wait for the sync of `sourceName` that holds the lock, possibly on another replica, and return
+  // its result as recorded in sync_runs. `running` is its run as found when the lock was refused;
+  // it can be missing if the run had taken the lock but not yet recorded its start, so look again while it holds it.
+  async _joinRun(sourceName, running) {
+    for (let delay = JOIN_LOOKUP_INITIAL_MS; !running; delay = Math.min(delay * 2, JOIN_LOOKUP_MAX_MS)) {
+      if (!(await SyncLock.isHeld(sourceName))) break;
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running = await SyncRunStore.findRunning(sourceName);
+    }
+    if (!running) {
+      return { success: false, joined: true, message: `The running sync for ${sourceName} finished before its run could be found; see the sync run history.` };
+    }
+
+    logger.info(`DataSyncManager: Joining run ${running.id} for ${sourceName}.`);
+    await SyncLock.waitForRelease(sourceName);
+    const run = await SyncRunStore.getById(running.id);
+    if (!run) {
+      return { success: false, joined: true, message: `The running sync for ${sourceName} finished but its result was not recorded.` };
+    }
+    // A partial run is not a success, just as for the run's own caller (see BaseConnector._finalizeResult).
+    return {
+      success: run.status === 'success',
+      partial: run.status === 'partial',
+      newEntries: run.new_entries,
+      updatedEntries: run.updated_entries,
+      errors: run.error_count,
+      affectedDates: run.affected_dates,
+      ...(run.error_message ? { message: run.error_message } : {}),
+      runId: run.id,
+      joined: true,
+    };
+  }
+
+  // Hand a pushed (webhook) payload to a connector. The payload must already be authenticated and validated.
+  // Processing happens in the background: the run is recorded right away and its id returned, so the
+  // sender gets a quick acknowledgement. Results are available through the sync run history.
+  async ingest(sourceName, payload) {
+    const connector = this.connectors[sourceName];
+    if (!connector) {
+      return { accepted: false, message: `Connector ${sourceName} not found.` };
+    }
+
+    // Pushed payloads wait for a sync of the same source that is already running rather than being
+    // refused; the run stays 'queued' until then.
+    const runId = await SyncRunStore.start(sourceName, 'webhook', {}, 'queued');
+    let lock = null;
+    const processing = SyncLock.acquire(sourceName, { wait: true })
+      .then(async (acquired) => {
+        lock = acquired;
+        await SyncRunStore.markRunning(runId);
+        return connector.ingest(payload, { runId });
+      })
+      .then(async (result) => {
+        logger.info(`DataSyncManager: Webhook payload for ${sourceName} processed. New: ${result.newEntries || 0}, Updated: ${result.updatedEntries || 0}, Errors: ${result.errors || 0}`);
+        await SyncRunStore.finish(runId, result);
+        return { ...result, runId };
+      })
+      .catch(async (error) => {
+        logger.error(`DataSyncManager: Error processing webhook payload for ${sourceName}: ${error.message}`, { stack: error.stack });
+        // Nobody awaits `processing` for a webhook, so a failure to record the run must not reject it.
+        try {
+          await SyncRunStore.finish(runId, { success: false, message: error.message });
+        } catch (finishError) {
+          logger.error(`DataSyncManager: Could not record the failed webhook run ${runId} for ${sourceName}: ${finishError.message}`, { stack: finishError.stack });
         }
+        return { success: false, message: error.message, runId };
+      })
+      .finally(() => lock && lock.release());
+    return { accepted: true, runId, processing };
+  }
+
+  // Run a sync without keeping anything: fetchData runs as usual, processData runs inside a transaction
+  // that is rolled back, and connectors skip their file side effects (options.dryRun). Returns the sync
+  // result plus what would have changed. Dry runs are not recorded in sync_runs. Like a sync, a dry run
+  // needs the source's lock, so it never overlaps a real run; { status: 409, runId } if one is running.
+  async previewSync(sourceName, options = {}) {
+    const connector = this.connectors[sourceName];
+    if (!connector) {
+      logger.warn(`DataSyncManager: Connector for source '${sourceName}' not found or not enabled.`);
+      return { success: false, status: 404, message: `Connector ${sourceName} not found.` };
+    }
+
+    const lock = await SyncLock.acquire(sourceName);
+    if (!lock) {
+      const running = await SyncRunStore.findRunning(sourceName);
+      return { success: false, dryRun: true, status: 409, message: `A sync for ${sourceName} is already running.`, runId: running ? running.id : null };
+    }
+
+    logger.info(`DataSyncManager: Starting dry-run sync for ${sourceName}...`, options);
+    const { triggeredBy, ...syncOptions } = options;
+    try {
+      const result = await connector.sync({ ...syncOptions, dryRun: true });
+      if (result.changes) {
+        logger.info(`DataSyncManager: Dry-run sync finished for ${sourceName}. Tables that would change: ${Object.keys(result.changes.tables).join(', ') || 'none'}`);
       }
-      return result;
+      return { ...result, dryRun: true };
     } catch (error) {
-      logger.error(`DataSyncManager: Error during sync for ${sourceName}: ${error.message}`, { stack: error.stack });
-      return { success: false, message: error.message, error_details: error };
+      logger.error(`DataSyncManager: Error during dry-run sync for ${sourceName}: ${error.message}`, { stack: error.stack });
+      return { success: false, dryRun: true, message: error.message };
+    } finally {
+      await lock.release();
+    }
+  }
+
+  // Replay a source's archived raw payloads through its current processData, e.g. after fixing a field mapping.
+  // Recorded in sync_runs like a sync, with triggered_by 'reprocess'.
+  async reprocessSource(sourceName, options = {}) {
+    const connector = this.connectors[sourceName];
+    if (!connector) {
+      logger.warn(`DataSyncManager: Connector for source '${sourceName}' not found or not enabled.`);
+      return { success: false, status: 404, message: `Connector ${sourceName} not found.` };
+    }
+    if (!connector.archivesRawPayloads()) {
+      return { success: false, status: 400, message: `${sourceName} does not archive raw payloads; sync it again with forceFullSync instead.` };
+    }
+
+    const lock = await SyncLock.acquire(sourceName);
+    if (!lock) {
+      const running = await SyncRunStore.findRunning(sourceName);
+      return { success: false, status: 409, message: `A sync for ${sourceName} is already running.`, runId: running ? running.id : null };
+    }
+
+    logger.info(`DataSyncManager: Starting reprocess for ${sourceName}...`, options);
+    const runId = await SyncRunStore.start(sourceName, 'reprocess', options);
+    try {
+      const result = await connector.reprocess(options);
+      await SyncRunStore.finish(runId, result);
+      return { ...result, runId };
+    } catch (error) {
+      logger.error(`DataSyncManager: Error during reprocess for ${sourceName}: ${error.message}`, { stack: error.stack });
+      await SyncRunStore.finish(runId, { success: false, message: error.message });
+      return { success: false, message: error.message, runId };
+    } finally {
+      await lock.release();
     }
   }
 
@@ -125,10 +278,53 @@ class DataSyncManager {
     return results;
   }
 
+  // Called at startup: runs still marked running or queued whose source lock nobody holds were left behind by
+  // a process that stopped (a restart or crash), so they are marked failed instead of showing as running forever.
+  // Each source's lock is held while its runs are marked, so a run that starts meanwhile is never touched;
+  // runs queued after this started are left alone too.
+  async failInterruptedRuns() {
+    const startedAt = new Date();
+    try {
+      for (const source of await SyncRunStore.listUnfinishedSources()) {
+        const lock = await SyncLock.acquire(source);
+        if (!lock) continue; // A live run holds it
+        try {
+          const runIds = await SyncRunStore.failInterrupted(source, startedAt);
+          if (runIds.length > 0) logger.warn(`DataSyncManager: Marked ${runIds.length} interrupted ${source} run(s) as failed: ${runIds.join(', ')}`);
+        } finally {
+          await lock.release();
+        }
+      }
+    } catch (error) {
+      logger.error(`DataSyncManager: Could not clean up interrupted sync runs: ${error.message}`, { stack: error.stack });
+    }
+  }
+
+  // Prune archived raw payloads per the sync.rawPayloads retention settings.
+  _schedulePayloadPruning() {
+    const { pruneSchedule } = RawPayloadStore.getRetention();
+    if (!cron.validate(pruneSchedule)) {
+      logger.warn(`DataSyncManager: Invalid sync.rawPayloads.pruneSchedule '${pruneSchedule}'. Archived payloads will not be pruned.`);
+      return;
+    }
+    this.pruneTask = cron.schedule(pruneSchedule, async () => {
+      try {
+        await RawPayloadStore.prune();
+      } catch (error) {
+        logger.error(`DataSyncManager: Failed to prune archived raw payloads: ${error.message}`, { stack: error.stack });
+      }
+    });
+  }
+
   // Stop all scheduled cron jobs (e.g., on application shutdown)
   stopAllScheduledSyncs() {
     logger.info('DataSyncManager: Stopping all scheduled sync jobs...');
-    Object.values(this.cronJobs).forEach(job => job.stop());
+    SyncScheduler.stop();
+    if (this.pruneTask) {
+      this.pruneTask.stop();
+      this.pruneTask = null;
+    }
+    Object.values(this.connectors).forEach(connector => connector.stopWatching());
     logger.info('DataSyncManager: All scheduled sync jobs stopped.');
   }
 }
@@ -0,0 +1,381 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parse } = require('csv-parse/sync');
+const BaseConnector = require('./BaseConnector');
+const logger = require('../../utils/logger');
+const db = require('../storage/DatabaseManager');
+const DateNormalizer = require('../processing/DateNormalizer');
+
+// Imports timestamped events from JSON or CSV files dropped into a watched directory.
+// Useful for exports from tools that have no API.
+//
+// Each file is matched (by file name pattern) against dataSources.filedrop.mappings. A mapping
+// declares which table the records go to and how record fields map onto columns:
+//
+//   mappings:
+//     - name: "steps"                 # Stored as life_events.source
+//       pattern: "steps-*.csv"        # * and ? wildcards, matched against the file name
+//       table: "life_events"          # Default. Other tables need conflictColumns for updates
+//       recordsPath: "data.items"     # JSON only: where the array of records is (default: the whole file)
+//       columns:                      # column -> record field (dotted paths for nested JSON)
+//         occurred_at: "date"
+//         value: "count"
+//       constants: { category: "activity", unit: "steps", title: "Steps" }
+//       timestampColumn: "occurred_at" # Column holding the event time (drives daily aggregation)
+//       timezone: "America/New_York"   # For times without an offset (default UTC)
+//
+// Processed files are moved to the archive subfolder; files that can't be read or mapped are
+// moved to the failed subfolder so they aren't retried on every sync. A file whose import fails
+// for another reason (e.g. the database is unreachable) stays in place and is retried.
+
+const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*$/;
+const LIFE_EVENTS_TABLE = 'life_events';
+const SETTLE_MS = 2000; // Files modified more recently than this may still be being written
+// SQLSTATE classes meaning the rows don't fit the table (bad values, constraints, unknown columns), not a
+// passing database problem: data exception, integrity constraint violation, syntax error or access rule violation.
+const ROW_ERROR_CLASSES = ['22', '23', '42'];
+const INSUFFICIENT_PRIVILEGE = '42501';
+
+class FileDropConnector extends BaseConnector {
+  constructor() {
+    super('filedrop'); // Matches config.dataSources key
+    this.directory = path.resolve(process.cwd(), this.sourceConfig.directory || './data/drop');
+    this.archiveDir = path.join(this.directory, this.sourceConfig.archiveDir || 'archive');
+    this.failedDir = path.join(this.directory, this.sourceConfig.failedDir || 'failed');
+    this.watcher = null;
+    this.watchTimer = null;
+    logger.info(`FileDropConnector initialized for ${this.directory}. Enabled: ${this.isEnabled()}`);
+  }
+
+  // Watch the drop directory and call onChange (debounced) when files arrive.
+  watch(onChange) {
+    if (!this.isEnabled() || this.watcher) return;
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    this.watcher = fs.watch(this.directory, (eventType, filename) => {
+      // Ignore events for files that have already been moved away (e.g. into the archive).
+      if (!filename || !this._isCandidateFile(filename)) return;
+      clearTimeout(this.watchTimer);
+      this.watchTimer = setTimeout(() => onChange(), SETTLE_MS + 500);
+    });
+    this.watcher.on('error', (error) => {
+      logger.error(`FileDrop: Watcher error for ${this.directory}: ${error.message}`);
+    });
+    logger.info(`FileDrop: Watching ${this.directory} for new files.`);
+  }
+
+  stopWatching() {
+    clearTimeout(this.watchTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  _isCandidateFile(filename) {
+    if (filename.startsWith('.') || !/\.(json|csv)$/i.test(filename)) return false;
+    const filePath = path.join(this.directory, filename);
+    return fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+  }
+
+  async fetchData(options = {}) {
+    if (!this.isEnabled()) {
+      logger.warn('FileDropConnector is disabled. Skipping fetch.');
+      return null;
+    }
+    if (!fs.existsSync(this.directory)) {
+      logger.info(`FileDrop: Directory ${this.directory} does not exist yet. Nothing to import.`);
+      return null;
+    }
+
+    const files = [];
+    for (const filename of fs.readdirSync(this.directory).sort()) {
+      if (!this._isCandidateFile(filename)) continue;
+      const filePath = path.join(this.directory, filename);
+      if (Date.now() - fs.statSync(filePath).mtimeMs < SETTLE_MS) {
+        logger.info(`FileDrop: ${filename} was modified just now; leaving it for the next sync.`);
+        continue;
+      }
+
+      const mapping = this._findMapping(filename);
+      if (!mapping) {
+        logger.warn(`FileDrop: No mapping matches ${filename}. Leaving it in place.`);
+        continue;
+      }
+
+      try {
+        files.push({ filename, mapping: mapping.name, records: this._readRecords(filePath, mapping) });
+      } catch (error) {
+        logger.error(`FileDrop: Could not read ${filename}: ${error.message}`);
+        this._moveFile(filename, this.failedDir, options);
+        this.reportPartialFetch(`${filename} could not be read (${error.message}) and was moved to ${path.basename(this.failedDir)}/`);
+      }
+    }
+
+    logger.info(`FileDrop: Found ${files.length} file(s) to import.`);
+    return files.length > 0 ? { files } : null;
+  }
+
+  _findMapping(filename) {
+    return (this.sourceConfig.mappings || []).find(mapping => this._patternToRegExp(mapping.pattern).test(filename));
+  }
+
+  _patternToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`, 'i');
+  }
+
+  _readRecords(filePath, mapping) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (/\.csv$/i.test(filePath)) {
+      return parse(content, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+    }
+    const parsed = JSON.parse(content);
+    const records = mapping.recordsPath ? this._getField(parsed, mapping.recordsPath) : parsed;
+    if (Array.isArray(records)) return records;
+    if (records && typeof records === 'object') return [records];
+    throw new Error(`No records found${mapping.recordsPath ? ` at '${mapping.recordsPath}'` : ''}`);
+  }
+
+  _getField(record, fieldPath) {
+    return String(fieldPath).split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+  }
+
+  // Timestamps may be ISO strings, YYYY-MM-DD dates, "YYYY-MM-DD HH:mm[:ss]" local times or epoch seconds/milliseconds.
+  _parseTimestamp(value, timezone = 'UTC') {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+      const number = Number(value);
+      return new Date(number < 1e12 ? number * 1000 : number); // Seconds vs milliseconds
+    }
+    const text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return DateNormalizer.zonedTimeToUtc(`${text} 00:00`, timezone);
+    if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(text)) return DateNormalizer.zonedTimeToUtc(text.replace('T', ' '), timezone);
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+
+  // Build the row (column -> value) for one record according to the mapping.
+  _mapRecord(record, mapping, filename) {
+    const timestampColumn = mapping.timestampColumn || 'occurred_at';
+    const row = { ...(mapping.constants || {}) };
+    for (const [column, field] of Object.entries(mapping.columns || {})) {
+      const value = this._getField(record, field);
+      row[column] = value === '' ? null : value;
+    }
+
+    const occurredAt = this._parseTimestamp(row[timestampColumn], mapping.timezone);
+    if (!occurredAt) {
+      throw new Error(`missing or invalid ${timestampColumn} ('${row[timestampColumn]}')`);
+    }
+    row[timestampColumn] = occurredAt.toISOString();
+
+    if ((mapping.table || LIFE_EVENTS_TABLE) === LIFE_EVENTS_TABLE) {
+      if (row.ended_at) {
+        const endedAt = this._parseTimestamp(row.ended_at, mapping.timezone);
+        row.ended_at = endedAt ? endedAt.toISOString() : null;
+      }
+      row.source = mapping.name;
+      // Without an id field, the record content identifies the event so re-dropping a file doesn't duplicate it.
+      row.external_id = row.external_id !== undefined && row.external_id !== null
+        ? String(row.external_id)
+        : crypto.createHash('sha256').update(JSON.stringify(record)).digest('hex');
+      row.data = JSON.stringify(record);
+      row.source_file = filename;
+    }
+    // The calendar day is taken in the mapping's timezone, so a date-only "2024-03-01" stays on March 1st.
+    return { row, date: (DateNormalizer.formatInTimeZone(occurredAt, mapping.timezone || 'UTC') || occurredAt.toISOString()).slice(0, 10) };
+  }
+
+  // INSERT ... ON CONFLICT for one mapped row. Column names come from configuration, so they are validated.
+  _buildUpsert(table, row, conflictColumns) {
+    const columns = Object.keys(row);
+    for (const identifier of [table, ...columns, ...conflictColumns]) {
+      if (!IDENTIFIER_PATTERN.test(identifier)) throw new Error(`Invalid table or column name '${identifier}' in mapping`);
+    }
+    const updates = columns.filter(column => !conflictColumns.includes(column)).map(column => `${column} = EXCLUDED.${column}`);
+    const onConflict = conflictColumns.length > 0 && updates.length > 0
+      ? `ON CONFLICT (${conflictColumns.join(', ')}) DO UPDATE SET ${updates.join(', ')}`
+      : 'ON CONFLICT DO NOTHING';
+    return {
+      text: `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+             ${onConflict}
+             RETURNING (xmax = 0) AS inserted;`,
+      values: columns.map(column => row[column]),
+    };
+  }
+
+  async processData(data, options = {}) {
+    if (!data || !Array.isArray(data.files)) {
+      logger.info('FileDrop: No files to process.');
+      return { newEntries: 0, updatedEntries: 0, errors: 0, affectedDates: [] };
+    }
+
+    let newEntries = 0;
+    let updatedEntries = 0;
+    let errorCount = 0;
+    const affected = new Set();
+    const lifeEventDates = new Set(); // Days whose life_event_count needs recounting
+
+    for (const file of data.files) {
+      const mapping = (this.sourceConfig.mappings || []).find(m => m.name === file.mapping);
+      if (!mapping) {
+        logger.error(`FileDrop: Mapping '${file.mapping}' for ${file.filename} no longer exists in configuration.`);
+        errorCount++;
+        continue;
+      }
+      const table = mapping.table || LIFE_EVENTS_TABLE;
+      const conflictColumns = mapping.conflictColumns || (table === LIFE_EVENTS_TABLE ? ['source', 'external_id'] : []);
+
+      // Map every record before touching the database. Records that can't be mapped are skipped;
+      // a mapping that can't be turned into a query (invalid table or column names) fails the whole file.
+      const upserts = [];
+      let fileRejected = 0;
+      try {
+        for (const [index, record] of file.records.entries()) {
+          let mapped;
+          try {
+            mapped = this._mapRecord(record, mapping, file.filename);
+          } catch (mappingError) {
+            logger.warn(`FileDrop: Skipping record ${index + 1} of ${file.filename}: ${mappingError.message}`);
+            fileRejected++;
+            continue;
+          }
+          upserts.push({ query: this._buildUpsert(table, mapped.row, conflictColumns), date: mapped.date });
+        }
+      } catch (mappingError) {
+        logger.error(`FileDrop: Mapping '${mapping.name}' can't import ${file.filename}: ${mappingError.message}`);
+        errorCount++;
+        this._moveFile(file.filename, this.failedDir, options);
+        continue;
+      }
+
+      let fileNew = 0, fileUpdated = 0;
+      const fileDates = {};
+      try {
+        // One transaction per file: a database error leaves none of the file's rows behind.
+        await db.withTransaction(async (client) => {
+          for (const { query, date } of upserts) {
+            const result = await client.query(query.text, query.values);
+            if (result.rows.length === 0) continue; // ON CONFLICT DO NOTHING skipped it
+            result.rows[0].inserted ? fileNew++ : fileUpdated++;
+            fileDates[date] = true;
+          }
+        });
+      } catch (dbError) {
+        errorCount++;
+        if (this._isRowError(dbError)) {
+          // The file's rows don't fit the table, so importing it again would fail the same way.
+          logger.error(`FileDrop: ${file.filename} doesn't fit ${table}: ${dbError.message}`);
+          this._moveFile(file.filename, this.failedDir, options);
+        } else {
+          logger.error(`FileDrop: Error importing ${file.filename}; leaving it in place for the next sync: ${dbError.message}`, { stack: dbError.stack });
+        }
+        continue;
+      }
+
+      newEntries += fileNew;
+      updatedEntries += fileUpdated;
+      errorCount += fileRejected;
+      Object.keys(fileDates).forEach(date => affected.add(date));
+      if (table === LIFE_EVENTS_TABLE) Object.keys(fileDates).forEach(date => lifeEventDates.add(date));
+      logger.info(`FileDrop: Imported ${file.filename} into ${table}. New: ${fileNew}, Updated: ${fileUpdated}, Rejected: ${fileRejected}`);
+      this._moveFile(file.filename, this.archiveDir, options);
+    }
+
+    const affectedDates = [...affected].sort();
+    await this._refreshDailyCounts([...lifeEventDates].sort());
+
+    logger.info(`FileDrop: Processing complete. New: ${newEntries}, Updated: ${updatedEntries}, Errors: ${errorCount}`);
+    return { newEntries, updatedEntries, errors: errorCount, affectedDates };
+  }
+
+  _isRowError(error) {
+    return typeof error.code === 'string' && error.code !== INSUFFICIENT_PRIVILEGE && ROW_ERROR_CLASSES.includes(error.code.slice(0, 2));
+  }
+
+  // Re-importing a file updates its events instead of adding them, so each affected day's life_event_count
+  // is recounted rather than accumulated. Days are taken in each mapping's timezone, as in _mapRecord;
+  // events of mappings that are no longer configured count in UTC.
+  async _refreshDailyCounts(dates) {
+    if (dates.length === 0) return;
+    const mappings = (this.sourceConfig.mappings || []).filter(mapping => (mapping.table || LIFE_EVENTS_TABLE) === LIFE_EVENTS_TABLE);
+    // Bound occurred_at so the index is used; a local day lies within a day either side of the UTC day.
+    const from = new Date(`${dates[0]}T00:00:00Z`);
+    from.setUTCDate(from.getUTCDate() - 1);
+    const to = new Date(`${dates[dates.length - 1]}T00:00:00Z`);
+    to.setUTCDate(to.getUTCDate() + 2);
+
+    const result = await db.query(
+      `SELECT local_date::text AS date, COUNT(*)::int AS count
+       FROM (
+         SELECT (e.occurred_at AT TIME ZONE COALESCE(m.timezone, 'UTC'))::date AS local_date
+         FROM life_events e
+         LEFT JOIN unnest($2::text[], $3::text[]) AS m(source, timezone) ON m.source = e.source
+         WHERE e.occurred_at >= $4 AND e.occurred_at < $5
+       ) events
+       WHERE local_date = ANY($1::date[])
+       GROUP BY local_date;`,
+      [dates, mappings.map(mapping => mapping.name), mappings.map(mapping => mapping.timezone || 'UTC'), from.toISOString(), to.toISOString()]
+    );
+    const counts = Object.fromEntries(result.rows.map(row => [row.date, row.count]));
+    const DataProcessor = require('../processing/DataProcessor');
+    for (const date of dates) {
+      await DataProcessor.setDailyCount(date, this.sourceName, counts[date] || 0);
+    }
+  }
+
+  // Move a processed file out of the drop directory, prefixed with a timestamp so names never collide.
+  // Replayed data may refer to files that are already gone; those are skipped. Dry runs leave files in place.
+  _moveFile(filename, targetDir, options = {}) {
+    const source = path.join(this.directory, filename);
+    if (options.dryRun || !fs.existsSync(source)) return;
+    try {
+      fs.mkdirSync(targetDir, { recursive: true });
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      fs.renameSync(source, path.join(targetDir, `${stamp}_${filename}`));
+    } catch (error) {
+      logger.error(`FileDrop: Could not move ${filename} to ${targetDir}: ${error.message}`);
+    }
+  }
+}
+
+// Manifest used by ConnectorRegistry for discovery, config validation and default scheduling.
+FileDropConnector.manifest = {
+  name: 'filedrop',
+  description: 'Timestamped events from JSON/CSV files dropped into a watched directory.',
+  configSchema: {
+    type: 'object',
+    required: ['directory', 'mappings'],
+    properties: {
+      enabled: { type: 'boolean', default: false },
+      directory: { type: 'string' },
+      archiveDir: { type: 'string', default: 'archive' },
+      failedDir: { type: 'string', default: 'failed' },
+      syncInterval: { type: 'string' }, // Periodic rescan in addition to watching
+      mappings: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'pattern', 'columns'],
+          properties: {
+            name: { type: 'string' },
+            pattern: { type: 'string' },
+            table: { type: 'string' },
+            recordsPath: { type: 'string' },
+            columns: { type: 'object' },
+            constants: { type: 'object' },
+            timestampColumn: { type: 'string' },
+            timezone: { type: 'string' },
+            conflictColumns: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      },
+    },
+  },
+  archiveRawPayloads: false, // The dropped files themselves are kept in archive/
+  defaultSchedule: '*/15 * * * *', // Rescan every 15 minutes in case a watch event was missed
+};
+
+module.exports = FileDropConnector;
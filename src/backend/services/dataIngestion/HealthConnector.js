@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sax = require('sax');
+const BaseConnector = require('./BaseConnector');
+const logger = require('../../utils/logger');
+const db = require('../storage/DatabaseManager');
+
+// Imports daily health metrics and workouts from an Apple Health export (export.xml, from
+// Health app > Profile > Export All Health Data, unzipped).
+//
+// Exports are often several gigabytes, so the XML is streamed with sax and reduced to per-day
+// totals as it is read; only the daily rows and the workouts are ever held in memory.
+//
+//   Steps               -> health_daily_metrics.steps (per source summed, the largest source wins so
+//                          iPhone + Watch steps aren't counted twice)
+//   Sleep analysis      -> health_daily_metrics.sleep_minutes (asleep time, or in-bed time for sources
+//                          that don't record sleep stages; counted on the day you woke up)
+//   Resting heart rate  -> health_daily_metrics.resting_heart_rate (daily mean)
+//   Workouts            -> health_workouts
+//
+// The export is cumulative, so every import replaces the stored daily values. The file's size and
+// modification time are kept as the sync cursor; an unchanged export is skipped unless forceFullSync is set.
+
+const RECORD_TYPES = {
+  steps: 'HKQuantityTypeIdentifierStepCount',
+  sleep: 'HKCategoryTypeIdentifierSleepAnalysis',
+  restingHeartRate: 'HKQuantityTypeIdentifierRestingHeartRate',
+};
+const SLEEP_IN_BED = 'HKCategoryValueSleepAnalysisInBed';
+const SLEEP_AWAKE = 'HKCategoryValueSleepAnalysisAwake';
+const DISTANCE_STATISTICS = /^HKQuantityTypeIdentifierDistance/;
+const ENERGY_STATISTICS = 'HKQuantityTypeIdentifierActiveEnergyBurned';
+
+class HealthConnector extends BaseConnector {
+  constructor() {
+    super('health'); // Matches config.dataSources key
+    this.exportPath = path.resolve(process.cwd(), this.sourceConfig.exportPath || './data/health/export.xml');
+    logger.info(`HealthConnector initialized for ${this.exportPath}. Enabled: ${this.isEnabled()}`);
+  }
+
+  async fetchData(options = {}) {
+    if (!this.isEnabled()) {
+      logger.warn('HealthConnector is disabled. Skipping fetch.');
+      return null;
+    }
+    if (!fs.existsSync(this.exportPath)) {
+      logger.info(`Health: No export found at ${this.exportPath}. Nothing to import.`);
+      return null;
+    }
+
+    const stats = fs.statSync(this.exportPath);
+    const fingerprint = { size: stats.size, mtimeMs: stats.mtimeMs };
+    const previous = await this.getMetadata(this._cursorKey());
+    if (!options.forceFullSync && previous && previous.size === fingerprint.size && previous.mtimeMs === fingerprint.mtimeMs) {
+      logger.info('Health: Export is unchanged since the last import. Skipping.');
+      return null;
+    }
+
+    logger.info(`Health: Streaming ${this.exportPath} (${Math.round(stats.size / 1024 / 1024)} MB)...`);
+    const parsed = await this._parseExport(this.exportPath);
+    logger.info(`Health: Read ${parsed.recordCount} records: ${parsed.days.length} days of metrics and ${parsed.workouts.length} workouts.`);
+    return { ...parsed, fingerprint };
+  }
+
+  // Stream the export and reduce it to daily metrics and workouts.
+  _parseExport(filePath) {
+    return new Promise((resolve, reject) => {
+      const days = new Map(); // date -> { stepsBySource, asleepBySource, inBedBySource, heartRates }
+      const workouts = [];
+      let currentWorkout = null;
+      let recordCount = 0;
+
+      const dayFor = (date) => {
+        if (!days.has(date)) days.set(date, { stepsBySource: {}, asleepBySource: {}, inBedBySource: {}, heartRates: [] });
+        return days.get(date);
+      };
+
+      const parser = sax.createStream(true, { trim: true });
+      parser.on('opentag', (node) => {
+        const attrs = node.attributes;
+        if (node.name === 'Record') {
+          recordCount++;
+          this._addRecord(attrs, dayFor);
+        } else if (node.name === 'Workout') {
+          currentWorkout = this._startWorkout(attrs);
+        } else if (node.name === 'WorkoutStatistics' && currentWorkout) {
+          // Newer exports put distance and energy in child elements instead of Workout attributes.
+          if (DISTANCE_STATISTICS.test(attrs.type) && currentWorkout.distance === null) {
+            currentWorkout.distance = this._number(attrs.sum);
+            currentWorkout.distance_unit = attrs.unit || null;
+          } else if (attrs.type === ENERGY_STATISTICS && currentWorkout.energy_burned === null) {
+            currentWorkout.energy_burned = this._number(attrs.sum);
+          }
+        }
+      });
+      parser.on('closetag', (name) => {
+        if (name === 'Workout' && currentWorkout) {
+          if (currentWorkout.start_time) workouts.push(currentWorkout);
+          currentWorkout = null;
+        }
+      });
+      parser.on('error', (error) => reject(new Error(`Could not parse health export: ${error.message}`)));
+      parser.on('end', () => resolve({ days: this._summarizeDays(days), workouts, recordCount }));
+
+      const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+      stream.on('error', reject);
+      stream.pipe(parser);
+    });
+  }
+
+  _addRecord(attrs, dayFor) {
+    const source = attrs.sourceName || 'unknown';
+    switch (attrs.type) {
+      case RECORD_TYPES.steps: {
+        const value = this._number(attrs.value);
+        const date = this._localDate(attrs.startDate);
+        if (value === null || !date) return;
+        const day = dayFor(date);
+        day.stepsBySource[source] = (day.stepsBySource[source] || 0) + value;
+        break;
+      }
+      case RECORD_TYPES.sleep: {
+        const start = this._parseDate(attrs.startDate);
+        const end = this._parseDate(attrs.endDate);
+        const date = this._localDate(attrs.endDate); // Sleep counts toward the day you woke up
+        if (!start || !end || !date || attrs.value === SLEEP_AWAKE) return;
+        const minutes = Math.max(0, (end - start) / 60000);
+        const day = dayFor(date);
+        const bucket = attrs.value === SLEEP_IN_BED ? day.inBedBySource : day.asleepBySource;
+        bucket[source] = (bucket[source] || 0) + minutes;
+        break;
+      }
+      case RECORD_TYPES.restingHeartRate: {
+        const value = this._number(attrs.value);
+        const date = this._localDate(attrs.startDate);
+        if (value === null || !date) return;
+        dayFor(date).heartRates.push(value);
+        break;
+      }
+      default:
+        break; // Other record types aren't imported (yet)
+    }
+  }
+
+  _startWorkout(attrs) {
+    const start = this._parseDate(attrs.startDate);
+    const end = this._parseDate(attrs.endDate);
+    const activityType = (attrs.workoutActivityType || 'Other').replace(/^HKWorkoutActivityType/, '');
+    const source = attrs.sourceName || 'unknown';
+    let duration = this._number(attrs.duration);
+    if (duration !== null && attrs.durationUnit === 's') duration /= 60;
+    if (duration !== null && attrs.durationUnit === 'hr') duration *= 60;
+    return {
+      // Workouts have no id in the export; type, source and start identify one across re-exports.
+      external_id: crypto.createHash('sha256').update(`${activityType}|${source}|${attrs.startDate}`).digest('hex'),
+      activity_type: activityType,
+      start_time: start ? start.toISOString() : null,
+      end_time: end ? end.toISOString() : null,
+      duration_minutes: duration !== null ? Math.round(duration * 10) / 10 : (start && end ? Math.round((end - start) / 6000) / 10 : null),
+      distance: this._number(attrs.totalDistance),
+      distance_unit: attrs.totalDistanceUnit || null,
+      energy_burned: this._number(attrs.totalEnergyBurned), // kcal
+      source_name: source,
+      date: this._localDate(attrs.startDate),
+    };
+  }
+
+  // Collapse the per-source totals into one row per day. Several devices record the same steps and
+  // sleep, so the source with the largest total is used instead of adding them up.
+  _summarizeDays(days) {
+    const maxOf = (bySource) => {
+      const values = Object.values(bySource);
+      return values.length > 0 ? Math.max(...values) : null;
+    };
+    return [...days.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, day]) => {
+      const asleep = maxOf(day.asleepBySource);
+      const sleepMinutes = asleep !== null ? asleep : maxOf(day.inBedBySource);
+      const steps = maxOf(day.stepsBySource);
+      return {
+        date,
+        steps: steps !== null ? Math.round(steps) : null,
+        sleep_minutes: sleepMinutes !== null ? Math.round(sleepMinutes) : null,
+        resting_heart_rate: day.heartRates.length > 0
+          ? Math.round((day.heartRates.reduce((sum, value) => sum + value, 0) / day.heartRates.length) * 10) / 10
+          : null,
+      };
+    });
+  }
+
+  // Apple Health dates look like "2024-03-01 07:12:45 -0500".
+  _parseDate(value) {
+    const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(String(value || '').trim());
+    const parsed = match ? new Date(`${match[1]}T${match[2]}${match[3]}:${match[4]}`) : new Date(value);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+
+  // The day as it was on the phone when the sample was recorded (the date part before the offset).
+  _localDate(value) {
+    const match = /^(\d{4}-\d{2}-\d{2})/.exec(String(value || '').trim());
+    return match ? match[1] : null;
+  }
+
+  _number(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+  }
+
+  async processData(data, options = {}) {
+    if (!data || !Array.isArray(data.days)) {
+      logger.info('Health: No export data to process.');
+      return { newEntries: 0, updatedEntries: 0, errors: 0, affectedDates: [] };
+    }
+
+    let newEntries = 0;
+    let updatedEntries = 0;
+    const affected = new Set();
+
+    // One transaction for the whole export: a failed import leaves the previous one intact.
+    await db.withTransaction(async (client) => {
+      for (const day of data.days) {
+        const result = await client.query(
+          `INSERT INTO health_daily_metrics (date, steps, sleep_minutes, resting_heart_rate)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (date) DO UPDATE SET
+             steps = EXCLUDED.steps,
+             sleep_minutes = EXCLUDED.sleep_minutes,
+             resting_heart_rate = EXCLUDED.resting_heart_rate
+           RETURNING (xmax = 0) AS inserted;`,
+          [day.date, day.steps, day.sleep_minutes, day.resting_heart_rate]
+        );
+        result.rows[0].inserted ? newEntries++ : updatedEntries++;
+        affected.add(day.date);
+      }
+
+      for (const workout of data.workouts || []) {
+        if (!workout.date) continue;
+        const result = await client.query(
+          `INSERT INTO health_workouts (external_id, activity_type, start_time, end_time, duration_minutes,
+                                        distance, distance_unit, energy_burned, source_name, date)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+           ON CONFLICT (external_id) DO UPDATE SET
+             end_time = EXCLUDED.end_time,
+             duration_minutes = EXCLUDED.duration_minutes,
+             distance = EXCLUDED.distance,
+             distance_unit = EXCLUDED.distance_unit,
+             energy_burned = EXCLUDED.energy_burned,
+             date = EXCLUDED.date
+           RETURNING (xmax = 0) AS inserted;`,
+          [workout.external_id, workout.activity_type, workout.start_time, workout.end_time, workout.duration_minutes,
+            workout.distance, workout.distance_unit, workout.energy_burned, workout.source_name, workout.date]
+        );
+        result.rows[0].inserted ? newEntries++ : updatedEntries++;
+        affected.add(workout.date);
+      }
+    });
+
+    const DataProcessor = require('../processing/DataProcessor');
+    const affectedDates = [...affected].sort();
+    for (const date of affectedDates) {
+      await DataProcessor.updateDailyAggregation(date, this.sourceName, 1);
+    }
+
+    // Only remember the export once it has been stored, so a failed import is retried next sync.
+    if (data.fingerprint) await this.setMetadata(this._cursorKey(), data.fingerprint);
+
+    logger.info(`Health: Processing complete. New: ${newEntries}, Updated: ${updatedEntries}`);
+    return { newEntries, updatedEntries, errors: 0, affectedDates };
+  }
+}
+
+// Manifest used by ConnectorRegistry for discovery, config validation and default scheduling.
+HealthConnector.manifest = {
+  name: 'health',
+  description: 'Daily steps, sleep, resting heart rate and workouts from an Apple Health export.xml.',
+  configSchema: {
+    type: 'object',
+    required: ['exportPath'],
+    properties: {
+      enabled: { type: 'boolean', default: false },
+      exportPath: { type: 'string' },
+      syncInterval: { type: 'string' },
+    },
+  },
+  archiveRawPayloads: false, // The export file is the original; re-import it with forceFullSync
+  defaultSchedule: '0 4 * * *', // Daily; picks up a new export once it has been copied in
+};
+
+module.exports = HealthConnector;
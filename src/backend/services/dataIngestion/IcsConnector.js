@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const ical = require('node-ical');
+const BaseConnector = require('./BaseConnector');
+const logger = require('../../utils/logger');
+const db = require('../storage/DatabaseManager');
+const DateNormalizer = require('../processing/DateNormalizer');
+
+// Imports meetings and other events from iCalendar (.ics) data into calendar_events.
+//
+// Each entry in dataSources.ics.calendars is either a local file (`path`) or a URL serving
+// .ics data (`url`, e.g. a local Radicale/CalDAV stand-in or an exported calendar feed):
+//
+//   calendars:
+//     - name: "personal"                         # Stored as calendar_events.calendar
+//       path: "./data/calendars/personal.ics"
+//     - name: "work"
+//       url: "http://localhost:5232/me/work.ics"
+//       username: "${CALDAV_USERNAME}"           # Optional basic auth
+//       password: "${CALDAV_PASSWORD}"
+//
+// Recurring events are expanded into one row per occurrence (EXDATEs removed, RECURRENCE-ID
+// overrides applied) within a window around today. Occurrences inside the window that are no
+// longer in the calendar (deleted or cancelled) are removed, so the table mirrors the source.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class IcsConnector extends BaseConnector {
+  constructor() {
+    super('ics'); // Matches config.dataSources key
+    this.timezone = this.sourceConfig.timezone || 'UTC';
+    this.apiClient = this.createHttpClient({ timeout: 30000, responseType: 'text' });
+    logger.info(`IcsConnector initialized with ${(this.sourceConfig.calendars || []).length} calendar(s). Enabled: ${this.isEnabled()}`);
+  }
+
+  // The window of occurrences to (re)import. options.start/options.end (YYYY-MM-DD) override the configured one.
+  _resolveWindow(options = {}) {
+    if (options.start || options.end) {
+      const from = DateNormalizer.getStartOfDayUTC(options.start || options.end);
+      const to = DateNormalizer.getStartOfDayUTC(options.end || options.start);
+      if (!from || !to || from > to) throw new Error(`Invalid ICS sync window ${options.start} - ${options.end}`);
+      return { from, to: new Date(to.getTime() + DAY_MS - 1) };
+    }
+    const now = Date.now();
+    return {
+      from: new Date(now - (this.sourceConfig.expandPastDays ?? 90) * DAY_MS),
+      to: new Date(now + (this.sourceConfig.expandFutureDays ?? 30) * DAY_MS),
+    };
+  }
+
+  async fetchData(options = {}) {
+    if (!this.isEnabled()) {
+      logger.warn('IcsConnector is disabled. Skipping fetch.');
+      return null;
+    }
+
+    const window = this._resolveWindow(options);
+    const calendars = [];
+    for (const calendar of this.sourceConfig.calendars || []) {
+      try {
+        const parsed = await ical.async.parseICS(await this._readCalendar(calendar));
+        const events = this._expandEvents(parsed, window);
+        logger.info(`ICS: ${calendar.name} has ${events.length} occurrence(s) between ${window.from.toISOString()} and ${window.to.toISOString()}.`);
+        calendars.push({ name: calendar.name, events });
+      } catch (error) {
+        if (error.code === 'CIRCUIT_OPEN') throw error;
+        logger.error(`ICS: Could not read calendar ${calendar.name}: ${error.message}`);
+        this.reportPartialFetch(`calendar ${calendar.name} could not be read (${error.message})`);
+      }
+    }
+
+    if (calendars.length === 0) {
+      if (this.partialFetchReasons.length > 0) throw new Error(`No calendars could be read: ${this.partialFetchReasons.join('; ')}`);
+      return null;
+    }
+    return { from: window.from.toISOString(), to: window.to.toISOString(), calendars };
+  }
+
+  async _readCalendar(calendar) {
+    if (calendar.path) {
+      return fs.promises.readFile(path.resolve(process.cwd(), calendar.path), 'utf8');
+    }
+    if (calendar.url) {
+      const auth = calendar.username ? { username: calendar.username, password: calendar.password || '' } : undefined;
+      const response = await this.apiClient.get(calendar.url, { auth });
+      return response.data;
+    }
+    throw new Error('calendar needs either a path or a url');
+  }
+
+  // Turn parsed VEVENTs into one plain object per occurrence inside the window.
+  _expandEvents(parsed, window) {
+    const occurrences = [];
+    for (const event of Object.values(parsed)) {
+      if (!event || event.type !== 'VEVENT' || !event.start) continue;
+
+      let instances;
+      try {
+        instances = ical.expandRecurringEvent(event, { from: window.from, to: window.to, expandOngoing: true });
+      } catch (error) {
+        logger.warn(`ICS: Skipping event ${event.uid} (${event.summary}): ${error.message}`);
+        continue;
+      }
+
+      for (const instance of instances) {
+        const source = instance.event || event; // The RECURRENCE-ID override when the occurrence was modified
+        if (String(source.status || '').toUpperCase() === 'CANCELLED') continue;
+        // Overrides may move an occurrence; it is still identified by the start it replaced.
+        const occurrenceStart = instance.isOverride && source.recurrenceid ? source.recurrenceid : instance.start;
+        occurrences.push({
+          uid: event.uid,
+          occurrence_start: new Date(occurrenceStart).toISOString(),
+          title: this._text(instance.summary),
+          description: this._text(source.description),
+          location: this._text(source.location),
+          start_time: instance.start.toISOString(),
+          end_time: instance.end ? instance.end.toISOString() : null,
+          is_all_day: Boolean(instance.isFullDay),
+          is_recurring: Boolean(instance.isRecurring),
+          status: source.status ? String(source.status).toLowerCase() : null,
+          organizer: this._text(source.organizer && (source.organizer.params?.CN || source.organizer.val || source.organizer)),
+          date: this._eventDate(instance),
+        });
+      }
+    }
+    return occurrences;
+  }
+
+  // ICS text properties may come back as { params, val } objects.
+  _text(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object' && 'val' in value) return value.val ? String(value.val) : null;
+    return String(value).replace(/^mailto:/i, '') || null;
+  }
+
+  // The day an occurrence counts toward. All-day dates are floating (node-ical builds them at local
+  // midnight), so their own calendar date is used; timed events use the configured timezone.
+  _eventDate(instance) {
+    const start = instance.start;
+    if (instance.isFullDay || start.dateOnly) {
+      return `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`;
+    }
+    return (DateNormalizer.formatInTimeZone(start, this.timezone) || start.toISOString()).slice(0, 10);
+  }
+
+  async processData(data, options = {}) {
+    if (!data || !Array.isArray(data.calendars)) {
+      logger.info('ICS: No calendar data to process.');
+      return { newEntries: 0, updatedEntries: 0, errors: 0, affectedDates: [] };
+    }
+
+    let newEntries = 0;
+    let updatedEntries = 0;
+    let errorCount = 0;
+    const affected = new Set();
+
+    for (const calendar of data.calendars) {
+      try {
+        // One transaction per calendar: the upserts and stale-occurrence cleanup land together.
+        await db.withTransaction(async (client) => {
+          for (const event of calendar.events) {
+            const result = await client.query(
+              `INSERT INTO calendar_events (calendar, uid, occurrence_start, title, description, location, start_time, end_time,
+                                            is_all_day, is_recurring, status, organizer, date)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+               ON CONFLICT (calendar, uid, occurrence_start) DO UPDATE SET
+                 title = EXCLUDED.title,
+                 description = EXCLUDED.description,
+                 location = EXCLUDED.location,
+                 start_time = EXCLUDED.start_time,
+                 end_time = EXCLUDED.end_time,
+                 is_all_day = EXCLUDED.is_all_day,
+                 is_recurring = EXCLUDED.is_recurring,
+                 status = EXCLUDED.status,
+                 organizer = EXCLUDED.organizer,
+                 date = EXCLUDED.date
+               RETURNING (xmax = 0) AS inserted, (SELECT date::text FROM calendar_events
+                                                  WHERE calendar = $1 AND uid = $2 AND occurrence_start = $3) AS previous_date;`,
+              [calendar.name, event.uid, event.occurrence_start, event.title, event.description, event.location,
+                event.start_time, event.end_time, event.is_all_day, event.is_recurring, event.status, event.organizer, event.date]
+            );
+            const row = result.rows[0];
+            row.inserted ? newEntries++ : updatedEntries++;
+            affected.add(event.date);
+            if (row.previous_date) affected.add(row.previous_date); // A moved occurrence also changes its old day
+          }
+
+          // Occurrences in the window that the calendar no longer contains were deleted or cancelled at the source.
+          const removed = await client.query(
+            `DELETE FROM calendar_events e
+             WHERE e.calendar = $1 AND e.occurrence_start BETWEEN $2 AND $3
+               AND NOT EXISTS (
+                 SELECT 1 FROM unnest($4::text[], $5::timestamptz[]) AS seen(uid, occurrence_start)
+                 WHERE seen.uid = e.uid AND seen.occurrence_start = e.occurrence_start
+               )
+             RETURNING e.date::text AS date;`,
+            [calendar.name, data.from, data.to, calendar.events.map(e => e.uid), calendar.events.map(e => e.occurrence_start)]
+          );
+          removed.rows.forEach(row => affected.add(row.date));
+          if (removed.rows.length > 0) logger.info(`ICS: Removed ${removed.rows.length} occurrence(s) no longer in ${calendar.name}.`);
+        });
+      } catch (dbError) {
+        logger.error(`ICS: Error storing calendar ${calendar.name}: ${dbError.message}`, { stack: dbError.stack });
+        errorCount++;
+      }
+    }
+
+    const affectedDates = [...affected].sort();
+    await this._refreshDailyCounts(affectedDates);
+
+    logger.info(`ICS: Processing complete. New: ${newEntries}, Updated: ${updatedEntries}, Errors: ${errorCount}`);
+    return { newEntries, updatedEntries, errors: errorCount, affectedDates };
+  }
+
+  // Events can disappear from a calendar, so each affected day's count is recomputed rather than accumulated.
+  async _refreshDailyCounts(dates) {
+    if (dates.length === 0) return;
+    const result = await db.query(
+      `SELECT date::text AS date, COUNT(*)::int AS count FROM calendar_events WHERE date = ANY($1::date[]) GROUP BY date;`,
+      [dates]
+    );
+    const counts = Object.fromEntries(result.rows.map(row => [row.date, row.count]));
+    const DataProcessor = require('../processing/DataProcessor');
+    for (const date of dates) {
+      await DataProcessor.setDailyCount(date, this.sourceName, counts[date] || 0);
+    }
+  }
+}
+
+// Manifest used by ConnectorRegistry for discovery, config validation and default scheduling.
+IcsConnector.manifest = {
+  name: 'ics',
+  description: 'Meetings and events from local .ics files or iCalendar URLs, with recurring events expanded.',
+  configSchema: {
+    type: 'object',
+    required: ['calendars'],
+    properties: {
+      enabled: { type: 'boolean', default: false },
+      calendars: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string' },
+            path: { type: 'string' },
+            url: { type: 'string' },
+            username: { type: 'string' },
+            password: { type: 'string' },
+          },
+        },
+      },
+      timezone: { type: 'string', default: 'UTC' },
+      expandPastDays: { type: 'number', default: 90 },
+      expandFutureDays: { type: 'number', default: 30 },
+      syncInterval: { type: 'string' },
+    },
+  },
+  backfill: { order: 'asc', chunkDays: 90 },
+  defaultSchedule: '0 * * * *', // Hourly
+};
+
+module.exports = IcsConnector;
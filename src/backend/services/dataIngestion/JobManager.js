@@ -0,0 +1,342 @@
+const EventEmitter = require('events');
+const logger = require('../../utils/logger');
+const DataSyncManager = require('./DataSyncManager');
+const JobStore = require('../storage/JobStore');
+const DateNormalizer = require('../processing/DateNormalizer');
+
+// Runs long jobs that don't fit in one HTTP request. The only job type so far is 'backfill':
+// walk a date range in chunks, syncing each chunk through DataSyncManager (recorded in sync_runs with
+// triggered_by 'backfill'), and checkpoint in the jobs table after every chunk. A cancelled job stops
+// after its current chunk; cancelled and failed jobs can be resumed, and jobs that were running when
+// the server stopped are resumed on startup (resumeInterruptedJobs), each from its last checkpoint.
+// A process refreshes the heartbeat of the jobs it runs, so a running job with a stale heartbeat is
+// known to be interrupted and is claimed by exactly one process. A job with a fresh heartbeat that runs
+// in another process is cancelled through the jobs table: it sees cancel_requested after its current chunk.
+// The runner only updates a job while it is still running, so it never overwrites a cancellation.
+//
+// Connectors opt in by declaring `backfill: { order, chunkDays }` in their manifest and honoring
+// options.start/options.end (YYYY-MM-DD). order is 'asc' (oldest chunk first) or 'desc' (newest first).
+// A connector may return backfillCursor in its result; it is passed back with the next chunk.
+
+const MAX_BACKFILL_DAYS = 3660; // About ten years
+const MAX_CHUNK_DAYS = 366;
+const HEARTBEAT_MS = 30 * 1000;
+const HEARTBEAT_STALE_MS = 3 * HEARTBEAT_MS; // A running job whose heartbeat is this old was interrupted
+
+class JobManager {
+  constructor() {
+    this.events = new EventEmitter(); // One event name per job id; see subscribe()
+    this.events.setMaxListeners(0); // Any number of clients may follow a job
+    this.active = new Map(); // Job id -> { source, cancelRequested, sessionStartedAt, sessionDays } for jobs running in this process
+    this.heartbeatTimer = null;
+    this.resumeTimer = null;
+  }
+
+  // Create a backfill job for `source` over start..end and start it in the background.
+  // Returns { success: true, job } or { success: false, status, message }.
+  async startBackfill(source, { start, end, chunkDays } = {}) {
+    const connector = DataSyncManager.getConnector(source);
+    if (!connector) {
+      return { success: false, status: 404, message: `Connector ${source} not found or not enabled.` };
+    }
+    const backfill = (connector.constructor.manifest || {}).backfill;
+    if (!backfill) {
+      return { success: false, status: 400, message: `${source} does not support backfill jobs.` };
+    }
+
+    const daysTotal = this._daysBetween(start, end);
+    if (!(daysTotal >= 1 && daysTotal <= MAX_BACKFILL_DAYS)) {
+      return { success: false, status: 400, message: `end must be on or after start, and a backfill can span at most ${MAX_BACKFILL_DAYS} days.` };
+    }
+    const chunk = chunkDays !== undefined ? Number(chunkDays) : (backfill.chunkDays || 7);
+    if (!Number.isInteger(chunk) || chunk < 1 || chunk > MAX_CHUNK_DAYS) {
+      return { success: false, status: 400, message: `chunkDays must be a whole number between 1 and ${MAX_CHUNK_DAYS}.` };
+    }
+    const conflict = this._activeJobFor(source);
+    if (conflict) {
+      return { success: false, status: 409, message: `A backfill for ${source} is already running (job ${conflict}).`, jobId: conflict };
+    }
+
+    const order = backfill.order === 'desc' ? 'desc' : 'asc';
+    const job = await JobStore.create({
+      type: 'backfill',
+      source,
+      params: { start, end, chunkDays: chunk, order },
+      nextDate: order === 'desc' ? end : start,
+      daysTotal,
+    });
+    logger.info(`JobManager: Created backfill job ${job.id} for ${source} from ${start} to ${end} in ${chunk}-day chunks (${order}).`);
+    this._launch(job);
+    return { success: true, job: this.format(job) };
+  }
+
+  // Ask a job to stop. A job running in this or another process stops after its current chunk; a job no
+  // process is running (its heartbeat is stale, e.g. the server restarted and hasn't resumed it yet) is
+  // cancelled right away.
+  async cancel(jobId) {
+    const job = await JobStore.getById(jobId);
+    if (!job) return { success: false, status: 404, message: `Job ${jobId} not found.` };
+    if (job.status !== 'running') {
+      return { success: false, status: 409, message: `Job ${jobId} is already ${job.status}.` };
+    }
+
+    const state = this.active.get(jobId);
+    if (state) {
+      state.cancelRequested = true;
+      logger.info(`JobManager: Cancellation requested for job ${jobId}; it stops after the current chunk.`);
+      return { success: true, job: this.format(job), message: 'The job stops after its current chunk.' };
+    }
+
+    const cancelled = await JobStore.cancelIfStale(jobId, HEARTBEAT_STALE_MS);
+    if (cancelled) {
+      logger.info(`JobManager: Cancelled job ${jobId}, which no process was running.`);
+      this._emit(cancelled, 'status');
+      return { success: true, job: this.format(cancelled) };
+    }
+    const requested = await JobStore.update(jobId, { cancelRequested: true }, { expectedStatus: 'running' });
+    if (!requested) {
+      const current = await JobStore.getById(jobId);
+      return { success: false, status: 409, message: `Job ${jobId} is already ${current ? current.status : 'gone'}.` };
+    }
+    logger.info(`JobManager: Cancellation requested for job ${jobId}, which runs in another process; it stops after the current chunk.`);
+    return { success: true, job: this.format(requested), message: 'The job stops after its current chunk.' };
+  }
+
+  // Continue a cancelled or failed job from its last checkpoint.
+  async resume(jobId) {
+    const job = await JobStore.getById(jobId);
+    if (!job) return { success: false, status: 404, message: `Job ${jobId} not found.` };
+    if (!['cancelled', 'failed'].includes(job.status)) {
+      return { success: false, status: 409, message: `Job ${jobId} is ${job.status}; only cancelled or failed jobs can be resumed.` };
+    }
+    if (!DataSyncManager.getConnector(job.source)) {
+      return { success: false, status: 400, message: `Connector ${job.source} is not enabled.` };
+    }
+    const conflict = this._activeJobFor(job.source);
+    if (conflict) {
+      return { success: false, status: 409, message: `A backfill for ${job.source} is already running (job ${conflict}).`, jobId: conflict };
+    }
+
+    const resumed = await JobStore.update(
+      jobId,
+      { status: 'running', errorMessage: null, finishedAt: null, heartbeatAt: new Date(), cancelRequested: false },
+      { expectedStatus: job.status } // Resumed by another request in the meantime otherwise
+    );
+    if (!resumed) return { success: false, status: 409, message: `Job ${jobId} was resumed by another request.` };
+    logger.info(`JobManager: Resuming job ${jobId} for ${job.source} from ${resumed.next_date}.`);
+    this._launch(resumed);
+    return { success: true, job: this.format(resumed) };
+  }
+
+  // Called at startup: jobs still marked running were interrupted by a restart. A job whose heartbeat is
+  // still fresh may belong to another process, or to this server before it restarted a moment ago, so
+  // this looks again once such a heartbeat could have gone stale.
+  async resumeInterruptedJobs() {
+    clearTimeout(this.resumeTimer);
+    this.resumeTimer = null;
+    try {
+      const interrupted = await JobStore.claimInterrupted(HEARTBEAT_STALE_MS);
+      for (const job of interrupted) {
+        if (this.active.has(job.id)) continue;
+        if (!DataSyncManager.getConnector(job.source)) {
+          logger.warn(`JobManager: Not resuming job ${job.id}; connector ${job.source} is not enabled.`);
+          this._emit(await JobStore.update(
+            job.id,
+            { status: 'failed', errorMessage: `Connector ${job.source} is not enabled.`, finishedAt: new Date() },
+            { expectedStatus: 'running' }
+          ), 'status');
+          continue;
+        }
+        logger.info(`JobManager: Resuming interrupted job ${job.id} for ${job.source} from ${job.next_date}.`);
+        this._launch(job);
+      }
+
+      const runningElsewhere = (await JobStore.list({ status: 'running', limit: 100 })).filter(job => !this.active.has(job.id));
+      if (runningElsewhere.length > 0) {
+        this.resumeTimer = setTimeout(() => this.resumeInterruptedJobs(), HEARTBEAT_STALE_MS + HEARTBEAT_MS);
+        this.resumeTimer.unref();
+      }
+    } catch (error) {
+      logger.error(`JobManager: Could not resume interrupted jobs: ${error.message}`, { stack: error.stack });
+    }
+  }
+
+  async getJob(jobId) {
+    const job = await JobStore.getById(jobId);
+    return job ? this.format(job) : null;
+  }
+
+  async listJobs(filters) {
+    return (await JobStore.list(filters)).map(job => this.format(job));
+  }
+
+  // Follow a job's progress. `listener(event, job, details)` is called with 'progress' after every
+  // chunk and 'status' when the job finishes, is cancelled or fails. Returns an unsubscribe function.
+  subscribe(jobId, listener) {
+    const handler = ({ event, job, details }) => listener(event, job, details);
+    this.events.on(jobId, handler);
+    return () => this.events.off(jobId, handler);
+  }
+
+  // The job as returned by the API, with progress and, while it runs, an ETA.
+  format(job) {
+    const state = this.active.get(job.id);
+    const remainingDays = job.days_total - job.days_completed;
+    const etaSeconds = state && state.sessionDays > 0
+      ? Math.round(((Date.now() - state.sessionStartedAt) / state.sessionDays) * remainingDays / 1000)
+      : null;
+    return {
+      ...job,
+      progress_percent: job.days_total > 0 ? Math.round((job.days_completed / job.days_total) * 1000) / 10 : 0,
+      eta_seconds: job.status === 'running' ? etaSeconds : null,
+    };
+  }
+
+  _launch(job) {
+    this.active.set(job.id, { source: job.source, cancelRequested: false, sessionStartedAt: Date.now(), sessionDays: 0 });
+    this._startHeartbeat();
+    this._runBackfill(job)
+      .catch(async (error) => {
+        logger.error(`JobManager: Job ${job.id} failed: ${error.message}`, { stack: error.stack });
+        try {
+          this._emit(await JobStore.update(
+            job.id,
+            { status: 'failed', errorMessage: error.message, finishedAt: new Date() },
+            { expectedStatus: 'running' }
+          ), 'status');
+        } catch (storeError) {
+          logger.error(`JobManager: Could not record failure of job ${job.id}: ${storeError.message}`);
+        }
+      })
+      .finally(() => {
+        this.active.delete(job.id);
+        if (this.active.size === 0) this._stopHeartbeat();
+      });
+  }
+
+  // While this process runs jobs, keep their heartbeats fresh so no other process claims them.
+  _startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => {
+      JobStore.heartbeat([...this.active.keys()]).catch((error) => {
+        logger.error(`JobManager: Could not refresh job heartbeats: ${error.message}`);
+      });
+    }, HEARTBEAT_MS);
+    this.heartbeatTimer.unref();
+  }
+
+  _stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  // Every update is made only while the job is still running: if it was cancelled from another process in
+  // the meantime (e.g. its heartbeat had gone stale), the update returns null and the job stops here.
+  async _runBackfill(job) {
+    const jobId = job.id;
+    const state = this.active.get(jobId);
+    const { start, end, chunkDays, order } = job.params;
+    const stopped = () => logger.warn(`JobManager: Job ${jobId} is no longer running (changed by another process); stopping.`);
+
+    while (job.next_date) {
+      // cancel_requested is set by a cancel from another process and read back with every checkpoint.
+      if (state.cancelRequested || job.cancel_requested) {
+        const cancelled = await JobStore.update(jobId, { status: 'cancelled', cancelRequested: false, finishedAt: new Date() }, { expectedStatus: 'running' });
+        if (!cancelled) return stopped();
+        logger.info(`JobManager: Job ${jobId} cancelled at ${cancelled.next_date}.`);
+        this._emit(cancelled, 'status');
+        return;
+      }
+
+      // The chunk starting (or, newest first, ending) at next_date, clipped to the job's range.
+      const chunk = order === 'desc'
+        ? { start: this._maxDate(start, DateNormalizer.addDays(job.next_date, -(chunkDays - 1))), end: job.next_date }
+        : { start: job.next_date, end: this._minDate(end, DateNormalizer.addDays(job.next_date, chunkDays - 1)) };
+      const result = await DataSyncManager.syncSource(job.source, {
+        start: chunk.start,
+        end: chunk.end,
+        backfillCursor: job.cursor || undefined,
+        jobId: job.id,
+        triggeredBy: 'backfill',
+        waitForLock: true, // A cron or API sync of the source finishes first instead of failing the chunk
+      });
+      const totals = {
+        newEntries: job.new_entries + (result.newEntries || 0),
+        updatedEntries: job.updated_entries + (result.updatedEntries || 0),
+        errorCount: job.error_count + (result.errors || 0),
+      };
+
+      if (!result.success) {
+        // The checkpoint stays at this chunk, so resuming the job retries it.
+        const failed = await JobStore.update(jobId, {
+          ...totals,
+          status: 'failed',
+          errorMessage: `Chunk ${chunk.start} to ${chunk.end} failed: ${result.message || 'unknown error'}`,
+          finishedAt: new Date(),
+        }, { expectedStatus: 'running' });
+        if (!failed) return stopped();
+        logger.warn(`JobManager: Job ${jobId} stopped. ${failed.error_message}`);
+        this._emit(failed, 'status');
+        return;
+      }
+
+      const days = this._daysBetween(chunk.start, chunk.end);
+      const nextDate = order === 'desc' ? DateNormalizer.addDays(chunk.start, -1) : DateNormalizer.addDays(chunk.end, 1);
+      const done = order === 'desc' ? nextDate < start : nextDate > end;
+      state.sessionDays += days;
+      job = await JobStore.update(jobId, {
+        ...totals,
+        nextDate: done ? null : nextDate,
+        cursor: result.backfillCursor || null,
+        daysCompleted: job.days_completed + days,
+      }, { expectedStatus: 'running' });
+      if (!job) return stopped();
+      logger.info(`JobManager: Job ${job.id} completed ${chunk.start} to ${chunk.end} (${job.days_completed}/${job.days_total} days).`);
+      this._emit(job, 'progress', {
+        chunk: { ...chunk, days: this._datesBetween(chunk.start, chunk.end) },
+        runId: result.runId,
+        newEntries: result.newEntries || 0,
+        updatedEntries: result.updatedEntries || 0,
+        errors: result.errors || 0,
+      });
+    }
+
+    job = await JobStore.update(jobId, { status: 'completed', cancelRequested: false, finishedAt: new Date() }, { expectedStatus: 'running' });
+    if (!job) return stopped();
+    logger.info(`JobManager: Job ${job.id} completed. New: ${job.new_entries}, Updated: ${job.updated_entries}, Errors: ${job.error_count}`);
+    this._emit(job, 'status');
+  }
+
+  _emit(job, event, details = {}) {
+    if (job) this.events.emit(job.id, { event, job: this.format(job), details });
+  }
+
+  _activeJobFor(source) {
+    for (const [jobId, state] of this.active) {
+      if (state.source === source) return jobId;
+    }
+    return null;
+  }
+
+  // Number of days from start to end, inclusive (NaN for invalid dates).
+  _daysBetween(start, end) {
+    const from = DateNormalizer.isValidYYYYMMDD(start) && DateNormalizer.parseDate(start);
+    const to = DateNormalizer.isValidYYYYMMDD(end) && DateNormalizer.parseDate(end);
+    if (!from || !to) return NaN;
+    return Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1;
+  }
+
+  _datesBetween(start, end) {
+    const dates = [];
+    for (let date = start; date <= end; date = DateNormalizer.addDays(date, 1)) dates.push(date);
+    return dates;
+  }
+
+  // YYYY-MM-DD strings compare chronologically.
+  _minDate(a, b) { return a < b ? a : b; }
+  _maxDate(a, b) { return a > b ? a : b; }
+}
+
+// Singleton instance
+const jobManagerInstance = new JobManager();
+module.exports = jobManagerInstance;
@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const BaseConnector = require('./BaseConnector');
+const logger = require('../../utils/logger');
+const db = require('../storage/DatabaseManager');
+
+// Imports Markdown daily notes (Obsidian-style YYYY-MM-DD.md files) into journal_entries.
+//
+// A note may start with YAML front-matter:
+//
+//   ---
+//   mood: 7            # or a label from dataSources.mood.import.labelMap, e.g. "good"
+//   tags: [work, family]
+//   ---
+//   # Title
+//   Body...
+//
+// Front-matter moods are stored as a mood check-in through MoodConnector (same validation and label
+// mapping as the mood API and CSV import), at noon of the note's day so edits update that one check-in.
+// They are stored with source 'journal', apart from API and imported check-ins at the same time.
+//
+// Only notes whose modification time changed are read again, and only notes whose content hash
+// changed are re-imported. Notes that disappear from the folder are removed, with their mood check-in.
+
+const DAILY_NOTE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.md$/i;
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const INLINE_TAG_PATTERN = /(?:^|\s)#([\p{L}\p{N}_/-]*[\p{L}_/-][\p{L}\p{N}_/-]*)/gu; // #tag, but not #123 or "# Heading"
+
+class JournalConnector extends BaseConnector {
+  constructor() {
+    super('journal'); // Matches config.dataSources key
+    this.directory = path.resolve(process.cwd(), this.sourceConfig.directory || './data/journal');
+    logger.info(`JournalConnector initialized for ${this.directory}. Enabled: ${this.isEnabled()}`);
+  }
+
+  async fetchData(options = {}) {
+    if (!this.isEnabled()) {
+      logger.warn('JournalConnector is disabled. Skipping fetch.');
+      return null;
+    }
+    if (!fs.existsSync(this.directory)) {
+      logger.info(`Journal: Directory ${this.directory} does not exist yet. Nothing to import.`);
+      return null;
+    }
+
+    const existing = await db.query('SELECT file_path, file_mtime, content_hash FROM journal_entries;');
+    const known = new Map(existing.rows.map(row => [row.file_path, row]));
+
+    const notes = [];
+    const unchanged = []; // Touched but identical content: only the stored mtime is updated
+    const seen = new Set();
+    for (const filePath of this._listNotes(this.directory)) {
+      const relativePath = path.relative(this.directory, filePath);
+      seen.add(relativePath);
+      const mtime = fs.statSync(filePath).mtime;
+      const stored = known.get(relativePath);
+      if (!options.forceFullSync && stored && new Date(stored.file_mtime).getTime() === mtime.getTime()) continue;
+
+      try {
+        const content = fs.readFileSync(filePath, 'utf8');
+        const hash = crypto.createHash('sha256').update(content).digest('hex');
+        if (!options.forceFullSync && stored && stored.content_hash === hash) {
+          unchanged.push({ file_path: relativePath, file_mtime: mtime.toISOString() });
+          continue;
+        }
+        notes.push({ ...this._parseNote(content, path.basename(filePath)), file_path: relativePath, file_mtime: mtime.toISOString(), content_hash: hash });
+      } catch (error) {
+        logger.error(`Journal: Could not read ${relativePath}: ${error.message}`);
+        this.reportPartialFetch(`${relativePath} could not be read (${error.message})`);
+      }
+    }
+    const removed = [...known.keys()].filter(filePath => !seen.has(filePath));
+
+    logger.info(`Journal: ${notes.length} new or changed note(s), ${removed.length} removed.`);
+    if (notes.length === 0 && unchanged.length === 0 && removed.length === 0) return null;
+    return { notes, unchanged, removed };
+  }
+
+  _listNotes(directory) {
+    const files = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue; // .obsidian, .trash, ...
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (this.sourceConfig.recursive !== false) files.push(...this._listNotes(entryPath));
+      } else if (DAILY_NOTE_PATTERN.test(entry.name)) {
+        files.push(entryPath);
+      }
+    }
+    return files.sort();
+  }
+
+  // Split a note into front-matter and body and pull out the fields Lifeboard uses.
+  _parseNote(content, filename) {
+    const date = DAILY_NOTE_PATTERN.exec(filename)[1];
+    let frontMatter = {};
+    let body = content;
+    const match = FRONT_MATTER_PATTERN.exec(content);
+    if (match) {
+      try {
+        frontMatter = yaml.load(match[1]) || {};
+        body = content.slice(match[0].length);
+      } catch (error) {
+        logger.warn(`Journal: Invalid front-matter in ${filename}, importing it as part of the body: ${error.message}`);
+      }
+      if (typeof frontMatter !== 'object' || Array.isArray(frontMatter)) frontMatter = {};
+    }
+
+    const heading = /^#\s+(.+)$/m.exec(body);
+    const tags = new Set(this._toList(frontMatter.tags).map(tag => String(tag).replace(/^#/, '')));
+    for (const [, tag] of body.matchAll(INLINE_TAG_PATTERN)) tags.add(tag);
+
+    return {
+      date,
+      title: frontMatter.title ? String(frontMatter.title) : (heading ? heading[1].trim() : null),
+      body: body.trim(),
+      front_matter: frontMatter,
+      tags: [...tags].filter(Boolean),
+      mood: frontMatter.mood ?? null,
+      word_count: (body.match(/\S+/g) || []).length,
+    };
+  }
+
+  // Front-matter lists may be YAML arrays or comma-separated strings.
+  _toList(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') return value.split(',').map(item => item.trim());
+    return [];
+  }
+
+  async processData(data, options = {}) {
+    if (!data) {
+      logger.info('Journal: No notes to process.');
+      return { newEntries: 0, updatedEntries: 0, errors: 0, affectedDates: [] };
+    }
+
+    let newEntries = 0;
+    let updatedEntries = 0;
+    let errorCount = 0;
+    const affected = new Set();
+    const moodConnector = this._getMoodConnector();
+
+    for (const note of data.notes || []) {
+      try {
+        const previous = await db.query('SELECT date::text AS date, mood_entry_id FROM journal_entries WHERE file_path = $1;', [note.file_path]);
+        const previousEntry = previous.rows[0];
+        const { moodScore, moodEntryId } = await this._syncMood(note, previousEntry, moodConnector);
+
+        const result = await db.query(
+          `INSERT INTO journal_entries (file_path, date, title, body, front_matter, tags, mood_score, mood_entry_id, word_count, content_hash, file_mtime)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           ON CONFLICT (file_path) DO UPDATE SET
+             date = EXCLUDED.date,
+             title = EXCLUDED.title,
+             body = EXCLUDED.body,
+             front_matter = EXCLUDED.front_matter,
+             tags = EXCLUDED.tags,
+             mood_score = EXCLUDED.mood_score,
+             mood_entry_id = EXCLUDED.mood_entry_id,
+             word_count = EXCLUDED.word_count,
+             content_hash = EXCLUDED.content_hash,
+             file_mtime = EXCLUDED.file_mtime
+           RETURNING (xmax = 0) AS inserted;`,
+          [note.file_path, note.date, note.title, note.body, JSON.stringify(note.front_matter), note.tags, moodScore, moodEntryId,
+            note.word_count, note.content_hash, note.file_mtime]
+        );
+        result.rows[0].inserted ? newEntries++ : updatedEntries++;
+        affected.add(note.date);
+        if (previousEntry) affected.add(previousEntry.date);
+      } catch (error) {
+        logger.error(`Journal: Error importing ${note.file_path}: ${error.message}`, { stack: error.stack });
+        errorCount++;
+      }
+    }
+
+    for (const note of data.unchanged || []) {
+      await db.query('UPDATE journal_entries SET file_mtime = $2 WHERE file_path = $1;', [note.file_path, note.file_mtime]);
+    }
+
+    if ((data.removed || []).length > 0) {
+      const removed = await db.query(
+        'DELETE FROM journal_entries WHERE file_path = ANY($1::text[]) RETURNING date::text AS date, mood_entry_id;',
+        [data.removed]
+      );
+      for (const row of removed.rows) {
+        affected.add(row.date);
+        if (row.mood_entry_id && moodConnector) await moodConnector.deleteEntry(row.mood_entry_id);
+      }
+      logger.info(`Journal: Removed ${removed.rows.length} note(s) that are no longer in ${this.directory}.`);
+    }
+
+    const affectedDates = [...affected].sort();
+    await this._refreshDailyCounts(affectedDates);
+
+    logger.info(`Journal: Processing complete. New: ${newEntries}, Updated: ${updatedEntries}, Errors: ${errorCount}`);
+    return { newEntries, updatedEntries, errors: errorCount, affectedDates };
+  }
+
+  // The mood connector is looked up lazily (DataSyncManager loads this connector). Null when mood is disabled.
+  _getMoodConnector() {
+    const DataSyncManager = require('./DataSyncManager');
+    const moodConnector = DataSyncManager.getConnector('mood');
+    return moodConnector && moodConnector.isEnabled() ? moodConnector : null;
+  }
+
+  // Store the note's front-matter mood as a check-in, or remove the check-in if the mood was removed.
+  // Returns the mapped score and the mood_entries id to link to the note.
+  async _syncMood(note, previousEntry, moodConnector) {
+    const previousMoodId = previousEntry ? previousEntry.mood_entry_id : null;
+    if (note.mood === null || note.mood === '') {
+      if (previousMoodId && moodConnector) await moodConnector.deleteEntry(previousMoodId);
+      return { moodScore: null, moodEntryId: null };
+    }
+    if (!moodConnector) {
+      logger.warn(`Journal: ${note.file_path} has a mood, but the mood source is disabled. Mood not stored.`);
+      return { moodScore: null, moodEntryId: null };
+    }
+
+    const importConfig = moodConnector.sourceConfig.import || {};
+    const moodScore = moodConnector._mapMoodValue(note.mood, importConfig);
+    if (moodScore === null) {
+      logger.warn(`Journal: Unknown mood value '${note.mood}' in ${note.file_path}. Add it to dataSources.mood.import.labelMap.`);
+      return { moodScore: null, moodEntryId: previousMoodId };
+    }
+
+    // A moved note (renamed to another date) would otherwise leave its old check-in behind.
+    if (previousMoodId && previousEntry.date !== note.date) await moodConnector.deleteEntry(previousMoodId);
+
+    const result = await moodConnector.processData({
+      date: note.date,
+      mood_score: moodScore,
+      mood_text: isNaN(Number(note.mood)) ? String(note.mood).slice(0, 50) : null,
+      notes: note.title ? `Journal: ${note.title}` : 'Journal',
+      recorded_at: moodConnector._importTimestamp(note.date, null, importConfig.timezone).toISOString(),
+    }, { source: 'journal' });
+    if (result.errors > 0) {
+      logger.warn(`Journal: Mood in ${note.file_path} was not stored: ${result.message}`);
+      return { moodScore: null, moodEntryId: previousMoodId };
+    }
+    return { moodScore, moodEntryId: result.ids[0] };
+  }
+
+  // Notes can be deleted, so each affected day's count is taken from the table.
+  async _refreshDailyCounts(dates) {
+    if (dates.length === 0) return;
+    const result = await db.query(
+      'SELECT date::text AS date, COUNT(*)::int AS count FROM journal_entries WHERE date = ANY($1::date[]) GROUP BY date;',
+      [dates]
+    );
+    const counts = Object.fromEntries(result.rows.map(row => [row.date, row.count]));
+    const DataProcessor = require('../processing/DataProcessor');
+    for (const date of dates) {
+      await DataProcessor.setDailyCount(date, this.sourceName, counts[date] || 0);
+    }
+  }
+}
+
+// Manifest used by ConnectorRegistry for discovery, config validation and default scheduling.
+JournalConnector.manifest = {
+  name: 'journal',
+  description: 'Markdown daily notes (YYYY-MM-DD.md) with front-matter mood and tags, e.g. from an Obsidian vault.',
+  configSchema: {
+    type: 'object',
+    required: ['directory'],
+    properties: {
+      enabled: { type: 'boolean', default: false },
+      directory: { type: 'string' },
+      recursive: { type: 'boolean', default: true },
+      syncInterval: { type: 'string' },
+    },
+  },
+  archiveRawPayloads: false, // The notes are the originals; re-import them with forceFullSync
+  defaultSchedule: '*/30 * * * *',
+};
+
+module.exports = JournalConnector;
@@ -1,12 +1,13 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const BaseConnector = require('./BaseConnector');
 const logger = require('../../utils/logger');
 const db = require('../storage/DatabaseManager');
+const DateNormalizer = require('../processing/DateNormalizer');
 
 class LimitlessConnector extends BaseConnector {
   constructor() {
     super('limitless'); // Must match the key in config.dataSources
-    this.apiClient = axios.create({
+    this.apiClient = this.createHttpClient({ // Retries, backoff and circuit breaking come from BaseConnector
       baseURL: this.sourceConfig.baseUrl || 'https://api.limitless.ai/v1', // Ensure trailing slash consistency if API requires
       headers: {
         'Authorization': `Bearer ${this.sourceConfig.apiKey}`,
@@ -16,93 +17,176 @@ class LimitlessConnector extends BaseConnector {
     logger.info(`LimitlessConnector initialized. Base URL: ${this.apiClient.defaults.baseURL}, Enabled: ${this.isEnabled()}`);
   }
 
+  // The smallest authenticated request: one lifelog.
+  async probe() {
+    return this.probeRequest(this.apiClient, { url: '/lifelogs', params: { limit: 1 } });
+  }
+
   async fetchData(options = {}) {
     if (!this.isEnabled() || !this.sourceConfig.apiKey) {
       logger.warn('LimitlessConnector is disabled or API key is missing. Skipping fetch.');
       return null;
     }
 
+    const timezone = this.sourceConfig.timezone || 'UTC';
+    if (options.start || options.end) return this._fetchRange(options.start || options.end, options.end || options.start, timezone, options);
+
+    // An interrupted sync leaves its window start and pagination cursor in system_metadata.
+    // Resume from there unless a full sync is forced (processData replaces or drops the saved cursor afterwards).
+    const savedProgress = options.forceFullSync ? null : await this.getMetadata(this._cursorKey());
     const lastSyncTime = options.forceFullSync ? new Date(0) : await this.getLastSyncTime();
-    logger.info(`Limitless: Fetching data since ${lastSyncTime.toISOString()}`);
 
-    // Limitless API specific parameters (refer to their documentation)
-    // Example params: 'since' (timestamp or ID), 'limit', 'cursor'
-    // For MVP, let's try a simple fetch. A robust implementation would handle pagination.
-    // The Limitless dev spec mentions: timezone, date, start, end, cursor, direction, limit
-    // We'll use a simplified approach for MVP, perhaps fetching recent items.
-    // A common pattern is to fetch items created/updated after lastSyncTime.
+    const windowStart = savedProgress ? new Date(savedProgress.start) : lastSyncTime;
+    let cursor = options.cursor || (savedProgress ? savedProgress.cursor : undefined);
+
+    if (savedProgress) {
+      logger.info(`Limitless: Resuming interrupted sync from cursor for window starting ${windowStart.toISOString()}`);
+    } else {
+      logger.info(`Limitless: Fetching lifelogs since ${windowStart.toISOString()} (${timezone})`);
+    }
 
     let allLifelogs = [];
-    let cursor = options.cursor; // For pagination
     const limit = options.limit || 50; // Number of items per page
+    const maxPages = options.maxPages || 10; // Per run; remaining pages are picked up by the next run via the saved cursor
     let page = 1;
+    let complete = false;
 
     try {
-      // Loop for pagination if the API supports it
-      // This is a generic pagination loop; adapt to Limitless API's specific mechanism (cursor, page, etc.)
-      // For now, let's assume a simple case where we fetch a batch and if it's full, there might be more.
-      // A more robust solution would check a 'hasNextPage' or similar flag from the API response.
-      do {
+      // Walk the window oldest-first so that the saved cursor and checkpoint only ever move forward.
+      while (true) {
         const params = this.buildApiParams({
-          // since: lastSyncTime.toISOString(), // This might need to be formatted or be an ID
+          timezone: timezone,
+          // The API interprets start as wall-clock time in `timezone`. Epoch means "everything", so omit it.
+          start: windowStart.getTime() > 0 ? DateNormalizer.formatInTimeZone(windowStart, timezone) : undefined,
+          direction: 'asc',
+          includeMarkdown: true,
           limit: limit,
-          cursor: cursor, // If API uses cursor-based pagination
-          // page: page, // If API uses page-based pagination
-          // direction: 'asc', // Or 'desc'
-          // start: lastSyncTime.toISOString(), // If API uses start/end time range
-          // For MVP, we might fetch all or recent, without complex time range logic initially
+          cursor: cursor,
         });
 
         logger.debug(`Limitless: Fetching page ${page} with params:`, params);
         // The endpoint in dev_spec is /v1/lifelogs
         const response = await this.apiClient.get('/lifelogs', { params });
 
-        const lifelogs = response.data.lifelogs || response.data.data || response.data; // Adjust based on actual API response structure
+        // Adjust based on actual API response structure ({ data: { lifelogs }, meta: { lifelogs: { nextCursor } } })
+        const lifelogs = response.data.data?.lifelogs || response.data.lifelogs || response.data.data || [];
+        const nextCursor = response.data.meta?.lifelogs?.nextCursor || response.data.nextCursor || response.data.pagination?.next_cursor;
 
-        if (lifelogs && lifelogs.length > 0) {
+        if (lifelogs.length > 0) {
           allLifelogs = allLifelogs.concat(lifelogs);
           logger.info(`Limitless: Fetched ${lifelogs.length} lifelogs on page ${page}. Total: ${allLifelogs.length}`);
-
-          // Pagination logic: Check for a 'nextCursor', 'nextPage', or if the number of items fetched is less than the limit
-          cursor = response.data.nextCursor || response.data.pagination?.next_cursor; // Adapt to API
-          if (!cursor && lifelogs.length < limit) { // Simple check if no explicit next cursor
-            break;
-          }
-          page++;
-        } else {
-          logger.info(`Limitless: No more lifelogs found on page ${page}.`);
-          break; // No more data
         }
 
-        if (page > (options.maxPages || 10)) { // Safety break for MVP to avoid infinite loops
-             logger.warn("Limitless: Reached max pages limit during fetch.");
-             break;
+        if (!nextCursor || lifelogs.length === 0) {
+          complete = true;
+          break;
         }
+        cursor = nextCursor;
 
-      } while (cursor); // Or other pagination condition
+        if (page >= maxPages) {
+          logger.info(`Limitless: Reached ${maxPages} pages for this run. Remaining pages will be fetched on the next sync.`);
+          break;
+        }
+        page++;
+      }
 
       logger.info(`Limitless: Successfully fetched a total of ${allLifelogs.length} lifelogs.`);
-      return allLifelogs;
-
     } catch (error) {
       logger.error(`Limitless: Error fetching data: ${error.message}`, {
         status: error.response?.status,
         data: error.response?.data,
         // config: error.config, // Can be verbose
       });
-      throw error; // Re-throw to be caught by BaseConnector.sync
+      if (allLifelogs.length === 0) {
+        throw error; // Re-throw to be caught by BaseConnector.sync
+      }
+      // Keep what was fetched before the failure, but make sure the sync is reported as partial.
+      // `cursor` still points at the failed page, so the next run retries it.
+      this.reportPartialFetch(`page ${page} of lifelogs failed after retries (${error.message}); processed ${allLifelogs.length} lifelogs fetched before the failure`);
+    }
+
+    // processData persists the cursor/checkpoint only after the lifelogs are stored,
+    // so a crash between fetch and store never skips data.
+    return {
+      lifelogs: allLifelogs,
+      pagination: { windowStart: windowStart.toISOString(), cursor: complete ? null : cursor, complete },
+    };
+  }
+
+  // Pushed lifelogs are stored as a plain array so they never move the polling cursor.
+  fromWebhookPayload(payload) {
+    return payload.lifelogs;
+  }
+
+  // Archived fetches are replayed without their pagination, so reprocessing never moves the cursor.
+  fromArchivedPayload(payload) {
+    return Array.isArray(payload) ? payload : payload.lifelogs || [];
+  }
+
+  // Fetch every lifelog between two days (YYYY-MM-DD, wall-clock in `timezone`), e.g. one chunk of a backfill job.
+  // Returns a plain array, so processData stores the lifelogs without touching the incremental checkpoint or cursor.
+  async _fetchRange(start, end, timezone, options = {}) {
+    logger.info(`Limitless: Fetching lifelogs from ${start} to ${end} (${timezone})`);
+    const limit = options.limit || 50;
+    const maxPages = options.maxPages || 100;
+    let lifelogs = [];
+    let cursor;
+    for (let page = 1; ; page++) {
+      let response;
+      try {
+        response = await this.apiClient.get('/lifelogs', {
+          params: this.buildApiParams({
+            timezone,
+            start: `${start} 00:00:00`,
+            end: `${end} 23:59:59`,
+            direction: 'asc',
+            includeMarkdown: true,
+            limit,
+            cursor,
+          }),
+        });
+      } catch (error) {
+        logger.error(`Limitless: Error fetching lifelogs from ${start} to ${end} (page ${page}): ${error.message}`, { status: error.response?.status });
+        if (lifelogs.length === 0) throw error;
+        this.reportPartialFetch(`page ${page} of lifelogs from ${start} to ${end} failed after retries (${error.message})`);
+        break;
+      }
+
+      const pageLifelogs = response.data.data?.lifelogs || response.data.lifelogs || response.data.data || [];
+      const nextCursor = response.data.meta?.lifelogs?.nextCursor || response.data.nextCursor || response.data.pagination?.next_cursor;
+      lifelogs = lifelogs.concat(pageLifelogs);
+      if (!nextCursor || pageLifelogs.length === 0) break;
+      if (page >= maxPages) {
+        this.reportPartialFetch(`lifelogs from ${start} to ${end} span more than ${maxPages} pages; fetch a shorter range`);
+        break;
+      }
+      cursor = nextCursor;
     }
+
+    logger.info(`Limitless: Fetched ${lifelogs.length} lifelogs from ${start} to ${end}.`);
+    return lifelogs;
   }
 
-  async processData(lifelogs, options = {}) {
-    if (!lifelogs || lifelogs.length === 0) {
+  // Accepts either the object returned by fetchData ({ lifelogs, pagination }) or a plain array of lifelogs.
+  // Only the former moves the sync checkpoint/cursor; plain arrays are just stored.
+  async processData(data, options = {}) {
+    const lifelogs = Array.isArray(data) ? data : (data && data.lifelogs) || [];
+    const pagination = Array.isArray(data) ? null : data && data.pagination;
+
+    if (lifelogs.length === 0) {
       logger.info('Limitless: No lifelogs to process.');
-      return { newEntries: 0, updatedEntries: 0, errors: 0 };
+      if (pagination) await this._saveProgress(pagination, null, false);
+      return { newEntries: 0, updatedEntries: 0, errors: 0, affectedDates: [] };
     }
 
     let newEntries = 0;
     let updatedEntries = 0;
-    let errorCount = 0;
+    let errorCount = 0; // Lifelogs that failed to store; they are fetched again next time
+    let skippedCount = 0; // Lifelogs rejected by validation; fetching them again wouldn't help, so they don't hold back the checkpoint
+    let affectedDates = new Set();
+    const storedPerDate = new Map(); // YYYY-MM-DD -> lifelogs stored for that day
+    // Latest start time among lifelogs stored before the first store failure (lifelogs arrive oldest-first).
+    let lastContiguousStart = null;
 
     for (const lifelog of lifelogs) {
       try {
@@ -110,7 +194,7 @@ class LimitlessConnector extends BaseConnector {
         const entry = {
           limitless_id: lifelog.id, // Assuming API 'id' maps to 'limitless_id'
           title: lifelog.title,
-          markdown_content: lifelog.markdown_content || lifelog.contents?.find(c => c.type === 'markdown')?.content, // Example access
+          markdown_content: lifelog.markdown || lifelog.markdown_content || lifelog.contents?.find(c => c.type === 'markdown')?.content, // Example access
           start_time: new Date(lifelog.start_time || lifelog.startTime || lifelog.created_at), // Adjust based on API field names
           end_time: new Date(lifelog.end_time || lifelog.endTime || lifelog.updated_at), // Adjust
           is_starred: lifelog.is_starred || lifelog.isStarred || false,
@@ -120,12 +204,12 @@ class LimitlessConnector extends BaseConnector {
         // Validate required fields
         if (!entry.limitless_id || !entry.start_time || !entry.end_time) {
             logger.warn('Limitless: Skipping lifelog due to missing critical fields (id, start_time, end_time)', lifelog);
-            errorCount++;
+            skippedCount++;
             continue;
         }
         if (isNaN(entry.start_time.getTime()) || isNaN(entry.end_time.getTime())) {
             logger.warn('Limitless: Skipping lifelog due to invalid date fields', {id: lifelog.id, start: lifelog.start_time, end: lifelog.end_time});
-            errorCount++;
+            skippedCount++;
             continue;
         }
 
@@ -145,10 +229,20 @@ class LimitlessConnector extends BaseConnector {
         `;
         // xmax = 0 indicates an insert, otherwise it's an update (PostgreSQL specific)
 
-        const result = await db.query(upsertQuery, [
-          entry.limitless_id, entry.title, entry.markdown_content,
-          entry.start_time.toISOString(), entry.end_time.toISOString(), entry.is_starred
-        ]);
+        // The entry upsert and its content-node reconciliation share one transaction, so a failure
+        // part-way through never leaves an entry with a half-updated transcript tree.
+        const result = await db.withTransaction(async (client) => {
+          const upsertResult = await client.query(upsertQuery, [
+            entry.limitless_id, entry.title, entry.markdown_content,
+            entry.start_time.toISOString(), entry.end_time.toISOString(), entry.is_starred
+          ]);
+
+          // Only reconcile when the API included contents; a missing field must not wipe stored nodes.
+          if (lifelog.contents && Array.isArray(lifelog.contents)) {
+            await this.processContentNodes(lifelog.contents, upsertResult.rows[0].id, client);
+          }
+          return upsertResult;
+        });
 
         const dbEntryId = result.rows[0].id;
         if (result.rows[0].inserted) {
@@ -156,93 +250,171 @@ class LimitlessConnector extends BaseConnector {
         } else {
           updatedEntries++;
         }
+        if (errorCount === 0) lastContiguousStart = entry.start_time;
+        const date = entry.start_time.toISOString().split('T')[0];
+        storedPerDate.set(date, (storedPerDate.get(date) || 0) + 1);
         logger.debug(`Limitless: Processed lifelog ${entry.limitless_id}. New: ${result.rows[0].inserted}. DB ID: ${dbEntryId}`);
 
-        // Process content_nodes if they exist in the lifelog structure
-        if (lifelog.contents && Array.isArray(lifelog.contents)) {
-          await this.processContentNodes(lifelog.contents, dbEntryId, null); // Pass null as parent_id for root nodes
-        }
-
       } catch (dbError) {
         logger.error(`Limitless: Error processing lifelog ${lifelog.id}: ${dbError.message}`, { stack: dbError.stack, lifelog });
         errorCount++;
       }
     }
 
-    if (lifelogs.length > 0 && (newEntries > 0 || updatedEntries > 0)) {
-        const latestEntryTime = lifelogs.reduce((latest, item) => {
-            const itemTime = new Date(item.updated_at || item.created_at || item.end_time || 0);
-            return itemTime > latest ? itemTime : latest;
-        }, new Date(0));
-
-        if (latestEntryTime > new Date(0)) {
-            await this.updateLastSyncTime(latestEntryTime);
-        }
+    if (pagination) {
+      await this._saveProgress(pagination, lastContiguousStart, errorCount > 0);
+    }
 
-        // Update daily aggregations for affected dates
-        const affectedDates = new Set(lifelogs.map(l => new Date(l.start_time || l.startTime || l.created_at).toISOString().split('T')[0]));
-        for (const date of affectedDates) {
+    if (newEntries > 0 || updatedEntries > 0) {
+        // Update daily aggregations for the dates of the lifelogs that were stored (skipped ones may have no valid date)
+        const DataProcessor = require('../processing/DataProcessor'); // Moved require here to avoid circular deps if any
+        for (const [date, entriesOnDate] of storedPerDate) {
             // This count is approximate; ideally, count actual entries for that date.
             // For now, we signal that there was activity.
-            const entriesOnDate = lifelogs.filter(l => new Date(l.start_time || l.startTime || l.created_at).toISOString().split('T')[0] === date).length;
-            if (entriesOnDate > 0) {
-                const DataProcessor = require('../processing/DataProcessor'); // Moved require here to avoid circular deps if any
-                await DataProcessor.updateDailyAggregation(date, this.sourceName, entriesOnDate);
-            }
+            await DataProcessor.updateDailyAggregation(date, this.sourceName, entriesOnDate);
         }
+        affectedDates = new Set(storedPerDate.keys());
     }
 
+    logger.info(`Limitless: Processing complete. New: ${newEntries}, Updated: ${updatedEntries}, Errors: ${errorCount}, Skipped (invalid): ${skippedCount}`);
+    return { newEntries, updatedEntries, errors: errorCount, skipped: skippedCount, affectedDates: [...affectedDates] };
+  }
+
+  // Persist where the next sync should pick up, after the fetched lifelogs have been stored.
+  // - Complete window, no failures: advance the checkpoint and drop the cursor.
+  // - More pages remain: save the cursor (with its window start) so the next run resumes there.
+  // - Some lifelogs failed to store: only advance the checkpoint up to the last lifelog stored before
+  //   the first failure and drop the cursor, so the failed ones are fetched again next time.
+  //   Lifelogs skipped as invalid don't count as failures; they would be skipped again.
+  async _saveProgress(pagination, lastContiguousStart, hadErrors) {
+    if (lastContiguousStart && lastContiguousStart > await this.getLastSyncTime()) {
+      await this.updateLastSyncTime(lastContiguousStart);
+    }
 
-    logger.info(`Limitless: Processing complete. New: ${newEntries}, Updated: ${updatedEntries}, Errors: ${errorCount}`);
-    return { newEntries, updatedEntries, errors: errorCount };
+    if (pagination.complete || hadErrors || !pagination.cursor) {
+      await this.deleteMetadata(this._cursorKey());
+    } else {
+      await this.setMetadata(this._cursorKey(), { start: pagination.windowStart, cursor: pagination.cursor });
+      logger.info('Limitless: Saved pagination cursor. The next sync will resume where this one stopped.');
+    }
   }
 
-  async processContentNodes(contentNodes, entryId, parentNodeDbId) {
-    for (const node of contentNodes) {
-      try {
+  // Reconcile the stored content-node tree of an entry with the tree from the API, using the
+  // caller's transaction client so it commits or rolls back together with the entry upsert.
+  // Nodes are identified by their position in the tree (node_key, e.g. '0.2.1'):
+  // unchanged nodes are kept, changed nodes updated, new nodes inserted and missing nodes deleted.
+  async processContentNodes(contentNodes, entryId, client) {
+    const existingResult = await client.query(
+      'SELECT id, node_key, content_hash FROM limitless_content_nodes WHERE entry_id = $1',
+      [entryId]
+    );
+    const existingByKey = new Map(existingResult.rows.map(row => [row.node_key, row]));
+    const seenKeys = [];
+    const stats = { inserted: 0, updated: 0, unchanged: 0, deleted: 0 };
+
+    const reconcile = async (nodes, parentNodeDbId, parentKey) => {
+      for (const [index, node] of nodes.entries()) {
+        const nodeKey = parentKey === null ? String(index) : `${parentKey}.${index}`;
         const contentNodeEntry = {
-          entry_id: entryId,
-          parent_id: parentNodeDbId, // Null for root nodes directly under an entry
           node_type: node.node_type || node.type || 'unknown',
           content: node.content || node.text,
-          start_time: node.start_time ? new Date(node.start_time) : null,
-          end_time: node.end_time ? new Date(node.end_time) : null,
+          start_time: node.start_time || node.startTime ? new Date(node.start_time || node.startTime).toISOString() : null,
+          end_time: node.end_time || node.endTime ? new Date(node.end_time || node.endTime).toISOString() : null,
           start_offset_ms: node.start_offset_ms || node.startOffsetMs,
           end_offset_ms: node.end_offset_ms || node.endOffsetMs,
           speaker_name: node.speaker_name || node.speakerName,
           speaker_identifier: node.speaker_identifier || node.speakerIdentifier,
         };
-
-        // Simple insert for content nodes. Dev spec doesn't imply updates for these.
-        const insertQuery = `
-          INSERT INTO limitless_content_nodes (
-            entry_id, parent_id, node_type, content, start_time, end_time,
-            start_offset_ms, end_offset_ms, speaker_name, speaker_identifier
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-          RETURNING id;
-        `;
-        const result = await db.query(insertQuery, [
-          contentNodeEntry.entry_id, contentNodeEntry.parent_id, contentNodeEntry.node_type,
-          contentNodeEntry.content,
-          contentNodeEntry.start_time ? contentNodeEntry.start_time.toISOString() : null,
-          contentNodeEntry.end_time ? contentNodeEntry.end_time.toISOString() : null,
+        const contentHash = crypto.createHash('sha256').update(JSON.stringify(contentNodeEntry)).digest('hex');
+        const values = [
+          contentNodeEntry.node_type, contentNodeEntry.content,
+          contentNodeEntry.start_time, contentNodeEntry.end_time,
           contentNodeEntry.start_offset_ms, contentNodeEntry.end_offset_ms,
-          contentNodeEntry.speaker_name, contentNodeEntry.speaker_identifier
-        ]);
-        const contentNodeDbId = result.rows[0].id;
-        logger.debug(`Limitless: Inserted content node ${contentNodeDbId} of type ${contentNodeEntry.node_type} for entry ${entryId}`);
+          contentNodeEntry.speaker_name, contentNodeEntry.speaker_identifier,
+          contentHash,
+        ];
+        seenKeys.push(nodeKey);
+
+        let contentNodeDbId;
+        const existing = existingByKey.get(nodeKey);
+        if (existing && existing.content_hash === contentHash) {
+          contentNodeDbId = existing.id;
+          stats.unchanged++;
+        } else if (existing) {
+          await client.query(
+            `UPDATE limitless_content_nodes SET
+               node_type = $2, content = $3, start_time = $4, end_time = $5,
+               start_offset_ms = $6, end_offset_ms = $7, speaker_name = $8, speaker_identifier = $9,
+               content_hash = $10
+             WHERE id = $1`,
+            [existing.id, ...values]
+          );
+          contentNodeDbId = existing.id;
+          stats.updated++;
+        } else {
+          const result = await client.query(
+            `INSERT INTO limitless_content_nodes (
+               node_type, content, start_time, end_time, start_offset_ms, end_offset_ms,
+               speaker_name, speaker_identifier, content_hash, entry_id, parent_id, node_key
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+             RETURNING id;`,
+            [...values, entryId, parentNodeDbId, nodeKey]
+          );
+          contentNodeDbId = result.rows[0].id;
+          stats.inserted++;
+        }
 
         // Recursively process child nodes if they exist (e.g., if node.children is an array)
         if (node.children && Array.isArray(node.children) && node.children.length > 0) {
-          await this.processContentNodes(node.children, entryId, contentNodeDbId);
+          await reconcile(node.children, contentNodeDbId, nodeKey);
         }
-
-      } catch (error) {
-        logger.error(`Limitless: Error processing content node for entry ${entryId}: ${error.message}`, { node });
-        // Decide if this error should increment the main errorCount or be handled differently
       }
-    }
+    };
+
+    await reconcile(contentNodes, null, null); // Root nodes have no parent
+
+    // Anything stored for this entry that is no longer in the tree was removed upstream.
+    // Children of deleted nodes go with them via ON DELETE CASCADE.
+    const deleteResult = await client.query(
+      'DELETE FROM limitless_content_nodes WHERE entry_id = $1 AND NOT (node_key = ANY($2::varchar[]))',
+      [entryId, seenKeys]
+    );
+    stats.deleted = deleteResult.rowCount;
+
+    logger.debug(`Limitless: Reconciled content nodes for entry ${entryId}`, stats);
+    return stats;
   }
 }
 
+// Manifest used by ConnectorRegistry for discovery, config validation and default scheduling.
+LimitlessConnector.manifest = {
+  name: 'limitless',
+  description: 'Lifelogs and transcripts from the Limitless pendant.',
+  configSchema: {
+    type: 'object',
+    required: ['apiKey'],
+    properties: {
+      enabled: { type: 'boolean', default: false },
+      apiKey: { type: 'string' },
+      baseUrl: { type: 'string', default: 'https://api.limitless.ai/v1' },
+      syncInterval: { type: 'string' },
+      timezone: { type: 'string', default: 'UTC' },
+      webhook: {
+        type: 'object',
+        properties: { secret: { type: 'string' }, signatureHeader: { type: 'string' } },
+      },
+    },
+  },
+  // Payloads accepted at POST /api/data/ingest/limitless: lifelogs in the same shape as the API returns them.
+  webhookSchema: {
+    type: 'object',
+    required: ['lifelogs'],
+    properties: {
+      lifelogs: { type: 'array', items: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } } },
+    },
+  },
+  backfill: { order: 'asc', chunkDays: 7 }, // Backfill jobs fetch a week of lifelogs at a time
+  defaultSchedule: '0 * * * *', // Hourly
+};
+
 module.exports = LimitlessConnector;
@@ -0,0 +1,399 @@
+const fs = require('fs');
+const path = require('path');
+const sax = require('sax');
+const { chain } = require('stream-chain');
+const { parser: jsonParser } = require('stream-json');
+const { pick } = require('stream-json/filters/Pick');
+const { streamArray } = require('stream-json/streamers/StreamArray');
+const BaseConnector = require('./BaseConnector');
+const logger = require('../../utils/logger');
+const db = require('../storage/DatabaseManager');
+const DateNormalizer = require('../processing/DateNormalizer');
+
+// Imports location history files into location_points, so "where was I" works without a Bee device.
+//
+// The configured directory is scanned (recursively) for:
+//   *.gpx                                  -> track, route and waypoints with a <time>    (source 'gpx')
+//   Records.json (Google Takeout)          -> raw location samples                        (source 'google_records')
+//   Semantic Location History/*.json       -> place visits and the ends of activity segments (source 'google_semantic')
+//
+// Points are thinned before storing: a point is kept when it is at least minDistanceMeters from
+// the last kept point, or when maxGapSeconds have passed (so long stays are still sampled).
+// Samples less accurate than maxAccuracyMeters are dropped. Rows are unique per (source, recorded_at),
+// so overlapping exports and re-imports don't duplicate points.
+//
+// Each file's size and modification time are kept in the sync cursor; unchanged files are skipped
+// unless forceFullSync is set.
+//
+// Records.json exports run to several GB, more than fits in a string or the heap, so they are not read by
+// fetchData: processData streams their `locations` array, thinning and inserting points batch by batch.
+
+const EARTH_RADIUS_METERS = 6371000;
+const INSERT_BATCH_SIZE = 5000;
+const SNIFF_BYTES = 4096; // Enough of a JSON file's start to see its first key
+
+class LocationConnector extends BaseConnector {
+  constructor() {
+    super('location'); // Matches config.dataSources key
+    this.directory = path.resolve(process.cwd(), this.sourceConfig.directory || './data/location');
+    this.timezone = this.sourceConfig.timezone || 'UTC';
+    logger.info(`LocationConnector initialized for ${this.directory}. Enabled: ${this.isEnabled()}`);
+  }
+
+  async fetchData(options = {}) {
+    if (!this.isEnabled()) {
+      logger.warn('LocationConnector is disabled. Skipping fetch.');
+      return null;
+    }
+    if (!fs.existsSync(this.directory)) {
+      logger.info(`Location: Directory ${this.directory} does not exist yet. Nothing to import.`);
+      return null;
+    }
+
+    const imported = options.forceFullSync ? {} : (await this.getMetadata(this._cursorKey())) || {};
+    const files = [];
+    for (const filePath of this._listFiles(this.directory)) {
+      const relativePath = path.relative(this.directory, filePath);
+      const stats = fs.statSync(filePath);
+      const fingerprint = `${stats.size}:${stats.mtimeMs}`;
+      if (imported[relativePath] === fingerprint) continue;
+
+      try {
+        if (await this._isGoogleRecords(filePath)) {
+          files.push({ relativePath, fingerprint, source: 'google_records', filePath, streamed: true });
+          continue;
+        }
+        const parsed = await this._readFile(filePath);
+        if (!parsed) continue; // A JSON file that isn't location history
+        const points = this._downsample(parsed.points);
+        logger.info(`Location: ${relativePath} has ${parsed.points.length} point(s), ${points.length} kept after downsampling.`);
+        files.push({ relativePath, fingerprint, source: parsed.source, points });
+      } catch (error) {
+        logger.error(`Location: Could not read ${relativePath}: ${error.message}`);
+        this.reportPartialFetch(`${relativePath} could not be read (${error.message})`);
+      }
+    }
+
+    logger.info(`Location: Found ${files.length} new or changed file(s).`);
+    return files.length > 0 ? { files } : null;
+  }
+
+  _listFiles(directory) {
+    const files = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) files.push(...this._listFiles(entryPath));
+      else if (/\.(gpx|json)$/i.test(entry.name)) files.push(entryPath);
+    }
+    return files.sort();
+  }
+
+  // Takeout's Records.json is an object whose first key is "locations"; only the start of the file is read.
+  async _isGoogleRecords(filePath) {
+    if (!/\.json$/i.test(filePath)) return false;
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+      return /^\s*\{\s*"locations"\s*:\s*\[/.test(buffer.toString('utf8', 0, bytesRead));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Returns { source, points } or null for JSON files that aren't a known location history format.
+  // Semantic Location History files are one month each, so they are small enough to parse whole.
+  async _readFile(filePath) {
+    if (/\.gpx$/i.test(filePath)) {
+      return { source: 'gpx', points: await this._parseGpx(filePath) };
+    }
+    const content = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    if (Array.isArray(content.locations)) { // Records data that doesn't start with "locations", e.g. re-saved by another tool
+      return { source: 'google_records', points: content.locations.map(location => this._recordPoint(location)).filter(Boolean) };
+    }
+    if (Array.isArray(content.timelineObjects)) {
+      return { source: 'google_semantic', points: this._parseGoogleSemantic(content.timelineObjects) };
+    }
+    logger.debug(`Location: ${filePath} is not a recognized location history file. Skipping.`);
+    return null;
+  }
+
+  // GPX tracks can be large, so they are streamed. Points without a timestamp can't be placed on a day and are skipped.
+  _parseGpx(filePath) {
+    return new Promise((resolve, reject) => {
+      const points = [];
+      let current = null;
+      let text = '';
+
+      const parser = sax.createStream(true, { trim: true });
+      parser.on('opentag', (node) => {
+        if (['trkpt', 'rtept', 'wpt'].includes(node.name)) {
+          current = { latitude: Number(node.attributes.lat), longitude: Number(node.attributes.lon) };
+        }
+        text = '';
+      });
+      parser.on('text', (value) => { text += value; });
+      parser.on('cdata', (value) => { text += value; });
+      parser.on('closetag', (name) => {
+        if (!current) return;
+        if (name === 'time') current.recordedAt = new Date(text);
+        else if (name === 'ele') current.altitude = Number(text);
+        else if (name === 'name') current.placeName = text;
+        else if (['trkpt', 'rtept', 'wpt'].includes(name)) {
+          if (current.recordedAt && !isNaN(current.recordedAt.getTime())) points.push(this._point(current));
+          current = null;
+        }
+      });
+      parser.on('error', (error) => reject(new Error(`Invalid GPX: ${error.message}`)));
+      parser.on('end', () => resolve(points.filter(Boolean)));
+
+      const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+      stream.on('error', reject);
+      stream.pipe(parser);
+    });
+  }
+
+  // Yields the points of a Records.json file one at a time, parsing it as a stream.
+  async *_streamGoogleRecords(filePath) {
+    const pipeline = chain([
+      fs.createReadStream(filePath),
+      jsonParser(),
+      pick({ filter: 'locations' }),
+      streamArray(),
+    ]);
+    for await (const { value: location } of pipeline) {
+      const point = this._recordPoint(location);
+      if (point) yield point;
+    }
+  }
+
+  _recordPoint(location) {
+    return this._point({
+      latitude: location.latitudeE7 / 1e7,
+      longitude: location.longitudeE7 / 1e7,
+      recordedAt: this._googleTimestamp(location.timestamp, location.timestampMs),
+      accuracy: location.accuracy,
+      altitude: location.altitude,
+    });
+  }
+
+  // Semantic history describes visits and trips rather than samples. Each visit becomes a point at its
+  // start and end (with the place name), each activity segment a point at its start and end location.
+  _parseGoogleSemantic(timelineObjects) {
+    const points = [];
+    for (const object of timelineObjects) {
+      if (object.placeVisit) {
+        const { location = {}, duration = {} } = object.placeVisit;
+        for (const [timestamp, timestampMs] of [[duration.startTimestamp, duration.startTimestampMs], [duration.endTimestamp, duration.endTimestampMs]]) {
+          points.push(this._point({
+            latitude: location.latitudeE7 / 1e7,
+            longitude: location.longitudeE7 / 1e7,
+            recordedAt: this._googleTimestamp(timestamp, timestampMs),
+            placeName: location.name,
+            address: location.address,
+          }));
+        }
+      } else if (object.activitySegment) {
+        const { startLocation = {}, endLocation = {}, duration = {} } = object.activitySegment;
+        points.push(this._point({
+          latitude: startLocation.latitudeE7 / 1e7,
+          longitude: startLocation.longitudeE7 / 1e7,
+          recordedAt: this._googleTimestamp(duration.startTimestamp, duration.startTimestampMs),
+        }));
+        points.push(this._point({
+          latitude: endLocation.latitudeE7 / 1e7,
+          longitude: endLocation.longitudeE7 / 1e7,
+          recordedAt: this._googleTimestamp(duration.endTimestamp, duration.endTimestampMs),
+        }));
+      }
+    }
+    return points.filter(Boolean);
+  }
+
+  // Newer Takeout exports use ISO "timestamp" fields, older ones "timestampMs" epoch strings.
+  _googleTimestamp(timestamp, timestampMs) {
+    if (timestamp) return new Date(timestamp);
+    if (timestampMs) return new Date(Number(timestampMs));
+    return null;
+  }
+
+  // Normalize a parsed point; returns null when coordinates or time are unusable.
+  _point({ latitude, longitude, recordedAt, accuracy, altitude, placeName, address }) {
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    if (!recordedAt || isNaN(recordedAt.getTime())) return null;
+    return {
+      recorded_at: recordedAt.toISOString(),
+      latitude,
+      longitude,
+      accuracy_m: Number.isFinite(accuracy) ? accuracy : null,
+      altitude_m: Number.isFinite(altitude) ? altitude : null,
+      place_name: placeName || null,
+      address: address || null,
+    };
+  }
+
+  // Sort by time, drop inaccurate samples and duplicates, then thin out points that add little.
+  _downsample(points) {
+    const keep = this._createThinning();
+    return [...points]
+      .sort((a, b) => a.recorded_at.localeCompare(b.recorded_at))
+      .filter(keep);
+  }
+
+  // Returns keep(point) for points arriving in time order (streamed Records.json samples are already in order).
+  _createThinning() {
+    const minDistance = this.sourceConfig.minDistanceMeters ?? 25;
+    const maxGapMs = (this.sourceConfig.maxGapSeconds ?? 900) * 1000;
+    const maxAccuracy = this.sourceConfig.maxAccuracyMeters ?? 200;
+    let last = null;
+
+    return (point) => {
+      if (point.accuracy_m !== null && point.accuracy_m > maxAccuracy) return false;
+      if (last && last.recorded_at === point.recorded_at) return false;
+      // Named points (waypoints, place visits) are always kept.
+      if (!last || point.place_name
+        || new Date(point.recorded_at) - new Date(last.recorded_at) >= maxGapMs
+        || this._distanceMeters(last, point) >= minDistance) {
+        last = point;
+        return true;
+      }
+      return false;
+    };
+  }
+
+  // Haversine distance between two points.
+  _distanceMeters(a, b) {
+    const toRadians = degrees => (degrees * Math.PI) / 180;
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+  }
+
+  _localDate(recordedAt) {
+    return (DateNormalizer.formatInTimeZone(new Date(recordedAt), this.timezone) || recordedAt).slice(0, 10);
+  }
+
+  async processData(data, options = {}) {
+    if (!data || !Array.isArray(data.files)) {
+      logger.info('Location: No files to process.');
+      return { newEntries: 0, updatedEntries: 0, errors: 0, affectedDates: [] };
+    }
+
+    const imported = options.forceFullSync ? {} : (await this.getMetadata(this._cursorKey())) || {};
+    let newEntries = 0;
+    let errorCount = 0;
+    const affected = new Set();
+
+    for (const file of data.files) {
+      try {
+        // One transaction per file; points are inserted in batches with unnest() since exports can hold millions.
+        let fileNew = 0;
+        await db.withTransaction(async (client) => {
+          const insertBatch = async (batch) => {
+            const result = await client.query(
+              `INSERT INTO location_points (source, recorded_at, latitude, longitude, accuracy_m, altitude_m, place_name, address, source_file)
+               SELECT $1::text, points.*, $9::text
+               FROM unnest($2::timestamptz[], $3::float8[], $4::float8[], $5::real[], $6::real[], $7::text[], $8::text[]) AS points
+               ON CONFLICT (source, recorded_at) DO NOTHING;`,
+              [file.source, batch.map(p => p.recorded_at), batch.map(p => p.latitude), batch.map(p => p.longitude),
+                batch.map(p => p.accuracy_m), batch.map(p => p.altitude_m), batch.map(p => p.place_name), batch.map(p => p.address),
+                file.relativePath]
+            );
+            fileNew += result.rowCount;
+            batch.forEach(point => affected.add(this._localDate(point.recorded_at)));
+          };
+
+          if (file.streamed) {
+            await this._importStreamed(file, insertBatch);
+          } else {
+            for (let i = 0; i < file.points.length; i += INSERT_BATCH_SIZE) {
+              await insertBatch(file.points.slice(i, i + INSERT_BATCH_SIZE));
+            }
+          }
+        });
+        newEntries += fileNew;
+        imported[file.relativePath] = file.fingerprint;
+        logger.info(`Location: Imported ${file.relativePath}. New points: ${fileNew}`);
+      } catch (error) {
+        logger.error(`Location: Error importing ${file.relativePath}: ${error.message}`, { stack: error.stack });
+        errorCount++;
+      }
+    }
+
+    await this.setMetadata(this._cursorKey(), imported);
+
+    const affectedDates = [...affected].sort();
+    await this._refreshDailyCounts(affectedDates);
+
+    logger.info(`Location: Processing complete. New: ${newEntries}, Errors: ${errorCount}`);
+    return { newEntries, updatedEntries: 0, errors: errorCount, affectedDates };
+  }
+
+  // Stream a Records.json file into insertBatch, thinning the points on the way.
+  async _importStreamed(file, insertBatch) {
+    const keep = this._createThinning();
+    let total = 0;
+    let kept = 0;
+    let batch = [];
+    for await (const point of this._streamGoogleRecords(file.filePath)) {
+      total++;
+      if (!keep(point)) continue;
+      kept++;
+      batch.push(point);
+      if (batch.length >= INSERT_BATCH_SIZE) {
+        await insertBatch(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) await insertBatch(batch);
+    logger.info(`Location: ${file.relativePath} has ${total} point(s), ${kept} kept after downsampling.`);
+  }
+
+  // Points come from several files and sources, so each day's count is taken from the table.
+  async _refreshDailyCounts(dates) {
+    if (dates.length === 0) return;
+    // Bound recorded_at so the index is used; a local day lies within a day either side of the UTC day.
+    const from = new Date(`${dates[0]}T00:00:00Z`);
+    from.setUTCDate(from.getUTCDate() - 1);
+    const to = new Date(`${dates[dates.length - 1]}T00:00:00Z`);
+    to.setUTCDate(to.getUTCDate() + 2);
+
+    const result = await db.query(
+      `SELECT (recorded_at AT TIME ZONE $2)::date::text AS date, COUNT(*)::int AS count
+       FROM location_points
+       WHERE recorded_at >= $3 AND recorded_at < $4
+         AND (recorded_at AT TIME ZONE $2)::date = ANY($1::date[])
+       GROUP BY 1;`,
+      [dates, this.timezone, from.toISOString(), to.toISOString()]
+    );
+    const counts = Object.fromEntries(result.rows.map(row => [row.date, row.count]));
+    const DataProcessor = require('../processing/DataProcessor');
+    for (const date of dates) {
+      await DataProcessor.setDailyCount(date, this.sourceName, counts[date] || 0);
+    }
+  }
+}
+
+// Manifest used by ConnectorRegistry for discovery, config validation and default scheduling.
+LocationConnector.manifest = {
+  name: 'location',
+  description: 'Location history from GPX tracks and Google Takeout (Records.json and Semantic Location History).',
+  configSchema: {
+    type: 'object',
+    required: ['directory'],
+    properties: {
+      enabled: { type: 'boolean', default: false },
+      directory: { type: 'string' },
+      timezone: { type: 'string', default: 'UTC' },
+      minDistanceMeters: { type: 'number', default: 25 },
+      maxGapSeconds: { type: 'number', default: 900 },
+      maxAccuracyMeters: { type: 'number', default: 200 },
+      syncInterval: { type: 'string' },
+    },
+  },
+  archiveRawPayloads: false, // The exported files are the originals; re-import them with forceFullSync
+  defaultSchedule: '30 4 * * *', // Daily; exports are copied in by hand
+};
+
+module.exports = LocationConnector;
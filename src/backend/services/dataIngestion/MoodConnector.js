@@ -1,6 +1,8 @@
 const BaseConnector = require('./BaseConnector');
 const logger = require('../../utils/logger');
 const db = require('../storage/DatabaseManager');
+const { parse } = require('csv-parse/sync');
+const DateNormalizer = require('../processing/DateNormalizer');
 
 // Mood data is manually inputted via an API endpoint as per PRD/DevSpec for MVP.
 // This "connector" is more of a service to handle the storage of mood data
@@ -9,6 +11,19 @@ const db = require('../storage/DatabaseManager');
 // The `sync` method might not be directly applicable either, unless we use it
 // to process a queue of mood entries or something similar (overkill for MVP).
 
+// Column names accepted by the CSV importer (first match wins). Daylio exports use
+// full_date, time, mood, note_title and note.
+const IMPORT_COLUMNS = {
+  date: ['full_date', 'date', 'day'], // Daylio's "date" column is a display string like "March 1"
+  time: ['time', 'recorded_at', 'timestamp'],
+  mood: ['mood_score', 'score', 'rating', 'mood'],
+  moodText: ['mood_text', 'label'],
+  notes: ['notes', 'note_title', 'note'],
+};
+
+// Aggregates over a group of mood_entries rows.
+const DAILY_SUMMARY_COLUMNS = 'ROUND(AVG(mood_score), 2) AS mean, MIN(mood_score) AS min, MAX(mood_score) AS max, COUNT(*) AS count';
+
 class MoodConnector extends BaseConnector {
   constructor() {
     super('mood'); // Matches config.dataSources key
@@ -27,8 +42,14 @@ class MoodConnector extends BaseConnector {
   }
 
   // processData will be used to store mood data received from an API endpoint.
-  // `moodEntryData` would be the payload from the POST request.
+  // `moodEntryData` is the payload from the POST request: one check-in or an array of check-ins.
+  // Several check-ins per day are kept; a check-in is identified by (date, recorded_at, source), so posting
+  // the same recorded_at again updates that check-in instead of adding another one.
+  // `options.source` is 'mood' (API and CSV import, the default) or 'journal' (a note's front-matter mood),
+  // so a journal check-in never takes over an imported one at the same time.
   async processData(moodEntryData, options = {}) {
+    const source = options.source || 'mood';
+
     if (!this.isEnabled()) {
       logger.warn('MoodConnector is disabled. Skipping process.');
       return { newEntries: 0, updatedEntries: 0, errors: 1, message: 'Mood source disabled.' };
@@ -42,75 +63,323 @@ class MoodConnector extends BaseConnector {
     let newEntries = 0;
     let updatedEntries = 0;
     let errorCount = 0;
+    const ids = [];
+    const messages = [];
+    const affectedDates = new Set();
+
+    for (const data of Array.isArray(moodEntryData) ? moodEntryData : [moodEntryData]) {
+      const { entry, error } = this._validateEntry(data);
+      if (error) {
+        logger.error(`MoodConnector: ${error}`, data);
+        messages.push(error);
+        errorCount++;
+        continue;
+      }
 
-    // Validate incoming moodEntryData
-    // Expected fields: date (YYYY-MM-DD), mood_score (1-10), mood_text (optional), notes (optional)
-    // user_id is optional for MVP, can be null.
-    const { date, mood_score, mood_text, notes, user_id = null, recorded_at } = moodEntryData;
+      try {
+        // Upsert logic for mood_entries table. Unique constraint is on (date, recorded_at, source).
+        const upsertQuery = `
+          INSERT INTO mood_entries (user_id, date, mood_score, mood_text, notes, recorded_at, source)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ON CONFLICT (date, recorded_at, source) DO UPDATE SET
+            mood_score = EXCLUDED.mood_score,
+            mood_text = EXCLUDED.mood_text,
+            notes = EXCLUDED.notes,
+            updated_at = NOW()
+          RETURNING id, (xmax = 0) AS inserted;
+        `;
+        const result = await db.query(upsertQuery, [
+          entry.user_id, entry.date, entry.mood_score, entry.mood_text, entry.notes, entry.recorded_at.toISOString(), source
+        ]);
 
-    if (!date || mood_score === undefined) {
-      logger.error('MoodConnector: Missing required fields (date, mood_score) in mood entry data.', moodEntryData);
-      return { newEntries: 0, updatedEntries: 0, errors: 1, message: 'Missing required fields.' };
+        if (result.rows[0].inserted) {
+          newEntries++;
+        } else {
+          updatedEntries++;
+        }
+        ids.push(result.rows[0].id);
+        affectedDates.add(entry.date);
+        logger.info(`MoodConnector: Processed mood check-in for date ${entry.date}. New: ${result.rows[0].inserted}`);
+      } catch (dbError) {
+        logger.error(`MoodConnector: Error processing mood entry for date ${entry.date}: ${dbError.message}`, { stack: dbError.stack, moodEntryData: data });
+        messages.push(`Could not save mood entry for ${entry.date}.`);
+        errorCount++;
+      }
     }
 
-    try {
-      const entry = {
+    // Mood data doesn't have external sync times, so no call to updateLastSyncTime here.
+    for (const date of affectedDates) {
+      await this.refreshDailySummary(date);
+    }
+
+    return {
+      newEntries,
+      updatedEntries,
+      errors: errorCount,
+      affectedDates: [...affectedDates],
+      ids,
+      ...(messages.length > 0 ? { message: messages.join(' ') } : {}),
+    };
+  }
+
+  // Validate and normalize one check-in.
+  // Expected fields: date (YYYY-MM-DD), mood_score (1-10), mood_text (optional), notes (optional),
+  // recorded_at (optional, defaults to now). user_id is optional for MVP, can be null.
+  // Returns { entry } or { error }.
+  _validateEntry(data) {
+    const { date, mood_score, mood_text, notes, user_id = null, recorded_at } = data || {};
+
+    if (!date || mood_score === undefined || mood_score === null) {
+      return { error: 'Missing required fields (date, mood_score) in mood entry data.' };
+    }
+    const parsedDate = new Date(date);
+    if (isNaN(parsedDate.getTime())) {
+      return { error: `Invalid date format: ${date}.` };
+    }
+    const score = Number(mood_score);
+    if (!Number.isInteger(score) || score < 1 || score > 10) {
+      return { error: `Invalid mood score: ${mood_score}. Must be an integer from 1 to 10.` };
+    }
+    const recordedAt = recorded_at ? new Date(recorded_at) : new Date(); // When the mood was input
+    if (isNaN(recordedAt.getTime())) {
+      return { error: `Invalid recorded_at: ${recorded_at}.` };
+    }
+
+    return {
+      entry: {
         user_id: user_id, // For future multi-user support
-        date: new Date(date).toISOString().split('T')[0], // Ensure correct date format
-        mood_score: parseInt(mood_score, 10),
-        mood_text: mood_text,
-        notes: notes,
-        recorded_at: recorded_at ? new Date(recorded_at) : new Date(), // When the mood was input
-      };
-
-      if (isNaN(entry.mood_score) || entry.mood_score < 1 || entry.mood_score > 10) {
-        logger.error('MoodConnector: Invalid mood_score.', { score: mood_score });
-        return { newEntries: 0, updatedEntries: 0, errors: 1, message: 'Invalid mood score.' };
-      }
-      if (isNaN(new Date(entry.date).getTime())) {
-          logger.error('MoodConnector: Invalid date format.', { date });
-          return { newEntries: 0, updatedEntries: 0, errors: 1, message: 'Invalid date format.' };
+        date: parsedDate.toISOString().split('T')[0], // Ensure correct date format
+        mood_score: score,
+        mood_text: mood_text || null,
+        notes: notes || null,
+        recorded_at: recordedAt,
+      },
+    };
+  }
+
+  // Check-ins between two dates (inclusive), oldest first, plus the daily summary for each day.
+  async listEntries(start, end) {
+    const entriesResult = await db.query(
+      `SELECT id, date::text AS date, mood_score, mood_text, notes, recorded_at, source, created_at, updated_at
+       FROM mood_entries
+       WHERE date BETWEEN $1 AND $2
+       ORDER BY date ASC, recorded_at ASC;`,
+      [start, end]
+    );
+    const summaryResult = await db.query(
+      `SELECT date::text AS date, ${DAILY_SUMMARY_COLUMNS}
+       FROM mood_entries
+       WHERE date BETWEEN $1 AND $2
+       GROUP BY date
+       ORDER BY date ASC;`,
+      [start, end]
+    );
+    return { entries: entriesResult.rows, days: summaryResult.rows.map(row => this._formatSummary(row)) };
+  }
+
+  async getEntry(id) {
+    const result = await db.query(
+      'SELECT id, date::text AS date, mood_score, mood_text, notes, recorded_at, source, created_at, updated_at FROM mood_entries WHERE id = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Edit a check-in. `changes` may contain any of date, mood_score, mood_text, notes, recorded_at.
+  // Returns { entry } (null if not found) or { error } for invalid changes.
+  async updateEntry(id, changes = {}) {
+    const existing = await this.getEntry(id);
+    if (!existing) return { entry: null };
+
+    const { entry, error } = this._validateEntry({ ...existing, ...changes });
+    if (error) return { error };
+
+    try {
+      const result = await db.query(
+        `UPDATE mood_entries
+         SET date = $2, mood_score = $3, mood_text = $4, notes = $5, recorded_at = $6, updated_at = NOW()
+         WHERE id = $1
+         RETURNING id, date::text AS date, mood_score, mood_text, notes, recorded_at, source, created_at, updated_at;`,
+        [id, entry.date, entry.mood_score, entry.mood_text, entry.notes, entry.recorded_at.toISOString()]
+      );
+      await this.refreshDailySummary(entry.date);
+      if (existing.date !== entry.date) await this.refreshDailySummary(existing.date); // Moved to another day
+      return { entry: result.rows[0] };
+    } catch (dbError) {
+      if (dbError.code === '23505') { // unique_violation on (date, recorded_at, source)
+        return { error: `Another check-in on ${entry.date} is already recorded at ${entry.recorded_at.toISOString()}.` };
       }
+      throw dbError;
+    }
+  }
+
+  // Returns true if a check-in was deleted.
+  async deleteEntry(id) {
+    const result = await db.query('DELETE FROM mood_entries WHERE id = $1 RETURNING date::text AS date', [id]);
+    if (result.rows.length === 0) return false;
+    await this.refreshDailySummary(result.rows[0].date);
+    return true;
+  }
+
+  // Daily mean, min and max of a day's check-ins, or null if the day has none.
+  async getDailySummary(date) {
+    const result = await db.query(
+      `SELECT ${DAILY_SUMMARY_COLUMNS} FROM mood_entries WHERE date = $1 HAVING COUNT(*) > 0;`,
+      [date]
+    );
+    return result.rows.length > 0 ? this._formatSummary({ date, ...result.rows[0] }) : null;
+  }
+
+  // Recompute the day's mood summary and store it in daily_aggregations for the calendar and newspaper views.
+  async refreshDailySummary(date) {
+    const summary = await this.getDailySummary(date);
+    const DataProcessor = require('../processing/DataProcessor');
+    await DataProcessor.setMoodSummary(date, summary);
+    return summary;
+  }
 
+  // Batch import of mood history from a CSV file (generic or a Daylio export).
+  // Rows are mapped to check-ins and stored through processData, which also refreshes daily_aggregations.
+  // With dryRun nothing is written; the report says what would happen.
+  // Returns { dryRun, totalRows, newEntries, updatedEntries, rejected: [{ line, reason }], affectedDates }.
+  async importCsv(csvText, { dryRun = false } = {}) {
+    let records;
+    try {
+      records = parse(csvText, { columns: header => header.map(name => name.trim().toLowerCase()), skip_empty_lines: true, trim: true, bom: true, relax_column_count: true });
+    } catch (error) {
+      return { error: `Could not parse CSV: ${error.message}` };
+    }
+    if (records.length === 0) {
+      return { error: 'The CSV file has no data rows.' };
+    }
+
+    const columns = Object.keys(records[0]);
+    const pick = (candidates) => candidates.find(name => columns.includes(name));
+    const dateColumn = pick(IMPORT_COLUMNS.date);
+    const moodColumn = pick(IMPORT_COLUMNS.mood);
+    if (!dateColumn || !moodColumn) {
+      return { error: `The CSV needs a date column (${IMPORT_COLUMNS.date.join('/')}) and a mood column (${IMPORT_COLUMNS.mood.join('/')}).` };
+    }
+    const timeColumn = pick(IMPORT_COLUMNS.time);
+    const moodTextColumn = pick(IMPORT_COLUMNS.moodText);
+    const noteColumns = IMPORT_COLUMNS.notes.filter(name => columns.includes(name));
+
+    const importConfig = this.sourceConfig.import || {};
+    const entries = [];
+    const rejected = [];
+    records.forEach((record, index) => {
+      const line = index + 2; // 1-based, after the header row
+      const rawMood = record[moodColumn];
+      const score = this._mapMoodValue(rawMood, importConfig);
+      if (score === null) {
+        rejected.push({ line, reason: `Unknown mood value '${rawMood}'. Add it to dataSources.mood.import.labelMap.` });
+        return;
+      }
+      if (!DateNormalizer.isValidYYYYMMDD(record[dateColumn])) {
+        rejected.push({ line, reason: `Invalid date '${record[dateColumn]}'. Expected YYYY-MM-DD.` });
+        return;
+      }
+      const recordedAt = this._importTimestamp(record[dateColumn], timeColumn ? record[timeColumn] : null, importConfig.timezone);
+      if (!recordedAt) {
+        rejected.push({ line, reason: `Invalid time '${record[timeColumn]}'.` });
+        return;
+      }
 
-      // Upsert logic for mood_entries table. Unique constraint is on (date) for single user MVP.
-      // If user_id is implemented, it would be (user_id, date).
-      const upsertQuery = `
-        INSERT INTO mood_entries (user_id, date, mood_score, mood_text, notes, recorded_at)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        ON CONFLICT (date) DO UPDATE SET
-          mood_score = EXCLUDED.mood_score,
-          mood_text = EXCLUDED.mood_text,
-          notes = EXCLUDED.notes,
-          recorded_at = EXCLUDED.recorded_at,
-          updated_at = NOW()
-        RETURNING (xmax = 0) AS inserted;
-      `;
-      // If user_id is part of the key: ON CONFLICT (user_id, date) DO UPDATE ...
-
-      const result = await db.query(upsertQuery, [
-        entry.user_id, entry.date, entry.mood_score, entry.mood_text, entry.notes, entry.recorded_at.toISOString()
-      ]);
-
-      if (result.rows[0].inserted) {
-        newEntries++;
-      } else {
-        updatedEntries++;
+      const { entry, error } = this._validateEntry({
+        date: record[dateColumn],
+        mood_score: score,
+        // A label like Daylio's "good" is kept as the check-in text
+        mood_text: (moodTextColumn ? record[moodTextColumn] : (isNaN(Number(rawMood)) ? rawMood : null)) || null,
+        notes: noteColumns.map(name => record[name]).filter(Boolean).join(' - ') || null,
+        recorded_at: recordedAt.toISOString(),
+      });
+      if (error) {
+        rejected.push({ line, reason: error });
+        return;
       }
-      logger.info(`MoodConnector: Processed mood entry for date ${entry.date}. New: ${result.rows[0].inserted}`);
+      if (entry.mood_text && entry.mood_text.length > 50) entry.mood_text = entry.mood_text.slice(0, 50); // mood_text is VARCHAR(50)
+      entries.push({ ...entry, recorded_at: entry.recorded_at.toISOString() });
+    });
 
-      // Mood data doesn't have external sync times, so no call to updateLastSyncTime here.
-      if (newEntries > 0 || updatedEntries > 0) {
-        const DataProcessor = require('../processing/DataProcessor');
-        await DataProcessor.updateDailyAggregation(entry.date, this.sourceName, 1); // 1 indicates data is present
+    const report = { dryRun, totalRows: records.length, newEntries: 0, updatedEntries: 0, rejected, affectedDates: [] };
+    if (entries.length === 0) return report;
+
+    if (dryRun) {
+      // Check-ins are keyed on (date, recorded_at, source); existing imported ones would be updated.
+      const existing = await db.query(
+        `SELECT date::text AS date, recorded_at FROM mood_entries WHERE recorded_at = ANY($1::timestamptz[]) AND source = 'mood'`,
+        [entries.map(entry => entry.recorded_at)]
+      );
+      const existingKeys = new Set(existing.rows.map(row => `${row.date}|${new Date(row.recorded_at).toISOString()}`));
+      const keys = new Set();
+      for (const entry of entries) {
+        const key = `${entry.date}|${entry.recorded_at}`;
+        if (existingKeys.has(key) || keys.has(key)) report.updatedEntries++;
+        else report.newEntries++;
+        keys.add(key);
       }
+      report.affectedDates = [...new Set(entries.map(entry => entry.date))].sort();
+      return report;
+    }
 
-    } catch (dbError) {
-      logger.error(`MoodConnector: Error processing mood entry for date ${date}: ${dbError.message}`, { stack: dbError.stack, moodEntryData });
-      errorCount++;
+    const result = await this.processData(entries);
+    logger.info(`MoodConnector: Imported ${entries.length} mood rows. New: ${result.newEntries}, Updated: ${result.updatedEntries}, Rejected: ${rejected.length}, Errors: ${result.errors}`);
+    return {
+      ...report,
+      newEntries: result.newEntries,
+      updatedEntries: result.updatedEntries,
+      errors: result.errors,
+      affectedDates: [...result.affectedDates].sort(),
+    };
+  }
+
+  // Map an imported mood value to the 1-10 scale. Labels are looked up (case-insensitively) in
+  // import.labelMap; numbers are rescaled from import.sourceScale when one is configured.
+  // Returns null if the value can't be mapped.
+  _mapMoodValue(rawValue, importConfig = {}) {
+    const value = String(rawValue ?? '').trim().toLowerCase();
+    if (!value) return null;
+
+    const labelMap = Object.fromEntries(Object.entries(importConfig.labelMap || {}).map(([label, score]) => [label.toLowerCase(), score]));
+    if (labelMap[value] !== undefined) return Number(labelMap[value]);
+
+    const number = Number(value);
+    if (isNaN(number)) return null;
+    const { min, max } = importConfig.sourceScale || {};
+    if (min !== undefined && max !== undefined && max > min) {
+      return Math.round(1 + ((number - min) / (max - min)) * 9);
     }
+    return Math.round(number);
+  }
 
-    return { newEntries, updatedEntries, errors: errorCount };
+  // recorded_at for an imported row: the row's time (in the import timezone) or noon that day.
+  // Rows without a time therefore re-import onto the same check-in instead of duplicating it.
+  _importTimestamp(date, time, timezone = 'UTC') {
+    if (!time) return DateNormalizer.zonedTimeToUtc(`${date} 12:00`, timezone);
+    if (/^\d{4}-\d{2}-\d{2}T/.test(time)) { // Full ISO timestamp
+      const parsed = new Date(time);
+      return isNaN(parsed.getTime()) ? null : parsed;
+    }
+    // "20:15", "8:15 pm", "8:15:30 PM"
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i.exec(time.trim());
+    if (!match) return null;
+    let hours = parseInt(match[1], 10);
+    const meridiem = match[4] ? match[4].toLowerCase()[0] : null;
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+    if (hours > 23) return null;
+    const localTime = `${date} ${String(hours).padStart(2, '0')}:${match[2]}:${match[3] || '00'}`;
+    return DateNormalizer.zonedTimeToUtc(localTime, timezone);
+  }
+
+  _formatSummary(row) {
+    return {
+      date: row.date,
+      mean: row.mean !== null && row.mean !== undefined ? Number(row.mean) : null, // NUMERIC comes back as a string
+      min: row.min,
+      max: row.max,
+      count: Number(row.count),
+    };
   }
 
   // The `sync` method from BaseConnector might not be directly called for mood.
@@ -128,4 +397,42 @@ class MoodConnector extends BaseConnector {
   }
 }
 
+// Manifest used by ConnectorRegistry. Mood is input-driven, so there is no default schedule.
+MoodConnector.manifest = {
+  name: 'mood',
+  description: 'Manually entered mood check-ins (several per day).',
+  configSchema: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean', default: false },
+      reminderTime: { type: 'string' },
+      webhook: {
+        type: 'object',
+        properties: { secret: { type: 'string' }, signatureHeader: { type: 'string' } },
+      },
+      import: {
+        type: 'object',
+        properties: {
+          // Mood labels (e.g. from a Daylio export) -> 1-10 score. Entries here are merged with the defaults.
+          labelMap: { type: 'object', default: { rad: 10, good: 8, meh: 5, bad: 3, awful: 1 } },
+          // Rescale numeric scores from another range, e.g. { min: 1, max: 5 }. Scores are used as-is when unset.
+          sourceScale: {
+            type: 'object',
+            properties: { min: { type: 'number' }, max: { type: 'number' } },
+          },
+          timezone: { type: 'string', default: 'UTC' }, // Timezone of the times in the imported file
+        },
+      },
+    },
+  },
+  // Payloads accepted at POST /api/data/ingest/mood: one check-in or a list, as for POST /api/data/mood.
+  webhookSchema: {
+    type: ['object', 'array'],
+    required: ['date', 'mood_score'],
+    items: { type: 'object', required: ['date', 'mood_score'] },
+  },
+  archiveRawPayloads: false, // Check-ins are entered by hand; there is no fetched payload to keep
+  defaultSchedule: null,
+};
+
 module.exports = MoodConnector;
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const exifr = require('exifr');
+const sharp = require('sharp');
+const BaseConnector = require('./BaseConnector');
+const logger = require('../../utils/logger');
+const db = require('../storage/DatabaseManager');
+const DateNormalizer = require('../processing/DateNormalizer');
+
+// Scans a local photo library and records each photo in media_items against the day it was taken.
+//
+// Capture time comes from EXIF DateTimeOriginal (with OffsetTimeOriginal when the camera wrote one,
+// otherwise interpreted in the configured timezone), falling back to the file's modification time.
+// GPS coordinates are kept so photos can be placed on a map or matched to locations.
+//
+// A JPEG thumbnail is written to thumbnailDir for every photo sharp can decode (the prebuilt sharp
+// cannot decode HEIC; those photos are recorded without a thumbnail). Unchanged files (same size and
+// modification time) are skipped; photos removed from the library are removed along with their thumbnails.
+
+const PHOTO_EXTENSIONS = /\.(jpe?g|png|webp|tiff?|heic|heif|avif)$/i;
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.tif': 'image/tiff',
+  '.tiff': 'image/tiff', '.heic': 'image/heic', '.heif': 'image/heif', '.avif': 'image/avif',
+};
+const EXIF_FIELDS = ['DateTimeOriginal', 'CreateDate', 'OffsetTimeOriginal', 'OffsetTime', 'Make', 'Model', 'ExifImageWidth', 'ExifImageHeight', 'ImageWidth', 'ImageHeight'];
+
+class PhotoConnector extends BaseConnector {
+  constructor() {
+    super('photos'); // Matches config.dataSources key
+    this.directory = path.resolve(process.cwd(), this.sourceConfig.directory || './data/photos');
+    this.thumbnailDir = path.resolve(process.cwd(), this.sourceConfig.thumbnailDir || './data/thumbnails');
+    this.timezone = this.sourceConfig.timezone || 'UTC';
+    logger.info(`PhotoConnector initialized for ${this.directory}. Enabled: ${this.isEnabled()}`);
+  }
+
+  async fetchData(options = {}) {
+    if (!this.isEnabled()) {
+      logger.warn('PhotoConnector is disabled. Skipping fetch.');
+      return null;
+    }
+    if (!fs.existsSync(this.directory)) {
+      logger.info(`Photos: Directory ${this.directory} does not exist yet. Nothing to import.`);
+      return null;
+    }
+
+    const existing = await db.query('SELECT file_path, file_size, file_mtime FROM media_items WHERE source = $1;', [this.sourceName]);
+    const known = new Map(existing.rows.map(row => [row.file_path, row]));
+    const maxPerSync = this.sourceConfig.maxPerSync || 500;
+
+    const photos = [];
+    const seen = new Set();
+    let remaining = 0;
+    for (const filePath of this._listPhotos(this.directory)) {
+      const relativePath = path.relative(this.directory, filePath);
+      seen.add(relativePath);
+      const stats = fs.statSync(filePath);
+      const stored = known.get(relativePath);
+      if (!options.forceFullSync && stored && Number(stored.file_size) === stats.size
+        && new Date(stored.file_mtime).getTime() === stats.mtime.getTime()) continue;
+
+      // Large libraries are imported over several syncs so one run doesn't take hours.
+      if (photos.length >= maxPerSync) {
+        remaining++;
+        continue;
+      }
+      try {
+        photos.push(await this._readPhoto(filePath, relativePath, stats));
+      } catch (error) {
+        logger.error(`Photos: Could not read ${relativePath}: ${error.message}`);
+        this.reportPartialFetch(`${relativePath} could not be read (${error.message})`);
+      }
+    }
+    const removed = [...known.keys()].filter(filePath => !seen.has(filePath));
+
+    if (remaining > 0) logger.info(`Photos: ${remaining} more photo(s) will be imported on the next sync(s).`);
+    logger.info(`Photos: ${photos.length} new or changed photo(s), ${removed.length} removed.`);
+    if (photos.length === 0 && removed.length === 0) return null;
+    return { photos, removed };
+  }
+
+  _listPhotos(directory) {
+    const files = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) files.push(...this._listPhotos(entryPath));
+      else if (PHOTO_EXTENSIONS.test(entry.name)) files.push(entryPath);
+    }
+    return files.sort();
+  }
+
+  async _readPhoto(filePath, relativePath, stats) {
+    // Raw EXIF strings are requested so capture times aren't shifted into the server's timezone.
+    const exif = (await exifr.parse(filePath, { reviveValues: false, pick: EXIF_FIELDS }).catch(() => null)) || {};
+    const gps = await exifr.gps(filePath).catch(() => null);
+    const takenAt = this._captureTime(exif) || stats.mtime;
+
+    return {
+      file_path: relativePath,
+      date: (DateNormalizer.formatInTimeZone(takenAt, this.timezone) || takenAt.toISOString()).slice(0, 10),
+      taken_at: takenAt.toISOString(),
+      taken_at_source: this._captureTime(exif) ? 'exif' : 'file',
+      latitude: gps && Number.isFinite(gps.latitude) ? gps.latitude : null,
+      longitude: gps && Number.isFinite(gps.longitude) ? gps.longitude : null,
+      camera: [exif.Make, exif.Model].filter(Boolean).join(' ').trim() || null,
+      width: exif.ExifImageWidth || exif.ImageWidth || null,
+      height: exif.ExifImageHeight || exif.ImageHeight || null,
+      mime_type: MIME_TYPES[path.extname(filePath).toLowerCase()] || null,
+      file_size: stats.size,
+      file_mtime: stats.mtime.toISOString(),
+    };
+  }
+
+  // EXIF times look like "2024:03:01 14:30:00", optionally with an offset like "-05:00" in OffsetTimeOriginal.
+  _captureTime(exif) {
+    const raw = exif.DateTimeOriginal || exif.CreateDate;
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/.exec(String(raw || ''));
+    if (!match || match[1] === '0000') return null;
+    const localTime = `${match[1]}-${match[2]}-${match[3]} ${match[4]}`;
+    const offset = exif.OffsetTimeOriginal || exif.OffsetTime;
+    if (offset && /^[+-]\d{2}:\d{2}$/.test(offset)) {
+      const parsed = new Date(`${localTime.replace(' ', 'T')}${offset}`);
+      return isNaN(parsed.getTime()) ? null : parsed;
+    }
+    return DateNormalizer.zonedTimeToUtc(localTime, this.timezone);
+  }
+
+  // Thumbnails are named after the photo's path so re-imports overwrite them. Returns the path
+  // relative to thumbnailDir, or null if the image couldn't be decoded. Dry runs only return the name.
+  async _writeThumbnail(photo, options = {}) {
+    const size = this.sourceConfig.thumbnailSize || 320;
+    const name = `${crypto.createHash('sha1').update(photo.file_path).digest('hex')}.jpg`;
+    if (options.dryRun) return name;
+    try {
+      fs.mkdirSync(this.thumbnailDir, { recursive: true });
+      await sharp(path.join(this.directory, photo.file_path))
+        .rotate() // Apply the EXIF orientation
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 75 })
+        .toFile(path.join(this.thumbnailDir, name));
+      return name;
+    } catch (error) {
+      logger.warn(`Photos: No thumbnail for ${photo.file_path}: ${error.message}`);
+      return null;
+    }
+  }
+
+  _removeThumbnail(thumbnailPath, options = {}) {
+    if (!thumbnailPath || options.dryRun) return;
+    fs.rm(path.join(this.thumbnailDir, thumbnailPath), { force: true }, (error) => {
+      if (error) logger.warn(`Photos: Could not remove thumbnail ${thumbnailPath}: ${error.message}`);
+    });
+  }
+
+  async processData(data, options = {}) {
+    if (!data) {
+      logger.info('Photos: No photos to process.');
+      return { newEntries: 0, updatedEntries: 0, errors: 0, affectedDates: [] };
+    }
+
+    let newEntries = 0;
+    let updatedEntries = 0;
+    let errorCount = 0;
+    const affected = new Set();
+
+    for (const photo of data.photos || []) {
+      try {
+        const thumbnailPath = await this._writeThumbnail(photo, options);
+        const result = await db.query(
+          `INSERT INTO media_items (source, file_path, date, taken_at, taken_at_source, latitude, longitude, camera,
+                                    width, height, mime_type, file_size, file_mtime, thumbnail_path)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+           ON CONFLICT (source, file_path) DO UPDATE SET
+             date = EXCLUDED.date,
+             taken_at = EXCLUDED.taken_at,
+             taken_at_source = EXCLUDED.taken_at_source,
+             latitude = EXCLUDED.latitude,
+             longitude = EXCLUDED.longitude,
+             camera = EXCLUDED.camera,
+             width = EXCLUDED.width,
+             height = EXCLUDED.height,
+             mime_type = EXCLUDED.mime_type,
+             file_size = EXCLUDED.file_size,
+             file_mtime = EXCLUDED.file_mtime,
+             thumbnail_path = EXCLUDED.thumbnail_path
+           RETURNING (xmax = 0) AS inserted, (SELECT date::text FROM media_items WHERE source = $1 AND file_path = $2) AS previous_date;`,
+          [this.sourceName, photo.file_path, photo.date, photo.taken_at, photo.taken_at_source, photo.latitude, photo.longitude,
+            photo.camera, photo.width, photo.height, photo.mime_type, photo.file_size, photo.file_mtime, thumbnailPath]
+        );
+        const row = result.rows[0];
+        row.inserted ? newEntries++ : updatedEntries++;
+        affected.add(photo.date);
+        if (row.previous_date) affected.add(row.previous_date); // An edited capture time can move a photo to another day
+      } catch (error) {
+        logger.error(`Photos: Error importing ${photo.file_path}: ${error.message}`, { stack: error.stack });
+        errorCount++;
+      }
+    }
+
+    if ((data.removed || []).length > 0) {
+      const removed = await db.query(
+        'DELETE FROM media_items WHERE source = $1 AND file_path = ANY($2::text[]) RETURNING date::text AS date, thumbnail_path;',
+        [this.sourceName, data.removed]
+      );
+      for (const row of removed.rows) {
+        affected.add(row.date);
+        this._removeThumbnail(row.thumbnail_path, options);
+      }
+      logger.info(`Photos: Removed ${removed.rows.length} photo(s) that are no longer in ${this.directory}.`);
+    }
+
+    const affectedDates = [...affected].sort();
+    await this._refreshDailyCounts(affectedDates);
+
+    logger.info(`Photos: Processing complete. New: ${newEntries}, Updated: ${updatedEntries}, Errors: ${errorCount}`);
+    return { newEntries, updatedEntries, errors: errorCount, affectedDates };
+  }
+
+  // Photos can be deleted or re-dated, so each affected day's count is taken from the table.
+  async _refreshDailyCounts(dates) {
+    if (dates.length === 0) return;
+    const result = await db.query(
+      'SELECT date::text AS date, COUNT(*)::int AS count FROM media_items WHERE date = ANY($1::date[]) GROUP BY date;',
+      [dates]
+    );
+    const counts = Object.fromEntries(result.rows.map(row => [row.date, row.count]));
+    const DataProcessor = require('../processing/DataProcessor');
+    for (const date of dates) {
+      await DataProcessor.setDailyCount(date, this.sourceName, counts[date] || 0);
+    }
+  }
+
+  // Absolute paths of a media item's files, for the media routes. Paths are resolved inside the
+  // configured directories so a tampered row can't point elsewhere on disk.
+  resolveFiles(item) {
+    const inside = (base, relative) => {
+      if (!relative) return null;
+      const resolved = path.resolve(base, relative);
+      return resolved.startsWith(base + path.sep) ? resolved : null;
+    };
+    return {
+      original: inside(this.directory, item.file_path),
+      thumbnail: inside(this.thumbnailDir, item.thumbnail_path),
+    };
+  }
+}
+
+// Manifest used by ConnectorRegistry for discovery, config validation and default scheduling.
+PhotoConnector.manifest = {
+  name: 'photos',
+  description: 'Photos from a local library, dated by EXIF capture time, with GPS and thumbnails.',
+  configSchema: {
+    type: 'object',
+    required: ['directory'],
+    properties: {
+      enabled: { type: 'boolean', default: false },
+      directory: { type: 'string' },
+      thumbnailDir: { type: 'string', default: './data/thumbnails' },
+      thumbnailSize: { type: 'number', default: 320 },
+      timezone: { type: 'string', default: 'UTC' },
+      maxPerSync: { type: 'number', default: 500 },
+      syncInterval: { type: 'string' },
+    },
+  },
+  archiveRawPayloads: false, // The photos are the originals; re-import them with forceFullSync
+  defaultSchedule: '0 */6 * * *',
+};
+
+module.exports = PhotoConnector;
@@ -0,0 +1,94 @@
+const logger = require('../../utils/logger');
+const config = require('../storage/ConfigManager');
+const ConnectorRegistry = require('./ConnectorRegistry');
+const DataSyncManager = require('./DataSyncManager');
+const SyncScheduler = require('./SyncScheduler');
+const SyncRunStore = require('../storage/SyncRunStore');
+
+// Builds the per-connector report behind GET /api/data/sources: whether each discovered connector is
+// enabled and loaded, whether its credentials are configured (no missing required settings, no "${VAR}"
+// left unresolved) and accepted by the source (BaseConnector.probe), its last successful and last failed
+// run, and its next scheduled run. Probe results are cached so polling the endpoint doesn't hit the APIs.
+
+const PROBE_CACHE_MS = 5 * 60 * 1000;
+
+class SourceStatus {
+  constructor() {
+    this.probeResults = new Map(); // Source name -> { ok, message, checked_at }
+  }
+
+  // { refresh } re-runs probes regardless of the cache; { probe: false } skips them.
+  async list({ refresh = false, probe = true } = {}) {
+    let outcomes = {};
+    try {
+      outcomes = await SyncRunStore.getLatestOutcomes();
+    } catch (error) {
+      logger.warn(`SourceStatus: Could not load sync run outcomes: ${error.message}`);
+    }
+
+    const manifests = ConnectorRegistry.list().sort((a, b) => a.name.localeCompare(b.name));
+    return Promise.all(manifests.map(manifest => this._describe(manifest, outcomes[manifest.name] || {}, { refresh, probe })));
+  }
+
+  async _describe(manifest, outcome, { refresh, probe }) {
+    const sourceName = manifest.name;
+    const sourceConfig = config.get(`dataSources.${sourceName}`);
+    const enabled = Boolean(sourceConfig && sourceConfig.enabled === true);
+    const connector = DataSyncManager.getConnector(sourceName);
+    const configErrors = enabled ? ConnectorRegistry.validateConfig(sourceName, sourceConfig) : [];
+    const unresolved = config.getUnresolvedVariables(`dataSources.${sourceName}`);
+    const credentialsPresent = enabled && configErrors.length === 0 && unresolved.length === 0;
+
+    let probeResult = null;
+    if (connector && credentialsPresent && probe) {
+      probeResult = await this._probe(connector, refresh);
+    }
+    const schedule = SyncScheduler.describe(sourceName);
+
+    return {
+      source: sourceName,
+      description: manifest.description || null,
+      enabled,
+      loaded: Boolean(connector), // False when enabled but its configuration is invalid
+      ...(configErrors.length > 0 ? { config_errors: configErrors } : {}),
+      credentials: {
+        present: credentialsPresent,
+        unresolved_variables: unresolved.map(({ variable }) => variable),
+        valid: probeResult ? probeResult.ok : null, // null: not checked, or nothing to check
+        message: probeResult ? probeResult.message : null,
+        checked_at: probeResult ? probeResult.checked_at : null,
+      },
+      degraded: connector ? connector.isDegraded() : false,
+      last_success: outcome.lastSuccess ? this._runSummary(outcome.lastSuccess) : null,
+      last_error: outcome.lastError ? { ...this._runSummary(outcome.lastError), message: outcome.lastError.error_message } : null,
+      next_run_at: schedule ? schedule.next_run_at : null,
+      paused: schedule ? schedule.paused : false,
+    };
+  }
+
+  async _probe(connector, refresh) {
+    const cached = this.probeResults.get(connector.sourceName);
+    if (!refresh && cached && Date.now() - cached.checked_at.getTime() < PROBE_CACHE_MS) return cached;
+
+    let result;
+    try {
+      result = await connector.probe();
+    } catch (error) {
+      result = { ok: false, message: `Probe failed: ${error.message}` };
+    }
+    if (!result) return null;
+
+    const probeResult = { ok: result.ok, message: result.message, checked_at: new Date() };
+    if (!probeResult.ok) logger.warn(`SourceStatus: Credential probe for ${connector.sourceName} failed: ${probeResult.message}`);
+    this.probeResults.set(connector.sourceName, probeResult);
+    return probeResult;
+  }
+
+  _runSummary(run) {
+    return { run_id: run.id, status: run.status, started_at: run.started_at, finished_at: run.finished_at };
+  }
+}
+
+// Singleton instance
+const sourceStatusInstance = new SourceStatus();
+module.exports = sourceStatusInstance;
@@ -0,0 +1,320 @@
+const cron = require('node-cron');
+const logger = require('../../utils/logger');
+const config = require('../storage/ConfigManager');
+const ScheduleStore = require('../storage/ScheduleStore');
+
+// Runs each enabled source's scheduled syncs (triggered_by 'cron' in sync_runs).
+//
+// A schedule is dataSources.<name>.syncInterval, or the manifest's defaultSchedule when that isn't set.
+// It is either a duration ('30m', '1h', '1h30m', '1d'), measured from the start of the previous scheduled
+// run, or a cron expression. Schedules can be paused, retimed and given other quiet hours at runtime
+// through /api/data/schedules; those changes and the next/last run are kept in sync_schedules
+// (ScheduleStore), so they survive a restart and a duration schedule doesn't start over on every restart.
+//
+// Quiet hours (sync.quietHours, or dataSources.<name>.quietHours for one source) are a daily window, e.g.
+// { start: '23:00', end: '07:00', timezone: 'Europe/Berlin' }, in which nothing is synced on schedule.
+// A run that falls due during quiet hours is postponed to their end; manual and pushed syncs still run.
+
+const DURATION_PATTERN = /^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/i;
+const DURATION_UNIT_MS = [24 * 60 * 60 * 1000, 60 * 60 * 1000, 60 * 1000, 1000]; // d, h, m, s
+const MIN_DURATION_MS = 60 * 1000; // Nothing polls more often than once a minute
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout's limit (about 24.8 days); longer waits are re-armed
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+class SyncScheduler {
+  constructor() {
+    this.syncManager = null;
+    this.schedules = {}; // Source name -> schedule state, see start()
+  }
+
+  // Parse a schedule. Returns { type: 'duration', everyMs }, { type: 'cron' } or null if it is neither.
+  parseInterval(value) {
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const text = value.trim().replace(/\s+/g, '');
+    const match = text.match(DURATION_PATTERN);
+    if (match && match.slice(1).some(Boolean)) {
+      const everyMs = match.slice(1).reduce((total, amount, i) => total + (Number(amount) || 0) * DURATION_UNIT_MS[i], 0);
+      return everyMs >= MIN_DURATION_MS ? { type: 'duration', everyMs } : null;
+    }
+    return cron.validate(value.trim()) ? { type: 'cron' } : null;
+  }
+
+  // Problems with a quiet hours setting ({ start, end, timezone } or false for none), as messages.
+  validateQuietHours(value) {
+    if (value === false || value === null) return [];
+    if (typeof value !== 'object' || Array.isArray(value)) return ['quietHours must be an object like { "start": "23:00", "end": "07:00" } or false.'];
+    const errors = [];
+    for (const key of ['start', 'end']) {
+      if (!TIME_OF_DAY_PATTERN.test(value[key] || '')) errors.push(`quietHours.${key} must be a time of day as HH:MM.`);
+    }
+    if (value.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value.timezone });
+      } catch (error) {
+        errors.push(`quietHours.timezone '${value.timezone}' is not a valid IANA timezone.`);
+      }
+    }
+    return errors;
+  }
+
+  // Schedule every connector of `syncManager` (DataSyncManager), picking up where the stored state left off.
+  async start(syncManager) {
+    this.syncManager = syncManager;
+    let stored = new Map();
+    try {
+      stored = await ScheduleStore.getAll();
+    } catch (error) {
+      logger.warn(`SyncScheduler: Could not load stored schedules, using the configured ones: ${error.message}`);
+    }
+
+    for (const sourceName of Object.keys(syncManager.connectors)) {
+      const row = stored.get(sourceName) || {};
+      this.schedules[sourceName] = {
+        source: sourceName,
+        interval: row.sync_interval || null, // Set through the API; null means the configured schedule
+        quietHours: row.quiet_hours === undefined ? null : row.quiet_hours, // Likewise; false means none
+        paused: row.paused === true,
+        nextRunAt: row.next_run_at ? new Date(row.next_run_at) : null,
+        lastRunAt: row.last_run_at ? new Date(row.last_run_at) : null,
+        lastRunId: row.last_run_id || null,
+        lastStatus: row.last_status || null,
+        running: false,
+        postponed: false, // A run is waiting for quiet hours to end
+        timer: null,
+        task: null,
+        saving: Promise.resolve(),
+      };
+      this._arm(sourceName);
+    }
+  }
+
+  list() {
+    return Object.keys(this.schedules).map(sourceName => this.describe(sourceName));
+  }
+
+  // A source's schedule as returned by the API, or null if the source isn't scheduled here.
+  describe(sourceName) {
+    const state = this.schedules[sourceName];
+    if (!state) return null;
+    const { interval, origin } = this._interval(state);
+    const parsed = interval ? this.parseInterval(interval) : null;
+    const quietHours = this._quietHours(state);
+    return {
+      source: sourceName,
+      interval,
+      interval_origin: origin, // 'api', 'config' or 'default' (the connector's defaultSchedule)
+      type: parsed ? parsed.type : null,
+      ...(interval && !parsed ? { error: `Invalid sync interval '${interval}'.` } : {}),
+      paused: state.paused,
+      quiet_hours: quietHours,
+      in_quiet_hours: quietHours ? this.isQuietTime(quietHours) : false,
+      running: state.running,
+      next_run_at: state.nextRunAt,
+      last_run_at: state.lastRunAt,
+      last_run_id: state.lastRunId,
+      last_status: state.lastStatus,
+    };
+  }
+
+  // Change a source's schedule at runtime: { interval, paused, quietHours }. An interval or quietHours of
+  // null goes back to the configured value. Returns { success, schedule } or { success: false, status, message }.
+  async update(sourceName, changes = {}) {
+    const state = this.schedules[sourceName];
+    if (!state) return { success: false, status: 404, message: `Connector ${sourceName} not found or not enabled.` };
+
+    const fields = {};
+    if (changes.interval !== undefined) {
+      if (changes.interval !== null && !this.parseInterval(changes.interval)) {
+        return { success: false, status: 400, message: `Invalid interval '${changes.interval}'. Use a duration of at least a minute (e.g. 30m, 1h, 1h30m, 1d) or a cron expression.` };
+      }
+      fields.interval = changes.interval === null ? null : changes.interval.trim();
+    }
+    if (changes.paused !== undefined) {
+      if (typeof changes.paused !== 'boolean') return { success: false, status: 400, message: 'paused must be true or false.' };
+      fields.paused = changes.paused;
+    }
+    if (changes.quietHours !== undefined) {
+      const errors = this.validateQuietHours(changes.quietHours);
+      if (errors.length > 0) return { success: false, status: 400, message: errors.join(' ') };
+      fields.quietHours = changes.quietHours;
+    }
+    if (Object.keys(fields).length === 0) {
+      return { success: false, status: 400, message: 'Nothing to change. Set interval, paused and/or quietHours.' };
+    }
+
+    await ScheduleStore.save(sourceName, fields);
+    Object.assign(state, fields);
+    if (fields.interval !== undefined || fields.paused === false) state.nextRunAt = null; // Count the new interval from now
+    state.postponed = false;
+    this._arm(sourceName);
+    logger.info(`SyncScheduler: Schedule for ${sourceName} updated.`, fields);
+    return { success: true, schedule: this.describe(sourceName) };
+  }
+
+  // Whether `date` falls within the quiet hours { start, end, timezone }. The window may span midnight.
+  isQuietTime(quietHours, date = new Date()) {
+    const now = this._minutesOfDay(date, quietHours.timezone);
+    const start = this._parseTimeOfDay(quietHours.start);
+    const end = this._parseTimeOfDay(quietHours.end);
+    if (start === end) return false;
+    return start < end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  // Stop every scheduled run (e.g., on application shutdown).
+  stop() {
+    Object.values(this.schedules).forEach(state => this._disarm(state));
+  }
+
+  // (Re)start a source's timer or cron task according to its current state.
+  _arm(sourceName) {
+    const state = this.schedules[sourceName];
+    this._disarm(state);
+
+    const { interval } = this._interval(state);
+    const parsed = interval ? this.parseInterval(interval) : null;
+    if (!interval || state.paused) {
+      logger.info(`SyncScheduler: Automatic sync not scheduled for ${sourceName} (${state.paused ? 'paused' : 'no interval'}).`);
+      state.nextRunAt = null;
+    } else if (!parsed) {
+      logger.warn(`SyncScheduler: Invalid sync interval '${interval}' for ${sourceName}. Use a duration (e.g. 30m, 1h) or a cron expression. Sync will not be scheduled.`);
+      state.nextRunAt = null;
+    } else if (parsed.type === 'cron') {
+      state.task = cron.schedule(interval, () => this._due(sourceName));
+      state.nextRunAt = state.task.getNextRun();
+      logger.info(`SyncScheduler: Scheduling sync for ${sourceName} with cron expression: ${interval}`);
+    } else {
+      // Keep the stored next run across restarts, but never further out than one interval (it may have been shortened).
+      const now = Date.now();
+      const planned = state.nextRunAt ? state.nextRunAt.getTime() : now + parsed.everyMs;
+      state.nextRunAt = new Date(Math.max(now, Math.min(planned, now + parsed.everyMs)));
+      this._setTimer(state, state.nextRunAt);
+      logger.info(`SyncScheduler: Scheduling sync for ${sourceName} every ${interval}; next run at ${state.nextRunAt.toISOString()}.`);
+    }
+    this._save(state, { nextRunAt: state.nextRunAt });
+  }
+
+  _disarm(state) {
+    if (state.timer) clearTimeout(state.timer);
+    if (state.task) state.task.destroy();
+    state.timer = null;
+    state.task = null;
+  }
+
+  _setTimer(state, runAt, options = {}) {
+    const delay = Math.max(0, runAt.getTime() - Date.now());
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      if (delay > MAX_TIMER_MS) return this._setTimer(state, runAt, options);
+      this._due(state.source, options);
+    }, Math.min(delay, MAX_TIMER_MS));
+  }
+
+  // A scheduled run is due (timer or cron tick). `resuming` is set for a run postponed by quiet hours.
+  async _due(sourceName, { resuming = false } = {}) {
+    const state = this.schedules[sourceName];
+    if (!state || state.paused) return;
+    if (state.running || (state.postponed && !resuming)) {
+      logger.info(`SyncScheduler: Skipping scheduled ${sourceName} sync; ${state.running ? 'the previous one is still running' : 'it is postponed until quiet hours end'}.`);
+      return;
+    }
+
+    const quietHours = this._quietHours(state);
+    if (quietHours && this.isQuietTime(quietHours)) {
+      state.postponed = true;
+      state.nextRunAt = this._quietHoursEnd(quietHours);
+      if (state.timer) clearTimeout(state.timer);
+      this._setTimer(state, state.nextRunAt, { resuming: true });
+      logger.info(`SyncScheduler: Scheduled ${sourceName} sync postponed until quiet hours end at ${state.nextRunAt.toISOString()}.`);
+      this._save(state, { nextRunAt: state.nextRunAt });
+      return;
+    }
+
+    state.postponed = false;
+    state.running = true;
+    const startedAt = new Date();
+    logger.info(`SyncScheduler: Scheduled sync triggered for ${sourceName}.`);
+    try {
+      const result = await this.syncManager.syncSource(sourceName, { triggeredBy: 'cron' });
+      state.lastStatus = result.status === 409 ? 'skipped' : (result.partial ? 'partial' : (result.success ? 'success' : 'failed'));
+      state.lastRunId = result.runId || null;
+    } catch (error) {
+      logger.error(`SyncScheduler: Error during scheduled sync for ${sourceName}: ${error.message}`, { stack: error.stack });
+      state.lastStatus = 'failed';
+      state.lastRunId = null;
+    } finally {
+      state.running = false;
+    }
+    state.lastRunAt = startedAt;
+
+    // Durations count from the start of this run. The schedule may have been changed or paused meanwhile,
+    // in which case _arm() already set it up again.
+    const { interval } = this._interval(state);
+    const parsed = interval ? this.parseInterval(interval) : null;
+    if (state.paused || !parsed) {
+      state.nextRunAt = null;
+    } else if (state.task) {
+      state.nextRunAt = state.task.getNextRun();
+    } else if (parsed.type === 'duration' && !state.timer) {
+      const next = startedAt.getTime() + parsed.everyMs;
+      state.nextRunAt = new Date(next > Date.now() ? next : Date.now() + parsed.everyMs);
+      this._setTimer(state, state.nextRunAt);
+    }
+    this._save(state, { nextRunAt: state.nextRunAt, lastRunAt: state.lastRunAt, lastRunId: state.lastRunId, lastStatus: state.lastStatus });
+  }
+
+  // The schedule in effect and where it comes from.
+  _interval(state) {
+    if (state.interval) return { interval: state.interval, origin: 'api' };
+    const connector = this.syncManager.getConnector(state.source);
+    const configured = connector && connector.sourceConfig.syncInterval;
+    if (configured) return { interval: String(configured), origin: 'config' };
+    const defaultSchedule = connector && (connector.constructor.manifest || {}).defaultSchedule;
+    return defaultSchedule ? { interval: defaultSchedule, origin: 'default' } : { interval: null, origin: null };
+  }
+
+  // The quiet hours in effect for a source ({ start, end, timezone }), or null if there are none.
+  _quietHours(state) {
+    const connector = this.syncManager.getConnector(state.source);
+    let quietHours = state.quietHours;
+    if (quietHours === null) quietHours = connector && connector.sourceConfig.quietHours;
+    if (quietHours === null || quietHours === undefined) quietHours = config.get('sync.quietHours');
+    if (!quietHours) return null;
+    if (this.validateQuietHours(quietHours).length > 0) {
+      logger.warn(`SyncScheduler: Ignoring invalid quiet hours for ${state.source}.`, { errors: this.validateQuietHours(quietHours) });
+      return null;
+    }
+    return { start: quietHours.start, end: quietHours.end, timezone: quietHours.timezone || 'UTC' };
+  }
+
+  // When the quiet hours that are in effect now end (the next end time of day, to the minute).
+  _quietHoursEnd(quietHours, date = new Date()) {
+    const now = this._minutesOfDay(date, quietHours.timezone);
+    const minutesLeft = (this._parseTimeOfDay(quietHours.end) - now + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+    const end = new Date(date.getTime() + minutesLeft * 60 * 1000);
+    end.setSeconds(0, 0);
+    return end;
+  }
+
+  _minutesOfDay(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+    const part = type => Number(parts.find(p => p.type === type).value);
+    return part('hour') * 60 + part('minute');
+  }
+
+  _parseTimeOfDay(value) {
+    const [, hours, minutes] = value.match(TIME_OF_DAY_PATTERN);
+    return Number(hours) * 60 + Number(minutes);
+  }
+
+  // Store schedule state in the background; writes for a source are applied in order.
+  _save(state, fields) {
+    state.saving = state.saving
+      .then(() => ScheduleStore.save(state.source, fields))
+      .catch(error => logger.error(`SyncScheduler: Could not store schedule state for ${state.source}: ${error.message}`));
+  }
+}
+
+// Singleton instance
+const syncSchedulerInstance = new SyncScheduler();
+module.exports = syncSchedulerInstance;
@@ -1,193 +1,274 @@
-const axios = require('axios');
 const BaseConnector = require('./BaseConnector');
 const logger = require('../../utils/logger');
 const db = require('../storage/DatabaseManager');
+const { PROVIDERS, createWeatherProvider } = require('./weather');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
 class WeatherConnector extends BaseConnector {
   constructor() {
     super('weather'); // Matches config.dataSources key
     this.apiProvider = this.sourceConfig.provider || 'openweathermap'; // Default provider
 
-    if (this.apiProvider === 'openweathermap') {
-      this.apiClient = axios.create({
-        baseURL: this.sourceConfig.baseUrl || 'https://api.openweathermap.org/data/2.5',
-        params: {
-          appid: this.sourceConfig.apiKey,
-          units: this.sourceConfig.units || 'metric', // or 'imperial'
-        },
-      });
-    } else {
+    // Providers share this connector's retrying, circuit-broken HTTP layer.
+    this.provider = createWeatherProvider(this.apiProvider, this.sourceConfig, (axiosConfig) => this.createHttpClient(axiosConfig));
+    if (!this.provider) {
       logger.warn(`Weather provider ${this.apiProvider} is not supported by this connector. Disabling.`);
       this.sourceConfig.enabled = false;
     }
     logger.info(`WeatherConnector initialized for provider ${this.apiProvider}. Enabled: ${this.isEnabled()}`);
   }
 
-  async fetchData(options = {}) {
-    if (!this.isEnabled() || !this.sourceConfig.apiKey || !this.sourceConfig.location) {
-      logger.warn('WeatherConnector is disabled, API key or location is missing. Skipping fetch.');
-      return null;
+  // Only providers that take an API key have credentials to check.
+  async probe() {
+    return this.provider ? this.provider.probe((client, requestConfig) => this.probeRequest(client, requestConfig)) : null;
+  }
+
+  // Which days to fetch: options.dates (list of YYYY-MM-DD), options.start/options.end (inclusive range),
+  // options.date (single day) or, by default, today.
+  _resolveDates(options) {
+    if (Array.isArray(options.dates)) return options.dates;
+    if (options.start && options.end) {
+      const dates = [];
+      for (let day = new Date(`${options.start}T00:00:00Z`); day <= new Date(`${options.end}T00:00:00Z`); day = new Date(day.getTime() + MS_PER_DAY)) {
+        dates.push(day.toISOString().split('T')[0]);
+      }
+      return dates;
     }
+    return [(options.date ? new Date(options.date) : new Date()).toISOString().split('T')[0]];
+  }
 
-    // Weather data is typically fetched for the current day or a forecast.
-    // For historical data, specific API endpoints or different providers might be needed.
-    // MVP fetches current weather for a configured location.
-    // The dev spec implies fetching for a date, so we might need an API that supports historical data for a specific day.
-    // OpenWeatherMap's free tier has limited historical data.
-    // For MVP, we'll fetch current weather and store it against today's date.
-    // A more advanced version would fetch for specific past dates if the user navigates to them and data is missing.
-
-    const location = options.location || this.sourceConfig.location;
-    const dateToFetch = options.date ? new Date(options.date) : new Date(); // Default to today
-
-    // Check if data for this location and date already exists
-    // This is important for weather as it doesn't change for a past date
-    const existingQuery = `SELECT id FROM weather_entries WHERE location = $1 AND date = $2`;
-    const existingResult = await db.query(existingQuery, [location, dateToFetch.toISOString().split('T')[0]]);
-    if (existingResult.rowCount > 0 && !options.forceRefresh) {
-        logger.info(`Weather data for ${location} on ${dateToFetch.toISOString().split('T')[0]} already exists. Skipping fetch.`);
-        return null; // Or return the existing data if needed by caller
+  async fetchData(options = {}) {
+    if (!this.isEnabled() || !this.provider.isConfigured() || !this.sourceConfig.location) {
+      logger.warn(`WeatherConnector is disabled, location is missing or provider ${this.apiProvider} is not configured (API key?). Skipping fetch.`);
+      return null;
     }
 
+    // Providers fetch the weather that actually happened on past days, so a backfill
+    // stores that day's weather rather than today's.
+    const today = new Date().toISOString().split('T')[0];
+    const days = [];
 
-    logger.info(`Weather: Fetching weather data for location: ${location} for date: ${dateToFetch.toISOString().split('T')[0]}`);
+    for (const date of this._resolveDates(options)) {
+      if (date > today) {
+        logger.warn(`Weather: Skipping ${date}; it is in the future.`);
+        continue;
+      }
 
-    try {
-      if (this.apiProvider === 'openweathermap') {
-        // Using 'weather' endpoint for current weather.
-        // For historical, one might use 'onecall/timemachine' (requires paid plan for >5 days ago)
-        // or other historical data APIs.
-        // For MVP, let's assume we are fetching "current" weather for the location and associate it with "today".
-        // If options.date is in the past, this simple fetch might not be accurate.
-        // A true historical fetch would require a different endpoint or logic.
+      // Check if weather for this date already exists (one entry per day, see processData).
+      // This is important for weather as it doesn't change for a past date
+      const existingQuery = `SELECT id FROM weather_entries WHERE date = $1`;
+      const existingResult = await db.query(existingQuery, [date]);
+      if (existingResult.rowCount > 0 && !options.forceRefresh) {
+        logger.info(`Weather data for ${date} already exists. Skipping fetch.`);
+        continue;
+      }
 
-        const params = this.buildApiParams({
-            q: location, // City name, state code and country code divided by comma, e.g., "London,uk"
-            // lat: latitude, lon: longitude // Alternative to q for geo coordinates
+      let location = options.location || this.sourceConfig.location;
+      try {
+        if (!options.location) location = await this._resolveDayLocation(date);
+        const label = typeof location === 'string' ? location : location.label;
+        logger.info(`Weather: Fetching weather data from ${this.apiProvider} for location: ${label} for date: ${date}`);
+        const record = await this.provider.getDaily(location, date, { isToday: date === today });
+        days.push({ provider: this.apiProvider, fetchedDate: date, fetchedLocation: label, record });
+      } catch (error) {
+        logger.error(`Weather: Error fetching data for ${location.label || location} on ${date}: ${error.message}`, {
+          status: error.response?.status,
+          data: error.response?.data,
         });
+        // A single failed day shouldn't lose the rest of a backfill, but an open circuit means
+        // every remaining request would fail fast, so stop there.
+        this.reportPartialFetch(`weather for ${date} could not be fetched (${error.message})`);
+        if (error.code === 'CIRCUIT_OPEN') break;
+      }
+    }
 
-        // If fetching for a specific date, and it's today or future (forecast)
-        // This is a simplified model. OpenWeatherMap's free "weather" endpoint is current.
-        // "forecast/daily" could be used for up to 16 days.
-        // For MVP, we'll just get current and stamp it.
-        const response = await this.apiClient.get('/weather', { params });
-
-        // Attach the date and location to the response for processData
-        response.data.fetchedDate = dateToFetch.toISOString().split('T')[0];
-        response.data.fetchedLocation = location;
+    if (days.length === 0 && this.partialFetchReasons.length > 0) {
+      throw new Error(`Weather: No days could be fetched. ${this.partialFetchReasons.join('; ')}`);
+    }
+    logger.info(`Weather: Successfully fetched weather data for ${days.length} day(s).`);
+    return days.length > 0 ? days : null;
+  }
 
-        logger.info(`Weather: Successfully fetched weather data for ${location}.`);
-        return response.data;
+  // Where the weather for a day should come from: the dominant location of that day from Bee
+  // or imported location history when such data exists, otherwise the configured location.
+  // Returns { lat, lon, label } for a derived location or the configured location string.
+  async _resolveDayLocation(date) {
+    // Location samples are grouped on ~1 km cells (2 decimal places); the cell with the most samples wins.
+    const tables = [];
+    if (this.sourceConfig.useBeeLocations !== false) tables.push('bee_locations');
+    if (this.sourceConfig.useLocationHistory !== false) tables.push('location_points');
+    for (const table of tables) {
+      const samples = await db.query(
+        `SELECT ROUND(latitude::numeric, 2)::float AS lat, ROUND(longitude::numeric, 2)::float AS lon, COUNT(*) AS samples,
+                MODE() WITHIN GROUP (ORDER BY address) AS address
+         FROM ${table}
+         WHERE recorded_at >= $1::date AND recorded_at < $1::date + 1
+         GROUP BY 1, 2
+         ORDER BY samples DESC
+         LIMIT 1;`,
+        [date]
+      );
+      if (samples.rows.length > 0) {
+        return this._toDayLocation(samples.rows[0], table, date);
       }
-    } catch (error) {
-      logger.error(`Weather: Error fetching data for ${location}: ${error.message}`, {
-        status: error.response?.status,
-        data: error.response?.data,
-      });
-      throw error;
     }
-    return null;
+    if (this.sourceConfig.useBeeLocations === false) return this.sourceConfig.location;
+
+    // No location samples; fall back to where that day's conversations took place.
+    const conversations = await db.query(
+      `SELECT ROUND((primary_location->>'latitude')::numeric, 2)::float AS lat,
+              ROUND((primary_location->>'longitude')::numeric, 2)::float AS lon,
+              SUM(EXTRACT(EPOCH FROM (end_time - start_time))) AS seconds,
+              MODE() WITHIN GROUP (ORDER BY primary_location->>'address') AS address
+       FROM bee_conversations
+       WHERE start_time >= $1::date AND start_time < $1::date + 1
+         AND primary_location->>'latitude' IS NOT NULL AND primary_location->>'longitude' IS NOT NULL
+       GROUP BY 1, 2
+       ORDER BY seconds DESC
+       LIMIT 1;`,
+      [date]
+    );
+    if (conversations.rows.length > 0) {
+      return this._toDayLocation(conversations.rows[0], 'bee_conversations', date);
+    }
+
+    return this.sourceConfig.location;
+  }
+
+  // weather_entries.location keeps the coordinates so entries from travel days are distinguishable.
+  _toDayLocation(row, origin, date) {
+    const coordinates = `${row.lat.toFixed(2)},${row.lon.toFixed(2)}`;
+    const label = row.address ? `${row.address.slice(0, 200)} (${coordinates})` : coordinates;
+    logger.debug(`Weather: Dominant location for ${date} from ${origin}: ${label}`);
+    return { lat: row.lat, lon: row.lon, label };
+  }
+
+  // Days in [start, end] that have data from another source but no weather entry yet.
+  // Calendar data is left out on purpose: it includes future days, which have no historical weather.
+  async findDatesMissingWeather(start, end) {
+    const result = await db.query(
+      `SELECT da.date::text AS date
+       FROM daily_aggregations da
+       WHERE da.date BETWEEN $1 AND $2
+         AND (da.has_limitless_data OR da.has_bee_data OR da.has_mood_data OR da.has_location_data
+           OR da.has_journal_data OR da.has_photo_data OR da.has_health_data OR da.has_life_events_data)
+         AND NOT EXISTS (SELECT 1 FROM weather_entries w WHERE w.date = da.date)
+       ORDER BY da.date;`,
+      [start, end]
+    );
+    return result.rows.map(row => row.date);
   }
 
   async processData(weatherData, options = {}) {
     if (!weatherData) {
       logger.info('Weather: No weather data to process.');
-      return { newEntries: 0, updatedEntries: 0, errors: 0 };
+      return { newEntries: 0, updatedEntries: 0, errors: 0, affectedDates: [] };
     }
 
     let newEntries = 0;
     let updatedEntries = 0;
     let errorCount = 0;
+    const affectedDates = [];
 
-    const date = weatherData.fetchedDate; // Date for which data was fetched
-    const location = weatherData.fetchedLocation; // Location for which data was fetched
-
-    try {
-      let entry = {};
-      if (this.apiProvider === 'openweathermap') {
-        entry = {
-          date: date,
-          location: location,
-          temperature_high: weatherData.main?.temp_max,
-          temperature_low: weatherData.main?.temp_min,
-          condition: weatherData.weather?.[0]?.main,
-          description: weatherData.weather?.[0]?.description,
-          humidity: weatherData.main?.humidity,
-          icon_code: weatherData.weather?.[0]?.icon,
-          sunrise: weatherData.sys?.sunrise ? new Date(weatherData.sys.sunrise * 1000) : null,
-          sunset: weatherData.sys?.sunset ? new Date(weatherData.sys.sunset * 1000) : null,
-          data: JSON.stringify(weatherData), // Store the raw response
-        };
-      } else {
-        logger.warn(`Weather: Processing not implemented for provider ${this.apiProvider}`);
-        return { newEntries: 0, updatedEntries: 0, errors: 1 };
-      }
+    // fetchData returns one normalized provider record per day.
+    const days = Array.isArray(weatherData) ? weatherData : [weatherData];
+
+    for (const day of days) {
+      const date = day.fetchedDate; // Date for which data was fetched
+      const location = day.fetchedLocation; // Location for which data was fetched
+
+      try {
+        const { raw, ...record } = day.record || {};
+        const entry = { date, location, ...record, data: JSON.stringify(raw || {}) }; // Store the raw provider response
 
-      if (!entry.date || !entry.location) {
+        if (!entry.date || !entry.location) {
           logger.error('Weather: Processed entry is missing date or location.', entry);
-          return { newEntries: 0, updatedEntries: 0, errors: 1 };
-      }
+          errorCount++;
+          continue;
+        }
 
-      // Upsert logic based on (date, location)
-      const upsertQuery = `
-        INSERT INTO weather_entries (date, location, temperature_high, temperature_low, condition, description, humidity, icon_code, sunrise, sunset, data)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-        ON CONFLICT (date, location) DO UPDATE SET
-          temperature_high = EXCLUDED.temperature_high,
-          temperature_low = EXCLUDED.temperature_low,
-          condition = EXCLUDED.condition,
-          description = EXCLUDED.description,
-          humidity = EXCLUDED.humidity,
-          icon_code = EXCLUDED.icon_code,
-          sunrise = EXCLUDED.sunrise,
-          sunset = EXCLUDED.sunset,
-          data = EXCLUDED.data,
-          created_at = NOW() -- Or updated_at if schema has it; created_at for weather is effectively 'last_updated_at'
-        RETURNING (xmax = 0) AS inserted;
-      `;
-      // Note: weather_entries schema has created_at, no updated_at. So updated records also refresh created_at.
-      // This is okay if created_at is seen as "when this record was last synced/updated".
-
-      const result = await db.query(upsertQuery, [
-        entry.date, entry.location, entry.temperature_high, entry.temperature_low,
-        entry.condition, entry.description, entry.humidity, entry.icon_code,
-        entry.sunrise ? entry.sunrise.toISOString() : null,
-        entry.sunset ? entry.sunset.toISOString() : null,
-        entry.data
-      ]);
-
-      if (result.rows[0].inserted) {
-        newEntries++;
-      } else {
-        updatedEntries++;
-      }
-      logger.debug(`Weather: Processed weather for ${location} on ${date}. New: ${result.rows[0].inserted}`);
+        // Upsert logic based on (date, location)
+        const upsertQuery = `
+          INSERT INTO weather_entries (date, location, temperature_high, temperature_low, condition, description, humidity, icon_code, sunrise, sunset, data)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+          ON CONFLICT (date, location) DO UPDATE SET
+            temperature_high = EXCLUDED.temperature_high,
+            temperature_low = EXCLUDED.temperature_low,
+            condition = EXCLUDED.condition,
+            description = EXCLUDED.description,
+            humidity = EXCLUDED.humidity,
+            icon_code = EXCLUDED.icon_code,
+            sunrise = EXCLUDED.sunrise,
+            sunset = EXCLUDED.sunset,
+            data = EXCLUDED.data,
+            created_at = NOW() -- Or updated_at if schema has it; created_at for weather is effectively 'last_updated_at'
+          RETURNING (xmax = 0) AS inserted;
+        `;
+        // Note: weather_entries schema has created_at, no updated_at. So updated records also refresh created_at.
+        // This is okay if created_at is seen as "when this record was last synced/updated".
+
+        const result = await db.query(upsertQuery, [
+          entry.date, entry.location, entry.temperature_high, entry.temperature_low,
+          entry.condition, entry.description, entry.humidity, entry.icon_code,
+          entry.sunrise ? entry.sunrise.toISOString() : null,
+          entry.sunset ? entry.sunset.toISOString() : null,
+          entry.data
+        ]);
+
+        if (result.rows[0].inserted) {
+          newEntries++;
+        } else {
+          updatedEntries++;
+        }
+        logger.debug(`Weather: Processed weather for ${location} on ${date}. New: ${result.rows[0].inserted}`);
 
-      // Weather data usually doesn't have a 'last modified' time from API for a specific day's weather.
-      // So, we don't update LastSyncTime based on weather data content. BaseConnector's default sync time update is fine.
+        // One weather entry per day: drop entries for the same day stored under another location
+        // (e.g. the configured home location before Bee data for that day arrived).
+        await db.query('DELETE FROM weather_entries WHERE date = $1 AND location <> $2', [date, location]);
+
+        // Weather data usually doesn't have a 'last modified' time from API for a specific day's weather.
+        // So, we don't update LastSyncTime based on weather data content. BaseConnector's default sync time update is fine.
 
-      if (newEntries > 0 || updatedEntries > 0) {
         const DataProcessor = require('../processing/DataProcessor');
         await DataProcessor.updateDailyAggregation(date, this.sourceName, 1); // 1 indicates data is present
+        affectedDates.push(date);
+      } catch (dbError) {
+        logger.error(`Weather: Error processing weather data for ${location} on ${date}: ${dbError.message}`, { stack: dbError.stack });
+        errorCount++;
       }
-
-    } catch (dbError) {
-      logger.error(`Weather: Error processing weather data for ${location} on ${date}: ${dbError.message}`, { stack: dbError.stack });
-      errorCount++;
     }
 
-    logger.info(`Weather: Processing complete for ${location} on ${date}. New: ${newEntries}, Updated: ${updatedEntries}, Errors: ${errorCount}`);
-    return { newEntries, updatedEntries, errors: errorCount };
+    logger.info(`Weather: Processing complete for ${days.length} day(s). New: ${newEntries}, Updated: ${updatedEntries}, Errors: ${errorCount}`);
+    return { newEntries, updatedEntries, errors: errorCount, affectedDates };
   }
-
-  // Override sync to handle date-specific fetching if needed.
-  // For MVP, base sync is fine.
-  // async sync(options = {}) {
-  //   // If options.date is provided, fetch for that specific date.
-  //   // Otherwise, fetch for today.
-  //   const dateToSync = options.date || new Date().toISOString().split('T')[0];
-  //   return super.sync({ ...options, date: dateToSync, location: this.sourceConfig.location });
-  // }
 }
 
+// Manifest used by ConnectorRegistry for discovery, config validation and default scheduling.
+WeatherConnector.manifest = {
+  name: 'weather',
+  description: 'Daily weather where you were (from Bee location data, else the configured location), including historical days for backfills.',
+  configSchema: {
+    type: 'object',
+    required: ['location'], // apiKey is checked by providers that need one (openweathermap)
+    properties: {
+      enabled: { type: 'boolean', default: false },
+      provider: { type: 'string', enum: Object.keys(PROVIDERS), default: 'openweathermap' },
+      apiKey: { type: 'string' },
+      baseUrl: { type: 'string' },
+      oneCallUrl: { type: 'string' }, // openweathermap: historical daily summaries (One Call 3.0)
+      archiveUrl: { type: 'string' }, // openmeteo: historical archive API
+      geocodingUrl: { type: 'string' },
+      fixturePath: { type: 'string' }, // local: JSON fixture file
+      location: { type: 'string' }, // Fallback when there is no Bee location data for a day
+      useBeeLocations: { type: 'boolean', default: true },
+      useLocationHistory: { type: 'boolean', default: true },
+      units: { type: 'string', enum: ['metric', 'imperial', 'standard'], default: 'metric' },
+      syncInterval: { type: 'string' },
+    },
+  },
+  backfill: { order: 'asc', chunkDays: 30 },
+  defaultSchedule: '0 */6 * * *', // Every 6 hours
+};
+
 module.exports = WeatherConnector;
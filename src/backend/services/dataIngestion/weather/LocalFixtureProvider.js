@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const WeatherProvider = require('./WeatherProvider');
+
+// Offline provider for development and demos. Reads records from a JSON fixture file
+// (dataSources.weather.fixturePath, default: the bundled fixtures/weather.json):
+//   {
+//     "dates": { "2024-03-01": { ...record } },  // Exact-date records
+//     "samples": [ { ...record }, ... ]          // Any other date picks one of these, stable per date
+//   }
+// Records use the normalized field names (temperature_high, condition, ...); sunrise/sunset are "HH:mm" UTC.
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, 'fixtures', 'weather.json');
+
+class LocalFixtureProvider extends WeatherProvider {
+  constructor(sourceConfig, createHttpClient) {
+    super('local', sourceConfig, createHttpClient);
+    this.fixturePath = sourceConfig.fixturePath ? path.resolve(process.cwd(), sourceConfig.fixturePath) : DEFAULT_FIXTURE_PATH;
+    this.fixtures = null;
+  }
+
+  async getDaily(location, date) {
+    const fixtures = this._loadFixtures();
+    const samples = fixtures.samples || [];
+    let record = fixtures.dates?.[date];
+    if (!record) {
+      if (samples.length === 0) throw new Error(`No weather fixture for ${date} in ${this.fixturePath}`);
+      const dayNumber = Math.floor(new Date(`${date}T00:00:00Z`).getTime() / (24 * 60 * 60 * 1000));
+      record = samples[Math.abs(dayNumber) % samples.length];
+    }
+
+    return {
+      temperature_high: record.temperature_high ?? null,
+      temperature_low: record.temperature_low ?? null,
+      condition: record.condition || null,
+      description: record.description || null,
+      humidity: record.humidity ?? null,
+      icon_code: record.icon_code || null,
+      sunrise: record.sunrise ? new Date(`${date}T${record.sunrise}:00Z`) : null,
+      sunset: record.sunset ? new Date(`${date}T${record.sunset}:00Z`) : null,
+      raw: { fixture: true, location: typeof location === 'string' ? location : location.label, date, ...record },
+    };
+  }
+
+  _loadFixtures() {
+    if (!this.fixtures) {
+      this.fixtures = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+    }
+    return this.fixtures;
+  }
+}
+
+module.exports = LocalFixtureProvider;
@@ -0,0 +1,105 @@
+const WeatherProvider = require('./WeatherProvider');
+
+// Open-Meteo (https://open-meteo.com): free and keyless. Recent days and today come from the
+// forecast API, older days from the historical archive API (which lags a few days behind).
+const DEFAULT_BASE_URL = 'https://api.open-meteo.com/v1';
+const DEFAULT_ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1';
+const DEFAULT_GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1';
+const ARCHIVE_LAG_DAYS = 5;
+const DAILY_FIELDS = 'weather_code,temperature_2m_max,temperature_2m_min,relative_humidity_2m_mean,sunrise,sunset';
+
+// WMO weather interpretation codes -> [condition, description, OpenWeatherMap-style icon code]
+const WMO_CODES = {
+  0: ['Clear', 'clear sky', '01d'],
+  1: ['Clear', 'mainly clear', '02d'],
+  2: ['Clouds', 'partly cloudy', '03d'],
+  3: ['Clouds', 'overcast', '04d'],
+  45: ['Fog', 'fog', '50d'],
+  48: ['Fog', 'depositing rime fog', '50d'],
+  51: ['Drizzle', 'light drizzle', '09d'],
+  53: ['Drizzle', 'moderate drizzle', '09d'],
+  55: ['Drizzle', 'dense drizzle', '09d'],
+  56: ['Drizzle', 'freezing drizzle', '09d'],
+  57: ['Drizzle', 'dense freezing drizzle', '09d'],
+  61: ['Rain', 'slight rain', '10d'],
+  63: ['Rain', 'moderate rain', '10d'],
+  65: ['Rain', 'heavy rain', '10d'],
+  66: ['Rain', 'freezing rain', '13d'],
+  67: ['Rain', 'heavy freezing rain', '13d'],
+  71: ['Snow', 'slight snow fall', '13d'],
+  73: ['Snow', 'moderate snow fall', '13d'],
+  75: ['Snow', 'heavy snow fall', '13d'],
+  77: ['Snow', 'snow grains', '13d'],
+  80: ['Rain', 'slight rain showers', '09d'],
+  81: ['Rain', 'moderate rain showers', '09d'],
+  82: ['Rain', 'violent rain showers', '09d'],
+  85: ['Snow', 'slight snow showers', '13d'],
+  86: ['Snow', 'heavy snow showers', '13d'],
+  95: ['Thunderstorm', 'thunderstorm', '11d'],
+  96: ['Thunderstorm', 'thunderstorm with slight hail', '11d'],
+  99: ['Thunderstorm', 'thunderstorm with heavy hail', '11d'],
+};
+
+class OpenMeteoProvider extends WeatherProvider {
+  constructor(sourceConfig, createHttpClient) {
+    super('openmeteo', sourceConfig, createHttpClient);
+    // Absolute URLs per request, since forecast, archive and geocoding live on different hosts.
+    this.apiClient = createHttpClient({});
+  }
+
+  async getDaily(location, date) {
+    const { lat, lon } = await this.resolveCoordinates(location);
+    const daysAgo = (Date.now() - new Date(`${date}T00:00:00Z`).getTime()) / (24 * 60 * 60 * 1000);
+    const baseUrl = daysAgo > ARCHIVE_LAG_DAYS
+      ? (this.sourceConfig.archiveUrl || DEFAULT_ARCHIVE_URL) + '/archive'
+      : (this.sourceConfig.baseUrl || DEFAULT_BASE_URL) + '/forecast';
+
+    const response = await this.apiClient.get(baseUrl, {
+      params: {
+        latitude: lat,
+        longitude: lon,
+        start_date: date,
+        end_date: date,
+        daily: DAILY_FIELDS,
+        timezone: 'auto', // Daily values and sunrise/sunset in the location's local time
+        temperature_unit: this.sourceConfig.units === 'imperial' ? 'fahrenheit' : 'celsius',
+      },
+    });
+    const weatherData = response.data;
+    const daily = weatherData.daily || {};
+    if (!Array.isArray(daily.time) || daily.time.length === 0) {
+      throw new Error(`Open-Meteo returned no daily data for ${date}`);
+    }
+
+    const [condition, description, iconCode] = WMO_CODES[daily.weather_code?.[0]] || [null, null, null];
+    return {
+      temperature_high: this._round(daily.temperature_2m_max?.[0]),
+      temperature_low: this._round(daily.temperature_2m_min?.[0]),
+      condition,
+      description,
+      humidity: this._round(daily.relative_humidity_2m_mean?.[0]),
+      icon_code: iconCode,
+      sunrise: this._localToDate(daily.sunrise?.[0], weatherData.utc_offset_seconds),
+      sunset: this._localToDate(daily.sunset?.[0], weatherData.utc_offset_seconds),
+      raw: weatherData,
+    };
+  }
+
+  async geocode(location) {
+    // Open-Meteo's geocoder matches place names only, so "New York, NY" is searched as "New York".
+    const response = await this.apiClient.get(`${this.sourceConfig.geocodingUrl || DEFAULT_GEOCODING_URL}/search`, {
+      params: { name: location.split(',')[0].trim(), count: 1 },
+    });
+    const match = response.data?.results?.[0];
+    return match ? { lat: match.latitude, lon: match.longitude } : null;
+  }
+
+  // Open-Meteo returns local wall-clock times like "2024-03-01T06:42" plus the location's UTC offset.
+  _localToDate(localTime, utcOffsetSeconds = 0) {
+    if (!localTime) return null;
+    const date = new Date(new Date(`${localTime}:00Z`).getTime() - utcOffsetSeconds * 1000);
+    return isNaN(date.getTime()) ? null : date;
+  }
+}
+
+module.exports = OpenMeteoProvider;
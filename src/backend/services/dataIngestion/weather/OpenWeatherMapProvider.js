@@ -0,0 +1,88 @@
+const WeatherProvider = require('./WeatherProvider');
+
+// OpenWeatherMap: current conditions from the 2.5 "weather" endpoint, past days from the
+// One Call 3.0 "day_summary" endpoint (needs coordinates, resolved through the geocoding API).
+// Note: One Call 3.0 requires a (free tier available) One Call subscription on the API key.
+const DEFAULT_BASE_URL = 'https://api.openweathermap.org/data/2.5';
+const DEFAULT_ONE_CALL_URL = 'https://api.openweathermap.org/data/3.0/onecall';
+const DEFAULT_GEOCODING_URL = 'https://api.openweathermap.org/geo/1.0';
+
+class OpenWeatherMapProvider extends WeatherProvider {
+  constructor(sourceConfig, createHttpClient) {
+    super('openweathermap', sourceConfig, createHttpClient);
+    this.apiClient = createHttpClient({
+      baseURL: sourceConfig.baseUrl || DEFAULT_BASE_URL,
+      params: {
+        appid: sourceConfig.apiKey,
+        units: sourceConfig.units || 'metric', // or 'imperial'
+      },
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.sourceConfig.apiKey);
+  }
+
+  // Current conditions for the configured location; an invalid key gets HTTP 401.
+  async probe(probeRequest) {
+    const location = typeof this.sourceConfig.location === 'string' ? this.sourceConfig.location : 'London';
+    return probeRequest(this.apiClient, { url: '/weather', params: { q: location } });
+  }
+
+  async getDaily(location, date, { isToday } = {}) {
+    return isToday ? this._getCurrent(location) : this._getDaySummary(location, date);
+  }
+
+  async _getCurrent(location) {
+    const params = typeof location === 'string'
+      ? { q: location } // City name, state code and country code divided by comma, e.g., "London,uk"
+      : { lat: location.lat, lon: location.lon };
+    const response = await this.apiClient.get('/weather', { params });
+    const weatherData = response.data;
+    return {
+      temperature_high: this._round(weatherData.main?.temp_max),
+      temperature_low: this._round(weatherData.main?.temp_min),
+      condition: weatherData.weather?.[0]?.main,
+      description: weatherData.weather?.[0]?.description,
+      humidity: weatherData.main?.humidity,
+      icon_code: weatherData.weather?.[0]?.icon,
+      sunrise: weatherData.sys?.sunrise ? new Date(weatherData.sys.sunrise * 1000) : null,
+      sunset: weatherData.sys?.sunset ? new Date(weatherData.sys.sunset * 1000) : null,
+      raw: weatherData,
+    };
+  }
+
+  async _getDaySummary(location, date) {
+    const { lat, lon } = await this.resolveCoordinates(location);
+    const response = await this.apiClient.get(`${this.sourceConfig.oneCallUrl || DEFAULT_ONE_CALL_URL}/day_summary`, {
+      params: { lat, lon, date },
+    });
+    const weatherData = response.data;
+
+    // day_summary has no condition text or icon, so derive a coarse one from precipitation and cloud cover.
+    const precipitation = weatherData.precipitation?.total || 0;
+    const cloudCover = weatherData.cloud_cover?.afternoon;
+    const [condition, iconCode] = precipitation > 0 ? ['Rain', '10d'] : (cloudCover >= 50 ? ['Clouds', '04d'] : ['Clear', '01d']);
+    return {
+      temperature_high: this._round(weatherData.temperature?.max),
+      temperature_low: this._round(weatherData.temperature?.min),
+      condition,
+      description: `${precipitation} mm precipitation${cloudCover !== undefined ? `, ${cloudCover}% cloud cover` : ''}`,
+      humidity: this._round(weatherData.humidity?.afternoon),
+      icon_code: iconCode,
+      sunrise: null, // Not part of the daily summary
+      sunset: null,
+      raw: weatherData,
+    };
+  }
+
+  async geocode(location) {
+    const response = await this.apiClient.get(`${this.sourceConfig.geocodingUrl || DEFAULT_GEOCODING_URL}/direct`, {
+      params: { q: location, limit: 1 },
+    });
+    const match = Array.isArray(response.data) ? response.data[0] : null;
+    return match ? { lat: match.lat, lon: match.lon } : null;
+  }
+}
+
+module.exports = OpenWeatherMapProvider;
@@ -0,0 +1,68 @@
+const logger = require('../../../utils/logger');
+
+// Base class for weather providers used by WeatherConnector.
+//
+// A provider turns (location, date) into one normalized daily weather record:
+//   {
+//     temperature_high, temperature_low,  // Whole degrees in the configured units
+//     condition,                          // Short label, e.g. "Clear", "Rain"
+//     description,                        // Longer human-readable text
+//     humidity,                           // Percentage
+//     icon_code,                          // OpenWeatherMap-style icon code (e.g. "01d"); the frontend maps these
+//     sunrise, sunset,                    // Date objects or null
+//     raw,                                // Provider response, stored in weather_entries.data
+//   }
+// The field names match the weather_entries columns so the connector can store them directly.
+//
+// Subclasses implement getDaily() and, if they need coordinates, geocode().
+
+class WeatherProvider {
+  // sourceConfig is dataSources.weather; createHttpClient is the connector's retrying HTTP client factory.
+  constructor(name, sourceConfig, createHttpClient) {
+    this.name = name;
+    this.sourceConfig = sourceConfig;
+    this.createHttpClient = createHttpClient;
+    this.coordinatesCache = new Map(); // location string -> { lat, lon }
+  }
+
+  // Whether the provider has everything it needs (e.g. an API key) to fetch.
+  isConfigured() {
+    return true;
+  }
+
+  // Check the provider's credentials with one cheap request, sent through `probeRequest(client, requestConfig)`
+  // (BaseConnector.probeRequest). Returns { ok, message }, or null for providers without credentials.
+  async probe(probeRequest) {
+    return null;
+  }
+
+  // Fetch the daily record for `date` (YYYY-MM-DD) at `location` (place name or { lat, lon, label }).
+  // `isToday` lets providers use current-conditions endpoints.
+  async getDaily(location, date, { isToday } = {}) {
+    throw new Error(`getDaily() must be implemented by ${this.constructor.name}`);
+  }
+
+  async geocode(location) {
+    throw new Error(`geocode() is not supported by ${this.constructor.name}`);
+  }
+
+  // Resolve a location to coordinates. Locations are either a place name string (geocoded,
+  // cached for the lifetime of the provider) or an object that already has { lat, lon }.
+  async resolveCoordinates(location) {
+    if (typeof location === 'object' && location !== null) return { lat: location.lat, lon: location.lon };
+    if (this.coordinatesCache.has(location)) return this.coordinatesCache.get(location);
+    const coordinates = await this.geocode(location);
+    if (!coordinates) {
+      throw new Error(`Could not geocode location '${location}'`);
+    }
+    logger.debug(`Weather(${this.name}): Resolved '${location}' to ${coordinates.lat},${coordinates.lon}`);
+    this.coordinatesCache.set(location, coordinates);
+    return coordinates;
+  }
+
+  _round(value) {
+    return typeof value === 'number' ? Math.round(value) : null;
+  }
+}
+
+module.exports = WeatherProvider;
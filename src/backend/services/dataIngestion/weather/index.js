@@ -0,0 +1,18 @@
+const OpenWeatherMapProvider = require('./OpenWeatherMapProvider');
+const OpenMeteoProvider = require('./OpenMeteoProvider');
+const LocalFixtureProvider = require('./LocalFixtureProvider');
+
+// Weather providers selectable with dataSources.weather.provider.
+const PROVIDERS = {
+  openweathermap: OpenWeatherMapProvider,
+  openmeteo: OpenMeteoProvider,
+  local: LocalFixtureProvider,
+};
+
+// Build the configured provider. Returns null for unknown names.
+function createWeatherProvider(name, sourceConfig, createHttpClient) {
+  const Provider = PROVIDERS[name];
+  return Provider ? new Provider(sourceConfig, createHttpClient) : null;
+}
+
+module.exports = { PROVIDERS, createWeatherProvider };
@@ -1,5 +1,5 @@
 const logger = require('../../utils/logger');
-// const db = require('../storage/DatabaseManager'); // If needed for direct DB ops
+const db = require('../storage/DatabaseManager');
 
 // This DataProcessor is quite minimal for MVP as most transformation logic
 // is currently handled within each connector's processData method.
@@ -74,30 +74,12 @@ class DataProcessor {
 
     logger.info(`DataProcessor: Updating daily aggregation for ${formattedDate}, source ${sourceType}, count ${itemCount}`);
 
-    let fieldToUpdate;
-    let countFieldToUpdate;
-
-    switch (sourceType) {
-      case 'limitless':
-        fieldToUpdate = 'has_limitless_data';
-        countFieldToUpdate = 'limitless_entry_count';
-        break;
-      case 'bee':
-        fieldToUpdate = 'has_bee_data';
-        countFieldToUpdate = 'bee_conversation_count'; // Assuming itemCount refers to conversations for bee
-        break;
-      case 'weather':
-        fieldToUpdate = 'has_weather_data';
-        // No specific count field for weather in daily_aggregations beyond the boolean flag
-        break;
-      case 'mood':
-        fieldToUpdate = 'has_mood_data';
-        // No specific count field for mood
-        break;
-      default:
-        logger.warn(`DataProcessor: Unknown source type '${sourceType}' for daily aggregation update.`);
-        return;
+    const fields = this._aggregationFields(sourceType);
+    if (!fields) {
+      logger.warn(`DataProcessor: Unknown source type '${sourceType}' for daily aggregation update.`);
+      return;
     }
+    const { fieldToUpdate, countFieldToUpdate } = fields;
 
     try {
       const updateQuery = `
@@ -123,6 +105,83 @@ class DataProcessor {
       logger.error(`DataProcessor: Error updating daily aggregation for ${formattedDate}, source ${sourceType}: ${error.message}`, { stack: error.stack });
     }
   }
+
+  // Which daily_aggregations columns a source writes: its has_*_data flag and, optionally, a count column.
+  _aggregationFields(sourceType) {
+    switch (sourceType) {
+      case 'limitless':
+        return { fieldToUpdate: 'has_limitless_data', countFieldToUpdate: 'limitless_entry_count' };
+      case 'bee':
+        return { fieldToUpdate: 'has_bee_data', countFieldToUpdate: 'bee_conversation_count' }; // Assuming itemCount refers to conversations for bee
+      case 'weather':
+        return { fieldToUpdate: 'has_weather_data' }; // No specific count field for weather beyond the boolean flag
+      case 'mood':
+        return { fieldToUpdate: 'has_mood_data' }; // Counts are kept by setMoodSummary
+      case 'filedrop':
+        return { fieldToUpdate: 'has_life_events_data', countFieldToUpdate: 'life_event_count' };
+      case 'ics':
+        return { fieldToUpdate: 'has_calendar_data', countFieldToUpdate: 'calendar_event_count' };
+      case 'health':
+        return { fieldToUpdate: 'has_health_data' }; // Values live in health_daily_metrics
+      case 'location':
+        return { fieldToUpdate: 'has_location_data', countFieldToUpdate: 'location_point_count' };
+      case 'journal':
+        return { fieldToUpdate: 'has_journal_data', countFieldToUpdate: 'journal_entry_count' };
+      case 'photos':
+        return { fieldToUpdate: 'has_photo_data', countFieldToUpdate: 'photo_count' };
+      default:
+        return null;
+    }
+  }
+
+  // Set a day's count (and flag) for a source to an exact value. Unlike updateDailyAggregation,
+  // the count may go down, for sources whose items can be deleted upstream (e.g. calendar events).
+  async setDailyCount(date, sourceType, count) {
+    const fields = this._aggregationFields(sourceType);
+    if (!fields || !fields.countFieldToUpdate) {
+      logger.warn(`DataProcessor: setDailyCount called for source '${sourceType}' without a count column.`);
+      return;
+    }
+    const { fieldToUpdate, countFieldToUpdate } = fields;
+    const formattedDate = new Date(date).toISOString().split('T')[0];
+    try {
+      await db.query(
+        `INSERT INTO daily_aggregations (date, ${fieldToUpdate}, ${countFieldToUpdate})
+         VALUES ($1, $2, $3)
+         ON CONFLICT (date) DO UPDATE SET
+           ${fieldToUpdate} = EXCLUDED.${fieldToUpdate},
+           ${countFieldToUpdate} = EXCLUDED.${countFieldToUpdate},
+           updated_at = NOW();`,
+        [formattedDate, count > 0, Math.max(count, 0)]
+      );
+      logger.info(`DataProcessor: ${countFieldToUpdate} set to ${count} for ${formattedDate}.`);
+    } catch (error) {
+      logger.error(`DataProcessor: Error setting ${sourceType} count for ${formattedDate}: ${error.message}`, { stack: error.stack });
+    }
+  }
+
+  // Store a day's mood summary (from MoodConnector.getDailySummary) in daily_aggregations.
+  // A null summary means the day no longer has check-ins.
+  async setMoodSummary(date, summary) {
+    const formattedDate = new Date(date).toISOString().split('T')[0];
+    try {
+      await db.query(
+        `INSERT INTO daily_aggregations (date, has_mood_data, mood_checkin_count, mood_score_mean, mood_score_min, mood_score_max)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (date) DO UPDATE SET
+           has_mood_data = EXCLUDED.has_mood_data,
+           mood_checkin_count = EXCLUDED.mood_checkin_count,
+           mood_score_mean = EXCLUDED.mood_score_mean,
+           mood_score_min = EXCLUDED.mood_score_min,
+           mood_score_max = EXCLUDED.mood_score_max,
+           updated_at = NOW();`,
+        [formattedDate, Boolean(summary), summary ? summary.count : 0, summary ? summary.mean : null, summary ? summary.min : null, summary ? summary.max : null]
+      );
+      logger.info(`DataProcessor: Mood summary updated for ${formattedDate}.`, summary || { count: 0 });
+    } catch (error) {
+      logger.error(`DataProcessor: Error updating mood summary for ${formattedDate}: ${error.message}`, { stack: error.stack });
+    }
+  }
 }
 
 // Singleton instance
@@ -101,11 +101,53 @@ class DateNormalizer {
     return date;
   }
 
+  // Shift a 'YYYY-MM-DD' date by a number of days (negative to go back). Returns 'YYYY-MM-DD'.
+  addDays(dateString, days) {
+    const date = this.parseDate(dateString);
+    if (!date) return null;
+    return this.formatDateToYYYYMMDD(new Date(date.getTime() + days * 24 * 60 * 60 * 1000));
+  }
+
   // Validates if a string is in YYYY-MM-DD format
   isValidYYYYMMDD(dateString) {
     if (!dateString) return false;
     return /^\d{4}-\d{2}-\d{2}$/.test(dateString);
   }
+
+  // Format a Date as 'YYYY-MM-DD HH:mm:ss' wall-clock time in an IANA timezone (e.g., 'America/New_York').
+  // Uses Intl so no timezone library is needed. Returns null for invalid dates or timezones.
+  formatInTimeZone(date, timezone = 'UTC') {
+    if (!date || isNaN(date.getTime())) return null;
+    try {
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+      }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+      return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+    } catch (error) {
+      logger.warn(`DateNormalizer: Could not format date in timezone ${timezone}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Convert a wall-clock time in an IANA timezone to a Date (the inverse of formatInTimeZone).
+  // `localDateTime` is 'YYYY-MM-DD HH:mm[:ss]'. Returns null for invalid input or timezones.
+  zonedTimeToUtc(localDateTime, timezone = 'UTC') {
+    const asUtc = new Date(`${String(localDateTime).trim().replace(' ', 'T')}Z`);
+    if (isNaN(asUtc.getTime())) return null;
+    // Interpret the wall time as UTC, see what that instant looks like in the timezone, and shift by the difference.
+    // A second pass settles times next to a DST change.
+    let guess = asUtc;
+    for (let pass = 0; pass < 2; pass++) {
+      const formatted = this.formatInTimeZone(guess, timezone);
+      if (!formatted) return null;
+      const offsetMs = new Date(`${formatted.replace(' ', 'T')}Z`).getTime() - guess.getTime();
+      guess = new Date(asUtc.getTime() - offsetMs);
+    }
+    return guess;
+  }
 }
 
 // Singleton instance
@@ -10,6 +10,7 @@ class ConfigManager {
   constructor(configPath) {
     this.configPath = configPath || DEFAULT_CONFIG_PATH;
     this.config = null;
+    this.unresolvedVariables = []; // { path, variable } for each "${VAR}" whose variable isn't set
     this.loadConfig();
   }
 
@@ -51,21 +52,36 @@ class ConfigManager {
 
   substituteEnvVars(config) {
     // Simple substitution for values like "${VAR_NAME}"
-    const substitute = (obj) => {
+    // Placeholders whose variable isn't set are kept as they are, and recorded (see getUnresolvedVariables)
+    // so a literal "${BEE_API_KEY}" shows up as a configuration problem instead of a rejected API key.
+    this.unresolvedVariables = [];
+    const substitute = (obj, parentPath) => {
       for (const key in obj) {
+        const keyPath = parentPath ? `${parentPath}.${key}` : key;
         if (typeof obj[key] === 'string') {
           obj[key] = obj[key].replace(/\$\{(.*?)\}/g, (match, envVarName) => {
-            return process.env[envVarName] || match; // Replace if env var exists, otherwise keep original
+            if (process.env[envVarName]) return process.env[envVarName];
+            this.unresolvedVariables.push({ path: keyPath, variable: envVarName });
+            return match; // Keep original
           });
         } else if (typeof obj[key] === 'object' && obj[key] !== null) {
-          substitute(obj[key]); // Recurse for nested objects
+          substitute(obj[key], keyPath); // Recurse for nested objects
         }
       }
     };
-    substitute(config);
+    substitute(config, '');
+    if (this.unresolvedVariables.length > 0) {
+      logger.warn(`Configuration references environment variables that are not set: ${this.unresolvedVariables.map(({ path: keyPath, variable }) => `${variable} (${keyPath})`).join(', ')}`);
+    }
     return config;
   }
 
+  // Placeholders left unresolved because their environment variable isn't set, optionally only those
+  // under a config path (e.g. 'dataSources.bee'). Returns [{ path, variable }].
+  getUnresolvedVariables(prefix = '') {
+    return this.unresolvedVariables.filter(({ path: keyPath }) => !prefix || keyPath === prefix || keyPath.startsWith(`${prefix}.`));
+  }
+
   getDefaults() {
     // Define some hardcoded defaults in case the config file is missing or corrupted
     return {
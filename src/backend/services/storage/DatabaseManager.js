@@ -1,11 +1,18 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const { Pool } = require('pg');
 const config = require('./ConfigManager');
 const logger = require('../../utils/logger');
 
+const HEALTH_CHECK_TIMEOUT_MS = 3000;
+
 class DatabaseManager {
   constructor() {
     this.pool = null;
     this.dbConfig = config.get('database');
+    // Set while a callback runs inside withRollback(): queries made anywhere in that async call chain
+    // (connectors, DataProcessor, ...) go to the rolled-back transaction instead of the pool.
+    this.rollbackScope = new AsyncLocalStorage();
+    this.savepointCounter = 0;
     this._connect();
   }
 
@@ -63,6 +70,25 @@ class DatabaseManager {
   }
 
   async query(text, params) {
+    const scope = this.rollbackScope.getStore();
+    if (scope) {
+      if (!scope.client) throw new Error('Query attempted after its rolled-back transaction ended.');
+      if (scope.failure) throw scope.failure;
+      // Savepoints are only taken per record batch (withTransaction), not per query: every savepoint that writes
+      // is a subtransaction, and one per query overflows Postgres' subtransaction cache on large dry runs.
+      // So a query failing outside a batch aborts the transaction, and with it the rest of the dry run.
+      try {
+        return await scope.client.query(text, params);
+      } catch (error) {
+        if (scope.savepointDepth === 0) scope.failure = new Error(`Dry run stopped after a failed query: ${error.message}`);
+        throw error;
+      }
+    }
+    return this.queryCommitted(text, params);
+  }
+
+  // Always runs on the pool, so inside withRollback() it sees only committed data.
+  async queryCommitted(text, params) {
     if (!this.pool) {
       logger.error('Database pool is not initialized. Query cannot be executed.');
       throw new Error('Database pool not initialized.');
@@ -101,6 +127,104 @@ class DatabaseManager {
     return client;
   }
 
+  // Run `callback(client)` inside a transaction on a dedicated pooled client.
+  // Commits if the callback resolves, rolls back (and re-throws) if it rejects.
+  // Inside withRollback() this becomes a savepoint on the rolled-back transaction.
+  async withTransaction(callback) {
+    const scope = this.rollbackScope.getStore();
+    if (scope) {
+      if (!scope.client) throw new Error('Transaction attempted after its rolled-back transaction ended.');
+      if (scope.failure) throw scope.failure;
+      scope.savepointDepth++;
+      try {
+        return await this._withSavepoint(scope.client, callback);
+      } finally {
+        scope.savepointDepth--;
+      }
+    }
+
+    const client = await this.getClient();
+    let releaseError; // Set when the connection may still be inside a transaction, so the pool destroys it
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackError) {
+        logger.error('Error rolling back transaction', { error: rollbackError.message });
+        releaseError = rollbackError;
+      }
+      throw error;
+    } finally {
+      client.release(releaseError);
+    }
+  }
+
+  async _withSavepoint(client, callback) {
+    const savepoint = `lifeboard_sp_${++this.savepointCounter}`;
+    await client.query(`SAVEPOINT ${savepoint}`);
+    try {
+      const result = await callback(client);
+      await client.query(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (error) {
+      await client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      throw error;
+    }
+  }
+
+  // Run `callback(client)` with every query it makes (through query() and withTransaction()) inside one
+  // transaction that is always rolled back. Used for dry runs; keep the callback short (no network calls),
+  // since the transaction holds its locks until it ends. The transaction is REPEATABLE READ, so rows
+  // it can see that were written by a transaction newer than itself are its own (see DryRunReport).
+  async withRollback(callback) {
+    const client = await this.getClient();
+    const scope = { client, savepointDepth: 0, failure: null };
+    let releaseError;
+    try {
+      await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ');
+      const result = await this.rollbackScope.run(scope, () => callback(client));
+      if (scope.failure) throw scope.failure; // The callback may have caught it, but the transaction is aborted
+      return result;
+    } finally {
+      scope.client = null; // Anything still running from the callback must not write outside the dry run
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackError) {
+        logger.error('Error rolling back transaction', { error: rollbackError.message });
+        releaseError = rollbackError;
+      }
+      client.release(releaseError);
+    }
+  }
+
+  // Database reachability and pool statistics for /health. Never throws.
+  async checkHealth() {
+    if (!this.pool) {
+      return { reachable: false, error: 'Database pool not initialized.', pool: null };
+    }
+    const pool = { total: this.pool.totalCount, idle: this.pool.idleCount, waiting: this.pool.waitingCount, max: this.pool.options.max };
+    const start = Date.now();
+    let timer;
+    try {
+      // Bounded, since a pool query to an unreachable host waits on the connection attempt.
+      await Promise.race([
+        this.pool.query('SELECT 1'),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`No response within ${HEALTH_CHECK_TIMEOUT_MS}ms`)), HEALTH_CHECK_TIMEOUT_MS);
+        }),
+      ]);
+      return { reachable: true, latency_ms: Date.now() - start, pool };
+    } catch (error) {
+      return { reachable: false, error: error.message, pool };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   // Graceful shutdown
   async close() {
     if (this.pool) {
@@ -0,0 +1,140 @@
+const db = require('./DatabaseManager');
+
+// Works out what a dry run (see DatabaseManager.withRollback) changed before it is rolled back:
+// new, changed and deleted rows per table, and the days whose daily_aggregations row would change.
+//
+// Tables come from pg_stat_xact_user_tables, which counts this transaction's inserts, updates and deletes.
+// The rows the transaction wrote are those whose xmin is its own transaction (or one of its savepoints),
+// i.e. age(xmin) <= 0 under REPEATABLE READ. Each is compared with the committed version, read
+// through the pool, so an upsert that rewrote a row with identical values doesn't count as a change.
+
+const SAMPLE_SIZE = 20; // Records listed per table; the counts always cover every row
+const MAX_SAMPLE_STRING = 200; // Long values (transcripts, note bodies) are cut to this many characters
+const KEY_CHUNK_SIZE = 5000;
+const IGNORED_COLUMNS = ['updated_at']; // Set on every write by trigger_set_timestamp()
+
+class DryRunReport {
+  // `client` is the rolled-back transaction's client, as passed to the withRollback callback.
+  async collect(client) {
+    const stats = await client.query(
+      `SELECT relid, schemaname, relname, n_tup_ins, n_tup_upd, n_tup_del
+       FROM pg_stat_xact_user_tables
+       WHERE n_tup_ins + n_tup_upd + n_tup_del > 0
+       ORDER BY relname;`
+    );
+
+    const tables = {};
+    let dailyAggregationDates = [];
+    for (const stat of stats.rows) {
+      const table = `${client.escapeIdentifier(stat.schemaname)}.${client.escapeIdentifier(stat.relname)}`;
+      const keyColumn = await this._primaryKeyColumn(client, stat.relid);
+      if (!keyColumn) {
+        // Without a single-column key rows can't be matched up, so only the raw counts are available.
+        tables[stat.relname] = { new: Number(stat.n_tup_ins), changed: Number(stat.n_tup_upd), deleted: Number(stat.n_tup_del), records: [] };
+        continue;
+      }
+
+      const { newKeys, changedKeys } = await this._diffTable(client, table, keyColumn);
+      if (newKeys.length === 0 && changedKeys.length === 0 && Number(stat.n_tup_del) === 0) continue; // Only no-op rewrites
+
+      tables[stat.relname] = {
+        new: newKeys.length,
+        changed: changedKeys.length,
+        deleted: Number(stat.n_tup_del), // Includes rows deleted and written again, e.g. replaced child rows
+        records: await this._sampleRecords(client, table, keyColumn, newKeys, changedKeys),
+      };
+      if (stat.relname === 'daily_aggregations') {
+        const dates = await client.query(
+          `SELECT date::text AS date FROM ${table} WHERE ${client.escapeIdentifier(keyColumn)}::text = ANY($1::text[]) ORDER BY date;`,
+          [[...newKeys, ...changedKeys]]
+        );
+        dailyAggregationDates = dates.rows.map(row => row.date);
+      }
+    }
+
+    return { tables, dailyAggregationDates };
+  }
+
+  async _primaryKeyColumn(client, relid) {
+    const result = await client.query(
+      `SELECT a.attname
+       FROM pg_index i
+       JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+       WHERE i.indrelid = $1 AND i.indisprimary;`,
+      [relid]
+    );
+    return result.rows.length === 1 ? result.rows[0].attname : null;
+  }
+
+  _rowHash(alias) {
+    const ignored = IGNORED_COLUMNS.map(column => ` - '${column}'`).join('');
+    return `md5((to_jsonb(${alias})${ignored})::text)`;
+  }
+
+  // Keys of the rows this transaction wrote that are new, or differ from their committed version.
+  async _diffTable(client, table, keyColumn) {
+    const key = client.escapeIdentifier(keyColumn);
+    const written = await client.query(
+      `SELECT t.${key}::text AS key, ${this._rowHash('t')} AS hash FROM ${table} t WHERE age(t.xmin) <= 0;`
+    );
+
+    const newKeys = [];
+    const changedKeys = [];
+    for (let i = 0; i < written.rows.length; i += KEY_CHUNK_SIZE) {
+      const chunk = written.rows.slice(i, i + KEY_CHUNK_SIZE);
+      const committed = await db.queryCommitted(
+        `SELECT t.${key}::text AS key, ${this._rowHash('t')} AS hash FROM ${table} t WHERE t.${key} = ANY($1);`,
+        [chunk.map(row => row.key)]
+      );
+      const committedHashes = new Map(committed.rows.map(row => [row.key, row.hash]));
+      for (const row of chunk) {
+        if (!committedHashes.has(row.key)) newKeys.push(row.key);
+        else if (committedHashes.get(row.key) !== row.hash) changedKeys.push(row.key);
+      }
+    }
+    return { newKeys, changedKeys };
+  }
+
+  // The first few new rows in full, and the first few changed rows as { column: { from, to } }.
+  async _sampleRecords(client, table, keyColumn, newKeys, changedKeys) {
+    const key = client.escapeIdentifier(keyColumn);
+    const load = async (query, keys) => {
+      if (keys.length === 0) return new Map();
+      const result = await query(`SELECT t.${key}::text AS key, to_jsonb(t) AS row FROM ${table} t WHERE t.${key} = ANY($1);`, [keys]);
+      return new Map(result.rows.map(row => [row.key, row.row]));
+    };
+
+    const newSample = newKeys.slice(0, SAMPLE_SIZE);
+    const changedSample = changedKeys.slice(0, Math.max(0, SAMPLE_SIZE - newSample.length));
+    const written = await load((text, params) => client.query(text, params), [...newSample, ...changedSample]);
+    const committed = await load((text, params) => db.queryCommitted(text, params), changedSample);
+
+    const records = newSample.map(recordKey => ({ change: 'new', key: recordKey, row: this._truncate(written.get(recordKey)) }));
+    for (const recordKey of changedSample) {
+      const before = committed.get(recordKey) || {};
+      const after = written.get(recordKey) || {};
+      const changes = {};
+      for (const column of Object.keys(after)) {
+        if (IGNORED_COLUMNS.includes(column)) continue;
+        if (JSON.stringify(before[column]) !== JSON.stringify(after[column])) {
+          changes[column] = { from: this._truncate(before[column]), to: this._truncate(after[column]) };
+        }
+      }
+      records.push({ change: 'changed', key: recordKey, changes });
+    }
+    return records;
+  }
+
+  _truncate(value) {
+    if (typeof value === 'string') return value.length > MAX_SAMPLE_STRING ? `${value.slice(0, MAX_SAMPLE_STRING)}…` : value;
+    if (Array.isArray(value)) return value.map(item => this._truncate(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([column, item]) => [column, this._truncate(item)]));
+    }
+    return value;
+  }
+}
+
+// Singleton instance
+const dryRunReportInstance = new DryRunReport();
+module.exports = dryRunReportInstance;
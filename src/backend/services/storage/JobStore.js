@@ -0,0 +1,126 @@
+const db = require('./DatabaseManager');
+
+// Persists long-running jobs (see JobManager) in the jobs table, so their progress and
+// checkpoint survive a server restart and can be inspected through /api/jobs.
+
+const JOB_COLUMNS = `
+  id, type, source, status, params, next_date::text AS next_date, cursor,
+  days_total, days_completed, new_entries, updated_entries, error_count, error_message,
+  started_at, finished_at, heartbeat_at, cancel_requested, created_at, updated_at
+`;
+
+// Columns update() may set, keyed by the camelCase names JobManager uses.
+const UPDATABLE_COLUMNS = {
+  status: 'status',
+  nextDate: 'next_date',
+  cursor: 'cursor',
+  daysCompleted: 'days_completed',
+  newEntries: 'new_entries',
+  updatedEntries: 'updated_entries',
+  errorCount: 'error_count',
+  errorMessage: 'error_message',
+  startedAt: 'started_at',
+  finishedAt: 'finished_at',
+  heartbeatAt: 'heartbeat_at',
+  cancelRequested: 'cancel_requested',
+};
+
+class JobStore {
+  async create({ type, source, params, nextDate, daysTotal }) {
+    const result = await db.query(
+      `INSERT INTO jobs (type, source, status, params, next_date, days_total, heartbeat_at)
+       VALUES ($1, $2, 'running', $3, $4, $5, NOW())
+       RETURNING ${JOB_COLUMNS};`,
+      [type, source, JSON.stringify(params), nextDate, daysTotal]
+    );
+    return result.rows[0];
+  }
+
+  async getById(jobId) {
+    const result = await db.query(`SELECT ${JOB_COLUMNS} FROM jobs WHERE id = $1;`, [jobId]);
+    return result.rows[0] || null;
+  }
+
+  // List jobs, newest first. Supports filtering by source, type and status.
+  async list({ source, type, status, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    for (const [column, value] of Object.entries({ source, type, status })) {
+      if (!value) continue;
+      params.push(value);
+      conditions.push(`${column} = $${params.length}`);
+    }
+    params.push(limit, offset);
+
+    const result = await db.query(
+      `SELECT ${JOB_COLUMNS}
+       FROM jobs
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length};`,
+      params
+    );
+    return result.rows;
+  }
+
+  // Take over running jobs whose heartbeat is older than `staleAfterMs` (their process is gone) and return them.
+  // One statement, so when several processes start at once each job is claimed by exactly one of them:
+  // the others re-check the row after the winner's update and find its heartbeat fresh.
+  async claimInterrupted(staleAfterMs) {
+    const result = await db.query(
+      `UPDATE jobs SET heartbeat_at = NOW()
+       WHERE status = 'running'
+         AND (heartbeat_at IS NULL OR heartbeat_at < NOW() - make_interval(secs => $1))
+       RETURNING ${JOB_COLUMNS};`,
+      [staleAfterMs / 1000]
+    );
+    return result.rows;
+  }
+
+  // Cancel a running job whose heartbeat is older than `staleAfterMs`, i.e. that no process is running.
+  // Returns the cancelled job, or null if it isn't running or its heartbeat is fresh.
+  async cancelIfStale(jobId, staleAfterMs) {
+    const result = await db.query(
+      `UPDATE jobs SET status = 'cancelled', finished_at = NOW(), cancel_requested = FALSE
+       WHERE id = $1
+         AND status = 'running'
+         AND (heartbeat_at IS NULL OR heartbeat_at < NOW() - make_interval(secs => $2))
+       RETURNING ${JOB_COLUMNS};`,
+      [jobId, staleAfterMs / 1000]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Refresh the heartbeat of jobs this process is running.
+  async heartbeat(jobIds) {
+    await db.query(`UPDATE jobs SET heartbeat_at = NOW() WHERE id = ANY($1::uuid[]) AND status = 'running';`, [jobIds]);
+  }
+
+  // Update the given fields (see UPDATABLE_COLUMNS) and return the job as stored.
+  // With `expectedStatus`, the job is only updated while it still has that status; otherwise null is returned
+  // (e.g. another process cancelled it in the meantime).
+  async update(jobId, fields, { expectedStatus } = {}) {
+    const assignments = [];
+    const params = [jobId];
+    for (const [field, value] of Object.entries(fields)) {
+      const column = UPDATABLE_COLUMNS[field];
+      if (!column) throw new Error(`JobStore: Unknown job field '${field}'`);
+      params.push(column === 'cursor' && value !== null ? JSON.stringify(value) : value);
+      assignments.push(`${column} = $${params.length}`);
+    }
+    let condition = 'id = $1';
+    if (expectedStatus) {
+      params.push(expectedStatus);
+      condition += ` AND status = $${params.length}`;
+    }
+    const result = await db.query(
+      `UPDATE jobs SET ${assignments.join(', ')} WHERE ${condition} RETURNING ${JOB_COLUMNS};`,
+      params
+    );
+    return result.rows[0] || null;
+  }
+}
+
+// Singleton instance
+const jobStoreInstance = new JobStore();
+module.exports = jobStoreInstance;
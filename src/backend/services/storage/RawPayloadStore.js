@@ -0,0 +1,110 @@
+const zlib = require('zlib');
+const db = require('./DatabaseManager');
+const config = require('./ConfigManager');
+const logger = require('../../utils/logger');
+
+// Keeps every payload a connector fetched (or received by webhook) in the raw_payloads table,
+// gzip-compressed, so data can be re-processed with fixed mapping code instead of re-downloaded.
+// Payloads are stored as they were handed to processData, so replaying one runs the same code path.
+//
+// Polling sources archive a payload every run, so processed payloads are pruned on a schedule (see
+// DataSyncManager) per sync.rawPayloads: older than maxAgeDays, or beyond the newest maxPerSource of a source.
+// Payloads that were never processed are kept, since replaying them is the only way to get their data in.
+
+const DEFAULT_RETENTION = {
+  maxAgeDays: 90, // 0 or false: no age limit
+  maxPerSource: 1000, // 0 or false: no count limit
+  pruneSchedule: '45 3 * * *', // Cron expression
+};
+
+class RawPayloadStore {
+  // Archive a payload. Returns the new id, or null if it couldn't be stored.
+  // Like sync history, a failure to archive should never prevent the sync itself from running.
+  async save(source, payload, syncRunId = null) {
+    try {
+      const json = Buffer.from(JSON.stringify(payload));
+      const compressed = zlib.gzipSync(json);
+      const result = await db.query(
+        `INSERT INTO raw_payloads (source, sync_run_id, payload, size_bytes, compressed_bytes)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id;`,
+        [source, syncRunId, compressed, json.length, compressed.length]
+      );
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error(`RawPayloadStore: Could not archive ${source} payload: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Record which days a payload touched once it has been processed; reprocessing filters on these.
+  async markProcessed(payloadId, affectedDates = []) {
+    if (!payloadId) return;
+    try {
+      await db.query(
+        'UPDATE raw_payloads SET processed_at = NOW(), affected_dates = $2 WHERE id = $1;',
+        [payloadId, Array.isArray(affectedDates) ? affectedDates : []]
+      );
+    } catch (error) {
+      logger.error(`RawPayloadStore: Could not update archived payload ${payloadId}: ${error.message}`);
+    }
+  }
+
+  // Ids of a source's payloads, oldest first, so replaying them ends with the most recent state.
+  // With a range, only payloads that touched a day in it are returned; payloads that were never
+  // processed have no dates yet and are matched by the day they were fetched instead.
+  async listIds(source, { start, end } = {}) {
+    const params = [source];
+    let rangeCondition = '';
+    if (start || end) {
+      params.push(start || '-infinity', end || 'infinity');
+      rangeCondition = `AND (
+        EXISTS (SELECT 1 FROM unnest(affected_dates) AS day WHERE day BETWEEN $2::date AND $3::date)
+        OR (affected_dates IS NULL AND fetched_at::date BETWEEN $2::date AND $3::date)
+      )`;
+    }
+    const result = await db.query(
+      `SELECT id FROM raw_payloads WHERE source = $1 ${rangeCondition} ORDER BY fetched_at ASC;`,
+      params
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  // Retention settings from sync.rawPayloads, with defaults.
+  getRetention() {
+    return { ...DEFAULT_RETENTION, ...(config.get('sync.rawPayloads') || {}) };
+  }
+
+  // Delete processed payloads past the retention limits. Returns the number deleted.
+  async prune({ maxAgeDays, maxPerSource } = this.getRetention()) {
+    const ageLimit = Number(maxAgeDays) > 0 ? Number(maxAgeDays) : null;
+    const countLimit = Number(maxPerSource) > 0 ? Number(maxPerSource) : null;
+    if (!ageLimit && !countLimit) return 0;
+
+    const result = await db.query(
+      `DELETE FROM raw_payloads WHERE id IN (
+         SELECT id FROM (
+           SELECT id, processed_at, fetched_at,
+                  ROW_NUMBER() OVER (PARTITION BY source ORDER BY fetched_at DESC) AS newest_rank
+           FROM raw_payloads
+         ) ranked
+         WHERE processed_at IS NOT NULL
+           AND ((fetched_at < NOW() - make_interval(days => $1::int)) IS TRUE OR newest_rank > $2::int)
+       );`,
+      [ageLimit, countLimit]
+    );
+    if (result.rowCount > 0) logger.info(`RawPayloadStore: Pruned ${result.rowCount} archived payload(s).`);
+    return result.rowCount;
+  }
+
+  // Load and decompress one payload. Payloads are loaded one at a time because they can be large.
+  async load(payloadId) {
+    const result = await db.query('SELECT payload FROM raw_payloads WHERE id = $1;', [payloadId]);
+    if (result.rows.length === 0) return null;
+    return JSON.parse(zlib.gunzipSync(result.rows[0].payload).toString('utf8'));
+  }
+}
+
+// Singleton instance
+const rawPayloadStoreInstance = new RawPayloadStore();
+module.exports = rawPayloadStoreInstance;
@@ -0,0 +1,51 @@
+const db = require('./DatabaseManager');
+
+// Persists the scheduler's state per source in the sync_schedules table (see SyncScheduler): changes made
+// through /api/data/schedules, and the next and last scheduled run, so a restart doesn't reset the clock.
+
+const SCHEDULE_COLUMNS = `
+  source, sync_interval, paused, quiet_hours, next_run_at, last_run_at, last_run_id, last_status, created_at, updated_at
+`;
+
+// Columns save() may set, keyed by the camelCase names SyncScheduler uses.
+const UPDATABLE_COLUMNS = {
+  interval: 'sync_interval',
+  paused: 'paused',
+  quietHours: 'quiet_hours',
+  nextRunAt: 'next_run_at',
+  lastRunAt: 'last_run_at',
+  lastRunId: 'last_run_id',
+  lastStatus: 'last_status',
+};
+
+class ScheduleStore {
+  // Every stored schedule, keyed by source.
+  async getAll() {
+    const result = await db.query(`SELECT ${SCHEDULE_COLUMNS} FROM sync_schedules;`);
+    return new Map(result.rows.map(row => [row.source, row]));
+  }
+
+  // Insert or update the given fields (see UPDATABLE_COLUMNS) of a source's schedule and return it as stored.
+  async save(source, fields) {
+    const columns = [];
+    const params = [source];
+    for (const [field, value] of Object.entries(fields)) {
+      const column = UPDATABLE_COLUMNS[field];
+      if (!column) throw new Error(`ScheduleStore: Unknown schedule field '${field}'`);
+      params.push(column === 'quiet_hours' && value !== null ? JSON.stringify(value) : value);
+      columns.push(column);
+    }
+    const result = await db.query(
+      `INSERT INTO sync_schedules (source${columns.map(column => `, ${column}`).join('')})
+       VALUES ($1${columns.map((column, i) => `, $${i + 2}`).join('')})
+       ON CONFLICT (source) DO UPDATE SET ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ') || 'source = EXCLUDED.source'}
+       RETURNING ${SCHEDULE_COLUMNS};`,
+      params
+    );
+    return result.rows[0];
+  }
+}
+
+// Singleton instance
+const scheduleStoreInstance = new ScheduleStore();
+module.exports = scheduleStoreInstance;
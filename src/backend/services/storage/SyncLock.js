@@ -0,0 +1,81 @@
+const db = require('./DatabaseManager');
+const logger = require('../../utils/logger');
+
+// One lock per source, so two syncs of the same source never run at the same time (e.g. a cron run
+// and a manual POST /api/data/sync/{source}, which would read the same checkpoint and upsert the same rows).
+// The locks are Postgres session-level advisory locks, so they hold across every backend replica sharing
+// the database, and Postgres drops them by itself if the process holding one dies.
+//
+// A session lock belongs to a connection, so each held lock keeps a dedicated pooled client until released.
+// Waiting for a lock does not: waiters poll pg_try_advisory_lock with a backoff and give the client back between
+// attempts, so queued runs can never use up the pool the lock holder needs to finish.
+
+const LOCK_NAMESPACE = 'lifeboard.sync'; // First key of the two-key lock, keeps sync locks apart from other advisory locks
+const POLL_INITIAL_MS = 250;
+const POLL_MAX_MS = 5000;
+
+class SyncLock {
+  // Take the lock for `source`. Returns a lock with release(), or null if another run holds it.
+  // With { wait: true } it waits until the lock is free instead of returning null.
+  async acquire(source, { wait = false } = {}) {
+    for (let delay = POLL_INITIAL_MS; ; delay = Math.min(delay * 2, POLL_MAX_MS)) {
+      const lock = await this._tryAcquire(source);
+      if (lock || !wait) return lock;
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  // Whether some run (here or on another replica) holds the lock for `source` right now.
+  async isHeld(source) {
+    const lock = await this._tryAcquire(source);
+    if (!lock) return true;
+    await lock.release();
+    return false;
+  }
+
+  // Wait until whoever holds the lock for `source` releases it, without keeping it.
+  async waitForRelease(source) {
+    const lock = await this.acquire(source, { wait: true });
+    await lock.release();
+  }
+
+  // One pg_try_advisory_lock attempt; the client is kept only if it got the lock.
+  async _tryAcquire(source) {
+    const client = await db.getClient();
+    try {
+      const result = await client.query(
+        'SELECT pg_try_advisory_lock(hashtext($1), hashtext($2)) AS locked;',
+        [LOCK_NAMESPACE, source]
+      );
+      if (!result.rows[0].locked) {
+        client.release();
+        return null;
+      }
+    } catch (error) {
+      client.release(error);
+      throw error;
+    }
+    logger.debug(`SyncLock: Acquired sync lock for ${source}.`);
+
+    let released = false;
+    return {
+      release: async () => {
+        if (released) return;
+        released = true;
+        try {
+          await client.query('SELECT pg_advisory_unlock(hashtext($1), hashtext($2));', [LOCK_NAMESPACE, source]);
+          client.release();
+          logger.debug(`SyncLock: Released sync lock for ${source}.`);
+        } catch (error) {
+          // Discarding the connection ends its session, which releases the lock too.
+          logger.error(`SyncLock: Could not release sync lock for ${source}: ${error.message}`);
+          client.release(error);
+        }
+      },
+    };
+  }
+}
+
+// Singleton instance
+const syncLockInstance = new SyncLock();
+module.exports = syncLockInstance;
@@ -0,0 +1,159 @@
+const db = require('./DatabaseManager');
+const logger = require('../../utils/logger');
+
+// Persists the outcome of every connector sync in the sync_runs table so
+// runs can be inspected after the fact (e.g., what happened overnight)
+// instead of only existing in the winston logs.
+
+const RUN_COLUMNS = `
+  id, source, triggered_by, status, options, started_at, finished_at,
+  new_entries, updated_entries, error_count, affected_dates::text[] AS affected_dates, error_message
+`;
+
+class SyncRunStore {
+  // Record the start of a run. Returns the new run id, or null if it couldn't be recorded.
+  // A failure to record history should never prevent the sync itself from running.
+  // A run that has to wait for another run of the source first starts as 'queued' (see markRunning).
+  async start(source, triggeredBy, options = {}, status = 'running') {
+    try {
+      const result = await db.query(
+        `INSERT INTO sync_runs (source, triggered_by, status, options, started_at)
+         VALUES ($1, $2, $4, $3, NOW())
+         RETURNING id;`,
+        [source, triggeredBy || 'api', JSON.stringify(options), status]
+      );
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error(`SyncRunStore: Could not record start of ${source} sync: ${error.message}`);
+      return null;
+    }
+  }
+
+  // A queued run has started. Also undoes failInterrupted for a run that was still waiting in another process.
+  async markRunning(runId) {
+    if (!runId) return;
+    try {
+      await db.query(
+        `UPDATE sync_runs SET status = 'running', started_at = NOW(), finished_at = NULL, error_message = NULL WHERE id = $1;`,
+        [runId]
+      );
+    } catch (error) {
+      logger.error(`SyncRunStore: Could not record start of queued sync run ${runId}: ${error.message}`);
+    }
+  }
+
+  // Record the result of a run (the object returned by BaseConnector.sync).
+  async finish(runId, result = {}) {
+    if (!runId) return;
+    const status = result.partial ? 'partial' : (result.success ? 'success' : 'failed');
+    const affectedDates = Array.isArray(result.affectedDates) ? result.affectedDates : [];
+    const errorMessage = result.success ? null : (result.message || null); // Includes partial-fetch reasons
+
+    try {
+      await db.query(
+        `UPDATE sync_runs SET
+           status = $2,
+           finished_at = NOW(),
+           new_entries = $3,
+           updated_entries = $4,
+           error_count = $5,
+           affected_dates = $6::date[],
+           error_message = $7
+         WHERE id = $1;`,
+        [runId, status, result.newEntries || 0, result.updatedEntries || 0, result.errors || 0, affectedDates, errorMessage]
+      );
+    } catch (error) {
+      logger.error(`SyncRunStore: Could not record result of sync run ${runId}: ${error.message}`);
+    }
+  }
+
+  // List runs, newest first. Supports filtering by source and status.
+  async list({ source, status, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (source) {
+      params.push(source);
+      conditions.push(`source = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    params.push(limit, offset);
+
+    const result = await db.query(
+      `SELECT ${RUN_COLUMNS}
+       FROM sync_runs
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY started_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length};`,
+      params
+    );
+    return result.rows.map(row => this._format(row));
+  }
+
+  async getById(runId) {
+    const result = await db.query(`SELECT ${RUN_COLUMNS} FROM sync_runs WHERE id = $1;`, [runId]);
+    return result.rows.length > 0 ? this._format(result.rows[0]) : null;
+  }
+
+  // The source's most recently started run that is still running, or null.
+  async findRunning(source) {
+    const result = await db.query(
+      `SELECT ${RUN_COLUMNS} FROM sync_runs WHERE source = $1 AND status = 'running' ORDER BY started_at DESC LIMIT 1;`,
+      [source]
+    );
+    return result.rows.length > 0 ? this._format(result.rows[0]) : null;
+  }
+
+  // Sources with runs still marked running or queued.
+  async listUnfinishedSources() {
+    const result = await db.query(`SELECT DISTINCT source FROM sync_runs WHERE status IN ('running', 'queued') ORDER BY source;`);
+    return result.rows.map(row => row.source);
+  }
+
+  // Mark the source's running and queued runs that started before `before` as failed, for runs whose process
+  // stopped before they finished. The caller holds the source's lock, so none of them is running.
+  // Returns the ids of the runs marked.
+  async failInterrupted(source, before) {
+    const result = await db.query(
+      `UPDATE sync_runs SET status = 'failed', finished_at = NOW(), error_message = 'Interrupted: the server stopped before the run finished.'
+       WHERE source = $1 AND status IN ('running', 'queued') AND started_at < $2
+       RETURNING id;`,
+      [source, before]
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  // Each source's latest successful run and latest failed or partial run:
+  // { [source]: { lastSuccess: run|null, lastError: run|null } }.
+  async getLatestOutcomes() {
+    const result = await db.query(
+      `SELECT DISTINCT ON (source, outcome) outcome, ${RUN_COLUMNS}
+       FROM (
+         SELECT *, CASE WHEN status = 'success' THEN 'success' ELSE 'error' END AS outcome
+         FROM sync_runs
+         WHERE status IN ('success', 'partial', 'failed')
+       ) runs
+       ORDER BY source, outcome, started_at DESC;`
+    );
+    const outcomes = {};
+    for (const { outcome, ...row } of result.rows) {
+      outcomes[row.source] = outcomes[row.source] || { lastSuccess: null, lastError: null };
+      outcomes[row.source][outcome === 'success' ? 'lastSuccess' : 'lastError'] = this._format(row);
+    }
+    return outcomes;
+  }
+
+  _format(row) {
+    return {
+      ...row,
+      affected_dates: row.affected_dates || [], // Selected as text[] so dates stay plain YYYY-MM-DD strings
+      duration_ms: row.finished_at ? new Date(row.finished_at) - new Date(row.started_at) : null,
+    };
+  }
+}
+
+// Singleton instance
+const syncRunStoreInstance = new SyncRunStore();
+module.exports = syncRunStoreInstance;
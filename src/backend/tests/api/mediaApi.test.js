@@ -0,0 +1,84 @@
+// Example Unit Test for the media file routes (Conceptual Jest-like syntax)
+// The route handlers are called directly with minimal req/res objects instead of through a server.
+
+// jest.mock('../../services/storage/DatabaseManager', () => ({ query: jest.fn() }));
+// jest.mock('../../utils/logger');
+
+describe('Media API Endpoints', () => {
+  const path = require('path');
+  const db = require('../../services/storage/DatabaseManager');
+  const DataSyncManager = require('../../services/dataIngestion/DataSyncManager');
+  const PhotoConnector = require('../../services/dataIngestion/PhotoConnector');
+  const router = require('../../api/routes/media');
+  const ITEM_ID = '4f6c1c9e-2b1a-4d3e-9f00-1a2b3c4d5e6f';
+  let originals;
+  let queries;
+  let photos;
+
+  // Call the handler registered for GET `route` and resolve with what it sent.
+  const get = (route, id) => new Promise((resolve, reject) => {
+    const layer = router.stack.find(entry => entry.route && entry.route.path === route);
+    const res = {
+      statusCode: 200,
+      headersSent: false,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body }); },
+      sendFile(filePath, options) { resolve({ status: this.statusCode, filePath, options }); },
+    };
+    layer.route.stack[0].handle({ params: { id } }, res, reject);
+  });
+
+  beforeEach(() => {
+    originals = { query: db.query, getConnector: DataSyncManager.getConnector };
+    queries = [];
+    photos = new PhotoConnector();
+    photos.directory = path.resolve('/srv/photos');
+    photos.thumbnailDir = path.resolve('/srv/thumbnails');
+    DataSyncManager.getConnector = (name) => (name === 'photos' ? photos : null);
+  });
+
+  afterEach(() => {
+    db.query = originals.query;
+    DataSyncManager.getConnector = originals.getConnector;
+  });
+
+  it('should reject an id that is not a UUID without querying the database', async () => {
+    db.query = async (text, params) => { queries.push(params); return { rows: [] }; };
+    const response = await get('/:id/thumbnail', 'not-a-uuid');
+    expect(response.status).toBe(400);
+    expect(queries.length).toBe(0);
+    console.log('Conceptual test for GET /api/media/:id/thumbnail: invalid id rejected.');
+  });
+
+  it('should return 404 for an unknown item', async () => {
+    db.query = async () => ({ rows: [] });
+    expect((await get('/:id/original', ITEM_ID)).status).toBe(404);
+    console.log('Conceptual test for GET /api/media/:id/original: unknown item.');
+  });
+
+  it('should send the file resolved by the item\'s connector', async () => {
+    db.query = async () => ({ rows: [{ id: ITEM_ID, source: 'photos', file_path: '2024/beach.jpg', thumbnail_path: 'ab/cd.jpg', mime_type: 'image/jpeg' }] });
+    const original = await get('/:id/original', ITEM_ID);
+    expect(original.filePath).toBe(path.resolve('/srv/photos/2024/beach.jpg'));
+    expect(original.options.headers['Content-Type']).toBe('image/jpeg');
+    expect((await get('/:id/thumbnail', ITEM_ID)).filePath).toBe(path.resolve('/srv/thumbnails/ab/cd.jpg'));
+    console.log('Conceptual test for GET /api/media/:id: files resolved by the connector.');
+  });
+
+  it('should not serve paths outside the connector\'s directories', async () => {
+    db.query = async () => ({ rows: [{ id: ITEM_ID, source: 'photos', file_path: '../../etc/passwd', thumbnail_path: null, mime_type: null }] });
+    expect((await get('/:id/original', ITEM_ID)).status).toBe(404);
+    expect((await get('/:id/thumbnail', ITEM_ID)).body.error).toBe('This item has no thumbnail.');
+    console.log('Conceptual test for GET /api/media/:id/original: path traversal refused.');
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
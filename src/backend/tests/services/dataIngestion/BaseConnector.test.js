@@ -0,0 +1,376 @@
+// Example Unit Test for BaseConnector's shared HTTP layer (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ query: jest.fn() }));
+
+describe('BaseConnector HTTP layer', () => {
+  // The real BaseConnector and CircuitBreaker. Each test gets a connector with a small retry policy.
+  const BaseConnector = require('../../../services/dataIngestion/BaseConnector');
+  const CircuitBreaker = require('../../../services/dataIngestion/CircuitBreaker');
+  class HttpTestConnector extends BaseConnector {}
+  const get = { method: 'get', url: '/lifelogs' };
+  let connector;
+  let originalRandom;
+
+  beforeEach(() => {
+    connector = new HttpTestConnector('httptest');
+    connector.retryPolicy = { maxRetries: 3, baseDelayMs: 100, maxDelayMs: 1000, budget: 2 };
+    connector._resetRunState();
+    originalRandom = Math.random;
+  });
+
+  afterEach(() => {
+    Math.random = originalRandom;
+  });
+
+  describe('_getRetryDelay', () => {
+    const failure = (status, headers = {}) => ({ response: { status, headers } });
+
+    it('should honor Retry-After on HTTP 429, in seconds or as a date', () => {
+      expect(connector._getRetryDelay(failure(429, { 'retry-after': '1' }), get, 0)).toBe(1000);
+      const inHalfASecond = new Date(Date.now() + 500).toUTCString(); // HTTP dates have whole seconds
+      const delay = connector._getRetryDelay(failure(429, { 'retry-after': inHalfASecond }), get, 0);
+      expect(delay >= 0 && delay <= 1000).toBe(true);
+      console.log('Conceptual test for BaseConnector retries: Retry-After honored.');
+    });
+
+    it('should give up when Retry-After exceeds maxDelayMs', () => {
+      expect(connector._getRetryDelay(failure(429, { 'retry-after': '120' }), get, 0)).toBe(null);
+      console.log('Conceptual test for BaseConnector retries: excessive Retry-After not honored.');
+    });
+
+    it('should back off exponentially with full jitter, capped at maxDelayMs', () => {
+      Math.random = () => 1; // The top of the jitter range
+      expect(connector._getRetryDelay(failure(503), get, 0)).toBe(100);
+      expect(connector._getRetryDelay(failure(503), get, 2)).toBe(400); // 100 * 2^2
+      expect(connector._getRetryDelay(failure(429), get, 2)).toBe(400); // 429 without Retry-After backs off too
+      expect(connector._getRetryDelay({ code: 'ECONNRESET' }, get, 1)).toBe(200); // Network error
+      connector.retryPolicy.maxRetries = 10;
+      expect(connector._getRetryDelay(failure(502), get, 5)).toBe(1000); // 3200 capped
+      Math.random = () => 0;
+      expect(connector._getRetryDelay(failure(503), get, 2)).toBe(0);
+      console.log('Conceptual test for BaseConnector retries: jittered exponential backoff.');
+    });
+
+    it('should not retry client errors, non-idempotent requests, the last attempt or an exhausted budget', () => {
+      expect(connector._getRetryDelay(failure(401), get, 0)).toBe(null);
+      expect(connector._getRetryDelay(failure(404), get, 0)).toBe(null);
+      expect(connector._getRetryDelay(failure(503), { method: 'POST', url: '/todos' }, 0)).toBe(null);
+      expect(connector._getRetryDelay(failure(503), get, 3)).toBe(null); // maxRetries reached
+      connector.retryBudgetRemaining = 0;
+      expect(connector._getRetryDelay(failure(503), get, 0)).toBe(null);
+      console.log('Conceptual test for BaseConnector retries: 4xx, POST, last attempt and empty budget not retried.');
+    });
+  });
+
+  describe('CircuitBreaker', () => {
+    let breaker;
+
+    beforeEach(() => {
+      breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldownMs: 1000 });
+    });
+
+    const coolDown = () => { breaker.openedAt -= 1000; }; // As if the cooldown had passed
+
+    it('should open after the threshold of consecutive failures and fail fast', () => {
+      breaker.recordFailure(new Error('HTTP 503'));
+      expect(breaker.getStatus().state).toBe('closed');
+      breaker.recordFailure(new Error('HTTP 503'));
+      expect(breaker.isOpen()).toBe(true);
+      expect(breaker.allowRequest()).toBe(false);
+      expect(breaker.getStatus().degraded).toBe(true);
+      expect(breaker.getStatus().lastError).toBe('HTTP 503');
+      expect(typeof breaker.getStatus().retryAt).toBe('string');
+      console.log('Conceptual test for CircuitBreaker: opens after threshold.');
+    });
+
+    it('should reset the failure count on success', () => {
+      breaker.recordFailure();
+      breaker.recordSuccess();
+      breaker.recordFailure();
+      expect(breaker.getStatus().state).toBe('closed');
+      console.log('Conceptual test for CircuitBreaker: success resets the count.');
+    });
+
+    it('should no longer be open once the cooldown has passed, and go half-open on the next request', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+      coolDown();
+      expect(breaker.isOpen()).toBe(false); // Even before a request moves it to half-open
+      expect(breaker.allowRequest()).toBe(true);
+      expect(breaker.getStatus().state).toBe('half-open');
+      expect(breaker.getStatus().degraded).toBe(true);
+      console.log('Conceptual test for CircuitBreaker: half-open after cooldown.');
+    });
+
+    it('should close on a successful trial request', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+      coolDown();
+      breaker.allowRequest();
+      breaker.recordSuccess();
+      expect(breaker.getStatus()).toEqual({ state: 'closed', degraded: false, consecutiveFailures: 0, lastError: null, retryAt: null });
+      console.log('Conceptual test for CircuitBreaker: trial success closes the circuit.');
+    });
+
+    it('should re-open for another cooldown when the trial request fails', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+      coolDown();
+      breaker.allowRequest();
+      breaker.failureThreshold = 10; // Re-opened because the trial failed, not by the count
+      breaker.recordFailure(new Error('still down'));
+      expect(breaker.getStatus().state).toBe('open');
+      expect(breaker.isOpen()).toBe(true);
+      expect(breaker.allowRequest()).toBe(false);
+      console.log('Conceptual test for CircuitBreaker: trial failure re-opens the circuit.');
+    });
+  });
+
+  describe('createHttpClient', () => {
+    // Requests go to an axios adapter that answers with the queued statuses.
+    const clientAnswering = (statuses, calls) => connector.createHttpClient({
+      adapter: async (requestConfig) => {
+        calls.push(requestConfig.retryAttempt || 0);
+        const status = statuses.shift();
+        const response = { status, statusText: String(status), headers: {}, config: requestConfig, data: { ok: status < 400 } };
+        if (status >= 400) throw Object.assign(new Error(`HTTP ${status}`), { config: requestConfig, response });
+        return response;
+      },
+    });
+
+    beforeEach(() => {
+      Math.random = () => 0; // No waiting between retries
+    });
+
+    it('should retry transient failures and spend the run\'s retry budget', async () => {
+      const calls = [];
+      const response = await clientAnswering([503, 502, 200], calls).get('/lifelogs');
+      expect(response.data.ok).toBe(true);
+      expect(calls).toEqual([0, 1, 2]);
+      expect(connector.retryBudgetRemaining).toBe(0);
+      expect(connector.circuitBreaker.getStatus().state).toBe('closed');
+      console.log('Conceptual test for BaseConnector.createHttpClient: transient failures retried.');
+    });
+
+    it('should stop retrying once the budget is spent and count the failure for the circuit breaker', async () => {
+      const calls = [];
+      let error = null;
+      await clientAnswering([503, 503, 503, 200], calls).get('/lifelogs').catch((e) => { error = e; });
+      expect(error.response.status).toBe(503);
+      expect(calls.length).toBe(3); // Budget of 2 retries
+      expect(connector.circuitBreaker.getStatus().consecutiveFailures).toBe(1);
+      console.log('Conceptual test for BaseConnector.createHttpClient: budget exhausted.');
+    });
+
+    it('should fail fast while the circuit is open', async () => {
+      const calls = [];
+      connector.circuitBreaker = new CircuitBreaker('httptest', { failureThreshold: 1, cooldownMs: 60000 });
+      connector.circuitBreaker.recordFailure(new Error('down'));
+      let error = null;
+      await clientAnswering([200], calls).get('/lifelogs').catch((e) => { error = e; });
+      expect(error.code).toBe('CIRCUIT_OPEN');
+      expect(calls.length).toBe(0);
+      console.log('Conceptual test for BaseConnector.createHttpClient: open circuit fails fast.');
+    });
+  });
+
+  describe('_finalizeResult', () => {
+    it('should report a partial fetch as partial, not success', () => {
+      connector.reportPartialFetch('facts page 3 failed');
+      const result = connector._finalizeResult({ success: true, newEntries: 4 });
+      expect(result.success).toBe(false);
+      expect(result.partial).toBe(true);
+      expect(result.newEntries).toBe(4);
+      expect(result.warnings).toEqual(['facts page 3 failed']);
+      connector._resetRunState();
+      expect(connector._finalizeResult({ success: true }).partial).toBe(undefined);
+      console.log('Conceptual test for BaseConnector.sync: partial fetch flagged.');
+    });
+  });
+
+  describe('webhook signatures', () => {
+    // Exercises the real BaseConnector.prototype.verifyWebhookSignature on a connector configured with a secret
+    const crypto = require('crypto');
+    const BaseConnector = require('../../../services/dataIngestion/BaseConnector');
+    class WebhookTestConnector extends BaseConnector {}
+    const body = Buffer.from('{"date":"2024-05-01","mood_score":7}');
+    const sign = (payload, secret = 's3cret') => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+    let webhookConnector;
+
+    beforeEach(() => {
+      webhookConnector = new WebhookTestConnector('webhooktest');
+      webhookConnector.sourceConfig = { enabled: true, webhook: { secret: 's3cret' } };
+    });
+
+    it('should accept an HMAC-SHA256 of the raw body, with or without the sha256= prefix', () => {
+      expect(webhookConnector.verifyWebhookSignature(body, `sha256=${sign(body)}`)).toBe(true);
+      expect(webhookConnector.verifyWebhookSignature(body, `SHA256=${sign(body)}`)).toBe(true);
+      expect(webhookConnector.verifyWebhookSignature(body, sign(body))).toBe(true);
+      console.log('Conceptual test for BaseConnector webhooks: valid signature accepted.');
+    });
+
+    it('should reject a signature for a tampered body or made with another secret', () => {
+      const tampered = Buffer.from('{"date":"2024-05-01","mood_score":9}');
+      expect(webhookConnector.verifyWebhookSignature(tampered, `sha256=${sign(body)}`)).toBe(false);
+      expect(webhookConnector.verifyWebhookSignature(body, `sha256=${sign(body, 'other')}`)).toBe(false);
+      console.log('Conceptual test for BaseConnector webhooks: tampered body rejected.');
+    });
+
+    it('should reject a wrong-length signature without throwing', () => {
+      expect(webhookConnector.verifyWebhookSignature(body, 'sha256=abcd')).toBe(false);
+      expect(webhookConnector.verifyWebhookSignature(body, `sha256=${sign(body)}00`)).toBe(false);
+      expect(webhookConnector.verifyWebhookSignature(body, 'sha256=not-hex')).toBe(false);
+      console.log('Conceptual test for BaseConnector webhooks: wrong-length signature rejected.');
+    });
+
+    it('should reject a missing signature header or a source without a secret', () => {
+      expect(webhookConnector.verifyWebhookSignature(body, undefined)).toBe(false);
+      expect(webhookConnector.verifyWebhookSignature(body, '')).toBe(false);
+      webhookConnector.sourceConfig = { enabled: true };
+      expect(webhookConnector.verifyWebhookSignature(body, `sha256=${sign(body)}`)).toBe(false);
+      console.log('Conceptual test for BaseConnector webhooks: missing header rejected.');
+    });
+  });
+
+  describe('probeRequest', () => {
+    // Exercises the real BaseConnector.prototype.probeRequest, with axios.request replaced for each test
+    const axios = require('axios');
+    const BaseConnector = require('../../../services/dataIngestion/BaseConnector');
+    class ProbeTestConnector extends BaseConnector {}
+    const client = { defaults: { baseURL: 'https://api.example.com/v1', headers: { 'X-API-Key': 'key' }, params: { timezone: 'UTC' } } };
+    let probeConnector;
+    let originalRequest;
+    let sentRequests;
+    const failWith = (response, code) => async (requestConfig) => {
+      sentRequests.push(requestConfig);
+      throw Object.assign(new Error('Request failed'), { response, code });
+    };
+
+    beforeEach(() => {
+      probeConnector = new ProbeTestConnector('probetest');
+      originalRequest = axios.request;
+      sentRequests = [];
+    });
+
+    afterEach(() => {
+      axios.request = originalRequest;
+    });
+
+    it('should report rejected credentials on HTTP 401 and 403', async () => {
+      axios.request = failWith({ status: 401 });
+      expect((await probeConnector.probeRequest(client, { url: '/lifelogs' })).message).toBe('Credentials rejected (HTTP 401).');
+      axios.request = failWith({ status: 403 });
+      const forbidden = await probeConnector.probeRequest(client, { url: '/lifelogs' });
+      expect(forbidden.ok).toBe(false);
+      expect(forbidden.message).toBe('Credentials rejected (HTTP 403).');
+      console.log('Conceptual test for BaseConnector.probeRequest: 401/403 reported as rejected credentials.');
+    });
+
+    it('should report other failures as a failed probe, not rejected credentials', async () => {
+      axios.request = failWith({ status: 500 });
+      expect((await probeConnector.probeRequest(client, { url: '/lifelogs' })).message).toBe('Probe failed: HTTP 500.');
+      axios.request = failWith(undefined, 'ECONNREFUSED');
+      expect((await probeConnector.probeRequest(client, { url: '/lifelogs' })).message).toBe('Probe failed: ECONNREFUSED.');
+      console.log('Conceptual test for BaseConnector.probeRequest: other failures reported as such.');
+    });
+
+    it("should send one request with the client's base URL, headers and merged params", async () => {
+      axios.request = async (requestConfig) => { sentRequests.push(requestConfig); return { status: 200, data: {} }; };
+      const result = await probeConnector.probeRequest(client, { url: '/lifelogs', params: { limit: 1 } });
+      expect(result.ok).toBe(true);
+      expect(sentRequests.length).toBe(1);
+      expect(sentRequests[0].baseURL).toBe('https://api.example.com/v1');
+      expect(sentRequests[0].params).toEqual({ timezone: 'UTC', limit: 1 });
+      expect(probeConnector.circuitBreaker.getStatus().state).toBe('closed');
+      console.log('Conceptual test for BaseConnector.probeRequest: single request with client defaults.');
+    });
+  });
+
+  describe('raw payload archive', () => {
+    // Exercises the real sync() and reprocess() on a connector with canned fetchData/processData.
+    // RawPayloadStore's methods are replaced for each test and restored afterwards.
+    const RawPayloadStore = require('../../../services/storage/RawPayloadStore');
+    const STORE_METHODS = ['save', 'markProcessed', 'listIds', 'load'];
+    class ArchiveTestConnector extends BaseConnector {
+      async fetchData() { return { items: ['a'], progress: { cursor: 'c2' } }; }
+      async processData(data) {
+        this.processed.push(data);
+        if (data.fail) throw new Error('mapping failed');
+        return { newEntries: data.items.length, updatedEntries: 0, errors: 0, affectedDates: data.dates || ['2024-05-01'] };
+      }
+      fromArchivedPayload(payload) { return { ...payload, progress: undefined }; } // Replays never move checkpoints
+    }
+    let archiveConnector;
+    let storeOriginals;
+    let saved;
+    let marked;
+
+    beforeEach(() => {
+      storeOriginals = {};
+      for (const name of STORE_METHODS) storeOriginals[name] = RawPayloadStore[name];
+      saved = [];
+      marked = [];
+      archiveConnector = new ArchiveTestConnector('archivetest');
+      archiveConnector.sourceConfig = { enabled: true };
+      archiveConnector.processed = [];
+      RawPayloadStore.save = async (source, payload, runId) => { saved.push({ source, payload, runId }); return 'payload-1'; };
+      RawPayloadStore.markProcessed = async (payloadId, dates) => { marked.push([payloadId, dates]); };
+    });
+
+    afterEach(() => {
+      for (const name of STORE_METHODS) RawPayloadStore[name] = storeOriginals[name];
+    });
+
+    it('should archive what sync() hands to processData and record the days it touched', async () => {
+      await archiveConnector.sync({ runId: 'run-1' });
+      expect(saved).toEqual([{ source: 'archivetest', payload: { items: ['a'], progress: { cursor: 'c2' } }, runId: 'run-1' }]);
+      expect(marked).toEqual([['payload-1', ['2024-05-01']]]);
+      console.log('Conceptual test for BaseConnector.sync: payload archived.');
+    });
+
+    it('should not archive when the manifest opts out', async () => {
+      ArchiveTestConnector.manifest = { name: 'archivetest', archiveRawPayloads: false };
+      try {
+        await archiveConnector.sync();
+        expect(saved.length).toBe(0);
+        expect(marked).toEqual([[null, ['2024-05-01']]]); // markProcessed ignores a missing id
+      } finally {
+        delete ArchiveTestConnector.manifest;
+      }
+      console.log('Conceptual test for BaseConnector.sync: archiving opted out.');
+    });
+
+    it('should replay archived payloads oldest first without their progress and carry on past failures', async () => {
+      const archive = {
+        p1: { items: ['a'], progress: { cursor: 'c1' }, dates: ['2024-05-02'] },
+        p2: { items: [], fail: true },
+        p3: { items: ['b', 'c'], progress: { cursor: 'c3' }, dates: ['2024-05-01'] },
+      };
+      let listed;
+      RawPayloadStore.listIds = async (source, options) => { listed = [source, options]; return ['p1', 'p2', 'p3']; };
+      RawPayloadStore.load = async (payloadId) => archive[payloadId];
+
+      const result = await archiveConnector.reprocess({ start: '2024-05-01', end: '2024-05-31' });
+      expect(listed).toEqual(['archivetest', { start: '2024-05-01', end: '2024-05-31' }]);
+      expect(archiveConnector.processed.map(data => data.progress)).toEqual([undefined, undefined, undefined]);
+      expect(result).toEqual({
+        success: false, message: '1 error(s) while reprocessing archivetest.', payloads: 3,
+        newEntries: 3, updatedEntries: 0, errors: 1, affectedDates: ['2024-05-01', '2024-05-02'],
+      });
+      expect(marked.map(([payloadId]) => payloadId)).toEqual(['p1', 'p3']);
+      console.log('Conceptual test for BaseConnector.reprocess: archive replayed.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
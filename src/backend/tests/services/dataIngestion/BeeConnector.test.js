@@ -0,0 +1,174 @@
+// Example Unit Test for BeeConnector's per-sub-source checkpoints (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ query: jest.fn() }));
+// jest.mock('../../../services/processing/DataProcessor', () => ({ updateDailyAggregation: jest.fn() }));
+
+describe('BeeConnector checkpoints', () => {
+  // The real connector. Its API client and system_metadata accessors are replaced with in-memory fakes;
+  // DatabaseManager.query and DataProcessor.updateDailyAggregation are replaced for each test and restored afterwards.
+  const db = require('../../../services/storage/DatabaseManager');
+  const DataProcessor = require('../../../services/processing/DataProcessor');
+  const BeeConnector = require('../../../services/dataIngestion/BeeConnector');
+  let bee;
+  let originals;
+  let metadata; // system_metadata key -> value
+  let requests;
+  let api; // endpoint -> pages (arrays of items, page 1 first), or an Error for a failing page
+
+  const item = (id, updatedAt) => ({ id, updated_at: updatedAt, created_at: updatedAt });
+  const checkpoint = (subSource) => metadata.get(`last_sync_time_bee_${subSource}`);
+
+  beforeEach(() => {
+    originals = { query: db.query, updateDailyAggregation: DataProcessor.updateDailyAggregation };
+    metadata = new Map();
+    requests = [];
+    api = {};
+    bee = new BeeConnector();
+    bee.sourceConfig = { enabled: true, apiKey: 'test-key', subSources: { conversations: true, facts: true, todos: false, locations: false } };
+    bee.apiClient = {
+      get: async (url, config = {}) => {
+        requests.push({ url, page: config.params && config.params.page });
+        if (url.startsWith('/conversations/')) return { data: { conversation: { id: Number(url.split('/')[2]), details: true } } };
+        const page = (api[url] || [])[config.params.page - 1];
+        if (page instanceof Error) throw page;
+        return { data: page || [] };
+      },
+    };
+    bee.getMetadata = async (key) => (metadata.has(key) ? metadata.get(key) : null);
+    bee.setMetadata = async (key, value) => { metadata.set(key, value); };
+    bee.deleteMetadata = async (key) => { metadata.delete(key); };
+    bee.getLastSyncTime = async (stream) => (metadata.has(bee._lastSyncKey(stream)) ? new Date(metadata.get(bee._lastSyncKey(stream))) : new Date(0));
+    bee.updateLastSyncTime = async (time, stream) => { metadata.set(bee._lastSyncKey(stream), time.toISOString()); };
+    db.query = async () => ({ rows: [] }); // No conversations stored yet
+    DataProcessor.updateDailyAggregation = async () => {};
+  });
+
+  afterEach(() => {
+    db.query = originals.query;
+    DataProcessor.updateDailyAggregation = originals.updateDailyAggregation;
+  });
+
+  describe('fetchData', () => {
+    it('should walk each enabled sub-source from its own checkpoint', async () => {
+      metadata.set('last_sync_time_bee_conversations', '2024-05-01T00:00:00.000Z');
+      metadata.set('last_sync_time_bee_facts', '2024-05-03T00:00:00.000Z'); // Facts synced more recently
+      api['/conversations'] = [[item(3, '2024-05-04T00:00:00Z'), item(2, '2024-05-02T00:00:00Z'), item(1, '2024-04-30T00:00:00Z')]];
+      api['/facts'] = [[item(12, '2024-05-04T00:00:00Z'), item(11, '2024-05-02T00:00:00Z')]];
+
+      const result = await bee.fetchData();
+      expect(result.conversations.map(convo => convo.id)).toEqual([3, 2]); // Not cut off by the facts checkpoint
+      expect(result.facts.map(fact => fact.id)).toEqual([12]);
+      expect(result.todos).toEqual([]);
+      expect(requests.some(request => request.url === '/todos')).toBe(false);
+      expect(result.progress.conversations).toEqual({ complete: true, nextPage: 1, high: '2024-05-04T00:00:00.000Z', since: '2024-05-01T00:00:00.000Z' });
+      expect(result.progress.facts.since).toBe('2024-05-03T00:00:00.000Z');
+      console.log('Conceptual test for BeeConnector.fetchData: independent sub-source walks.');
+    });
+
+    it('should stop at maxPages and resume the next run from the saved page and walk start', async () => {
+      bee.sourceConfig.subSources = { facts: true };
+      api['/facts'] = [[item(14, '2024-05-04T00:00:00Z'), item(13, '2024-05-03T00:00:00Z')], [item(12, '2024-05-02T00:00:00Z')]];
+
+      const first = await bee.fetchData({ limit: 2, maxPages: 1 });
+      expect(first.progress.facts).toEqual({ complete: false, nextPage: 2, high: '2024-05-04T00:00:00.000Z', since: '1970-01-01T00:00:00.000Z' });
+      await bee.processData({ facts: [], progress: first.progress }); // Items stored elsewhere; only the progress matters here
+      expect(metadata.get('sync_cursor_bee_facts')).toEqual({ page: 2, high: '2024-05-04T00:00:00.000Z', since: '1970-01-01T00:00:00.000Z' });
+
+      requests = [];
+      const second = await bee.fetchData({ limit: 2, maxPages: 1 });
+      expect(requests[0].page).toBe(2);
+      expect(second.facts.map(fact => fact.id)).toEqual([12]);
+      expect(second.progress.facts.complete).toBe(true);
+      expect(second.progress.facts.high).toBe('2024-05-04T00:00:00.000Z'); // Carried over from the first part of the walk
+      console.log('Conceptual test for BeeConnector.fetchData: walk resumed from the saved cursor.');
+    });
+
+    it('should keep the failed page in the progress and report the fetch as partial', async () => {
+      bee.sourceConfig.subSources = { facts: true };
+      api['/facts'] = [[item(13, '2024-05-03T00:00:00Z'), item(12, '2024-05-02T00:00:00Z')], new Error('Bad Gateway')];
+
+      const result = await bee.fetchData({ limit: 2 });
+      expect(result.facts.length).toBe(2);
+      expect(result.progress.facts.complete).toBe(false);
+      expect(result.progress.facts.nextPage).toBe(2);
+      expect(bee.partialFetchReasons.length).toBe(1);
+      console.log('Conceptual test for BeeConnector.fetchData: failed page retried next run.');
+    });
+
+    it('should hold the conversations checkpoint before conversations whose details are missing', async () => {
+      bee.sourceConfig.subSources = { conversations: true };
+      api['/conversations'] = [[item(3, '2024-05-04T00:00:00Z'), item(2, '2024-05-02T00:00:00Z')]];
+      const get = bee.apiClient.get;
+      bee.apiClient.get = async (url, config) => {
+        if (url === '/conversations/2') throw new Error('timeout');
+        return get(url, config);
+      };
+
+      const result = await bee.fetchData();
+      expect(result.conversations.find(convo => convo.id === 2).detailsMissing).toBe(true);
+      expect(result.progress.conversations.high).toBe('2024-05-01T23:59:59.999Z');
+      console.log('Conceptual test for BeeConnector.fetchData: checkpoint held for missing details.');
+    });
+  });
+
+  describe('processData', () => {
+    beforeEach(() => {
+      bee._processConversations = async (items) => ({ newEntries: items.length, updatedEntries: 0, errors: 0, skipped: 0 });
+      bee._processFacts = async (items) => ({ newEntries: items.length - 1, updatedEntries: 0, errors: 1, skipped: 0 }); // One fact fails
+    });
+
+    it('should advance only the sub-sources whose items were all stored', async () => {
+      metadata.set('last_sync_time_bee_facts', '2024-05-01T00:00:00.000Z');
+      metadata.set('sync_cursor_bee_facts', { page: 3, high: '2024-05-04T00:00:00.000Z', since: '2024-05-01T00:00:00.000Z' });
+      const result = await bee.processData({
+        conversations: [item(3, '2024-05-04T00:00:00Z')],
+        facts: [item(12, '2024-05-04T00:00:00Z'), item(11, '2024-05-02T00:00:00Z')],
+        progress: {
+          conversations: { complete: true, nextPage: 1, high: '2024-05-04T00:00:00.000Z', since: '1970-01-01T00:00:00.000Z' },
+          facts: { complete: true, nextPage: 3, high: '2024-05-04T00:00:00.000Z', since: '2024-05-01T00:00:00.000Z' },
+        },
+      });
+
+      expect(result.errors).toBe(1);
+      expect(checkpoint('conversations')).toBe('2024-05-04T00:00:00.000Z');
+      expect(checkpoint('facts')).toBe('2024-05-01T00:00:00.000Z'); // Left alone, so the failed fact comes up again
+      expect(metadata.has('sync_cursor_bee_facts')).toBe(false); // And the walk is redone from the checkpoint
+      console.log('Conceptual test for BeeConnector.processData: failures hold back only their sub-source.');
+    });
+
+    it('should not move checkpoints for payloads without progress', async () => {
+      await bee.processData(bee.fromArchivedPayload({
+        conversations: [item(3, '2024-05-04T00:00:00Z')],
+        progress: { conversations: { complete: true, nextPage: 1, high: '2024-05-04T00:00:00.000Z', since: '1970-01-01T00:00:00.000Z' } },
+      }));
+      expect(checkpoint('conversations')).toBe(undefined);
+      console.log('Conceptual test for BeeConnector.processData: replayed payloads leave checkpoints alone.');
+    });
+  });
+
+  describe('getCheckpoints', () => {
+    it('should list each sub-source with its checkpoint and saved cursor', async () => {
+      metadata.set('last_sync_time_bee_todos', '2024-05-02T00:00:00.000Z');
+      metadata.set('sync_cursor_bee_todos', { page: 2, high: null, since: '2024-05-02T00:00:00.000Z' });
+
+      const checkpoints = await bee.getCheckpoints();
+      expect(checkpoints.map(entry => entry.stream)).toEqual(['conversations', 'facts', 'todos', 'locations']);
+      expect(checkpoints[0].lastSyncTime).toBe(null);
+      expect(checkpoints[2].lastSyncTime).toBe('2024-05-02T00:00:00.000Z');
+      expect(checkpoints[2].cursor.page).toBe(2);
+      console.log('Conceptual test for BeeConnector.getCheckpoints: per sub-source state listed.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
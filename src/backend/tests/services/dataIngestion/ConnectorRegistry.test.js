@@ -0,0 +1,169 @@
+// Example Unit Test for ConnectorRegistry (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ query: jest.fn() }));
+
+describe('ConnectorRegistry', () => {
+  // The real registry, discovering plugins written to a temp directory. ConfigManager.get is pointed at that
+  // directory for each test; the registry's state and ConfigManager.get are restored afterwards.
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const config = require('../../../services/storage/ConfigManager');
+  const ConnectorRegistry = require('../../../services/dataIngestion/ConnectorRegistry');
+  let pluginsDir;
+  let originalGet;
+  let savedState;
+
+  // A plugin module in the factory form, so it doesn't need to know where BaseConnector is.
+  const factoryPlugin = (manifest) => `module.exports = ({ BaseConnector }) => {
+  class PluginConnector extends BaseConnector {
+    async fetchData() { return null; }
+    async processData() { return { newEntries: 0, updatedEntries: 0, errors: 0 }; }
+  }
+  ${manifest ? `PluginConnector.manifest = ${JSON.stringify(manifest)};` : ''}
+  return PluginConnector;
+};`;
+  const writePlugin = (relativePath, content) => {
+    const filePath = path.join(pluginsDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  beforeEach(() => {
+    pluginsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeboard-plugins-'));
+    originalGet = config.get;
+    config.get = (key, defaultValue) => (key === 'connectors.pluginsDir' ? pluginsDir : originalGet.call(config, key, defaultValue));
+    savedState = { connectorClasses: ConnectorRegistry.connectorClasses, discovered: ConnectorRegistry.discovered };
+  });
+
+  afterEach(() => {
+    config.get = originalGet;
+    ConnectorRegistry.connectorClasses = savedState.connectorClasses;
+    ConnectorRegistry.discovered = savedState.discovered;
+    fs.rmSync(pluginsDir, { recursive: true, force: true });
+  });
+
+  describe('discovery', () => {
+    it('should find the built-in connectors with their manifests', () => {
+      const names = ConnectorRegistry.discover().map(manifest => manifest.name);
+      for (const name of ['limitless', 'bee', 'mood', 'weather']) {
+        expect(names.includes(name)).toBe(true);
+      }
+      expect(ConnectorRegistry.getManifest('mood').defaultSchedule).toBe(null);
+      console.log('Conceptual test for ConnectorRegistry discovery: built-ins found.');
+    });
+
+    it('should register single-file plugins and plugin folders with a manifest.json', () => {
+      writePlugin('github.js', factoryPlugin({
+        name: 'github',
+        configSchema: { type: 'object', required: ['apiKey'], properties: { apiKey: { type: 'string' }, perPage: { type: 'integer', default: 50 } } },
+        defaultSchedule: '0 */6 * * *',
+      }));
+      writePlugin('strava/manifest.json', JSON.stringify({ name: 'strava', main: 'connector.js', defaultSchedule: '6h' }));
+      writePlugin('strava/connector.js', factoryPlugin(null));
+
+      ConnectorRegistry.discover();
+      expect(ConnectorRegistry.getManifest('github').defaultSchedule).toBe('0 */6 * * *');
+      expect(ConnectorRegistry.getManifest('strava').configSchema).toBe(null); // Filled in by the registry
+      const github = ConnectorRegistry.create('github');
+      expect(github.sourceName).toBe('github');
+      expect(github.sourceConfig.perPage).toBe(50); // Schema default applied
+      console.log('Conceptual test for ConnectorRegistry discovery: file and folder plugins registered.');
+    });
+
+    it('should skip exports that are not BaseConnector subclasses, folders without a manifest and broken plugins', () => {
+      writePlugin('helper.js', 'module.exports = () => class NotAConnector {};');
+      writePlugin('notes/index.js', factoryPlugin({ name: 'notes' }));
+      writePlugin('broken.js', 'module.exports = (;');
+
+      const names = ConnectorRegistry.discover().map(manifest => manifest.name);
+      expect(names.includes('notes')).toBe(false);
+      expect(ConnectorRegistry.create('notes')).toBe(null);
+      expect(names.includes('bee')).toBe(true); // Discovery carries on
+      console.log('Conceptual test for ConnectorRegistry discovery: invalid plugins ignored.');
+    });
+
+    it('should not let a plugin shadow a built-in connector', () => {
+      writePlugin('bee.js', factoryPlugin({ name: 'bee', description: 'Impostor' }));
+      ConnectorRegistry.discover();
+      expect(ConnectorRegistry.getManifest('bee').description === 'Impostor').toBe(false);
+      console.log('Conceptual test for ConnectorRegistry discovery: duplicate names rejected.');
+    });
+  });
+
+  describe('validateConfig', () => {
+    beforeEach(() => {
+      writePlugin('github.js', factoryPlugin({
+        name: 'github',
+        configSchema: {
+          type: 'object',
+          required: ['apiKey'],
+          properties: {
+            apiKey: { type: 'string' },
+            perPage: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+            visibility: { type: 'string', enum: ['public', 'all'] },
+            repos: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      }));
+      ConnectorRegistry.discover();
+    });
+
+    it('should report required fields missing from dataSources.<name>', () => {
+      expect(ConnectorRegistry.validateConfig('github', { enabled: true })).toEqual(['dataSources.github.apiKey is required']);
+      expect(ConnectorRegistry.validateConfig('github', { enabled: true, apiKey: '' })).toEqual(['dataSources.github.apiKey is required']);
+      console.log('Conceptual test for ConnectorRegistry.validateConfig: missing apiKey reported.');
+    });
+
+    it('should report wrong types, enum values, ranges and array items with their config path', () => {
+      expect(ConnectorRegistry.validateConfig('github', { apiKey: 42, perPage: 500, visibility: 'private', repos: ['a', 7] })).toEqual([
+        'dataSources.github.apiKey should be of type string',
+        'dataSources.github.perPage should be <= 100',
+        'dataSources.github.visibility should be one of: public, all',
+        'dataSources.github.repos[1] should be of type string',
+      ]);
+      expect(ConnectorRegistry.validateConfig('github', { apiKey: 'key', perPage: 2.5 })).toEqual(['dataSources.github.perPage should be of type integer']);
+      console.log('Conceptual test for ConnectorRegistry.validateConfig: invalid values reported.');
+    });
+
+    it('should accept a complete config and reject unknown connectors', () => {
+      expect(ConnectorRegistry.validateConfig('github', { enabled: true, apiKey: 'test-key', repos: ['lifeboard'] })).toEqual([]);
+      expect(ConnectorRegistry.validateConfig('gitlab', {})).toEqual(["Unknown connector 'gitlab'"]);
+      console.log('Conceptual test for ConnectorRegistry.validateConfig: valid config accepted.');
+    });
+  });
+
+  describe('applyDefaults', () => {
+    const { applyDefaults } = require('../../../utils/schemaValidator');
+    const schema = {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        retry: { type: 'object', properties: { maxRetries: { type: 'integer', default: 3 }, baseDelayMs: { type: 'integer', default: 500 } } },
+        apiKey: { type: 'string' },
+      },
+    };
+
+    it('should fill in defaults beneath the user\'s values, merging nested objects', () => {
+      expect(applyDefaults(schema, { enabled: true, retry: { maxRetries: 5 } })).toEqual({
+        enabled: true,
+        retry: { maxRetries: 5, baseDelayMs: 500 },
+      });
+      expect(applyDefaults(schema, {})).toEqual({ enabled: false, retry: { maxRetries: 3, baseDelayMs: 500 } });
+      expect(applyDefaults(null, { apiKey: 'key' })).toEqual({ apiKey: 'key' });
+      console.log('Conceptual test for schemaValidator.applyDefaults: defaults merged.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
@@ -0,0 +1,174 @@
+// Example Unit Test for DataSyncManager's per-source locking (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/SyncLock');
+// jest.mock('../../../services/storage/SyncRunStore');
+
+describe('DataSyncManager locking', () => {
+  // The real manager with a fake connector. SyncLock and SyncRunStore methods are replaced for each test
+  // and restored afterwards.
+  const DataSyncManager = require('../../../services/dataIngestion/DataSyncManager');
+  const SyncLock = require('../../../services/storage/SyncLock');
+  const SyncRunStore = require('../../../services/storage/SyncRunStore');
+  const LOCK_METHODS = ['acquire', 'isHeld', 'waitForRelease'];
+  const RUN_METHODS = ['findRunning', 'getById', 'start', 'finish', 'listUnfinishedSources', 'failInterrupted'];
+  let originals;
+  let synced;
+  let released;
+
+  const run = (overrides) => ({
+    id: 'run-1', source: 'fake', status: 'success', new_entries: 2, updated_entries: 1, error_count: 0,
+    affected_dates: ['2024-05-01'], error_message: null, ...overrides,
+  });
+
+  beforeEach(() => {
+    originals = { lock: {}, runs: {} };
+    for (const name of LOCK_METHODS) originals.lock[name] = SyncLock[name];
+    for (const name of RUN_METHODS) originals.runs[name] = SyncRunStore[name];
+    synced = [];
+    released = 0;
+    DataSyncManager.connectors.fake = {
+      isEnabled: () => true,
+      sync: async (options) => { synced.push(options); return { success: true, newEntries: 1 }; },
+    };
+    SyncLock.acquire = async () => ({ release: async () => { released++; } });
+    SyncLock.waitForRelease = async () => {};
+    SyncRunStore.start = async () => 'run-new';
+    SyncRunStore.finish = async () => {};
+    SyncRunStore.findRunning = async () => run({ status: 'running' });
+  });
+
+  afterEach(() => {
+    delete DataSyncManager.connectors.fake;
+    for (const name of LOCK_METHODS) SyncLock[name] = originals.lock[name];
+    for (const name of RUN_METHODS) SyncRunStore[name] = originals.runs[name];
+  });
+
+  describe('syncSource', () => {
+    it('should run the sync and release the lock', async () => {
+      const result = await DataSyncManager.syncSource('fake', { triggeredBy: 'cron' });
+      expect(result.runId).toBe('run-new');
+      expect(synced.length).toBe(1);
+      expect(released).toBe(1);
+      console.log('Conceptual test for DataSyncManager.syncSource: locked run.');
+    });
+
+    it('should refuse with 409 and the running run while the source is locked', async () => {
+      SyncLock.acquire = async () => null;
+      const result = await DataSyncManager.syncSource('fake');
+      expect(result.status).toBe(409);
+      expect(result.runId).toBe('run-1');
+      expect(synced.length).toBe(0);
+      console.log('Conceptual test for DataSyncManager.syncSource: overlapping run refused.');
+    });
+  });
+
+  describe('_joinRun', () => {
+    beforeEach(() => {
+      SyncLock.acquire = async () => null;
+    });
+
+    it('should return the joined run\'s result once it finishes', async () => {
+      SyncRunStore.getById = async () => run();
+      const result = await DataSyncManager.syncSource('fake', { join: true });
+      expect(result.success).toBe(true);
+      expect(result.partial).toBe(false);
+      expect(result.joined).toBe(true);
+      expect(result.newEntries).toBe(2);
+      expect(synced.length).toBe(0);
+      console.log('Conceptual test for DataSyncManager._joinRun: joined run succeeded.');
+    });
+
+    it('should report a joined partial run as partial, not as a success', async () => {
+      SyncRunStore.getById = async () => run({ status: 'partial', error_message: 'facts page 3 failed' });
+      const result = await DataSyncManager.syncSource('fake', { join: true });
+      expect(result.success).toBe(false); // So POST /sync/:source?join=true answers 207 like the run's own caller
+      expect(result.partial).toBe(true);
+      expect(result.message).toBe('facts page 3 failed');
+      console.log('Conceptual test for DataSyncManager._joinRun: joined partial run.');
+    });
+
+    it('should give up looking for the run once the lock is free', async () => {
+      SyncRunStore.findRunning = async () => null;
+      SyncLock.isHeld = async () => false;
+      const result = await DataSyncManager.syncSource('fake', { join: true });
+      expect(result.success).toBe(false);
+      expect(result.joined).toBe(true);
+      console.log('Conceptual test for DataSyncManager._joinRun: run finished before it was found.');
+    });
+  });
+
+  describe('failInterruptedRuns', () => {
+    it('should fail the unfinished runs of sources whose lock nobody holds', async () => {
+      const failed = [];
+      SyncRunStore.listUnfinishedSources = async () => ['bee', 'limitless'];
+      SyncRunStore.failInterrupted = async (source, before) => { failed.push({ source, before }); return ['run-1']; };
+      SyncLock.acquire = async (source) => (source === 'bee' ? null : { release: async () => { released++; } }); // bee is syncing
+
+      await DataSyncManager.failInterruptedRuns();
+      expect(failed.map(call => call.source)).toEqual(['limitless']);
+      expect(failed[0].before instanceof Date).toBe(true);
+      expect(released).toBe(1);
+      console.log('Conceptual test for DataSyncManager.failInterruptedRuns: only unlocked sources cleaned up.');
+    });
+
+    it('should release the lock and not throw when marking fails', async () => {
+      SyncRunStore.listUnfinishedSources = async () => ['bee'];
+      SyncRunStore.failInterrupted = async () => { throw new Error('connection lost'); };
+
+      await DataSyncManager.failInterruptedRuns();
+      expect(released).toBe(1);
+      console.log('Conceptual test for DataSyncManager.failInterruptedRuns: errors logged, lock released.');
+    });
+  });
+
+  describe('previewSync', () => {
+    it('should run the connector as a dry run without recording a sync run, and release the lock', async () => {
+      let started = 0;
+      SyncRunStore.start = async () => { started++; return 'run-new'; };
+      DataSyncManager.connectors.fake.sync = async (options) => {
+        synced.push(options);
+        return { success: true, newEntries: 1, changes: { tables: { mood_entries: { new: 1 } }, dailyAggregationDates: [] } };
+      };
+
+      const result = await DataSyncManager.previewSync('fake', { triggeredBy: 'api', forceFullSync: true });
+      expect(synced).toEqual([{ forceFullSync: true, dryRun: true }]);
+      expect(result.dryRun).toBe(true);
+      expect(result.changes.tables.mood_entries.new).toBe(1);
+      expect(started).toBe(0);
+      expect(released).toBe(1);
+      console.log('Conceptual test for DataSyncManager.previewSync: dry run under the source lock.');
+    });
+
+    it('should refuse with 409 while the source is syncing, and 404 for unknown sources', async () => {
+      SyncLock.acquire = async () => null;
+      const busy = await DataSyncManager.previewSync('fake');
+      expect(busy.status).toBe(409);
+      expect(busy.dryRun).toBe(true);
+      expect(busy.runId).toBe('run-1');
+      expect((await DataSyncManager.previewSync('missing')).status).toBe(404);
+      expect(synced.length).toBe(0);
+      console.log('Conceptual test for DataSyncManager.previewSync: refused while locked.');
+    });
+
+    it('should report a failed dry run and still release the lock', async () => {
+      DataSyncManager.connectors.fake.sync = async () => { throw new Error('Dry run stopped after a failed query: boom'); };
+      const result = await DataSyncManager.previewSync('fake');
+      expect(result.success).toBe(false);
+      expect(result.message).toBe('Dry run stopped after a failed query: boom');
+      expect(released).toBe(1);
+      console.log('Conceptual test for DataSyncManager.previewSync: failure reported.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
@@ -0,0 +1,175 @@
+// Example Unit Test for FileDropConnector (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+// jest.mock('../../../services/processing/DataProcessor', () => ({ setDailyCount: jest.fn() }));
+
+describe('FileDropConnector', () => {
+  // The real connector watching a temp directory. DatabaseManager.query, DatabaseManager.withTransaction and
+  // DataProcessor.setDailyCount are replaced for each test and restored afterwards.
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const db = require('../../../services/storage/DatabaseManager');
+  const DataProcessor = require('../../../services/processing/DataProcessor');
+  const FileDropConnector = require('../../../services/dataIngestion/FileDropConnector');
+  let filedrop;
+  let tempDir;
+  let originals;
+  let statements;
+  let counts;
+
+  const steps = {
+    name: 'steps', pattern: 'steps-*.csv',
+    columns: { occurred_at: 'date', value: 'count' },
+    constants: { category: 'activity', unit: 'steps', title: 'Steps' },
+    timezone: 'America/New_York',
+  };
+  const reads = {
+    name: 'reads', pattern: 'reads.json', recordsPath: 'data.items',
+    columns: { external_id: 'id', occurred_at: 'finished', title: 'book.title' },
+  };
+  // Files written a minute ago, so they count as settled.
+  const drop = (filename, content) => {
+    const filePath = path.join(tempDir, filename);
+    fs.writeFileSync(filePath, content);
+    const settled = new Date(Date.now() - 60000);
+    fs.utimesSync(filePath, settled, settled);
+  };
+  const listDir = (dir = '') => (fs.existsSync(path.join(tempDir, dir)) ? fs.readdirSync(path.join(tempDir, dir)).filter(name => !fs.statSync(path.join(tempDir, dir, name)).isDirectory()) : []);
+
+  beforeEach(() => {
+    originals = { query: db.query, withTransaction: db.withTransaction, setDailyCount: DataProcessor.setDailyCount };
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeboard-drop-'));
+    filedrop = new FileDropConnector();
+    filedrop.sourceConfig = { enabled: true, directory: tempDir, mappings: [steps, reads] };
+    filedrop.directory = tempDir;
+    filedrop.archiveDir = path.join(tempDir, 'archive');
+    filedrop.failedDir = path.join(tempDir, 'failed');
+    statements = [];
+    counts = [];
+    db.withTransaction = async (callback) => callback({
+      query: async (text, values) => { statements.push({ text, values }); return { rows: [{ inserted: true }] }; },
+    });
+    db.query = async () => ({ rows: [{ date: '2024-05-01', count: 3 }] });
+    DataProcessor.setDailyCount = async (date, source, count) => { counts.push([date, source, count]); };
+  });
+
+  afterEach(() => {
+    db.query = originals.query;
+    db.withTransaction = originals.withTransaction;
+    DataProcessor.setDailyCount = originals.setDailyCount;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('fetchData', () => {
+    it('should read settled files that match a mapping and leave the others', async () => {
+      drop('steps-may.csv', 'date,count\n2024-05-01,8000\n2024-05-02,9500\n');
+      drop('reads.json', JSON.stringify({ data: { items: [{ id: 7, finished: '2024-05-01T21:00:00Z', book: { title: 'Dune' } }] } }));
+      drop('notes.csv', 'a,b\n1,2\n'); // No mapping
+      drop('.hidden.json', '{}');
+      fs.writeFileSync(path.join(tempDir, 'steps-june.csv'), 'date,count\n'); // Still being written
+
+      const { files } = await filedrop.fetchData();
+      expect(files.map(file => file.filename)).toEqual(['reads.json', 'steps-may.csv']);
+      expect(files[0].records[0].book.title).toBe('Dune');
+      expect(files[1].records).toEqual([{ date: '2024-05-01', count: '8000' }, { date: '2024-05-02', count: '9500' }]);
+      expect(listDir().sort()).toEqual(['.hidden.json', 'notes.csv', 'reads.json', 'steps-june.csv', 'steps-may.csv']);
+      console.log('Conceptual test for FileDropConnector.fetchData: settled files matched.');
+    });
+
+    it('should move unreadable files to the failed folder and report the fetch as partial', async () => {
+      drop('reads.json', '{ not json');
+      expect(await filedrop.fetchData()).toBe(null);
+      expect(listDir('failed').length).toBe(1);
+      expect(listDir('failed')[0].endsWith('_reads.json')).toBe(true);
+      expect(filedrop.partialFetchReasons.length).toBe(1);
+      console.log('Conceptual test for FileDropConnector.fetchData: unreadable file moved aside.');
+    });
+  });
+
+  describe('_mapRecord', () => {
+    it('should map columns and constants, convert local times and identify records without an id by content', () => {
+      const first = filedrop._mapRecord({ date: '2024-05-01', count: '8000' }, steps, 'steps-may.csv');
+      const again = filedrop._mapRecord({ date: '2024-05-01', count: '8000' }, steps, 'steps-may-again.csv');
+      expect(first.date).toBe('2024-05-01'); // The mapping's day, not the UTC one
+      expect(first.row.occurred_at).toBe('2024-05-01T04:00:00.000Z');
+      expect(first.row.category).toBe('activity');
+      expect(first.row.source).toBe('steps');
+      expect(first.row.external_id).toBe(again.row.external_id); // Re-dropping the data updates the same event
+      expect(filedrop._mapRecord({ id: 7, finished: 1714597200, book: { title: 'Dune' } }, reads, 'reads.json').row.external_id).toBe('7');
+      console.log('Conceptual test for FileDropConnector._mapRecord: record mapped.');
+    });
+
+    it('should reject records without a usable timestamp', () => {
+      let error = null;
+      try { filedrop._mapRecord({ date: 'someday', count: '1' }, steps, 'steps-may.csv'); } catch (e) { error = e; }
+      expect(error.message).toBe("missing or invalid occurred_at ('someday')");
+      console.log('Conceptual test for FileDropConnector._mapRecord: invalid timestamp rejected.');
+    });
+  });
+
+  describe('_buildUpsert', () => {
+    it('should update on the conflict columns and refuse unsafe identifiers', () => {
+      const upsert = filedrop._buildUpsert('life_events', { source: 'steps', external_id: 'a', value: 5 }, ['source', 'external_id']);
+      expect(upsert.text.includes('ON CONFLICT (source, external_id) DO UPDATE SET value = EXCLUDED.value')).toBe(true);
+      expect(upsert.values).toEqual(['steps', 'a', 5]);
+      expect(filedrop._buildUpsert('book_log', { title: 'Dune' }, []).text.includes('ON CONFLICT DO NOTHING')).toBe(true);
+
+      let error = null;
+      try { filedrop._buildUpsert('life_events; DROP TABLE mood_entries', { title: 'x' }, []); } catch (e) { error = e; }
+      expect(error.message).toBe("Invalid table or column name 'life_events; DROP TABLE mood_entries' in mapping");
+      console.log('Conceptual test for FileDropConnector._buildUpsert: query built safely.');
+    });
+  });
+
+  describe('processData', () => {
+    it('should import each file in one transaction, archive it and recount the days', async () => {
+      drop('steps-may.csv', '');
+      const result = await filedrop.processData({ files: [{
+        filename: 'steps-may.csv', mapping: 'steps',
+        records: [{ date: '2024-05-01', count: '8000' }, { date: 'someday', count: '1' }],
+      }] });
+
+      expect(result).toEqual({ newEntries: 1, updatedEntries: 0, errors: 1, affectedDates: ['2024-05-01'] });
+      expect(statements.length).toBe(1);
+      expect(listDir()).toEqual([]);
+      expect(listDir('archive').length).toBe(1);
+      expect(counts).toEqual([['2024-05-01', 'filedrop', 3]]);
+      console.log('Conceptual test for FileDropConnector.processData: file imported and archived.');
+    });
+
+    it('should move files whose rows don\'t fit the table aside and keep files hit by database outages', async () => {
+      drop('steps-may.csv', '');
+      drop('reads.json', '');
+      db.withTransaction = async () => { throw Object.assign(new Error('invalid input syntax for type numeric'), { code: '22P02' }); };
+      await filedrop.processData({ files: [{ filename: 'steps-may.csv', mapping: 'steps', records: [{ date: '2024-05-01', count: 'lots' }] }] });
+      expect(listDir('failed').length).toBe(1);
+
+      db.withTransaction = async () => { throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }); };
+      const result = await filedrop.processData({ files: [{ filename: 'reads.json', mapping: 'reads', records: [{ id: 7, finished: '2024-05-01' }] }] });
+      expect(result.errors).toBe(1);
+      expect(listDir()).toEqual(['reads.json']); // Retried on the next sync
+      expect(counts).toEqual([]);
+      console.log('Conceptual test for FileDropConnector.processData: failures sorted by cause.');
+    });
+
+    it('should leave files in place during a dry run', async () => {
+      drop('steps-may.csv', '');
+      await filedrop.processData({ files: [{ filename: 'steps-may.csv', mapping: 'steps', records: [{ date: '2024-05-01', count: '8000' }] }] }, { dryRun: true });
+      expect(listDir()).toEqual(['steps-may.csv']);
+      console.log('Conceptual test for FileDropConnector.processData: dry run keeps files.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
@@ -0,0 +1,130 @@
+// Example Unit Test for HealthConnector (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ withTransaction: jest.fn() }));
+// jest.mock('../../../services/processing/DataProcessor', () => ({ updateDailyAggregation: jest.fn() }));
+
+describe('HealthConnector', () => {
+  // The real connector streaming an export.xml written to a temp directory. Its system_metadata accessors are
+  // in-memory fakes; DatabaseManager.withTransaction and DataProcessor.updateDailyAggregation are replaced for
+  // each test and restored afterwards.
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const db = require('../../../services/storage/DatabaseManager');
+  const DataProcessor = require('../../../services/processing/DataProcessor');
+  const HealthConnector = require('../../../services/dataIngestion/HealthConnector');
+  let health;
+  let tempDir;
+  let originals;
+  let metadata;
+
+  const record = (type, sourceName, startDate, endDate, value) =>
+    `<Record type="${type}" sourceName="${sourceName}" startDate="${startDate}" endDate="${endDate}" value="${value}"/>`;
+  // iPhone and Watch both count steps; the Watch also records sleep stages.
+  const EXPORT = `<?xml version="1.0" encoding="UTF-8"?>
+<HealthData locale="en_US">
+ ${record('HKQuantityTypeIdentifierStepCount', 'iPhone', '2024-05-01 08:00:00 -0400', '2024-05-01 09:00:00 -0400', 3000)}
+ ${record('HKQuantityTypeIdentifierStepCount', 'iPhone', '2024-05-01 23:30:00 -0400', '2024-05-01 23:50:00 -0400', 500)}
+ ${record('HKQuantityTypeIdentifierStepCount', 'Watch', '2024-05-01 08:00:00 -0400', '2024-05-01 09:00:00 -0400', 3200)}
+ ${record('HKCategoryTypeIdentifierSleepAnalysis', 'iPhone', '2024-05-01 23:00:00 -0400', '2024-05-02 07:00:00 -0400', 'HKCategoryValueSleepAnalysisInBed')}
+ ${record('HKCategoryTypeIdentifierSleepAnalysis', 'Watch', '2024-05-01 23:30:00 -0400', '2024-05-02 03:00:00 -0400', 'HKCategoryValueSleepAnalysisAsleepCore')}
+ ${record('HKCategoryTypeIdentifierSleepAnalysis', 'Watch', '2024-05-02 03:00:00 -0400', '2024-05-02 03:20:00 -0400', 'HKCategoryValueSleepAnalysisAwake')}
+ ${record('HKCategoryTypeIdentifierSleepAnalysis', 'Watch', '2024-05-02 03:20:00 -0400', '2024-05-02 06:40:00 -0400', 'HKCategoryValueSleepAnalysisAsleepREM')}
+ ${record('HKQuantityTypeIdentifierRestingHeartRate', 'Watch', '2024-05-02 06:00:00 -0400', '2024-05-02 06:00:00 -0400', 55)}
+ ${record('HKQuantityTypeIdentifierRestingHeartRate', 'Watch', '2024-05-02 12:00:00 -0400', '2024-05-02 12:00:00 -0400', 58)}
+ ${record('HKQuantityTypeIdentifierHeartRate', 'Watch', '2024-05-02 12:00:00 -0400', '2024-05-02 12:00:00 -0400', 90)}
+ <Workout workoutActivityType="HKWorkoutActivityTypeRunning" duration="1800" durationUnit="s" sourceName="Watch"
+          startDate="2024-05-02 18:00:00 -0400" endDate="2024-05-02 18:30:00 -0400">
+  <WorkoutStatistics type="HKQuantityTypeIdentifierDistanceWalkingRunning" sum="5.2" unit="km"/>
+  <WorkoutStatistics type="HKQuantityTypeIdentifierActiveEnergyBurned" sum="310" unit="kcal"/>
+ </Workout>
+</HealthData>`;
+
+  beforeEach(() => {
+    originals = { withTransaction: db.withTransaction, updateDailyAggregation: DataProcessor.updateDailyAggregation };
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeboard-health-'));
+    fs.writeFileSync(path.join(tempDir, 'export.xml'), EXPORT);
+    metadata = new Map();
+    health = new HealthConnector();
+    health.sourceConfig = { enabled: true, exportPath: path.join(tempDir, 'export.xml') };
+    health.exportPath = path.join(tempDir, 'export.xml');
+    health.getMetadata = async (key) => (metadata.has(key) ? metadata.get(key) : null);
+    health.setMetadata = async (key, value) => { metadata.set(key, value); };
+    DataProcessor.updateDailyAggregation = async () => {};
+  });
+
+  afterEach(() => {
+    db.withTransaction = originals.withTransaction;
+    DataProcessor.updateDailyAggregation = originals.updateDailyAggregation;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('fetchData', () => {
+    it('should reduce the export to one row per day without counting devices twice', async () => {
+      const data = await health.fetchData();
+      expect(data.recordCount).toBe(10);
+      expect(data.days).toEqual([
+        { date: '2024-05-01', steps: 3500, sleep_minutes: null, resting_heart_rate: null }, // iPhone's total beats the Watch's
+        { date: '2024-05-02', steps: null, sleep_minutes: 410, resting_heart_rate: 56.5 }, // Asleep time wins over in-bed time
+      ]);
+      console.log('Conceptual test for HealthConnector.fetchData: daily metrics summarized.');
+    });
+
+    it('should read workouts with their statistics and a stable id', async () => {
+      const first = (await health.fetchData()).workouts;
+      const again = (await health.fetchData({ forceFullSync: true })).workouts;
+      expect(first.length).toBe(1);
+      expect(first[0].activity_type).toBe('Running');
+      expect(first[0].duration_minutes).toBe(30);
+      expect(first[0].distance).toBe(5.2);
+      expect(first[0].distance_unit).toBe('km');
+      expect(first[0].energy_burned).toBe(310);
+      expect(first[0].start_time).toBe('2024-05-02T22:00:00.000Z');
+      expect(first[0].date).toBe('2024-05-02'); // The phone's local day
+      expect(first[0].external_id).toBe(again[0].external_id);
+      console.log('Conceptual test for HealthConnector.fetchData: workouts read.');
+    });
+
+    it('should skip an unchanged export until it is stored again or a full sync is forced', async () => {
+      const data = await health.fetchData();
+      db.withTransaction = async (callback) => callback({ query: async () => ({ rows: [{ inserted: true }] }) });
+      await health.processData(data);
+
+      expect(await health.fetchData()).toBe(null);
+      expect((await health.fetchData({ forceFullSync: true })).days.length).toBe(2);
+      console.log('Conceptual test for HealthConnector.fetchData: unchanged export skipped.');
+    });
+
+    it('should reject exports that are not well-formed XML', async () => {
+      fs.writeFileSync(health.exportPath, '<HealthData><Record type="x"></HealthData>');
+      let error = null;
+      try { await health.fetchData(); } catch (e) { error = e; }
+      expect(error.message.startsWith('Could not parse health export:')).toBe(true);
+      console.log('Conceptual test for HealthConnector.fetchData: malformed export rejected.');
+    });
+  });
+
+  describe('processData', () => {
+    it('should not remember the export when storing it fails', async () => {
+      const data = await health.fetchData();
+      db.withTransaction = async () => { throw new Error('connection terminated'); };
+      let error = null;
+      try { await health.processData(data); } catch (e) { error = e; }
+      expect(error.message).toBe('connection terminated');
+      expect(metadata.size).toBe(0); // So the next sync imports it again
+      console.log('Conceptual test for HealthConnector.processData: failed import retried.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
@@ -0,0 +1,140 @@
+// Example Unit Test for IcsConnector (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+// jest.mock('../../../services/processing/DataProcessor', () => ({ setDailyCount: jest.fn() }));
+
+describe('IcsConnector', () => {
+  // The real connector reading an .ics file from a temp directory. DatabaseManager.query,
+  // DatabaseManager.withTransaction and DataProcessor.setDailyCount are replaced for each test and restored afterwards.
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const db = require('../../../services/storage/DatabaseManager');
+  const DataProcessor = require('../../../services/processing/DataProcessor');
+  const IcsConnector = require('../../../services/dataIngestion/IcsConnector');
+  let ics;
+  let tempDir;
+  let originals;
+
+  // A weekly standup with one skipped and one moved occurrence, a cancelled meeting, an all-day event
+  // and a late-evening call that falls on the next day in UTC.
+  const CALENDAR = [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Lifeboard//Test//EN',
+    'BEGIN:VEVENT', 'UID:standup@test', 'DTSTAMP:20240401T000000Z', 'SUMMARY:Standup', 'LOCATION:Room 4',
+    'DTSTART:20240506T090000Z', 'DTEND:20240506T091500Z', 'RRULE:FREQ=WEEKLY;COUNT=4', 'EXDATE:20240513T090000Z', 'END:VEVENT',
+    'BEGIN:VEVENT', 'UID:standup@test', 'DTSTAMP:20240401T000000Z', 'SUMMARY:Standup (moved)', 'RECURRENCE-ID:20240520T090000Z',
+    'DTSTART:20240521T100000Z', 'DTEND:20240521T101500Z', 'END:VEVENT',
+    'BEGIN:VEVENT', 'UID:cancelled@test', 'DTSTAMP:20240401T000000Z', 'SUMMARY:Offsite', 'STATUS:CANCELLED',
+    'DTSTART:20240508T120000Z', 'DTEND:20240508T130000Z', 'END:VEVENT',
+    'BEGIN:VEVENT', 'UID:holiday@test', 'DTSTAMP:20240401T000000Z', 'SUMMARY:Holiday',
+    'DTSTART;VALUE=DATE:20240509', 'DTEND;VALUE=DATE:20240510', 'END:VEVENT',
+    'BEGIN:VEVENT', 'UID:call@test', 'DTSTAMP:20240401T000000Z', 'SUMMARY:Call', 'ORGANIZER;CN=Ana:mailto:ana@example.com',
+    'DTSTART:20240510T230000Z', 'DTEND:20240510T233000Z', 'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+  beforeEach(() => {
+    originals = { query: db.query, withTransaction: db.withTransaction, setDailyCount: DataProcessor.setDailyCount };
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeboard-ics-'));
+    fs.writeFileSync(path.join(tempDir, 'work.ics'), CALENDAR);
+    ics = new IcsConnector();
+    ics.sourceConfig = { enabled: true, calendars: [{ name: 'work', path: path.join(tempDir, 'work.ics') }] };
+    ics.timezone = 'UTC';
+  });
+
+  afterEach(() => {
+    db.query = originals.query;
+    db.withTransaction = originals.withTransaction;
+    DataProcessor.setDailyCount = originals.setDailyCount;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('fetchData', () => {
+    it('should expand recurring events, apply EXDATEs and overrides and drop cancelled events', async () => {
+      const data = await ics.fetchData({ start: '2024-05-01', end: '2024-05-31' });
+      expect(data.from).toBe('2024-05-01T00:00:00.000Z');
+      expect(data.to).toBe('2024-05-31T23:59:59.999Z');
+      const events = data.calendars[0].events.sort((a, b) => a.start_time.localeCompare(b.start_time));
+      expect(events.map(event => event.title)).toEqual(['Standup', 'Holiday', 'Call', 'Standup (moved)', 'Standup']);
+
+      const moved = events[3];
+      expect(moved.occurrence_start).toBe('2024-05-20T09:00:00.000Z'); // Still identified by the start it replaced
+      expect(moved.start_time).toBe('2024-05-21T10:00:00.000Z');
+      expect(moved.date).toBe('2024-05-21');
+      expect(events[0].is_recurring).toBe(true);
+      expect(events[0].location).toBe('Room 4');
+      expect(events[1].is_all_day).toBe(true);
+      expect(events[1].date).toBe('2024-05-09');
+      expect(events[2].organizer).toBe('Ana');
+      console.log('Conceptual test for IcsConnector.fetchData: occurrences expanded.');
+    });
+
+    it('should date timed events in the configured timezone', async () => {
+      ics.timezone = 'America/New_York';
+      const data = await ics.fetchData({ start: '2024-05-10', end: '2024-05-10' });
+      const call = data.calendars[0].events.find(event => event.uid === 'call@test');
+      expect(call.date).toBe('2024-05-10'); // 19:00 in New York
+      console.log('Conceptual test for IcsConnector.fetchData: timezone applied.');
+    });
+
+    it('should keep readable calendars when one fails and fail when none can be read', async () => {
+      ics.sourceConfig.calendars.push({ name: 'missing', path: path.join(tempDir, 'missing.ics') });
+      const data = await ics.fetchData({ start: '2024-05-01', end: '2024-05-31' });
+      expect(data.calendars.map(calendar => calendar.name)).toEqual(['work']);
+      expect(ics.partialFetchReasons.length).toBe(1);
+
+      ics.sourceConfig.calendars = [{ name: 'nowhere' }];
+      let error = null;
+      try { await ics.fetchData({ start: '2024-05-01', end: '2024-05-31' }); } catch (e) { error = e; }
+      expect(error.message.includes('calendar needs either a path or a url')).toBe(true);
+      console.log('Conceptual test for IcsConnector.fetchData: unreadable calendars reported.');
+    });
+  });
+
+  describe('processData', () => {
+    it('should upsert occurrences, remove vanished ones and recount every affected day', async () => {
+      const statements = [];
+      const counts = [];
+      db.withTransaction = async (callback) => callback({
+        query: async (text, params) => {
+          statements.push({ text, params });
+          if (text.includes('DELETE FROM calendar_events')) return { rows: [{ date: '2024-05-13' }] }; // The skipped standup
+          return { rows: [{ inserted: false, previous_date: '2024-05-20' }] }; // The override moved it from the 20th
+        },
+      });
+      db.query = async () => ({ rows: [{ date: '2024-05-21', count: 1 }] });
+      DataProcessor.setDailyCount = async (date, source, count) => { counts.push([date, count]); };
+
+      const result = await ics.processData({
+        from: '2024-05-01T00:00:00.000Z', to: '2024-05-31T23:59:59.999Z',
+        calendars: [{ name: 'work', events: [{ uid: 'standup@test', occurrence_start: '2024-05-20T09:00:00.000Z', date: '2024-05-21' }] }],
+      });
+
+      expect(result).toEqual({ newEntries: 0, updatedEntries: 1, errors: 0, affectedDates: ['2024-05-13', '2024-05-20', '2024-05-21'] });
+      expect(statements[1].params).toEqual(['work', '2024-05-01T00:00:00.000Z', '2024-05-31T23:59:59.999Z', ['standup@test'], ['2024-05-20T09:00:00.000Z']]);
+      expect(counts).toEqual([['2024-05-13', 0], ['2024-05-20', 0], ['2024-05-21', 1]]);
+      console.log('Conceptual test for IcsConnector.processData: calendar mirrored.');
+    });
+  });
+
+  describe('_resolveWindow', () => {
+    it('should reject reversed ranges', () => {
+      let error = null;
+      try { ics._resolveWindow({ start: '2024-05-31', end: '2024-05-01' }); } catch (e) { error = e; }
+      expect(error.message).toBe('Invalid ICS sync window 2024-05-31 - 2024-05-01');
+      console.log('Conceptual test for IcsConnector._resolveWindow: reversed range rejected.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
@@ -0,0 +1,141 @@
+// Example Unit Test for JobManager cancellation (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/JobStore');
+// jest.mock('../../../services/dataIngestion/DataSyncManager', () => ({ syncSource: jest.fn(), getConnector: jest.fn() }));
+
+describe('JobManager', () => {
+  // The real manager. JobStore and DataSyncManager.syncSource are replaced for each test and restored afterwards.
+  const JobManager = require('../../../services/dataIngestion/JobManager');
+  const JobStore = require('../../../services/storage/JobStore');
+  const DataSyncManager = require('../../../services/dataIngestion/DataSyncManager');
+  const STORE_METHODS = ['getById', 'update', 'cancelIfStale'];
+  let originals;
+  let updates;
+  let events;
+  let unsubscribe;
+
+  const job = (overrides) => ({
+    id: 'job-1',
+    source: 'bee',
+    status: 'running',
+    params: { start: '2024-01-01', end: '2024-01-10', chunkDays: 5, order: 'asc' },
+    next_date: '2024-01-01',
+    cursor: null,
+    days_total: 10,
+    days_completed: 0,
+    new_entries: 0,
+    updated_entries: 0,
+    error_count: 0,
+    cancel_requested: false,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    originals = { syncSource: DataSyncManager.syncSource };
+    for (const name of STORE_METHODS) originals[name] = JobStore[name];
+    updates = [];
+    events = [];
+    unsubscribe = JobManager.subscribe('job-1', (event, formatted) => events.push({ event, status: formatted.status }));
+    JobStore.getById = async () => job();
+    JobStore.cancelIfStale = async () => null; // Heartbeat fresh: another process runs the job
+    JobStore.update = async (jobId, fields, options = {}) => {
+      updates.push({ fields, options });
+      return job({
+        ...(fields.cancelRequested !== undefined ? { cancel_requested: fields.cancelRequested } : {}),
+        ...(fields.status ? { status: fields.status } : {}),
+      });
+    };
+  });
+
+  afterEach(() => {
+    DataSyncManager.syncSource = originals.syncSource;
+    for (const name of STORE_METHODS) JobStore[name] = originals[name];
+    JobManager.active.delete('job-1');
+    unsubscribe();
+  });
+
+  describe('cancel', () => {
+    it('should flag a job running in this process and leave the store alone', async () => {
+      JobManager.active.set('job-1', { source: 'bee', cancelRequested: false, sessionStartedAt: Date.now(), sessionDays: 0 });
+      const result = await JobManager.cancel('job-1');
+      expect(result.success).toBe(true);
+      expect(JobManager.active.get('job-1').cancelRequested).toBe(true);
+      expect(updates.length).toBe(0);
+      console.log('Conceptual test for JobManager.cancel: local job flagged.');
+    });
+
+    it('should cancel a job with a stale heartbeat right away', async () => {
+      JobStore.cancelIfStale = async () => job({ status: 'cancelled' });
+      const result = await JobManager.cancel('job-1');
+      expect(result.job.status).toBe('cancelled');
+      expect(events).toEqual([{ event: 'status', status: 'cancelled' }]);
+      expect(updates.length).toBe(0);
+      console.log('Conceptual test for JobManager.cancel: stale job cancelled.');
+    });
+
+    it('should only request cancellation of a job with a fresh heartbeat', async () => {
+      const result = await JobManager.cancel('job-1');
+      expect(result.success).toBe(true);
+      expect(result.job.status).toBe('running');
+      expect(updates).toEqual([{ fields: { cancelRequested: true }, options: { expectedStatus: 'running' } }]);
+      console.log('Conceptual test for JobManager.cancel: cancellation requested from another process.');
+    });
+
+    it('should report a job that finished in the meantime', async () => {
+      JobStore.update = async () => null;
+      JobStore.getById = (() => { let calls = 0; return async () => job(calls++ === 0 ? {} : { status: 'completed' }); })();
+      const result = await JobManager.cancel('job-1');
+      expect(result.status).toBe(409);
+      expect(result.message).toBe('Job job-1 is already completed.');
+      console.log('Conceptual test for JobManager.cancel: finished job not cancelled.');
+    });
+  });
+
+  describe('_runBackfill', () => {
+    const run = (start) => {
+      JobManager.active.set('job-1', { source: 'bee', cancelRequested: false, sessionStartedAt: Date.now(), sessionDays: 0 });
+      return JobManager._runBackfill(start);
+    };
+
+    it('should stop after the chunk in which another process requested cancellation', async () => {
+      let chunks = 0;
+      DataSyncManager.syncSource = async () => { chunks++; return { success: true, newEntries: 1 }; };
+      JobStore.update = async (jobId, fields, options) => {
+        updates.push({ fields, options });
+        // The checkpoint reads back the flag set by the other process's cancel
+        return job({ next_date: '2024-01-06', cancel_requested: true, ...(fields.status ? { status: fields.status } : {}) });
+      };
+
+      await run(job());
+      expect(chunks).toBe(1);
+      expect(updates[1].fields.status).toBe('cancelled');
+      expect(updates.every(update => update.options.expectedStatus === 'running')).toBe(true);
+      expect(events[events.length - 1]).toEqual({ event: 'status', status: 'cancelled' });
+      console.log('Conceptual test for JobManager._runBackfill: cancel request seen at the checkpoint.');
+    });
+
+    it('should stop without overwriting a job that is no longer running', async () => {
+      let chunks = 0;
+      DataSyncManager.syncSource = async () => { chunks++; return { success: true }; };
+      JobStore.update = async (jobId, fields, options) => { updates.push({ fields, options }); return null; }; // Cancelled elsewhere
+
+      await run(job());
+      expect(chunks).toBe(1);
+      expect(updates.length).toBe(1);
+      expect(events.length).toBe(0);
+      console.log('Conceptual test for JobManager._runBackfill: stopped after losing the job.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
@@ -0,0 +1,98 @@
+// Example Unit Test for JournalConnector's front-matter moods (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ query: jest.fn() }));
+
+describe('JournalConnector moods', () => {
+  // The real connectors. The mood connector's storage methods are replaced by recorders; its label mapping and
+  // timestamps are the real ones.
+  const db = require('../../../services/storage/DatabaseManager');
+  const JournalConnector = require('../../../services/dataIngestion/JournalConnector');
+  const MoodConnector = require('../../../services/dataIngestion/MoodConnector');
+  const journal = new JournalConnector();
+  let originalQuery;
+  let moodConnector;
+  let stored;
+  let deleted;
+
+  const note = (overrides) => ({ file_path: '2024-03-01.md', date: '2024-03-01', title: 'Friday', mood: 'good', ...overrides });
+
+  beforeEach(() => {
+    originalQuery = db.query;
+    stored = [];
+    deleted = [];
+    moodConnector = new MoodConnector();
+    moodConnector.sourceConfig = { enabled: true, import: { labelMap: { good: 8 }, timezone: 'UTC' } };
+    moodConnector.processData = async (data, options) => {
+      stored.push({ data, options });
+      return { newEntries: 1, updatedEntries: 0, errors: 0, ids: ['mood-new'] };
+    };
+    moodConnector.deleteEntry = async (id) => { deleted.push(id); return true; };
+  });
+
+  afterEach(() => {
+    db.query = originalQuery;
+    delete journal._getMoodConnector; // Back to the prototype's lookup
+    delete journal._refreshDailyCounts;
+  });
+
+  describe('_syncMood', () => {
+    it('should store the mood as a journal check-in at noon of the note\'s day', async () => {
+      const result = await journal._syncMood(note(), undefined, moodConnector);
+      expect(result).toEqual({ moodScore: 8, moodEntryId: 'mood-new' });
+      expect(stored[0].data.recorded_at).toBe('2024-03-01T12:00:00.000Z');
+      expect(stored[0].data.notes).toBe('Journal: Friday');
+      // Its own source, so an imported check-in at noon is neither updated nor linked to the note
+      expect(stored[0].options).toEqual({ source: 'journal' });
+      console.log('Conceptual test for JournalConnector._syncMood: mood stored as a journal check-in.');
+    });
+
+    it('should delete the old check-in when the note moves to another day', async () => {
+      await journal._syncMood(note({ date: '2024-03-02' }), { date: '2024-03-01', mood_entry_id: 'mood-old' }, moodConnector);
+      expect(deleted).toEqual(['mood-old']);
+      expect(stored[0].data.date).toBe('2024-03-02');
+      console.log('Conceptual test for JournalConnector._syncMood: moved note\'s check-in replaced.');
+    });
+
+    it('should delete the check-in when the mood is removed from the note', async () => {
+      const result = await journal._syncMood(note({ mood: null }), { date: '2024-03-01', mood_entry_id: 'mood-old' }, moodConnector);
+      expect(result).toEqual({ moodScore: null, moodEntryId: null });
+      expect(deleted).toEqual(['mood-old']);
+      expect(stored.length).toBe(0);
+      console.log('Conceptual test for JournalConnector._syncMood: removed mood deleted.');
+    });
+
+    it('should keep the linked check-in for an unknown mood label', async () => {
+      const result = await journal._syncMood(note({ mood: 'splendid' }), { date: '2024-03-01', mood_entry_id: 'mood-old' }, moodConnector);
+      expect(result).toEqual({ moodScore: null, moodEntryId: 'mood-old' });
+      expect(deleted.length).toBe(0);
+      console.log('Conceptual test for JournalConnector._syncMood: unknown label leaves the check-in alone.');
+    });
+  });
+
+  describe('processData', () => {
+    it('should delete only the linked check-in of a removed note', async () => {
+      journal._getMoodConnector = () => moodConnector;
+      journal._refreshDailyCounts = async () => {};
+      db.query = async (text) => (text.startsWith('DELETE FROM journal_entries')
+        ? { rows: [{ date: '2024-03-01', mood_entry_id: 'mood-journal' }, { date: '2024-03-02', mood_entry_id: null }] }
+        : { rows: [] });
+
+      const result = await journal.processData({ notes: [], unchanged: [], removed: ['2024-03-01.md', '2024-03-02.md'] });
+      expect(deleted).toEqual(['mood-journal']);
+      expect(result.affectedDates).toEqual(['2024-03-01', '2024-03-02']);
+      console.log('Conceptual test for JournalConnector.processData: removed note\'s check-in deleted.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
@@ -1,166 +1,265 @@
 // Example Unit Test for LimitlessConnector (Conceptual Jest-like syntax)
 
 // Mock dependencies
-// jest.mock('axios'); // Auto-mocks axios
 // jest.mock('../../../utils/logger');
-// jest.mock('../../../services/storage/DatabaseManager', () => ({ query: jest.fn() }));
-// jest.mock('../../../services/storage/ConfigManager', () => ({
-//   get: jest.fn((key) => {
-//     if (key === 'dataSources.limitless') {
-//       return { enabled: true, apiKey: 'test-key', baseUrl: 'https://api.limitless.ai/v1' };
-//     }
-//     return null;
-//   }),
-// }));
-
-// const LimitlessConnector = require('../../../services/dataIngestion/LimitlessConnector');
-// const axios = require('axios'); // This would be the mocked version
-// const db = require('../../../services/storage/DatabaseManager');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ withTransaction: jest.fn() }));
+// jest.mock('../../../services/processing/DataProcessor', () => ({ updateDailyAggregation: jest.fn() }));
 
 describe('LimitlessConnector', () => {
+  // The real connector. Its API client and system_metadata accessors are replaced with in-memory fakes;
+  // DatabaseManager.withTransaction and DataProcessor.updateDailyAggregation are replaced for each test and restored afterwards.
+  const db = require('../../../services/storage/DatabaseManager');
+  const DataProcessor = require('../../../services/processing/DataProcessor');
+  const LimitlessConnector = require('../../../services/dataIngestion/LimitlessConnector');
   let connector;
-  let mockAxiosGet;
-  let mockDbQuery;
+  let originals;
+  let metadata; // system_metadata key -> value
+  let requests;
+  let pages; // Responses of the fake API, in order
 
-  beforeEach(() => {
-    // Reset mocks before each test
-    // axios.get.mockReset();
-    // db.query.mockReset();
-
-    // Simulate mocking for this environment
-    mockAxiosGet = (url, config) => { /* return mocked response */ return Promise.resolve({ data: { lifelogs: [], nextCursor: null } }); };
-    mockDbQuery = (sql, params) => { /* return mocked DB result */ return Promise.resolve({ rows: [{ id: 'uuid', inserted: true }] }); };
-
-    // Simulate ConfigManager
-    const ConfigManager = {
-        get: (key) => {
-            if (key === 'dataSources.limitless') {
-              return { enabled: true, apiKey: 'test-key', baseUrl: 'https://api.limitless.ai/v1' };
-            }
-             if (key.startsWith('dataSources.limitless.subSources')) return true; // Default sub-sources to true
-            return null;
-        }
-    };
+  const lifelog = (id, startTime) => ({ id, title: `Log ${id}`, markdown: '', startTime, endTime: startTime });
+  const lastSync = () => metadata.get('last_sync_time_limitless');
 
-    // Simulate BaseConnector part for lastSyncTime
-    const BaseConnector = function(sourceName) {
-        this.sourceName = sourceName;
-        this.sourceConfig = ConfigManager.get(`dataSources.${sourceName}`);
-        this.apiClient = { get: mockAxiosGet, post: () => {}, defaults: { baseURL: this.sourceConfig.baseUrl} }; // Simplified mock apiClient
-        this.isEnabled = () => this.sourceConfig.enabled;
-        this.getLastSyncTime = () => Promise.resolve(new Date(0)); // Always fetch all for tests
-        this.updateLastSyncTime = () => Promise.resolve();
-        this.buildApiParams = (p) => p;
+  beforeEach(() => {
+    originals = { withTransaction: db.withTransaction, updateDailyAggregation: DataProcessor.updateDailyAggregation };
+    metadata = new Map();
+    requests = [];
+    pages = [];
+    connector = new LimitlessConnector();
+    connector.sourceConfig = { enabled: true, apiKey: 'test-key', timezone: 'UTC' };
+    connector.apiClient = {
+      get: async (url, { params }) => {
+        requests.push(params);
+        const page = pages.shift();
+        if (page instanceof Error) throw page;
+        return { data: page };
+      },
     };
+    connector.getMetadata = async (key) => (metadata.has(key) ? metadata.get(key) : null);
+    connector.setMetadata = async (key, value) => { metadata.set(key, value); };
+    connector.deleteMetadata = async (key) => { metadata.delete(key); };
+    connector.getLastSyncTime = async () => (metadata.has('last_sync_time_limitless') ? new Date(lastSync()) : new Date(0));
+    connector.updateLastSyncTime = async (time) => { metadata.set('last_sync_time_limitless', time.toISOString()); };
+    DataProcessor.updateDailyAggregation = async () => {};
+  });
 
-
-    // Simulate the structure of LimitlessConnector for testing fetchData and processData
-    // This is a simplified mock of the actual class, focusing on testable logic.
-    const LimitlessConnectorMock = function() {
-        BaseConnector.call(this, 'limitless'); // Call parent constructor
-
-        this.fetchData = async (options = {}) => {
-            if (!this.isEnabled() || !this.sourceConfig.apiKey) return null;
-            const response = await this.apiClient.get('/lifelogs', { params: {limit: 50} });
-            return response.data.lifelogs;
-        };
-
-        this.processData = async (lifelogs) => {
-            if (!lifelogs || lifelogs.length === 0) return { newEntries: 0, updatedEntries: 0, errors: 0 };
-            let newCount = 0;
-            for (const log of lifelogs) {
-                const result = await mockDbQuery('INSERT ...', [log.id]); // Simplified
-                if (result.rows[0].inserted) newCount++;
-            }
-            return { newEntries: newCount, updatedEntries: 0, errors: 0 };
-        };
-        // processContentNodes would also be mocked or tested separately
-    };
-    Object.setPrototypeOf(LimitlessConnectorMock.prototype, BaseConnector.prototype); // Inherit
-    connector = new LimitlessConnectorMock();
+  afterEach(() => {
+    db.withTransaction = originals.withTransaction;
+    DataProcessor.updateDailyAggregation = originals.updateDailyAggregation;
   });
 
   describe('fetchData', () => {
-    it('should call the Limitless API with correct parameters', async () => {
-      // axios.get.mockResolvedValueOnce({ data: { lifelogs: [], nextCursor: null } });
-      let calledUrl, calledConfig;
-      mockAxiosGet = (url, config) => { // Re-assign to capture
-          calledUrl = url;
-          calledConfig = config;
-          return Promise.resolve({ data: { lifelogs: [], nextCursor: null } });
-      };
-      connector.apiClient.get = mockAxiosGet; // Update the connector's client
-
-      await connector.fetchData();
-
-      // expect(axios.get).toHaveBeenCalledWith(
-      //   `${connector.sourceConfig.baseUrl}/lifelogs`,
-      //   expect.objectContaining({ params: expect.any(Object) })
-      // );
-      expect(calledUrl).toBe('/lifelogs');
-      expect(calledConfig.params.limit).toBe(50); // Default limit in mock
-      console.log('Conceptual test for LimitlessConnector.fetchData: API call params verified.');
+    it('should walk the window since the checkpoint oldest-first and report it complete', async () => {
+      metadata.set('last_sync_time_limitless', '2024-05-01T08:00:00.000Z');
+      pages = [
+        { data: { lifelogs: [lifelog('a', '2024-05-01T09:00:00Z')] }, meta: { lifelogs: { nextCursor: 'c2' } } },
+        { data: { lifelogs: [lifelog('b', '2024-05-01T10:00:00Z')] }, meta: { lifelogs: { nextCursor: null } } },
+      ];
+
+      const result = await connector.fetchData();
+      expect(result.lifelogs.map(log => log.id)).toEqual(['a', 'b']);
+      expect(result.pagination).toEqual({ windowStart: '2024-05-01T08:00:00.000Z', cursor: null, complete: true });
+      expect(requests[0].start).toBe('2024-05-01 08:00:00'); // Wall-clock time in the configured timezone
+      expect(requests[0].direction).toBe('asc');
+      expect(requests[0].cursor).toBe(undefined);
+      expect(requests[1].cursor).toBe('c2');
+      console.log('Conceptual test for LimitlessConnector.fetchData: window fetched.');
+    });
+
+    it('should stop after maxPages and hand back the cursor of the next page', async () => {
+      pages = [
+        { data: { lifelogs: [lifelog('a', '2024-05-01T09:00:00Z')] }, meta: { lifelogs: { nextCursor: 'c2' } } },
+        { data: { lifelogs: [lifelog('b', '2024-05-01T10:00:00Z')] }, meta: { lifelogs: { nextCursor: 'c3' } } },
+      ];
+
+      const result = await connector.fetchData({ maxPages: 2 });
+      expect(requests.length).toBe(2);
+      expect(requests[0].start).toBe(undefined); // No checkpoint yet: everything
+      expect(result.pagination).toEqual({ windowStart: '1970-01-01T00:00:00.000Z', cursor: 'c3', complete: false });
+      console.log('Conceptual test for LimitlessConnector.fetchData: page limit reached.');
     });
 
-    it('should return fetched lifelogs', async () => {
-      const mockLogs = [{ id: '1', title: 'Test Log' }];
-      // axios.get.mockResolvedValueOnce({ data: { lifelogs: mockLogs, nextCursor: null } });
-      mockAxiosGet = () => Promise.resolve({ data: { lifelogs: mockLogs, nextCursor: null } });
-      connector.apiClient.get = mockAxiosGet;
+    it('should resume an interrupted window from its saved start and cursor', async () => {
+      metadata.set('last_sync_time_limitless', '2024-05-01T09:30:00.000Z'); // Moved on by the stored part of the window
+      metadata.set('sync_cursor_limitless', { start: '2024-05-01T08:00:00.000Z', cursor: 'c3' });
+      pages = [{ data: { lifelogs: [lifelog('c', '2024-05-01T11:00:00Z')] }, meta: { lifelogs: { nextCursor: null } } }];
 
       const result = await connector.fetchData();
-      expect(result).toEqual(mockLogs);
-      console.log('Conceptual test for LimitlessConnector.fetchData: Returns fetched data.');
+      expect(requests[0].start).toBe('2024-05-01 08:00:00'); // The cursor belongs to the original window
+      expect(requests[0].cursor).toBe('c3');
+      expect(result.pagination.windowStart).toBe('2024-05-01T08:00:00.000Z');
+      expect(result.pagination.complete).toBe(true);
+      console.log('Conceptual test for LimitlessConnector.fetchData: resumed from the saved cursor.');
     });
 
-    // Add tests for pagination logic if implemented fully
+    it('should keep the cursor of a failed page so the next run retries it', async () => {
+      const failure = new Error('Service Unavailable');
+      pages = [{ data: { lifelogs: [lifelog('a', '2024-05-01T09:00:00Z')] }, meta: { lifelogs: { nextCursor: 'c2' } } }, failure];
+
+      const result = await connector.fetchData();
+      expect(result.lifelogs.length).toBe(1);
+      expect(result.pagination.cursor).toBe('c2');
+      expect(result.pagination.complete).toBe(false);
+      expect(connector.partialFetchReasons.length).toBe(1);
+      console.log('Conceptual test for LimitlessConnector.fetchData: failed page kept for the next run.');
+    });
   });
 
   describe('processData', () => {
-    it('should insert new entries into the database', async () => {
-      const lifelogs = [{ id: '123', title: 'New Log', start_time: new Date().toISOString(), end_time: new Date().toISOString() }];
-      // db.query.mockResolvedValueOnce({ rows: [{ id: 'db-id-1', inserted: true }] }); // Mock insert
-      let insertedData;
-      mockDbQuery = (sql, params) => {
-          insertedData = params;
-          return Promise.resolve({ rows: [{ id: 'db-id-1', inserted: true }] });
-      };
-
-      const result = await connector.processData(lifelogs);
-
-      // expect(db.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO limitless_entries'), expect.any(Array));
-      expect(insertedData[0]).toBe('123'); // Check if limitless_id was passed
-      expect(result.newEntries).toBe(1);
-      console.log('Conceptual test for LimitlessConnector.processData: DB insert verified.');
+    let stored;
+
+    beforeEach(() => {
+      stored = [];
+      // Stores every lifelog except those whose id starts with 'fail'
+      db.withTransaction = async (callback) => callback({
+        query: async (text, params) => {
+          if (params[0].startsWith('fail')) throw new Error('deadlock detected');
+          stored.push(params[0]);
+          return { rows: [{ id: `db-${params[0]}`, inserted: true }] };
+        },
+      });
+    });
+
+    it('should advance the checkpoint and drop the cursor once a window is complete', async () => {
+      metadata.set('sync_cursor_limitless', { start: '2024-05-01T08:00:00.000Z', cursor: 'c3' });
+      const result = await connector.processData({
+        lifelogs: [lifelog('a', '2024-05-01T09:00:00Z'), lifelog('b', '2024-05-02T10:00:00Z')],
+        pagination: { windowStart: '2024-05-01T08:00:00.000Z', cursor: null, complete: true },
+      });
+
+      expect(result.newEntries).toBe(2);
+      expect(result.affectedDates).toEqual(['2024-05-01', '2024-05-02']);
+      expect(lastSync()).toBe('2024-05-02T10:00:00.000Z');
+      expect(metadata.has('sync_cursor_limitless')).toBe(false);
+      console.log('Conceptual test for LimitlessConnector.processData: window complete.');
+    });
+
+    it('should save the cursor with its window start while pages remain', async () => {
+      await connector.processData({
+        lifelogs: [lifelog('a', '2024-05-01T09:00:00Z')],
+        pagination: { windowStart: '2024-05-01T08:00:00.000Z', cursor: 'c3', complete: false },
+      });
+
+      expect(metadata.get('sync_cursor_limitless')).toEqual({ start: '2024-05-01T08:00:00.000Z', cursor: 'c3' });
+      expect(lastSync()).toBe('2024-05-01T09:00:00.000Z');
+      console.log('Conceptual test for LimitlessConnector.processData: cursor saved.');
+    });
+
+    it('should stop the checkpoint at the last lifelog stored before the first failure and drop the cursor', async () => {
+      metadata.set('sync_cursor_limitless', { start: '2024-05-01T08:00:00.000Z', cursor: 'c2' });
+      const result = await connector.processData({
+        lifelogs: [
+          lifelog('a', '2024-05-01T09:00:00Z'),
+          lifelog('fail-b', '2024-05-01T10:00:00Z'),
+          lifelog('c', '2024-05-01T11:00:00Z'), // Stored, but after the gap
+        ],
+        pagination: { windowStart: '2024-05-01T08:00:00.000Z', cursor: 'c3', complete: false },
+      });
+
+      expect(result.errors).toBe(1);
+      expect(stored).toEqual(['a', 'c']);
+      expect(lastSync()).toBe('2024-05-01T09:00:00.000Z'); // So 'fail-b' is fetched again
+      expect(metadata.has('sync_cursor_limitless')).toBe(false); // Resume from the checkpoint, not past the failure
+      console.log('Conceptual test for LimitlessConnector.processData: checkpoint held at the last contiguous lifelog.');
+    });
+
+    it('should not let lifelogs skipped as invalid hold back the checkpoint', async () => {
+      const result = await connector.processData({
+        lifelogs: [lifelog('a', '2024-05-01T09:00:00Z'), lifelog('b', 'not a date'), lifelog('c', '2024-05-01T11:00:00Z')],
+        pagination: { windowStart: '2024-05-01T08:00:00.000Z', cursor: null, complete: true },
+      });
+
+      expect(result.skipped).toBe(1);
+      expect(result.errors).toBe(0);
+      expect(lastSync()).toBe('2024-05-01T11:00:00.000Z');
+      console.log('Conceptual test for LimitlessConnector.processData: invalid lifelogs skipped.');
+    });
+
+    it('should store plain arrays without touching the checkpoint or cursor', async () => {
+      metadata.set('sync_cursor_limitless', { start: '2024-05-01T08:00:00.000Z', cursor: 'c3' });
+      await connector.processData([lifelog('a', '2024-06-01T09:00:00Z')]); // e.g. a backfill chunk or webhook
+
+      expect(stored).toEqual(['a']);
+      expect(lastSync()).toBe(undefined);
+      expect(metadata.get('sync_cursor_limitless').cursor).toBe('c3');
+      console.log('Conceptual test for LimitlessConnector.processData: plain arrays leave the checkpoint alone.');
     });
+  });
+
+  describe('processContentNodes', () => {
+    // A transaction client over an in-memory limitless_content_nodes table, answering the reconciliation's queries.
+    let nodes; // id -> row
+    let writes;
+    const client = {
+      query: async (text, params) => {
+        if (text.startsWith('SELECT')) return { rows: [...nodes.values()].filter(row => row.entry_id === params[0]) };
+        writes.push(text.trim().split(/\s+/)[0]);
+        if (text.trim().startsWith('UPDATE')) {
+          const [id, nodeType, content, , , , , , , contentHash] = params;
+          Object.assign(nodes.get(id), { node_type: nodeType, content, content_hash: contentHash });
+          return { rows: [] };
+        }
+        if (text.trim().startsWith('INSERT')) {
+          const id = `node-${nodes.size + 1}`;
+          nodes.set(id, { id, node_type: params[0], content: params[1], content_hash: params[8], entry_id: params[9], parent_id: params[10], node_key: params[11] });
+          return { rows: [{ id }] };
+        }
+        // DELETE: nodes of the entry whose key is no longer in the tree
+        const removed = [...nodes.values()].filter(row => row.entry_id === params[0] && !params[1].includes(row.node_key));
+        for (const row of removed) nodes.delete(row.id);
+        return { rowCount: removed.length };
+      },
+    };
+    const transcript = (lines) => [{ type: 'heading1', content: 'Standup', children: lines.map(content => ({ type: 'blockquote', content, speakerName: 'Ana' })) }];
+    const keysOf = () => [...nodes.values()].map(row => row.node_key).sort();
 
-    it('should update existing entries in the database', async () => {
-      const lifelogs = [{ id: '456', title: 'Updated Log', start_time: new Date().toISOString(), end_time: new Date().toISOString() }];
-      // db.query.mockResolvedValueOnce({ rows: [{ id: 'db-id-2', inserted: false }] }); // Mock update
-      mockDbQuery = () => Promise.resolve({ rows: [{ id: 'db-id-2', inserted: false }] });
+    beforeEach(() => {
+      nodes = new Map();
+      writes = [];
+    });
 
-      // Re-create connector with the new mockDbQuery if it's bound at instantiation
-       const BaseConnector = function(sourceName) { this.sourceName = sourceName; this.sourceConfig = {enabled: true}; this.apiClient = { get: mockAxiosGet }; this.isEnabled = () => true; this.getLastSyncTime = () => Promise.resolve(new Date(0)); this.updateLastSyncTime = () => Promise.resolve(); this.buildApiParams=(p)=>p; };
-       const LimitlessConnectorMockForUpdate = function() { BaseConnector.call(this, 'limitless'); this.fetchData = async () => []; this.processData = async (lgs) => { await mockDbQuery(); return { newEntries: 0, updatedEntries: 1, errors: 0 };}; }; // Simplified
-       Object.setPrototypeOf(LimitlessConnectorMockForUpdate.prototype, BaseConnector.prototype);
-       connector = new LimitlessConnectorMockForUpdate();
+    it('should store the tree with positional keys and parents', async () => {
+      const stats = await connector.processContentNodes(transcript(['Hi', 'Plan for today']), 'entry-1', client);
+      expect(stats).toEqual({ inserted: 3, updated: 0, unchanged: 0, deleted: 0 });
+      expect(keysOf()).toEqual(['0', '0.0', '0.1']);
+      expect(nodes.get('node-2').parent_id).toBe('node-1');
+      console.log('Conceptual test for LimitlessConnector.processContentNodes: tree stored.');
+    });
 
+    it('should write nothing when the same tree is synced again', async () => {
+      await connector.processContentNodes(transcript(['Hi', 'Plan for today']), 'entry-1', client);
+      writes = [];
+      const stats = await connector.processContentNodes(transcript(['Hi', 'Plan for today']), 'entry-1', client);
+      expect(stats).toEqual({ inserted: 0, updated: 0, unchanged: 3, deleted: 0 });
+      expect(writes).toEqual(['DELETE']); // Deleting nothing
+      expect(nodes.size).toBe(3);
+      console.log('Conceptual test for LimitlessConnector.processContentNodes: re-sync is idempotent.');
+    });
 
-      const result = await connector.processData(lifelogs);
-      expect(result.updatedEntries).toBe(1); // This mock is simplified, real test would check xmax=0
-      console.log('Conceptual test for LimitlessConnector.processData: DB update verified (conceptually).');
+    it('should update changed nodes in place and delete nodes removed upstream', async () => {
+      await connector.processContentNodes(transcript(['Hi', 'Plan for today', 'Bye']), 'entry-1', client);
+      const stats = await connector.processContentNodes(transcript(['Hi', 'Plan for tomorrow']), 'entry-1', client);
+      expect(stats).toEqual({ inserted: 0, updated: 1, unchanged: 2, deleted: 1 });
+      expect(keysOf()).toEqual(['0', '0.0', '0.1']);
+      expect(nodes.get('node-3').content).toBe('Plan for tomorrow'); // Same row, new content
+      console.log('Conceptual test for LimitlessConnector.processContentNodes: changes reconciled.');
     });
 
-    // Add tests for error handling, content node processing, etc.
+    it('should leave the nodes of other entries alone', async () => {
+      await connector.processContentNodes(transcript(['Hi']), 'entry-1', client);
+      await connector.processContentNodes([{ type: 'heading1', content: 'Lunch' }], 'entry-2', client);
+      expect(nodes.size).toBe(3);
+      console.log('Conceptual test for LimitlessConnector.processContentNodes: entries kept apart.');
+    });
   });
 });
 
-// Mock describe/it/beforeEach for structure
+// Mock describe/it/beforeEach/afterEach for structure
 function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
 function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
 function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
 const expect = (actual) => ({
   toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
   toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
-  // Add more matchers
 });
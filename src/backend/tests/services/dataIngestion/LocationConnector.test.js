@@ -0,0 +1,130 @@
+// Example Unit Test for LocationConnector imports (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ query: jest.fn() }));
+// jest.mock('../../../services/processing/DataProcessor', () => ({ setDailyCount: jest.fn() }));
+
+describe('LocationConnector', () => {
+  // The real connector; files are written to a temp directory, and DatabaseManager.query and
+  // DataProcessor.setDailyCount are replaced for each test and restored afterwards.
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const db = require('../../../services/storage/DatabaseManager');
+  const DataProcessor = require('../../../services/processing/DataProcessor');
+  const LocationConnector = require('../../../services/dataIngestion/LocationConnector');
+  let location;
+  let tempDir;
+  let originals;
+
+  const point = (recordedAt, latitude, longitude, extra = {}) => ({
+    recorded_at: recordedAt, latitude, longitude, accuracy_m: null, altitude_m: null, place_name: null, address: null, ...extra,
+  });
+
+  beforeEach(() => {
+    originals = { query: db.query, setDailyCount: DataProcessor.setDailyCount };
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeboard-location-'));
+    location = new LocationConnector();
+    location.sourceConfig = { enabled: true, minDistanceMeters: 25, maxGapSeconds: 900, maxAccuracyMeters: 200 };
+    location.timezone = 'UTC';
+  });
+
+  afterEach(() => {
+    db.query = originals.query;
+    DataProcessor.setDailyCount = originals.setDailyCount;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('parsing', () => {
+    it('should read timed GPX track points and waypoints and skip untimed ones', async () => {
+      const gpx = path.join(tempDir, 'walk.gpx');
+      fs.writeFileSync(gpx, `<?xml version="1.0"?>
+<gpx><wpt lat="52.52" lon="13.405"><time>2024-05-01T08:00:00Z</time><name>Home</name></wpt>
+<trk><trkseg>
+  <trkpt lat="52.53" lon="13.41"><ele>34</ele><time>2024-05-01T08:05:00Z</time></trkpt>
+  <trkpt lat="52.54" lon="13.42"></trkpt>
+</trkseg></trk></gpx>`);
+
+      const points = await location._parseGpx(gpx);
+      expect(points.length).toBe(2);
+      expect(points[0].place_name).toBe('Home');
+      expect(points[1].altitude_m).toBe(34);
+      expect(points[1].recorded_at).toBe('2024-05-01T08:05:00.000Z');
+      console.log('Conceptual test for LocationConnector._parseGpx: timed points read.');
+    });
+
+    it('should turn semantic place visits and activity segments into start and end points', () => {
+      const points = location._parseGoogleSemantic([
+        { placeVisit: { location: { latitudeE7: 525200000, longitudeE7: 134050000, name: 'Cafe' },
+          duration: { startTimestamp: '2024-05-01T09:00:00Z', endTimestampMs: String(Date.parse('2024-05-01T10:00:00Z')) } } },
+        { activitySegment: { startLocation: { latitudeE7: 525200000, longitudeE7: 134050000 }, endLocation: { latitudeE7: 900000001, longitudeE7: 0 },
+          duration: { startTimestamp: '2024-05-01T10:00:00Z', endTimestamp: '2024-05-01T10:30:00Z' } } },
+      ]);
+      // The segment's end is beyond the pole and dropped
+      expect(points.map(p => p.recorded_at)).toEqual(['2024-05-01T09:00:00.000Z', '2024-05-01T10:00:00.000Z', '2024-05-01T10:00:00.000Z']);
+      expect(points[0].place_name).toBe('Cafe');
+      console.log('Conceptual test for LocationConnector._parseGoogleSemantic: visits and segments mapped.');
+    });
+
+    it('should stream the locations of a Records.json file', async () => {
+      const records = path.join(tempDir, 'Records.json');
+      fs.writeFileSync(records, JSON.stringify({ locations: [
+        { latitudeE7: 525200000, longitudeE7: 134050000, timestamp: '2024-05-01T08:00:00Z', accuracy: 10 },
+        { latitudeE7: 525300000, longitudeE7: 134100000, timestampMs: String(Date.parse('2024-05-01T08:01:00Z')) },
+        { latitudeE7: 525300000, longitudeE7: 134100000 }, // No time
+      ] }));
+
+      const points = [];
+      for await (const streamed of location._streamGoogleRecords(records)) points.push(streamed);
+      expect(points.length).toBe(2);
+      expect(points[0].accuracy_m).toBe(10);
+      expect(points[1].recorded_at).toBe('2024-05-01T08:01:00.000Z');
+      console.log('Conceptual test for LocationConnector._streamGoogleRecords: samples streamed.');
+    });
+  });
+
+  describe('_downsample', () => {
+    it('should keep moves, long gaps and named points and drop jitter, duplicates and inaccurate samples', () => {
+      const kept = location._downsample([
+        point('2024-05-01T08:00:30Z', 52.52001, 13.405), // ~1 m away, 30 s later: jitter
+        point('2024-05-01T08:00:00Z', 52.52, 13.405),
+        point('2024-05-01T08:00:00Z', 52.52, 13.405), // Duplicate time
+        point('2024-05-01T08:01:00Z', 52.521, 13.405), // ~110 m away
+        point('2024-05-01T08:02:00Z', 52.53, 13.405, { accuracy_m: 500 }), // Too inaccurate
+        point('2024-05-01T08:02:30Z', 52.521, 13.405, { place_name: 'Office' }),
+        point('2024-05-01T08:20:00Z', 52.521, 13.405), // Same place, after maxGapSeconds
+      ]);
+      expect(kept.map(p => p.recorded_at)).toEqual([
+        '2024-05-01T08:00:00Z', '2024-05-01T08:01:00Z', '2024-05-01T08:02:30Z', '2024-05-01T08:20:00Z',
+      ]);
+      console.log('Conceptual test for LocationConnector._downsample: points thinned.');
+    });
+  });
+
+  describe('_refreshDailyCounts', () => {
+    it('should bound recorded_at to a day either side of the dates and set exact counts', async () => {
+      let query;
+      const counts = [];
+      db.query = async (text, params) => { query = { text, params }; return { rows: [{ date: '2024-05-01', count: 12 }] }; };
+      DataProcessor.setDailyCount = async (date, source, count) => { counts.push([date, source, count]); };
+      location.timezone = 'Europe/Berlin';
+
+      await location._refreshDailyCounts(['2024-05-01', '2024-05-03']);
+      expect(query.params).toEqual([['2024-05-01', '2024-05-03'], 'Europe/Berlin', '2024-04-30T00:00:00.000Z', '2024-05-05T00:00:00.000Z']);
+      expect(query.text.includes('recorded_at >= $3 AND recorded_at < $4')).toBe(true);
+      expect(counts).toEqual([['2024-05-01', 'location', 12], ['2024-05-03', 'location', 0]]);
+      console.log('Conceptual test for LocationConnector._refreshDailyCounts: bounded recount.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
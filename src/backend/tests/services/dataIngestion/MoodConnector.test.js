@@ -0,0 +1,241 @@
+// Example Unit Test for MoodConnector (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ query: jest.fn() }));
+
+describe('MoodConnector', () => {
+  // The real connector with a test import config; DatabaseManager.query and DataProcessor.setMoodSummary
+  // are replaced for each test and restored afterwards.
+  const db = require('../../../services/storage/DatabaseManager');
+  const DataProcessor = require('../../../services/processing/DataProcessor');
+  const MoodConnector = require('../../../services/dataIngestion/MoodConnector');
+  const mood = new MoodConnector();
+  let originalQuery;
+  let originalSetMoodSummary;
+  let originalConfig;
+  let queries;
+  let summaries; // Dates whose daily summary was stored
+
+  beforeEach(() => {
+    originalQuery = db.query;
+    originalSetMoodSummary = DataProcessor.setMoodSummary;
+    originalConfig = mood.sourceConfig;
+    mood.sourceConfig = { enabled: true, import: { labelMap: { rad: 10, good: 8, meh: 5, bad: 3, awful: 1 }, timezone: 'UTC' } };
+    queries = [];
+    summaries = [];
+    DataProcessor.setMoodSummary = async (date, summary) => { summaries.push(date); };
+  });
+
+  afterEach(() => {
+    db.query = originalQuery;
+    DataProcessor.setMoodSummary = originalSetMoodSummary;
+    mood.sourceConfig = originalConfig;
+  });
+
+  describe('processData', () => {
+    it('should store several check-ins per day keyed by recorded_at and source', async () => {
+      db.query = async (text, params) => {
+        queries.push({ text, params });
+        if (text.includes('INSERT INTO mood_entries')) return { rows: [{ id: `mood-${queries.length}`, inserted: params[5] !== '2024-05-01T20:00:00.000Z' }] };
+        return { rows: [] };
+      };
+
+      const result = await mood.processData([
+        { date: '2024-05-01', mood_score: 6, recorded_at: '2024-05-01T08:00:00Z' },
+        { date: '2024-05-01', mood_score: '8', mood_text: 'Good', recorded_at: '2024-05-01T20:00:00Z' }, // Posted before
+      ], { source: 'journal' });
+
+      expect(result.newEntries).toBe(1);
+      expect(result.updatedEntries).toBe(1);
+      expect(result.affectedDates).toEqual(['2024-05-01']);
+      const inserts = queries.filter(query => query.text.includes('INSERT INTO mood_entries'));
+      expect(inserts[0].text.includes('ON CONFLICT (date, recorded_at, source)')).toBe(true);
+      expect(inserts[1].params).toEqual([null, '2024-05-01', 8, 'Good', null, '2024-05-01T20:00:00.000Z', 'journal']);
+      expect(summaries).toEqual(['2024-05-01']); // Refreshed once for the day
+      console.log('Conceptual test for MoodConnector.processData: check-ins stored.');
+    });
+
+    it('should reject invalid check-ins and keep the valid ones', async () => {
+      db.query = async (text) => ({ rows: text.includes('INSERT') ? [{ id: 'mood-1', inserted: true }] : [] });
+
+      const result = await mood.processData([
+        { date: '2024-05-01', mood_score: 11 },
+        { date: '2024-05-01', mood_score: 4.5 },
+        { date: 'yesterday', mood_score: 5 },
+        { date: '2024-05-01', mood_score: 5, recorded_at: 'soon' },
+        { date: '2024-05-02', mood_score: 5 },
+      ]);
+      expect(result.errors).toBe(4);
+      expect(result.newEntries).toBe(1);
+      expect(result.message.startsWith('Invalid mood score: 11. Must be an integer from 1 to 10.')).toBe(true);
+      console.log('Conceptual test for MoodConnector.processData: invalid check-ins rejected.');
+    });
+  });
+
+  describe('updateEntry and deleteEntry', () => {
+    const existing = { id: 'mood-1', date: '2024-05-01', mood_score: 6, mood_text: null, notes: null, recorded_at: new Date('2024-05-01T08:00:00Z'), source: 'mood' };
+
+    it('should apply partial changes and refresh both days when a check-in moves', async () => {
+      db.query = async (text, params) => {
+        queries.push({ text, params });
+        if (text.startsWith('SELECT id')) return { rows: [existing] };
+        if (text.includes('UPDATE mood_entries')) return { rows: [{ id: 'mood-1', date: params[1], mood_score: params[2] }] };
+        return { rows: [] };
+      };
+
+      const { entry } = await mood.updateEntry('mood-1', { date: '2024-05-02', recorded_at: '2024-05-02T08:00:00Z' });
+      expect(entry.date).toBe('2024-05-02');
+      expect(queries[1].params).toEqual(['mood-1', '2024-05-02', 6, null, null, '2024-05-02T08:00:00.000Z']); // Score kept
+      expect(summaries).toEqual(['2024-05-02', '2024-05-01']);
+      console.log('Conceptual test for MoodConnector.updateEntry: check-in moved.');
+    });
+
+    it('should report missing check-ins, invalid changes and clashes with another check-in', async () => {
+      db.query = async () => ({ rows: [] });
+      expect(await mood.updateEntry('missing', { mood_score: 5 })).toEqual({ entry: null });
+
+      db.query = async (text) => {
+        if (text.startsWith('SELECT id')) return { rows: [existing] };
+        throw Object.assign(new Error('duplicate key value'), { code: '23505' });
+      };
+      expect((await mood.updateEntry('mood-1', { mood_score: 0 })).error).toBe('Invalid mood score: 0. Must be an integer from 1 to 10.');
+      expect((await mood.updateEntry('mood-1', { recorded_at: '2024-05-01T20:00:00Z' })).error)
+        .toBe('Another check-in on 2024-05-01 is already recorded at 2024-05-01T20:00:00.000Z.');
+      console.log('Conceptual test for MoodConnector.updateEntry: errors reported.');
+    });
+
+    it('should delete a check-in and refresh its day', async () => {
+      db.query = async (text, params) => ({ rows: text.startsWith('DELETE') && params[0] === 'mood-1' ? [{ date: '2024-05-01' }] : [] });
+      expect(await mood.deleteEntry('mood-1')).toBe(true);
+      expect(await mood.deleteEntry('missing')).toBe(false);
+      expect(summaries).toEqual(['2024-05-01']);
+      console.log('Conceptual test for MoodConnector.deleteEntry: check-in deleted.');
+    });
+  });
+
+  describe('daily summaries', () => {
+    it('should return the mean, min and max of a day\'s check-ins', async () => {
+      db.query = async (text, params) => ({ rows: params[0] === '2024-05-01' ? [{ mean: '6.50', min: 5, max: 8, count: '2' }] : [] });
+      expect(await mood.getDailySummary('2024-05-01')).toEqual({ date: '2024-05-01', mean: 6.5, min: 5, max: 8, count: 2 });
+      expect(await mood.getDailySummary('2024-05-02')).toBe(null);
+      console.log('Conceptual test for MoodConnector.getDailySummary: summary formatted.');
+    });
+
+    it('should list a range\'s check-ins with a summary per day', async () => {
+      db.query = async (text, params) => {
+        queries.push(params);
+        return { rows: text.includes('GROUP BY date') ? [{ date: '2024-05-01', mean: '7.00', min: 6, max: 8, count: '2' }] : [{ id: 'mood-1' }, { id: 'mood-2' }] };
+      };
+      const { entries, days } = await mood.listEntries('2024-05-01', '2024-05-07');
+      expect(entries.length).toBe(2);
+      expect(days).toEqual([{ date: '2024-05-01', mean: 7, min: 6, max: 8, count: 2 }]);
+      expect(queries).toEqual([['2024-05-01', '2024-05-07'], ['2024-05-01', '2024-05-07']]);
+      console.log('Conceptual test for MoodConnector.listEntries: range listed.');
+    });
+  });
+
+  describe('_mapMoodValue', () => {
+    it('should map Daylio labels case-insensitively', () => {
+      const importConfig = { labelMap: { rad: 10, good: 8, meh: 5 } };
+      expect(mood._mapMoodValue('Good', importConfig)).toBe(8);
+      expect(mood._mapMoodValue(' rad ', importConfig)).toBe(10);
+      console.log('Conceptual test for MoodConnector._mapMoodValue: labels mapped.');
+    });
+
+    it('should rescale numeric scores from a configured source scale', () => {
+      const importConfig = { sourceScale: { min: 1, max: 5 } };
+      expect(mood._mapMoodValue('1', importConfig)).toBe(1);
+      expect(mood._mapMoodValue('3', importConfig)).toBe(6);
+      expect(mood._mapMoodValue('5', importConfig)).toBe(10);
+      expect(mood._mapMoodValue('7.4', {})).toBe(7); // No scale: rounded as is
+      console.log('Conceptual test for MoodConnector._mapMoodValue: 1-5 scale rescaled to 1-10.');
+    });
+
+    it('should reject unknown labels so they show up in the import report', () => {
+      expect(mood._mapMoodValue('fantastic', { labelMap: { good: 8 } })).toBe(null);
+      expect(mood._mapMoodValue('', {})).toBe(null);
+      expect(mood._mapMoodValue(undefined, {})).toBe(null);
+      console.log('Conceptual test for MoodConnector._mapMoodValue: unknown labels rejected.');
+    });
+  });
+
+  describe('_importTimestamp', () => {
+    it('should use noon of the day when the row has no time', () => {
+      expect(mood._importTimestamp('2026-03-01', null, 'UTC').toISOString()).toBe('2026-03-01T12:00:00.000Z');
+      expect(mood._importTimestamp('2026-03-01', '', 'Europe/Berlin').toISOString()).toBe('2026-03-01T11:00:00.000Z');
+      console.log('Conceptual test for MoodConnector._importTimestamp: noon default.');
+    });
+
+    it('should read 24-hour, 12-hour and ISO times in the import timezone', () => {
+      expect(mood._importTimestamp('2026-03-01', '20:15', 'UTC').toISOString()).toBe('2026-03-01T20:15:00.000Z');
+      expect(mood._importTimestamp('2026-03-01', '8:15 pm', 'UTC').toISOString()).toBe('2026-03-01T20:15:00.000Z');
+      expect(mood._importTimestamp('2026-03-01', '12:05 AM', 'UTC').toISOString()).toBe('2026-03-01T00:05:00.000Z');
+      expect(mood._importTimestamp('2026-07-01', '09:00', 'Europe/Berlin').toISOString()).toBe('2026-07-01T07:00:00.000Z');
+      expect(mood._importTimestamp('2026-03-01', '2026-03-01T06:30:00Z', 'Europe/Berlin').toISOString()).toBe('2026-03-01T06:30:00.000Z');
+      console.log('Conceptual test for MoodConnector._importTimestamp: times converted.');
+    });
+
+    it('should reject times it cannot read', () => {
+      expect(mood._importTimestamp('2026-03-01', '25:00', 'UTC')).toBe(null);
+      expect(mood._importTimestamp('2026-03-01', 'evening', 'UTC')).toBe(null);
+      console.log('Conceptual test for MoodConnector._importTimestamp: invalid times rejected.');
+    });
+  });
+
+  describe('importCsv', () => {
+    const daylio = [
+      'full_date,date,weekday,time,mood,activities,note_title,note',
+      '2026-03-01,March 1,Sunday,20:15,good,reading,Calm,Quiet evening',
+      '2026-03-01,March 1,Sunday,9:00 am,Meh,,,',
+      '2026-03-02,March 2,Monday,08:00,fantastic,,,',
+      'March 3,March 3,Tuesday,08:00,rad,,,',
+    ].join('\n');
+
+    it('should report rows as new or updated by (date, recorded_at) in a dry run without writing', async () => {
+      db.query = async (text, params) => {
+        queries.push({ text, params });
+        return { rows: [{ date: '2026-03-01', recorded_at: new Date('2026-03-01T20:15:00Z') }] }; // Imported before
+      };
+
+      const report = await mood.importCsv(daylio, { dryRun: true });
+      expect(report.dryRun).toBe(true);
+      expect(report.totalRows).toBe(4);
+      expect(report.newEntries).toBe(1);
+      expect(report.updatedEntries).toBe(1);
+      expect(report.affectedDates).toEqual(['2026-03-01']);
+      expect(report.rejected.map(row => row.line)).toEqual([4, 5]);
+      expect(report.rejected[0].reason.includes("'fantastic'")).toBe(true);
+      expect(queries.length).toBe(1); // Only the lookup of existing check-ins
+      expect(queries[0].text.startsWith('SELECT')).toBe(true);
+      expect(queries[0].text.includes("source = 'mood'")).toBe(true); // Journal check-ins at the same time don't count
+      expect(queries[0].params).toEqual([['2026-03-01T20:15:00.000Z', '2026-03-01T09:00:00.000Z']]);
+      console.log('Conceptual test for MoodConnector.importCsv: dry run report.');
+    });
+
+    it('should count repeated rows within the file as updates', async () => {
+      db.query = async () => ({ rows: [] });
+      const report = await mood.importCsv('date,mood_score\n2026-03-01,7\n2026-03-01,8\n', { dryRun: true });
+      expect(report.newEntries).toBe(1);
+      expect(report.updatedEntries).toBe(1); // Same day without a time: same noon check-in
+      console.log('Conceptual test for MoodConnector.importCsv: repeated rows.');
+    });
+
+    it('should refuse files without a date or mood column', async () => {
+      const result = await mood.importCsv('day_of_week,feeling\nMonday,ok\n', { dryRun: true });
+      expect(typeof result.error).toBe('string');
+      expect((await mood.importCsv('', { dryRun: true })).error).toBe('The CSV file has no data rows.');
+      console.log('Conceptual test for MoodConnector.importCsv: unusable files refused.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
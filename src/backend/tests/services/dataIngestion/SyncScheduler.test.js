@@ -0,0 +1,257 @@
+// Example Unit Test for SyncScheduler (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/ScheduleStore');
+// jest.mock('../../../services/storage/ConfigManager');
+
+describe('SyncScheduler', () => {
+  // The real scheduler, scheduling a fake connector of a fake DataSyncManager. ScheduleStore is backed by a Map
+  // and ConfigManager.get's sync.quietHours can be set per test; both are restored, and every timer and cron
+  // task stopped, afterwards.
+  const config = require('../../../services/storage/ConfigManager');
+  const ScheduleStore = require('../../../services/storage/ScheduleStore');
+  const SyncScheduler = require('../../../services/dataIngestion/SyncScheduler');
+  const HOUR = 60 * 60 * 1000;
+  let originals;
+  let stored; // source -> sync_schedules row
+  let saves;
+  let globalQuietHours;
+  let connector;
+  let syncs;
+  let syncResult;
+
+  class FakeConnector {
+    constructor(sourceConfig) { this.sourceConfig = sourceConfig; }
+  }
+  FakeConnector.manifest = { name: 'fake', defaultSchedule: '6h' };
+
+  const syncManager = {
+    connectors: {},
+    getConnector: (name) => syncManager.connectors[name] || null,
+    syncSource: async (name, options) => { syncs.push({ name, options }); return syncResult; },
+  };
+  const start = async (sourceConfig = {}) => {
+    connector = new FakeConnector(sourceConfig);
+    syncManager.connectors = { fake: connector };
+    await SyncScheduler.start(syncManager);
+  };
+  const pad = (value) => String(value).padStart(2, '0');
+
+  beforeEach(() => {
+    originals = { getAll: ScheduleStore.getAll, save: ScheduleStore.save, get: config.get };
+    stored = new Map();
+    saves = [];
+    globalQuietHours = null;
+    syncs = [];
+    syncResult = { success: true, runId: 'run-1' };
+    ScheduleStore.getAll = async () => stored;
+    ScheduleStore.save = async (source, fields) => { saves.push({ source, fields }); };
+    config.get = (key, defaultValue) => (key === 'sync.quietHours' ? globalQuietHours : originals.get.call(config, key, defaultValue));
+  });
+
+  afterEach(() => {
+    SyncScheduler.stop();
+    SyncScheduler.schedules = {};
+    ScheduleStore.getAll = originals.getAll;
+    ScheduleStore.save = originals.save;
+    config.get = originals.get;
+  });
+
+  describe('parseInterval', () => {
+    it('should read durations, combined durations and cron expressions', () => {
+      expect(SyncScheduler.parseInterval('30m')).toEqual({ type: 'duration', everyMs: 30 * 60 * 1000 });
+      expect(SyncScheduler.parseInterval('1h30m').everyMs).toBe(1.5 * HOUR);
+      expect(SyncScheduler.parseInterval(' 1d ').everyMs).toBe(24 * HOUR);
+      expect(SyncScheduler.parseInterval('2H').everyMs).toBe(2 * HOUR);
+      expect(SyncScheduler.parseInterval('*/15 * * * *')).toEqual({ type: 'cron' });
+      console.log('Conceptual test for SyncScheduler.parseInterval: durations and cron.');
+    });
+
+    it('should reject durations under a minute and anything else', () => {
+      expect(SyncScheduler.parseInterval('30s')).toBe(null);
+      expect(SyncScheduler.parseInterval('hourly')).toBe(null);
+      expect(SyncScheduler.parseInterval('')).toBe(null);
+      expect(SyncScheduler.parseInterval(3600)).toBe(null);
+      console.log('Conceptual test for SyncScheduler.parseInterval: invalid schedules rejected.');
+    });
+  });
+
+  describe('quiet hours', () => {
+    it('should validate times of day and the timezone', () => {
+      expect(SyncScheduler.validateQuietHours(false)).toEqual([]);
+      expect(SyncScheduler.validateQuietHours({ start: '23:00', end: '07:00', timezone: 'Europe/Berlin' })).toEqual([]);
+      expect(SyncScheduler.validateQuietHours({ start: '7:00', end: '24:00', timezone: 'Mars/Olympus' })).toEqual([
+        'quietHours.start must be a time of day as HH:MM.',
+        'quietHours.end must be a time of day as HH:MM.',
+        "quietHours.timezone 'Mars/Olympus' is not a valid IANA timezone.",
+      ]);
+      expect(SyncScheduler.validateQuietHours('23:00-07:00').length).toBe(1);
+      console.log('Conceptual test for SyncScheduler.validateQuietHours: invalid settings reported.');
+    });
+
+    it('should handle windows spanning midnight in the given timezone', () => {
+      const night = { start: '23:00', end: '07:00', timezone: 'Europe/Berlin' }; // UTC+2 in May
+      expect(SyncScheduler.isQuietTime(night, new Date('2024-05-01T22:30:00Z'))).toBe(true); // 00:30 in Berlin
+      expect(SyncScheduler.isQuietTime(night, new Date('2024-05-01T05:00:00Z'))).toBe(false); // 07:00, the end
+      expect(SyncScheduler.isQuietTime(night, new Date('2024-05-01T20:59:00Z'))).toBe(false);
+      expect(SyncScheduler.isQuietTime({ start: '09:00', end: '09:00', timezone: 'UTC' }, new Date('2024-05-01T09:00:00Z'))).toBe(false);
+      expect(SyncScheduler._quietHoursEnd(night, new Date('2024-05-01T22:30:45Z')).toISOString()).toBe('2024-05-02T05:00:00.000Z');
+      console.log('Conceptual test for SyncScheduler.isQuietTime: overnight window.');
+    });
+
+    it('should prefer the source\'s quiet hours to the global ones, with false turning them off', async () => {
+      globalQuietHours = { start: '22:00', end: '06:00' };
+      await start({ quietHours: { start: '01:00', end: '05:00', timezone: 'Europe/Berlin' } });
+      expect(SyncScheduler.describe('fake').quiet_hours).toEqual({ start: '01:00', end: '05:00', timezone: 'Europe/Berlin' });
+      connector.sourceConfig.quietHours = false;
+      expect(SyncScheduler.describe('fake').quiet_hours).toBe(null);
+      delete connector.sourceConfig.quietHours;
+      expect(SyncScheduler.describe('fake').quiet_hours).toEqual({ start: '22:00', end: '06:00', timezone: 'UTC' });
+      console.log('Conceptual test for SyncScheduler quiet hours: per-source override.');
+    });
+  });
+
+  describe('start', () => {
+    it('should use the configured interval, else the manifest default, and report where it came from', async () => {
+      await start({});
+      expect(SyncScheduler.describe('fake').interval).toBe('6h');
+      expect(SyncScheduler.describe('fake').interval_origin).toBe('default');
+      connector.sourceConfig.syncInterval = '0 3 * * *';
+      SyncScheduler._arm('fake');
+      const schedule = SyncScheduler.describe('fake');
+      expect(schedule.interval_origin).toBe('config');
+      expect(schedule.type).toBe('cron');
+      expect(schedule.next_run_at instanceof Date).toBe(true);
+      console.log('Conceptual test for SyncScheduler.start: schedule origin.');
+    });
+
+    it('should keep the stored next run across a restart, but no further out than one interval', async () => {
+      const soon = new Date(Date.now() + 10 * 60 * 1000);
+      stored.set('fake', { source: 'fake', sync_interval: '1h', next_run_at: soon.toISOString(), last_status: 'success' });
+      await start({});
+      expect(SyncScheduler.describe('fake').next_run_at.getTime()).toBe(soon.getTime());
+      expect(SyncScheduler.describe('fake').interval_origin).toBe('api');
+      expect(SyncScheduler.describe('fake').last_status).toBe('success');
+
+      SyncScheduler.stop();
+      stored.set('fake', { source: 'fake', sync_interval: '1h', next_run_at: new Date(Date.now() + 5 * HOUR).toISOString() });
+      await start({});
+      expect(SyncScheduler.describe('fake').next_run_at.getTime() <= Date.now() + HOUR).toBe(true);
+      console.log('Conceptual test for SyncScheduler.start: next run restored.');
+    });
+
+    it('should not schedule paused sources or invalid intervals, and carry on when the store fails', async () => {
+      ScheduleStore.getAll = async () => { throw new Error('relation "sync_schedules" does not exist'); };
+      await start({ syncInterval: 'every so often' });
+      expect(SyncScheduler.describe('fake').next_run_at).toBe(null);
+      expect(SyncScheduler.describe('fake').error).toBe("Invalid sync interval 'every so often'.");
+
+      SyncScheduler.stop();
+      ScheduleStore.getAll = async () => stored;
+      stored.set('fake', { source: 'fake', paused: true });
+      await start({});
+      expect(SyncScheduler.describe('fake').paused).toBe(true);
+      expect(SyncScheduler.describe('fake').next_run_at).toBe(null);
+      console.log('Conceptual test for SyncScheduler.start: nothing scheduled.');
+    });
+  });
+
+  describe('update', () => {
+    beforeEach(async () => {
+      await start({ syncInterval: '6h' });
+      saves = [];
+    });
+
+    it('should store the change, rearm the schedule and return it', async () => {
+      const result = await SyncScheduler.update('fake', { interval: ' 30m ', quietHours: false });
+      expect(result.success).toBe(true);
+      expect(saves[0]).toEqual({ source: 'fake', fields: { interval: '30m', quietHours: false } });
+      expect(result.schedule.interval_origin).toBe('api');
+      expect(result.schedule.quiet_hours).toBe(null);
+      expect(result.schedule.next_run_at.getTime() <= Date.now() + 30 * 60 * 1000).toBe(true);
+
+      const reset = await SyncScheduler.update('fake', { interval: null });
+      expect(reset.schedule.interval).toBe('6h');
+      expect(reset.schedule.interval_origin).toBe('config');
+      console.log('Conceptual test for SyncScheduler.update: interval changed and reset.');
+    });
+
+    it('should pause and resume', async () => {
+      expect((await SyncScheduler.update('fake', { paused: true })).schedule.next_run_at).toBe(null);
+      await SyncScheduler._due('fake');
+      expect(syncs.length).toBe(0);
+      expect((await SyncScheduler.update('fake', { paused: false })).schedule.next_run_at instanceof Date).toBe(true);
+      console.log('Conceptual test for SyncScheduler.update: paused and resumed.');
+    });
+
+    it('should reject invalid changes with 400 and unknown sources with 404, storing nothing', async () => {
+      expect((await SyncScheduler.update('fake', { interval: '10s' })).status).toBe(400);
+      expect((await SyncScheduler.update('fake', { paused: 'yes' })).message).toBe('paused must be true or false.');
+      expect((await SyncScheduler.update('fake', { quietHours: { start: '23:00' } })).message).toBe('quietHours.end must be a time of day as HH:MM.');
+      expect((await SyncScheduler.update('fake', {})).status).toBe(400);
+      expect((await SyncScheduler.update('missing', { paused: true })).status).toBe(404);
+      expect(saves.length).toBe(0);
+      console.log('Conceptual test for SyncScheduler.update: invalid changes refused.');
+    });
+  });
+
+  describe('scheduled runs', () => {
+    beforeEach(async () => {
+      await start({ syncInterval: '1h' });
+    });
+
+    it('should sync, record the outcome and count the next run from the start of this one', async () => {
+      syncResult = { success: true, partial: true, runId: 'run-7' };
+      const before = Date.now();
+      SyncScheduler._disarm(SyncScheduler.schedules.fake); // As when the timer fires
+      await SyncScheduler._due('fake');
+      const schedule = SyncScheduler.describe('fake');
+      expect(syncs).toEqual([{ name: 'fake', options: { triggeredBy: 'cron' } }]);
+      expect(schedule.last_status).toBe('partial');
+      expect(schedule.last_run_id).toBe('run-7');
+      expect(schedule.next_run_at.getTime() - schedule.last_run_at.getTime()).toBe(HOUR);
+      expect(schedule.last_run_at.getTime() >= before).toBe(true);
+      await SyncScheduler.schedules.fake.saving;
+      expect(saves[saves.length - 1].fields.lastStatus).toBe('partial');
+      console.log('Conceptual test for SyncScheduler._due: run recorded.');
+    });
+
+    it('should record a run refused by the source lock as skipped', async () => {
+      syncResult = { success: false, status: 409, runId: 'run-3' };
+      await SyncScheduler._due('fake');
+      expect(SyncScheduler.describe('fake').last_status).toBe('skipped');
+      console.log('Conceptual test for SyncScheduler._due: locked source skipped.');
+    });
+
+    it('should postpone a run that falls due in quiet hours to their end', async () => {
+      const hour = new Date().getUTCHours(); // A window from the start of this hour to two hours later
+      await SyncScheduler.update('fake', { quietHours: { start: `${pad(hour)}:00`, end: `${pad((hour + 2) % 24)}:00`, timezone: 'UTC' } });
+      const end = new Date();
+      end.setUTCHours(hour + 2, 0, 0, 0);
+
+      await SyncScheduler._due('fake');
+      expect(syncs.length).toBe(0);
+      expect(SyncScheduler.describe('fake').in_quiet_hours).toBe(true);
+      expect(SyncScheduler.describe('fake').next_run_at.toISOString()).toBe(end.toISOString());
+
+      await SyncScheduler._due('fake'); // A cron tick while postponed doesn't queue another run
+      expect(SyncScheduler.describe('fake').next_run_at.toISOString()).toBe(end.toISOString());
+
+      await SyncScheduler.update('fake', { quietHours: false });
+      await SyncScheduler._due('fake');
+      expect(syncs.length).toBe(1);
+      console.log('Conceptual test for SyncScheduler._due: postponed by quiet hours.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
@@ -0,0 +1,137 @@
+// Example Unit Test for WeatherConnector backfills (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ query: jest.fn() }));
+
+describe('WeatherConnector backfill', () => {
+  // The real connector with a recording provider; DatabaseManager.query is replaced for each test and restored afterwards.
+  const db = require('../../../services/storage/DatabaseManager');
+  const WeatherConnector = require('../../../services/dataIngestion/WeatherConnector');
+  let originalQuery;
+  let weather;
+  let requested;
+
+  beforeEach(() => {
+    originalQuery = db.query;
+    requested = [];
+    weather = new WeatherConnector();
+    weather.sourceConfig = { ...weather.sourceConfig, enabled: true, location: 'Berlin,DE' };
+    weather.provider = {
+      isConfigured: () => true,
+      getDaily: async (location, date, { isToday }) => { requested.push({ location, date, isToday }); return { temp: 20 }; },
+    };
+  });
+
+  afterEach(() => {
+    db.query = originalQuery;
+  });
+
+  describe('_resolveDates', () => {
+    it('should expand an inclusive range across a month boundary', () => {
+      expect(weather._resolveDates({ start: '2024-02-28', end: '2024-03-01' })).toEqual(['2024-02-28', '2024-02-29', '2024-03-01']);
+      expect(weather._resolveDates({ dates: ['2024-05-01'] })).toEqual(['2024-05-01']);
+      expect(weather._resolveDates({ date: '2024-05-02' })).toEqual(['2024-05-02']);
+      console.log('Conceptual test for WeatherConnector._resolveDates: ranges expanded.');
+    });
+  });
+
+  describe('fetchData', () => {
+    it('should fetch past days without weather and skip stored and future days', async () => {
+      db.query = async (text, params) => ({ rowCount: params[0] === '2024-05-02' ? 1 : 0, rows: [] }); // 2024-05-02 is stored
+      const future = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+      const days = await weather.fetchData({ dates: ['2024-05-01', '2024-05-02', future], location: 'Berlin,DE' });
+      expect(requested.map(request => request.date)).toEqual(['2024-05-01']);
+      expect(requested[0].isToday).toBe(false); // Historical weather, not today's forecast
+      expect(days[0].fetchedDate).toBe('2024-05-01');
+      console.log('Conceptual test for WeatherConnector.fetchData: only missing past days fetched.');
+    });
+
+    it('should fetch each day at that day\'s location unless a location is given', async () => {
+      db.query = async (text) => ({ rowCount: 0, rows: text.includes('FROM bee_locations') ? [{ lat: 48.14, lon: 11.58, samples: 40, address: 'Marienplatz' }] : [] });
+
+      const days = await weather.fetchData({ dates: ['2024-05-01'] });
+      expect(requested[0].location).toEqual({ lat: 48.14, lon: 11.58, label: 'Marienplatz (48.14,11.58)' });
+      expect(days[0].fetchedLocation).toBe('Marienplatz (48.14,11.58)');
+
+      requested = [];
+      await weather.fetchData({ dates: ['2024-05-01'], location: 'Paris,FR' });
+      expect(requested[0].location).toBe('Paris,FR');
+      console.log('Conceptual test for WeatherConnector.fetchData: weather fetched where the day was spent.');
+    });
+  });
+
+  describe('_resolveDayLocation', () => {
+    let tables;
+
+    beforeEach(() => {
+      tables = [];
+    });
+
+    const answer = (rowsByTable) => async (text, params) => {
+      const table = text.match(/FROM (\w+)/)[1];
+      tables.push(table);
+      expect(params).toEqual(['2024-05-01']);
+      return { rows: rowsByTable[table] || [] };
+    };
+
+    it('should prefer Bee locations, then imported location history', async () => {
+      db.query = answer({
+        bee_locations: [{ lat: 52.52, lon: 13.4, samples: 12, address: null }],
+        location_points: [{ lat: 48.14, lon: 11.58, samples: 90, address: 'Munich' }],
+      });
+      expect(await weather._resolveDayLocation('2024-05-01')).toEqual({ lat: 52.52, lon: 13.4, label: '52.52,13.40' });
+      expect(tables).toEqual(['bee_locations']);
+
+      tables = [];
+      db.query = answer({ location_points: [{ lat: 48.14, lon: 11.58, samples: 90, address: 'Munich' }] });
+      expect((await weather._resolveDayLocation('2024-05-01')).label).toBe('Munich (48.14,11.58)');
+      expect(tables).toEqual(['bee_locations', 'location_points']);
+      console.log('Conceptual test for WeatherConnector._resolveDayLocation: location samples used.');
+    });
+
+    it('should fall back to conversation locations and then to the configured location', async () => {
+      db.query = answer({ bee_conversations: [{ lat: 40.71, lon: -74.01, seconds: 3600, address: 'New York' }] });
+      expect((await weather._resolveDayLocation('2024-05-01')).label).toBe('New York (40.71,-74.01)');
+      expect(tables).toEqual(['bee_locations', 'location_points', 'bee_conversations']);
+
+      db.query = answer({});
+      expect(await weather._resolveDayLocation('2024-05-01')).toBe('Berlin,DE');
+      console.log('Conceptual test for WeatherConnector._resolveDayLocation: fallbacks.');
+    });
+
+    it('should only use the sources that are turned on', async () => {
+      weather.sourceConfig = { ...weather.sourceConfig, useBeeLocations: false };
+      db.query = answer({ bee_conversations: [{ lat: 40.71, lon: -74.01, seconds: 3600, address: 'New York' }] });
+      expect(await weather._resolveDayLocation('2024-05-01')).toBe('Berlin,DE');
+      expect(tables).toEqual(['location_points']);
+      console.log('Conceptual test for WeatherConnector._resolveDayLocation: disabled sources skipped.');
+    });
+  });
+
+  describe('findDatesMissingWeather', () => {
+    it('should consider days with data from any past-only source', async () => {
+      let query;
+      db.query = async (text, params) => { query = { text, params }; return { rows: [{ date: '2024-05-01' }] }; };
+
+      expect(await weather.findDatesMissingWeather('2024-05-01', '2024-05-31')).toEqual(['2024-05-01']);
+      for (const flag of ['limitless', 'bee', 'mood', 'location', 'journal', 'photo', 'health', 'life_events']) {
+        expect(query.text.includes(`da.has_${flag}_data`)).toBe(true);
+      }
+      expect(query.text.includes('has_calendar_data')).toBe(false); // Calendars reach into the future
+      expect(query.params).toEqual(['2024-05-01', '2024-05-31']);
+      console.log('Conceptual test for WeatherConnector.findDatesMissingWeather: all past-only sources considered.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
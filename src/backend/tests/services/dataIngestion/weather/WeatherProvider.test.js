@@ -0,0 +1,151 @@
+// Example Unit Test for the weather providers (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../../utils/logger');
+
+describe('Weather providers', () => {
+  // The real providers, created with a fake HTTP client factory that records requests and answers from `responses`.
+  const { createWeatherProvider } = require('../../../../services/dataIngestion/weather');
+  const OpenMeteoProvider = require('../../../../services/dataIngestion/weather/OpenMeteoProvider');
+  let requests;
+  let responses; // URL substring -> response body
+
+  const createHttpClient = (axiosConfig) => ({
+    axiosConfig,
+    get: async (url, { params }) => {
+      requests.push({ url, params });
+      const match = Object.keys(responses).find(part => url.includes(part));
+      if (!match) throw new Error(`Unexpected request to ${url}`);
+      return { data: responses[match] };
+    },
+  });
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  beforeEach(() => {
+    requests = [];
+    responses = {};
+  });
+
+  describe('createWeatherProvider', () => {
+    it('should build the configured provider and reject unknown names', () => {
+      expect(createWeatherProvider('openmeteo', {}, createHttpClient) instanceof OpenMeteoProvider).toBe(true);
+      expect(createWeatherProvider('openweathermap', { apiKey: 'key' }, createHttpClient).isConfigured()).toBe(true);
+      expect(createWeatherProvider('openweathermap', {}, createHttpClient).isConfigured()).toBe(false);
+      expect(createWeatherProvider('darksky', {}, createHttpClient)).toBe(null);
+      console.log('Conceptual test for createWeatherProvider: providers selected by name.');
+    });
+  });
+
+  describe('OpenMeteoProvider', () => {
+    const daily = (date) => ({
+      utc_offset_seconds: 7200,
+      daily: {
+        time: [date], weather_code: [63], temperature_2m_max: [21.6], temperature_2m_min: [11.2],
+        relative_humidity_2m_mean: [72.4], sunrise: [`${date}T05:12`], sunset: [`${date}T21:30`],
+      },
+    });
+
+    it('should geocode place names once and normalize the daily record', async () => {
+      const provider = createWeatherProvider('openmeteo', {}, createHttpClient);
+      const date = daysAgo(1);
+      responses = { '/search': { results: [{ latitude: 52.52, longitude: 13.41 }] }, '/forecast': daily(date) };
+
+      const record = await provider.getDaily('Berlin, DE', date);
+      await provider.getDaily('Berlin, DE', date);
+      expect(requests.filter(request => request.url.endsWith('/search')).length).toBe(1); // Cached
+      expect(requests[0].params.name).toBe('Berlin');
+      expect(requests[1].params).toEqual({
+        latitude: 52.52, longitude: 13.41, start_date: date, end_date: date,
+        daily: 'weather_code,temperature_2m_max,temperature_2m_min,relative_humidity_2m_mean,sunrise,sunset',
+        timezone: 'auto', temperature_unit: 'celsius',
+      });
+      expect(record.temperature_high).toBe(22);
+      expect(record.temperature_low).toBe(11);
+      expect(record.condition).toBe('Rain');
+      expect(record.icon_code).toBe('10d');
+      expect(record.humidity).toBe(72);
+      expect(record.sunrise.toISOString()).toBe(`${date}T03:12:00.000Z`); // Local time minus the UTC offset
+      console.log('Conceptual test for OpenMeteoProvider.getDaily: record normalized.');
+    });
+
+    it('should read older days from the archive API and skip geocoding for coordinates', async () => {
+      const provider = createWeatherProvider('openmeteo', { units: 'imperial' }, createHttpClient);
+      responses = { '/archive': daily('2024-05-01') };
+
+      await provider.getDaily({ lat: 48.14, lon: 11.58, label: 'Munich' }, '2024-05-01');
+      expect(requests.length).toBe(1);
+      expect(requests[0].url).toBe('https://archive-api.open-meteo.com/v1/archive');
+      expect(requests[0].params.temperature_unit).toBe('fahrenheit');
+      console.log('Conceptual test for OpenMeteoProvider.getDaily: historical days from the archive.');
+    });
+
+    it('should fail for places it cannot find and days without data', async () => {
+      const provider = createWeatherProvider('openmeteo', {}, createHttpClient);
+      responses = { '/search': { results: [] }, '/archive': { daily: { time: [] } } };
+      let error = null;
+      try { await provider.getDaily('Atlantis', '2024-05-01'); } catch (e) { error = e; }
+      expect(error.message).toBe("Could not geocode location 'Atlantis'");
+      error = null;
+      try { await provider.getDaily({ lat: 0, lon: 0 }, '2024-05-01'); } catch (e) { error = e; }
+      expect(error.message).toBe('Open-Meteo returned no daily data for 2024-05-01');
+      console.log('Conceptual test for OpenMeteoProvider.getDaily: errors reported.');
+    });
+  });
+
+  describe('OpenWeatherMapProvider', () => {
+    it('should use current conditions for today and the day summary for past days', async () => {
+      const provider = createWeatherProvider('openweathermap', { apiKey: 'key', units: 'imperial' }, createHttpClient);
+      responses = {
+        '/weather': { main: { temp_max: 71.6, temp_min: 60.1, humidity: 50 }, weather: [{ main: 'Clear', description: 'clear sky', icon: '01d' }], sys: { sunrise: 1714535000 } },
+        '/direct': [{ lat: 40.71, lon: -74.01 }],
+        '/day_summary': { temperature: { max: 65.4, min: 50.2 }, precipitation: { total: 2.5 }, cloud_cover: { afternoon: 80 }, humidity: { afternoon: 66 } },
+      };
+
+      const today = await provider.getDaily('New York,US', daysAgo(0), { isToday: true });
+      expect(provider.apiClient.axiosConfig.params).toEqual({ appid: 'key', units: 'imperial' });
+      expect(requests[0].params).toEqual({ q: 'New York,US' });
+      expect(today.temperature_high).toBe(72);
+      expect(today.sunrise.getTime()).toBe(1714535000 * 1000);
+
+      const past = await provider.getDaily('New York,US', '2024-05-01');
+      expect(requests[2].params).toEqual({ lat: 40.71, lon: -74.01, date: '2024-05-01' });
+      expect(past.condition).toBe('Rain'); // Derived from precipitation
+      expect(past.description).toBe('2.5 mm precipitation, 80% cloud cover');
+      expect(past.sunrise).toBe(null);
+      console.log('Conceptual test for OpenWeatherMapProvider.getDaily: current and historical endpoints.');
+    });
+  });
+
+  describe('LocalFixtureProvider', () => {
+    it('should serve exact-date records and a stable sample for other dates without requests', async () => {
+      const provider = createWeatherProvider('local', {}, createHttpClient);
+      provider.fixtures = { dates: { '2024-05-01': { temperature_high: 30, condition: 'Clear', sunrise: '04:55' } }, samples: [{ condition: 'Rain' }, { condition: 'Snow' }] };
+
+      const exact = await provider.getDaily('Berlin,DE', '2024-05-01');
+      expect(exact.temperature_high).toBe(30);
+      expect(exact.temperature_low).toBe(null);
+      expect(exact.sunrise.toISOString()).toBe('2024-05-01T04:55:00.000Z');
+      expect(exact.raw.fixture).toBe(true);
+      const sample = await provider.getDaily({ lat: 1, lon: 2, label: 'Home' }, '2024-05-02');
+      expect((await provider.getDaily('Berlin,DE', '2024-05-02')).condition).toBe(sample.condition);
+      expect(sample.raw.location).toBe('Home');
+      expect(requests.length).toBe(0);
+      console.log('Conceptual test for LocalFixtureProvider.getDaily: fixtures served offline.');
+    });
+
+    it('should read the bundled fixture file by default', async () => {
+      const record = await createWeatherProvider('local', {}, createHttpClient).getDaily('Berlin,DE', '2024-05-01');
+      expect(typeof record.condition).toBe('string');
+      console.log('Conceptual test for LocalFixtureProvider: bundled fixtures.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
@@ -0,0 +1,77 @@
+// Example Unit Test for ConfigManager's environment variable substitution (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+
+describe('ConfigManager', () => {
+  // The real singleton; each test substitutes its own config and restores the loaded state afterwards.
+  const ConfigManager = require('../../../services/storage/ConfigManager');
+  let savedUnresolved;
+  let savedEnv;
+
+  beforeEach(() => {
+    savedUnresolved = ConfigManager.unresolvedVariables;
+    savedEnv = { LIFEBOARD_TEST_SET: process.env.LIFEBOARD_TEST_SET, LIFEBOARD_TEST_UNSET: process.env.LIFEBOARD_TEST_UNSET };
+    process.env.LIFEBOARD_TEST_SET = 'resolved-value';
+    delete process.env.LIFEBOARD_TEST_UNSET;
+  });
+
+  afterEach(() => {
+    ConfigManager.unresolvedVariables = savedUnresolved;
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  describe('getUnresolvedVariables', () => {
+    const substituted = () => ConfigManager.substituteEnvVars({
+      dataSources: {
+        bee: { apiKey: '${LIFEBOARD_TEST_UNSET}', baseUrl: 'https://api.bee.computer' },
+        beehive: { apiKey: '${LIFEBOARD_TEST_UNSET}' },
+        limitless: { apiKey: '${LIFEBOARD_TEST_SET}' },
+      },
+      database: { password: 'prefix-${LIFEBOARD_TEST_UNSET}' },
+    });
+
+    it('should keep unset placeholders and record them with their config path', () => {
+      const config = substituted();
+      expect(config.dataSources.bee.apiKey).toBe('${LIFEBOARD_TEST_UNSET}');
+      expect(config.dataSources.limitless.apiKey).toBe('resolved-value');
+      expect(ConfigManager.getUnresolvedVariables()).toEqual([
+        { path: 'dataSources.bee.apiKey', variable: 'LIFEBOARD_TEST_UNSET' },
+        { path: 'dataSources.beehive.apiKey', variable: 'LIFEBOARD_TEST_UNSET' },
+        { path: 'database.password', variable: 'LIFEBOARD_TEST_UNSET' },
+      ]);
+      console.log('Conceptual test for ConfigManager: unresolved placeholders recorded.');
+    });
+
+    it('should filter by config path prefix on whole segments', () => {
+      substituted();
+      // 'dataSources.bee' must not match 'dataSources.beehive'
+      expect(ConfigManager.getUnresolvedVariables('dataSources.bee')).toEqual([
+        { path: 'dataSources.bee.apiKey', variable: 'LIFEBOARD_TEST_UNSET' },
+      ]);
+      expect(ConfigManager.getUnresolvedVariables('dataSources.bee.apiKey').length).toBe(1);
+      expect(ConfigManager.getUnresolvedVariables('dataSources.limitless')).toEqual([]);
+      console.log('Conceptual test for ConfigManager: unresolved placeholders filtered by prefix.');
+    });
+
+    it('should start over on every substitution', () => {
+      substituted();
+      ConfigManager.substituteEnvVars({ dataSources: { limitless: { apiKey: '${LIFEBOARD_TEST_SET}' } } });
+      expect(ConfigManager.getUnresolvedVariables()).toEqual([]);
+      console.log('Conceptual test for ConfigManager: earlier unresolved placeholders forgotten.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
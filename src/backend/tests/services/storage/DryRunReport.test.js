@@ -0,0 +1,109 @@
+// Example Unit Test for DryRunReport (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ queryCommitted: jest.fn() }));
+
+describe('DryRunReport.collect', () => {
+  // The real report. The rolled-back transaction's client and DatabaseManager.queryCommitted are backed by
+  // in-memory tables (the rows as the dry run left them, and as committed); queryCommitted is restored afterwards.
+  const db = require('../../../services/storage/DatabaseManager');
+  const DryRunReport = require('../../../services/storage/DryRunReport');
+  let originalQueryCommitted;
+  let stats; // pg_stat_xact_user_tables rows
+  let primaryKeys; // relid -> key column, or absent
+  let written; // table -> key -> row the dry run wrote
+  let committed; // table -> key -> committed row
+
+  const hash = (row) => { const { updated_at, ...rest } = row; return JSON.stringify(rest); }; // Like _rowHash
+  const tableOf = (text) => /FROM "public"\."(\w+)"/.exec(text)[1];
+  const select = (rows, text, keys) => {
+    const found = keys.filter(key => rows[key]).map(key => ({ key, row: rows[key], hash: hash(rows[key]), date: rows[key].date }));
+    return { rows: text.includes('to_jsonb(t) AS row') ? found.map(({ key, row }) => ({ key, row })) : found };
+  };
+
+  const client = {
+    escapeIdentifier: (name) => `"${name}"`,
+    query: async (text, params = []) => {
+      if (text.includes('pg_stat_xact_user_tables')) return { rows: stats };
+      if (text.includes('pg_index')) return { rows: primaryKeys[params[0]] ? [{ attname: primaryKeys[params[0]] }] : [] };
+      const rows = written[tableOf(text)];
+      if (text.includes('age(t.xmin) <= 0')) return { rows: Object.keys(rows).map(key => ({ key, hash: hash(rows[key]) })) };
+      return select(rows, text, params[0]);
+    },
+  };
+
+  beforeEach(() => {
+    originalQueryCommitted = db.queryCommitted;
+    db.queryCommitted = async (text, params) => select(committed[tableOf(text)] || {}, text, params[0]);
+    stats = [
+      { relid: 1, schemaname: 'public', relname: 'daily_aggregations', n_tup_ins: '1', n_tup_upd: '0', n_tup_del: '0' },
+      { relid: 2, schemaname: 'public', relname: 'limitless_entries', n_tup_ins: '0', n_tup_upd: '1', n_tup_del: '0' },
+      { relid: 3, schemaname: 'public', relname: 'mood_entries', n_tup_ins: '1', n_tup_upd: '2', n_tup_del: '0' },
+      { relid: 4, schemaname: 'public', relname: 'note_tags', n_tup_ins: '2', n_tup_upd: '0', n_tup_del: '1' },
+    ];
+    primaryKeys = { 1: 'id', 2: 'id', 3: 'id' }; // note_tags has no single-column key
+    committed = {
+      limitless_entries: { 10: { id: 10, title: 'Standup', updated_at: '2024-05-01' } },
+      mood_entries: {
+        1: { id: 1, mood: 3, note: 'tired', updated_at: '2024-05-01' },
+        2: { id: 2, mood: 4, note: 'fine', updated_at: '2024-05-01' },
+      },
+    };
+    written = {
+      daily_aggregations: { 7: { id: 7, date: '2024-05-02', mood_score: 5 } },
+      limitless_entries: { 10: { id: 10, title: 'Standup', updated_at: '2024-05-03' } }, // Rewritten with the same values
+      mood_entries: {
+        1: { id: 1, mood: 5, note: 'tired', updated_at: '2024-05-03' },
+        2: { id: 2, mood: 4, note: 'fine', updated_at: '2024-05-03' }, // Only updated_at differs
+        3: { id: 3, mood: 2, note: 'x'.repeat(300), updated_at: '2024-05-03' },
+      },
+      note_tags: {},
+    };
+  });
+
+  afterEach(() => {
+    db.queryCommitted = originalQueryCommitted;
+  });
+
+  it('should count new and changed rows against the committed versions, ignoring no-op rewrites and updated_at', async () => {
+    const report = await DryRunReport.collect(client);
+
+    expect(Object.keys(report.tables)).toEqual(['daily_aggregations', 'mood_entries', 'note_tags']); // limitless_entries left out
+    expect(report.tables.mood_entries.new).toBe(1);
+    expect(report.tables.mood_entries.changed).toBe(1);
+    expect(report.tables.mood_entries.records[1]).toEqual({ change: 'changed', key: '1', changes: { mood: { from: 3, to: 5 } } });
+    console.log('Conceptual test for DryRunReport.collect: real changes only.');
+  });
+
+  it('should cut long values in the sampled records', async () => {
+    const report = await DryRunReport.collect(client);
+    const record = report.tables.mood_entries.records[0];
+    expect(record.change).toBe('new');
+    expect(record.row.note.length).toBe(201);
+    expect(record.row.note.endsWith('…')).toBe(true);
+    console.log('Conceptual test for DryRunReport.collect: samples truncated.');
+  });
+
+  it('should fall back to the raw counts for tables without a single-column key', async () => {
+    const report = await DryRunReport.collect(client);
+    expect(report.tables.note_tags).toEqual({ new: 2, changed: 0, deleted: 1, records: [] });
+    console.log('Conceptual test for DryRunReport.collect: keyless tables counted.');
+  });
+
+  it('should list the days whose daily aggregation would change', async () => {
+    const report = await DryRunReport.collect(client);
+    expect(report.dailyAggregationDates).toEqual(['2024-05-02']);
+    console.log('Conceptual test for DryRunReport.collect: affected days listed.');
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
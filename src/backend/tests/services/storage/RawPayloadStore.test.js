@@ -0,0 +1,108 @@
+// Example Unit Test for RawPayloadStore (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ query: jest.fn() }));
+
+describe('RawPayloadStore', () => {
+  // The real store, with DatabaseManager.query and ConfigManager.get replaced for each test and restored afterwards.
+  const zlib = require('zlib');
+  const db = require('../../../services/storage/DatabaseManager');
+  const config = require('../../../services/storage/ConfigManager');
+  const RawPayloadStore = require('../../../services/storage/RawPayloadStore');
+  let originalQuery;
+  let originalGet;
+  let queries;
+
+  beforeEach(() => {
+    originalQuery = db.query;
+    originalGet = config.get;
+    queries = [];
+  });
+
+  afterEach(() => {
+    db.query = originalQuery;
+    config.get = originalGet;
+  });
+
+  describe('save and load', () => {
+    it('should store the payload gzip-compressed and load it back unchanged', async () => {
+      const payload = { lifelogs: [{ id: 'a', markdown: 'x'.repeat(5000) }], pagination: { cursor: 'c2' } };
+      let stored;
+      db.query = async (text, params) => {
+        queries.push({ text, params });
+        if (text.includes('INSERT INTO raw_payloads')) { stored = params[2]; return { rows: [{ id: 'payload-1' }] }; }
+        return { rows: [{ payload: stored }] };
+      };
+
+      expect(await RawPayloadStore.save('limitless', payload, 'run-1')).toBe('payload-1');
+      const [source, runId, compressed, sizeBytes, compressedBytes] = queries[0].params;
+      expect([source, runId]).toEqual(['limitless', 'run-1']);
+      expect(sizeBytes).toBe(JSON.stringify(payload).length);
+      expect(compressedBytes < sizeBytes / 10).toBe(true);
+      expect(JSON.parse(zlib.gunzipSync(compressed).toString('utf8'))).toEqual(payload);
+      expect(await RawPayloadStore.load('payload-1')).toEqual(payload);
+      console.log('Conceptual test for RawPayloadStore.save/load: payload round trip.');
+    });
+
+    it('should not let a failed archive break the sync', async () => {
+      db.query = async () => { throw new Error('relation "raw_payloads" does not exist'); };
+      expect(await RawPayloadStore.save('bee', { facts: [] })).toBe(null);
+      await RawPayloadStore.markProcessed('payload-1', ['2024-05-01']); // Logged, not thrown
+      console.log('Conceptual test for RawPayloadStore.save: failures swallowed.');
+    });
+
+    it('should return null for payloads that no longer exist', async () => {
+      db.query = async () => ({ rows: [] });
+      expect(await RawPayloadStore.load('pruned')).toBe(null);
+      console.log('Conceptual test for RawPayloadStore.load: missing payload.');
+    });
+  });
+
+  describe('listIds', () => {
+    it('should list a source\'s payloads oldest first, filtered by the days they touched', async () => {
+      db.query = async (text, params) => { queries.push({ text, params }); return { rows: [{ id: 'p1' }, { id: 'p2' }] }; };
+
+      expect(await RawPayloadStore.listIds('bee')).toEqual(['p1', 'p2']);
+      expect(queries[0].params).toEqual(['bee']);
+      expect(queries[0].text.includes('ORDER BY fetched_at ASC')).toBe(true);
+
+      await RawPayloadStore.listIds('bee', { start: '2024-05-01' });
+      expect(queries[1].params).toEqual(['bee', '2024-05-01', 'infinity']);
+      expect(queries[1].text.includes('affected_dates IS NULL AND fetched_at::date BETWEEN')).toBe(true); // Never processed
+      console.log('Conceptual test for RawPayloadStore.listIds: range filter.');
+    });
+  });
+
+  describe('prune', () => {
+    it('should apply the configured limits, with defaults for the missing ones', async () => {
+      config.get = (key) => (key === 'sync.rawPayloads' ? { maxAgeDays: 30 } : undefined);
+      db.query = async (text, params) => { queries.push({ text, params }); return { rowCount: 4 }; };
+
+      expect(RawPayloadStore.getRetention()).toEqual({ maxAgeDays: 30, maxPerSource: 1000, pruneSchedule: '45 3 * * *' });
+      expect(await RawPayloadStore.prune()).toBe(4);
+      expect(queries[0].params).toEqual([30, 1000]);
+      expect(queries[0].text.includes('WHERE processed_at IS NOT NULL')).toBe(true); // Unprocessed payloads are kept
+      console.log('Conceptual test for RawPayloadStore.prune: retention applied.');
+    });
+
+    it('should skip the query when both limits are turned off', async () => {
+      db.query = async (text, params) => { queries.push({ text, params }); return { rowCount: 0 }; };
+      expect(await RawPayloadStore.prune({ maxAgeDays: 0, maxPerSource: false })).toBe(0);
+      expect(queries.length).toBe(0);
+      expect(await RawPayloadStore.prune({ maxAgeDays: 0, maxPerSource: 50 })).toBe(0);
+      expect(queries[0].params).toEqual([null, 50]);
+      console.log('Conceptual test for RawPayloadStore.prune: limits turned off.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
@@ -0,0 +1,63 @@
+// Example Unit Test for ScheduleStore (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ query: jest.fn() }));
+
+describe('ScheduleStore', () => {
+  // The real store, with DatabaseManager.query replaced for each test and restored afterwards.
+  const db = require('../../../services/storage/DatabaseManager');
+  const ScheduleStore = require('../../../services/storage/ScheduleStore');
+  let originalQuery;
+  let queries;
+
+  beforeEach(() => {
+    originalQuery = db.query;
+    queries = [];
+    db.query = async (text, params) => { queries.push({ text, params }); return { rows: [{ source: 'bee', paused: true }] }; };
+  });
+
+  afterEach(() => {
+    db.query = originalQuery;
+  });
+
+  it('should upsert only the given fields, storing quiet hours as JSON', async () => {
+    const row = await ScheduleStore.save('bee', { paused: true, quietHours: { start: '23:00', end: '07:00' }, interval: null });
+    expect(row.paused).toBe(true);
+    expect(queries[0].params).toEqual(['bee', true, '{"start":"23:00","end":"07:00"}', null]);
+    expect(queries[0].text.includes('INSERT INTO sync_schedules (source, paused, quiet_hours, sync_interval)')).toBe(true);
+    expect(queries[0].text.includes('DO UPDATE SET paused = EXCLUDED.paused, quiet_hours = EXCLUDED.quiet_hours, sync_interval = EXCLUDED.sync_interval')).toBe(true);
+    console.log('Conceptual test for ScheduleStore.save: partial upsert.');
+  });
+
+  it('should keep quiet hours turned off as false, and null as null', async () => {
+    await ScheduleStore.save('bee', { quietHours: false });
+    await ScheduleStore.save('bee', { quietHours: null });
+    expect(queries.map(query => query.params[1])).toEqual(['false', null]);
+    console.log('Conceptual test for ScheduleStore.save: quiet hours off vs configured.');
+  });
+
+  it('should reject unknown fields without querying', async () => {
+    let error = null;
+    try { await ScheduleStore.save('bee', { cron: '* * * * *' }); } catch (e) { error = e; }
+    expect(error.message).toBe("ScheduleStore: Unknown schedule field 'cron'");
+    expect(queries.length).toBe(0);
+    console.log('Conceptual test for ScheduleStore.save: unknown field rejected.');
+  });
+
+  it('should key the stored schedules by source', async () => {
+    const all = await ScheduleStore.getAll();
+    expect(all.get('bee').paused).toBe(true);
+    console.log('Conceptual test for ScheduleStore.getAll: keyed by source.');
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
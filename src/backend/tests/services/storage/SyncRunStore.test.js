@@ -0,0 +1,104 @@
+// Example Unit Test for SyncRunStore (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../../utils/logger');
+// jest.mock('../../../services/storage/DatabaseManager', () => ({ query: jest.fn() }));
+
+describe('SyncRunStore', () => {
+  // The real store, with DatabaseManager.query replaced for each test and restored afterwards.
+  const db = require('../../../services/storage/DatabaseManager');
+  const SyncRunStore = require('../../../services/storage/SyncRunStore');
+  let originalQuery;
+  let queries;
+
+  const run = (overrides) => ({
+    id: 'run-1',
+    source: 'bee',
+    triggered_by: 'cron',
+    status: 'success',
+    options: {},
+    started_at: '2024-05-01T10:00:00.000Z',
+    finished_at: '2024-05-01T10:00:30.000Z',
+    new_entries: 0,
+    updated_entries: 0,
+    error_count: 0,
+    affected_dates: null,
+    error_message: null,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    originalQuery = db.query;
+    queries = [];
+  });
+
+  afterEach(() => {
+    db.query = originalQuery;
+  });
+
+  describe('getLatestOutcomes', () => {
+    it('should group the latest success and the latest error per source', async () => {
+      // The query returns at most one row per (source, outcome); 'partial' and 'failed' both count as errors.
+      db.query = async (text, params) => {
+        queries.push(text);
+        return {
+          rows: [
+            { outcome: 'error', ...run({ id: 'run-3', status: 'partial', error_message: 'facts page 3 failed' }) },
+            { outcome: 'success', ...run({ id: 'run-2', affected_dates: ['2024-05-01'] }) },
+            { outcome: 'error', ...run({ id: 'run-5', source: 'limitless', status: 'failed', finished_at: null }) },
+          ],
+        };
+      };
+
+      const outcomes = await SyncRunStore.getLatestOutcomes();
+      expect(outcomes.bee.lastSuccess.id).toBe('run-2');
+      expect(outcomes.bee.lastSuccess.affected_dates).toEqual(['2024-05-01']);
+      expect(outcomes.bee.lastSuccess.duration_ms).toBe(30000);
+      expect(outcomes.bee.lastError.id).toBe('run-3');
+      expect(outcomes.bee.lastError.status).toBe('partial');
+      expect('outcome' in outcomes.bee.lastError).toBe(false);
+      expect(outcomes.limitless.lastSuccess).toBe(null);
+      expect(outcomes.limitless.lastError.duration_ms).toBe(null);
+      expect(queries[0].includes("status IN ('success', 'partial', 'failed')")).toBe(true); // Queued and running runs have no outcome yet
+      console.log('Conceptual test for SyncRunStore.getLatestOutcomes: outcomes grouped per source.');
+    });
+
+    it('should return an empty object when no run has finished', async () => {
+      db.query = async () => ({ rows: [] });
+      expect(await SyncRunStore.getLatestOutcomes()).toEqual({});
+      console.log('Conceptual test for SyncRunStore.getLatestOutcomes: no runs, no outcomes.');
+    });
+  });
+
+  describe('failInterrupted', () => {
+    it('should only mark the source\'s unfinished runs that started before the cleanup', async () => {
+      const before = new Date('2024-05-01T10:00:00Z');
+      let call;
+      db.query = async (text, params) => { call = { text, params }; return { rows: [{ id: 'run-1' }, { id: 'run-2' }] }; };
+
+      expect(await SyncRunStore.failInterrupted('bee', before)).toEqual(['run-1', 'run-2']);
+      expect(call.params).toEqual(['bee', before]);
+      expect(call.text.includes("status IN ('running', 'queued') AND started_at < $2")).toBe(true);
+      expect(call.text.includes("SET status = 'failed'")).toBe(true);
+      console.log('Conceptual test for SyncRunStore.failInterrupted: interrupted runs failed.');
+    });
+
+    it('should reset a failed queued run when it starts after all', async () => {
+      db.query = async (text, params) => { queries.push({ text, params }); return { rows: [] }; };
+      await SyncRunStore.markRunning('run-2');
+      expect(queries[0].text.includes("status = 'running'")).toBe(true);
+      expect(queries[0].text.includes('finished_at = NULL, error_message = NULL')).toBe(true);
+      console.log('Conceptual test for SyncRunStore.markRunning: queued run running again.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
@@ -0,0 +1,196 @@
+// Example tests for the offline mock API server in tools/mock-api (Conceptual Jest-like syntax)
+
+// Mock dependencies
+// jest.mock('../../utils/logger');
+
+describe('Mock API server', () => {
+  // The real mock API app, listening on a free port for each test and closed afterwards.
+  // Fixture dates are served as written (shiftDates: false) unless a test says otherwise.
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const axios = require('axios');
+  const { createMockApi, parseErrorSpec } = require('../../../../tools/mock-api/server');
+  let server;
+  let api; // axios instance for the running server, never throwing on error statuses
+  const bearer = { headers: { Authorization: 'Bearer test-key' } };
+
+  const listen = async (options = {}) => {
+    server = createMockApi({ apiKey: undefined, fixtureDir: undefined, shiftDates: false, latencyMs: 0, errors: [], ...options }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    api = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+  };
+
+  afterEach(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+
+  describe('keys', () => {
+    it('should answer 401 without a key, or with another key than MOCK_API_KEY', async () => {
+      await listen({ apiKey: 'secret' });
+      expect((await api.get('/limitless/v1/lifelogs')).status).toBe(401);
+      expect((await api.get('/bee/v1/me/facts', bearer)).status).toBe(401);
+      expect((await api.get('/bee/v1/me/facts', { headers: { Authorization: 'Bearer secret' } })).status).toBe(200);
+      const weather = await api.get('/openweathermap/data/2.5/weather', { params: { q: 'Berlin', appid: 'undefined' } });
+      expect(weather.data.cod).toBe(401);
+      console.log('Conceptual test for the mock API: keys checked.');
+    });
+  });
+
+  describe('Limitless', () => {
+    beforeEach(async () => { await listen(); });
+
+    it('should page lifelogs for a local day by cursor, newest first', async () => {
+      const params = { date: '2025-03-14', timezone: 'America/New_York', limit: 2 };
+      const first = await api.get('/limitless/v1/lifelogs', { ...bearer, params });
+      // 01:00Z on the 15th is the evening of the 14th in New York; 01:00Z on the 14th (ll-20250313-2) is still the 13th
+      expect(first.data.data.lifelogs.map(lifelog => lifelog.id)).toEqual(['ll-20250314-1', 'll-20250314-3']);
+      expect(first.data.meta.lifelogs.count).toBe(2);
+
+      const second = await api.get('/limitless/v1/lifelogs', { ...bearer, params: { ...params, cursor: first.data.meta.lifelogs.nextCursor } });
+      expect(second.data.data.lifelogs.map(lifelog => lifelog.id)).toEqual(['ll-20250314-2']);
+      expect(second.data.meta.lifelogs.nextCursor).toBe(null);
+      console.log('Conceptual test for the mock Limitless API: cursor paging.');
+    });
+
+    it('should filter, order and trim lifelogs like the real API, and reject bad parameters', async () => {
+      const starred = await api.get('/limitless/v1/lifelogs', {
+        ...bearer, params: { start: '2025-03-13', end: '2025-03-16', isStarred: 'true', direction: 'asc', includeMarkdown: 'false', limit: 10 },
+      });
+      expect(starred.data.data.lifelogs.map(lifelog => lifelog.id)).toEqual(['ll-20250313-3', 'll-20250314-2', 'll-20250315-1']);
+      expect(starred.data.data.lifelogs[0].markdown).toBe(null);
+
+      expect((await api.get('/limitless/v1/lifelogs', { ...bearer, params: { limit: 0 } })).status).toBe(400);
+      expect((await api.get('/limitless/v1/lifelogs', { ...bearer, params: { cursor: 'nonsense' } })).status).toBe(400);
+      expect((await api.get('/limitless/v1/lifelogs', { ...bearer, params: { direction: 'up' } })).status).toBe(400);
+      expect((await api.get('/limitless/v1/lifelogs/ll-20250310-1', bearer)).data.data.lifelog.isStarred).toBe(true);
+      expect((await api.get('/limitless/v1/lifelogs/missing', bearer)).status).toBe(404);
+      console.log('Conceptual test for the mock Limitless API: filters and validation.');
+    });
+  });
+
+  describe('Bee', () => {
+    beforeEach(async () => { await listen(); });
+
+    it('should page lists by page number and serve utterances only from the detail endpoint', async () => {
+      const page = await api.get('/bee/v1/me/conversations', { ...bearer, params: { page: 2, limit: 10 } });
+      expect(page.data.currentPage).toBe(2);
+      expect(page.data.totalPages).toBe(2);
+      expect(page.data.conversations.length).toBe(4);
+      expect(page.data.conversations[0].utterances).toBe(undefined);
+
+      const id = page.data.conversations[0].id;
+      const detail = await api.get(`/bee/v1/me/conversations/${id}`, bearer);
+      expect(Array.isArray(detail.data.conversation.utterances)).toBe(true);
+      expect((await api.get('/bee/v1/me/conversations/1', bearer)).status).toBe(404);
+      expect((await api.get('/bee/v1/me/todos', { ...bearer, params: { page: -1 } })).status).toBe(400);
+      console.log('Conceptual test for the mock Bee API: page numbers and details.');
+    });
+  });
+
+  describe('OpenWeatherMap', () => {
+    beforeEach(async () => { await listen(); });
+
+    it('should geocode fixture cities and answer the same day summary for the same day and place', async () => {
+      const places = await api.get('/openweathermap/geo/1.0/direct', { params: { q: 'Berlin', appid: 'test-key' } });
+      expect(places.data.length > 0).toBe(true);
+      const { lat, lon } = places.data[0];
+
+      const params = { lat, lon, date: '2025-03-14', appid: 'test-key', units: 'metric' };
+      const first = await api.get('/openweathermap/data/3.0/onecall/day_summary', { params });
+      const again = await api.get('/openweathermap/data/3.0/onecall/day_summary', { params });
+      expect(again.data).toEqual(first.data);
+      const kelvin = await api.get('/openweathermap/data/3.0/onecall/day_summary', { params: { ...params, units: undefined } });
+      expect(Math.round((kelvin.data.temperature.max - first.data.temperature.max) * 100) / 100).toBe(273.15);
+
+      expect((await api.get('/openweathermap/data/3.0/onecall/day_summary', { params: { lat, lon, appid: 'test-key' } })).status).toBe(400);
+      expect((await api.get('/openweathermap/data/2.5/weather', { params: { q: 'Atlantis', appid: 'test-key' } })).status).toBe(404);
+      console.log('Conceptual test for the mock OpenWeatherMap API: stable samples and units.');
+    });
+  });
+
+  describe('error injection', () => {
+    it('should parse MOCK_API_ERRORS and reject invalid rules', () => {
+      expect(parseErrorSpec('429:0.1, malformed:0.02,500')).toEqual([
+        { error: 429, match: '/', rate: 0.1, retryAfter: 1 },
+        { error: 'malformed', match: '/', rate: 0.02, retryAfter: 1 },
+        { error: 500, match: '/', rate: 1, retryAfter: 1 },
+      ]);
+      let error = null;
+      try { parseErrorSpec('200:0.5'); } catch (e) { error = e; }
+      expect(error.message).toBe("error must be an HTTP status between 400 and 599 or 'malformed' (got '200')");
+      console.log('Conceptual test for the mock API: error spec parsed.');
+    });
+
+    it('should inject a rule for matching paths the given number of times and log the requests', async () => {
+      await listen();
+      const added = await api.post('/__mock/errors', { error: 429, match: '/bee/v1/me/facts', times: 2, retryAfter: 3 });
+      expect(added.status).toBe(201);
+      expect((await api.post('/__mock/errors', { error: 429, times: 0 })).status).toBe(400);
+
+      const limited = await api.get('/bee/v1/me/facts', bearer);
+      expect(limited.status).toBe(429);
+      expect(limited.headers['retry-after']).toBe('3');
+      expect((await api.get('/bee/v1/me/todos', bearer)).status).toBe(200); // Other paths unaffected
+      expect((await api.get('/bee/v1/me/facts', bearer)).status).toBe(429);
+      expect((await api.get('/bee/v1/me/facts', bearer)).status).toBe(200); // Used up
+      expect((await api.get('/__mock')).data.error_rules).toEqual([]);
+
+      const log = (await api.get('/__mock/requests')).data.requests;
+      expect(log.map(entry => entry.injected)).toEqual([429, null, 429, null]);
+      expect(log.map(entry => entry.status)).toEqual([429, 200, 429, 200]);
+      console.log('Conceptual test for the mock API: counted error rule.');
+    });
+
+    it('should answer a cut-off body for malformed', async () => {
+      await listen({ errors: 'malformed' });
+      const response = await api.get('/limitless/v1/lifelogs', { ...bearer, transformResponse: [body => body] });
+      expect(response.status).toBe(200);
+      let parsed = true;
+      try { JSON.parse(response.data); } catch (e) { parsed = false; }
+      expect(parsed).toBe(false);
+      expect((await api.get('/__mock')).status).toBe(200); // Control endpoints are never affected
+      console.log('Conceptual test for the mock API: malformed response.');
+    });
+  });
+
+  describe('fixtures', () => {
+    let fixtureDir;
+
+    beforeEach(() => {
+      fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeboard-mock-api-'));
+      fs.writeFileSync(path.join(fixtureDir, 'limitless.json'), JSON.stringify({ lifelogs: [
+        { id: 'old', startTime: '2020-01-01T09:30:00.000Z', endTime: '2020-01-01T10:00:00.000Z', markdown: '', contents: [] },
+        { id: 'new', startTime: '2020-01-03T22:15:00.000Z', endTime: '2020-01-03T23:00:00.000Z', markdown: '', contents: [] },
+      ] }));
+      fs.writeFileSync(path.join(fixtureDir, 'bee.json'), JSON.stringify({ conversations: [] }));
+      fs.writeFileSync(path.join(fixtureDir, 'openweathermap.json'), JSON.stringify({ cities: [], samples: [] }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(fixtureDir, { recursive: true, force: true });
+    });
+
+    it('should serve fixtures from MOCK_API_FIXTURES, moved by whole days so the newest is from today', async () => {
+      await listen({ fixtureDir, shiftDates: true });
+      const lifelogs = (await api.get('/limitless/v1/lifelogs', { ...bearer, params: { limit: 10 } })).data.data.lifelogs;
+      const today = new Date().toISOString().slice(0, 10);
+      expect(lifelogs[0].id).toBe('new');
+      expect(lifelogs[0].startTime).toBe(`${today}T22:15:00.000Z`); // Time of day kept
+      const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      expect(lifelogs[1].startTime).toBe(`${twoDaysAgo}T09:30:00.000Z`);
+      console.log('Conceptual test for the mock API: fixture dates shifted.');
+    });
+  });
+});
+
+// Mock describe/it/beforeEach/afterEach for structure
+function describe(name, fn) { /* console.log(`DESCRIBE: ${name}`); */ }
+function it(name, fn) { /* console.log(`  IT: ${name}`); */ }
+function beforeEach(fn) { /* fn(); */ } // Simplified
+function afterEach(fn) { /* fn(); */ } // Simplified
+const expect = (actual) => ({
+  toBe: (expected) => { if (actual !== expected) throw new Error(`Expected ${actual} to be ${expected}`); },
+  toEqual: (expected) => { if (JSON.stringify(actual) !== JSON.stringify(expected)) throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`); },
+});
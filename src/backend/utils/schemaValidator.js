@@ -0,0 +1,91 @@
+// Minimal JSON-Schema-style validator used for connector manifests.
+// Supports the subset of keywords our manifests actually use:
+// type, properties, required, items, enum, minimum, maximum, default.
+// This keeps us from pulling in a full JSON Schema library for MVP.
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, expected) => {
+  const types = Array.isArray(expected) ? expected : [expected];
+  const actual = typeOf(value);
+  return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+};
+
+// Validate `value` against `schema`. Returns an array of error strings (empty if valid).
+function validate(value, schema, path = '') {
+  const errors = [];
+  if (!schema) return errors;
+  const label = path || 'value';
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${label} should be of type ${[].concat(schema.type).join(' or ')}`);
+    return errors; // Further checks are meaningless with the wrong type
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label} should be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${label} should be <= ${schema.maximum}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const requiredKey of schema.required || []) {
+      if (value[requiredKey] === undefined || value[requiredKey] === null || value[requiredKey] === '') {
+        errors.push(`${path ? `${path}.` : ''}${requiredKey} is required`);
+      }
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(value[key], propSchema, path ? `${path}.${key}` : key));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(item, schema.items, `${label}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+// Build an object from the `default` values declared in an object schema's properties.
+function defaultsFrom(schema) {
+  const defaults = {};
+  for (const [key, propSchema] of Object.entries((schema && schema.properties) || {})) {
+    if (propSchema.default !== undefined) {
+      defaults[key] = propSchema.default;
+    } else if (propSchema.type === 'object' && propSchema.properties) {
+      const nested = defaultsFrom(propSchema);
+      if (Object.keys(nested).length > 0) defaults[key] = nested;
+    }
+  }
+  return defaults;
+}
+
+// Merge schema defaults underneath user-provided values (user values win, nested objects are merged).
+function applyDefaults(schema, value = {}) {
+  const merge = (defaults, overrides) => {
+    const result = { ...defaults };
+    for (const [key, overrideValue] of Object.entries(overrides || {})) {
+      if (typeOf(overrideValue) === 'object' && typeOf(defaults[key]) === 'object') {
+        result[key] = merge(defaults[key], overrideValue);
+      } else {
+        result[key] = overrideValue;
+      }
+    }
+    return result;
+  };
+  return merge(defaultsFrom(schema), value);
+}
+
+module.exports = { validate, defaultsFrom, applyDefaults };
@@ -9,6 +9,10 @@ import LimitlessModule from '../DataModules/LimitlessModule';
 import BeeModule from '../DataModules/BeeModule';
 import WeatherModule from '../DataModules/WeatherModule';
 import MoodModule from '../DataModules/MoodModule';
+import CalendarEventsModule from '../DataModules/CalendarEventsModule';
+import HealthModule from '../DataModules/HealthModule';
+import JournalModule from '../DataModules/JournalModule';
+import PhotosModule from '../DataModules/PhotosModule';
 
 
 const DailyNewspaper = () => {
@@ -62,15 +66,19 @@ const DailyNewspaper = () => {
       )}
 
       <div className="modules-grid">
-        {/* Column 1: Limitless and Mood */}
+        {/* Column 1: Limitless, Journal, Mood and Health */}
         <div className="module-column">
           <LimitlessModule data={dayData.modules?.limitless} />
+          <JournalModule data={dayData.modules?.journal} />
           <MoodModule data={dayData.modules?.mood} />
+          <HealthModule data={dayData.modules?.health} />
         </div>
 
-        {/* Column 2: Bee and Weather */}
+        {/* Column 2: Bee, Photos, Calendar and Weather */}
         <div className="module-column">
           <BeeModule data={dayData.modules?.bee} />
+          <PhotosModule data={dayData.modules?.photos} />
+          <CalendarEventsModule data={dayData.modules?.calendar} />
           <WeatherModule data={dayData.modules?.weather} />
         </div>
       </div>
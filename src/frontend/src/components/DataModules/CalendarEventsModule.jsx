@@ -0,0 +1,37 @@
+import React from 'react';
+import './Module.css'; // Shared module styles
+
+// `data` is the day's calendar module from /api/calendar/day: { events: [...], count }
+const CalendarEventsModule = ({ data }) => {
+  if (!data || !data.events || data.events.length === 0) {
+    return (
+      <div className="data-module calendar-module-styles">
+        <h3>Calendar</h3>
+        <p>No calendar events for this day.</p>
+      </div>
+    );
+  }
+
+  const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <div className="data-module calendar-module-styles vertical-rectangle-module">
+      <h3>Calendar ({data.count || data.events.length})</h3>
+      <ul>
+        {data.events.map(event => (
+          <li key={event.id}>
+            <strong>{event.title || 'Untitled Event'}</strong>
+            {event.is_recurring && <span title="Recurring event" style={{ marginLeft: '5px' }}>↻</span>}
+            <span className="meta-info">
+              {event.is_all_day ? 'All day' : `${formatTime(event.start_time)}${event.end_time ? ` – ${formatTime(event.end_time)}` : ''}`}
+              {event.location && ` | ${event.location}`}
+              {event.status === 'tentative' && ' | Tentative'}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default CalendarEventsModule;
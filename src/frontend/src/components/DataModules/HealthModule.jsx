@@ -0,0 +1,39 @@
+import React from 'react';
+import './Module.css'; // Shared module styles
+
+// `data` is the day's health module from /api/calendar/day: { steps, sleep_minutes, resting_heart_rate, workouts: [...] }
+const HealthModule = ({ data }) => {
+  if (!data) {
+    return (
+      <div className="data-module health-module-styles small-square-module">
+        <h3>Health</h3>
+        <p>No health data for this day.</p>
+      </div>
+    );
+  }
+
+  const formatSleep = (minutes) => `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+  const workouts = data.workouts || [];
+
+  return (
+    <div className="data-module health-module-styles small-square-module">
+      <h3>Health</h3>
+      {data.steps !== null && <p><strong>Steps:</strong> {data.steps.toLocaleString()}</p>}
+      {data.sleep_minutes !== null && <p><strong>Sleep:</strong> {formatSleep(data.sleep_minutes)}</p>}
+      {data.resting_heart_rate !== null && <p><strong>Resting HR:</strong> {data.resting_heart_rate} bpm</p>}
+      {workouts.length > 0 && (
+        <ul className="content-preview">
+          {workouts.map(workout => (
+            <li key={workout.id}>
+              {workout.activity_type}
+              {workout.duration_minutes && <span> – {Math.round(workout.duration_minutes)} min</span>}
+              {workout.distance && <span className="meta-info"> ({Number(workout.distance).toFixed(1)} {workout.distance_unit})</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default HealthModule;
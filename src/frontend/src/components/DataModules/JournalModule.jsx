@@ -0,0 +1,37 @@
+import React from 'react';
+import './Module.css'; // Shared module styles
+
+// `data` is the day's journal module from /api/calendar/day: { entries: [...], count }
+const JournalModule = ({ data }) => {
+  if (!data || !data.entries || data.entries.length === 0) {
+    return (
+      <div className="data-module journal-module-styles">
+        <h3>Journal</h3>
+        <p>No journal note for this day.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="data-module journal-module-styles vertical-rectangle-module">
+      <h3>Journal</h3>
+      {data.entries.map(entry => (
+        <div key={entry.id}>
+          <strong>{entry.title || 'Daily note'}</strong>
+          <span className="meta-info">
+            {entry.word_count} words
+            {entry.mood_score && ` | Mood ${entry.mood_score}/10`}
+            {entry.tags && entry.tags.length > 0 && ` | ${entry.tags.map(tag => `#${tag}`).join(' ')}`}
+          </span>
+          {entry.body && (
+            <div className="content-preview">
+              {entry.body.substring(0, 300)}{entry.body.length > 300 ? '...' : ''}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default JournalModule;
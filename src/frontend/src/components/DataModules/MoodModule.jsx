@@ -2,8 +2,9 @@ import React from 'react';
 import DateNormalizerFE from '../../utils/DateNormalizerFE';
 import './Module.css'; // Shared module styles
 
+// `data` is the day's mood summary from /api/calendar/day: { mean, min, max, count, checkins: [...] }
 const MoodModule = ({ data }) => {
-  if (!data || data.mood_score === undefined) {
+  if (!data || !data.count) {
     return (
       <div className="data-module mood-module-styles small-square-module">
         <h3>Mood</h3>
@@ -21,19 +22,29 @@ const MoodModule = ({ data }) => {
     return { emoji: '😢', color: '#F44336' }; // Red for very low
   };
 
-  const indicator = getMoodIndicator(data.mood_score);
+  const indicator = getMoodIndicator(data.mean);
+  const checkins = data.checkins || [];
 
   return (
     <div className="data-module mood-module-styles small-square-module">
       <h3>Mood <span style={{ color: indicator.color, fontSize: '1.2em' }}>{indicator.emoji}</span></h3>
-      <p><strong>Score:</strong> <span style={{ color: indicator.color, fontWeight: 'bold' }}>{data.mood_score}/10</span></p>
-      {data.mood_text && <p><em>"{data.mood_text}"</em></p>}
-      {data.notes && (
-        <div className="content-preview">
-          <strong>Notes:</strong> {data.notes}
-        </div>
+      <p>
+        <strong>{data.count > 1 ? 'Average:' : 'Score:'}</strong>{' '}
+        <span style={{ color: indicator.color, fontWeight: 'bold' }}>{Number(data.mean.toFixed(1))}/10</span>
+      </p>
+      {data.count > 1 && (
+        <p className="meta-info">Range {data.min}–{data.max} over {data.count} check-ins</p>
       )}
-      {data.recorded_at && <p className="meta-info">Recorded at: {new Date(data.recorded_at).toLocaleTimeString()}</p>}
+      <ul className="content-preview">
+        {checkins.map(checkin => (
+          <li key={checkin.id}>
+            <span style={{ color: getMoodIndicator(checkin.mood_score).color, fontWeight: 'bold' }}>{checkin.mood_score}</span>
+            {checkin.mood_text && <em> "{checkin.mood_text}"</em>}
+            {checkin.notes && <span> – {checkin.notes}</span>}
+            {checkin.recorded_at && <span className="meta-info"> ({new Date(checkin.recorded_at).toLocaleTimeString()})</span>}
+          </li>
+        ))}
+      </ul>
     </div>
   );
 };
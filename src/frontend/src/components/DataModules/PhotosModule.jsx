@@ -0,0 +1,33 @@
+import React from 'react';
+import './Module.css'; // Shared module styles
+
+// `data` is the day's photos module from /api/calendar/day: { items: [...], count }
+// Image URLs are relative to the backend (/api/media/...), like every other API call.
+const PhotosModule = ({ data }) => {
+  if (!data || !data.items || data.items.length === 0) {
+    return (
+      <div className="data-module photos-module-styles">
+        <h3>Photos</h3>
+        <p>No photos for this day.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="data-module photos-module-styles vertical-rectangle-module">
+      <h3>Photos ({data.count || data.items.length})</h3>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+        {data.items.map(photo => (
+          <a key={photo.id} href={photo.url} target="_blank" rel="noopener noreferrer"
+             title={`${new Date(photo.taken_at).toLocaleTimeString()}${photo.camera ? ` | ${photo.camera}` : ''}`}>
+            {photo.thumbnail_url
+              ? <img src={photo.thumbnail_url} alt={`Taken at ${new Date(photo.taken_at).toLocaleTimeString()}`} style={{ height: '96px', borderRadius: '4px' }} />
+              : <span className="meta-info">{new Date(photo.taken_at).toLocaleTimeString()}</span>}
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PhotosModule;
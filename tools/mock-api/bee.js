@@ -0,0 +1,58 @@
+const express = require('express');
+const { loadFixture, sortByTime, parseLimit, paginateByPage } = require('./fixtures');
+
+// Stand-in for the Bee API (https://api.bee.computer/v1/me), mounted at /bee/v1/me.
+//   GET /conversations, /facts, /todos, /locations   page (1-based), limit; newest first, like the real API
+//   GET /conversations/:id                            the conversation with its utterances
+// Lists answer { <items>: [...], currentPage, totalPages }; there is no date filter, as with the real API.
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 250;
+
+// Each list and the field it is ordered by.
+const LISTS = {
+  conversations: 'start_time',
+  facts: 'created_at',
+  todos: 'created_at',
+  locations: 'recorded_at',
+};
+
+function createBeeRouter({ requireKey, fixtureOptions }) {
+  const router = express.Router();
+  const fixtures = loadFixture('bee', fixtureOptions);
+
+  router.use(requireKey(req => {
+    const auth = req.get('Authorization') || '';
+    return auth.startsWith('Bearer ') ? auth.slice(7) : req.get('X-API-Key');
+  }, { error: 'Unauthorized' }));
+
+  for (const [list, orderField] of Object.entries(LISTS)) {
+    const items = sortByTime(fixtures[list] || [], orderField);
+
+    router.get(`/${list}`, (req, res) => {
+      const limit = parseLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+      const page = parseLimit(req.query.page, 1);
+      if (Number.isNaN(limit) || Number.isNaN(page)) {
+        return res.status(400).json({ error: 'page and limit must be positive integers' });
+      }
+
+      const result = paginateByPage(items, page, limit);
+      res.json({
+        // Lists carry conversation summaries only; utterances come from the detail endpoint.
+        [list]: list === 'conversations' ? result.items.map(({ utterances, ...conversation }) => conversation) : result.items,
+        currentPage: result.currentPage,
+        totalPages: result.totalPages,
+      });
+    });
+  }
+
+  router.get('/conversations/:id', (req, res) => {
+    const conversation = (fixtures.conversations || []).find(candidate => String(candidate.id) === req.params.id);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    res.json({ conversation: { ...conversation, utterances: conversation.utterances || [] } });
+  });
+
+  return router;
+}
+
+module.exports = createBeeRouter;
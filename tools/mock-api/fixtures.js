@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+// Fixture loading and paging helpers shared by the mock API routers.
+// Fixture files are plain JSON named after the service (limitless.json, bee.json, openweathermap.json) and are read
+// from MOCK_API_FIXTURES when set, so a test can bring its own data; otherwise from the bundled fixtures/ directory.
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, 'fixtures');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Read a fixture file. With { shiftDates: true } every ISO timestamp in it is moved by the same whole number of
+// days so that the newest one falls on today: the bundled data always looks recent, and the time of day (and so
+// which local day an item belongs to) is kept.
+function loadFixture(name, { fixtureDir = process.env.MOCK_API_FIXTURES, shiftDates = true } = {}) {
+  const filePath = path.resolve(fixtureDir || DEFAULT_FIXTURE_DIR, `${name}.json`);
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!shiftDates) return data;
+
+  const newest = latestTimestamp(data);
+  if (!newest) return data;
+  const days = Math.floor(Date.now() / DAY_MS) - Math.floor(newest / DAY_MS);
+  return mapTimestamps(data, value => new Date(new Date(value).getTime() + days * DAY_MS).toISOString());
+}
+
+function latestTimestamp(value) {
+  if (typeof value === 'string') return ISO_TIMESTAMP.test(value) ? new Date(value).getTime() : null;
+  if (!value || typeof value !== 'object') return null;
+  return Object.values(value).reduce((latest, child) => {
+    const timestamp = latestTimestamp(child);
+    return timestamp !== null && (latest === null || timestamp > latest) ? timestamp : latest;
+  }, null);
+}
+
+function mapTimestamps(value, fn) {
+  if (typeof value === 'string') return ISO_TIMESTAMP.test(value) ? fn(value) : value;
+  if (Array.isArray(value)) return value.map(child => mapTimestamps(child, fn));
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, mapTimestamps(child, fn)]));
+}
+
+// Sort a copy of `items` by a timestamp field, newest first unless `ascending`.
+function sortByTime(items, field, ascending = false) {
+  return [...items].sort((a, b) => {
+    const diff = new Date(a[field]).getTime() - new Date(b[field]).getTime();
+    return ascending ? diff : -diff;
+  });
+}
+
+// Parse a positive integer query parameter, falling back to `defaultValue` and capping at `max`.
+// Returns NaN for values that aren't positive integers, so routes can answer 400.
+function parseLimit(value, defaultValue, max = Infinity) {
+  if (value === undefined || value === '') return Math.min(defaultValue, max);
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) return NaN;
+  return Math.min(number, max);
+}
+
+// Page-numbered slice (1-based), as Bee pages its lists.
+function paginateByPage(items, page, limit) {
+  const totalPages = Math.max(1, Math.ceil(items.length / limit));
+  return {
+    items: items.slice((page - 1) * limit, page * limit),
+    currentPage: page,
+    totalPages,
+  };
+}
+
+// Cursor slice, as Limitless pages lifelogs. Cursors are opaque to clients; here they encode the offset into
+// the filtered list, which is stable as long as the client repeats the same filters (as the real API requires).
+function paginateByCursor(items, cursor, limit) {
+  const offset = cursor ? decodeCursor(cursor) : 0;
+  if (offset === null) return null;
+  const pageItems = items.slice(offset, offset + limit);
+  const nextOffset = offset + pageItems.length;
+  return {
+    items: pageItems,
+    nextCursor: nextOffset < items.length ? Buffer.from(JSON.stringify({ offset: nextOffset })).toString('base64url') : null,
+  };
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// A number that stays the same for a given date, used to pick a stable fixture sample for it.
+function dayNumber(date) {
+  return Math.abs(Math.floor(new Date(`${date}T00:00:00Z`).getTime() / DAY_MS));
+}
+
+module.exports = {
+  loadFixture,
+  sortByTime,
+  parseLimit,
+  paginateByPage,
+  paginateByCursor,
+  dayNumber,
+};
@@ -0,0 +1,85 @@
+const express = require('express');
+const DateNormalizer = require('../../src/backend/services/processing/DateNormalizer');
+const { loadFixture, sortByTime, parseLimit, paginateByCursor } = require('./fixtures');
+
+// Stand-in for the Limitless API (https://api.limitless.ai/v1), mounted at /limitless/v1.
+//   GET /lifelogs      timezone, date | start/end, direction, limit (at most 10 per page, like the real API),
+//                      cursor, includeMarkdown, includeHeadings, isStarred
+//   GET /lifelogs/:id
+// Responses have the real shape: { data: { lifelogs }, meta: { lifelogs: { nextCursor, count } } }.
+
+const MAX_PAGE_SIZE = 10;
+const DEFAULT_PAGE_SIZE = 3;
+
+function createLimitlessRouter({ requireKey, fixtureOptions }) {
+  const router = express.Router();
+  const { lifelogs } = loadFixture('limitless', fixtureOptions);
+
+  // Same key handling as the real API: "Authorization: Bearer <key>" (or X-API-Key).
+  router.use(requireKey(req => {
+    const auth = req.get('Authorization') || '';
+    return auth.startsWith('Bearer ') ? auth.slice(7) : req.get('X-API-Key');
+  }, { error: 'Unauthorized' }));
+
+  router.get('/lifelogs', (req, res) => {
+    const timezone = req.query.timezone || 'UTC';
+    const limit = parseLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    if (Number.isNaN(limit)) return res.status(400).json({ error: 'limit must be a positive integer' });
+    if (req.query.direction && !['asc', 'desc'].includes(req.query.direction)) {
+      return res.status(400).json({ error: "direction must be 'asc' or 'desc'" });
+    }
+
+    // `date` is a whole local day; otherwise start/end bound the lifelog start times.
+    const start = parseTime(req.query.date ? `${req.query.date} 00:00:00` : req.query.start, timezone);
+    const end = parseTime(req.query.date ? `${req.query.date} 23:59:59` : req.query.end, timezone);
+    if (start === null || end === null) {
+      return res.status(400).json({ error: 'Invalid date, start or end (use YYYY-MM-DD, YYYY-MM-DD HH:mm:ss or ISO 8601) or timezone' });
+    }
+
+    const matching = sortByTime(lifelogs, 'startTime', req.query.direction === 'asc').filter(lifelog => {
+      const startTime = new Date(lifelog.startTime);
+      if (start && startTime < start) return false;
+      if (end && startTime > end) return false;
+      if (req.query.isStarred !== undefined && lifelog.isStarred !== (req.query.isStarred === 'true')) return false;
+      return true;
+    });
+
+    const page = paginateByCursor(matching, req.query.cursor, limit);
+    if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+
+    res.json({
+      data: { lifelogs: page.items.map(lifelog => present(lifelog, req.query)) },
+      meta: { lifelogs: { nextCursor: page.nextCursor, count: page.items.length } },
+    });
+  });
+
+  router.get('/lifelogs/:id', (req, res) => {
+    const lifelog = lifelogs.find(candidate => candidate.id === req.params.id);
+    if (!lifelog) return res.status(404).json({ error: 'Lifelog not found' });
+    res.json({ data: { lifelog: present(lifelog, req.query) } });
+  });
+
+  return router;
+}
+
+// Missing -> undefined (no bound), invalid -> null. Times without an offset are wall-clock time in `timezone`.
+function parseTime(value, timezone) {
+  if (value === undefined || value === '') return undefined;
+  if (/[zZ]|[+-]\d{2}:\d{2}$/.test(value)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  const localDateTime = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value} 00:00:00` : value;
+  return DateNormalizer.zonedTimeToUtc(localDateTime, timezone);
+}
+
+function present(lifelog, query) {
+  const { markdown, contents, ...rest } = lifelog;
+  return {
+    ...rest,
+    markdown: query.includeMarkdown === 'false' ? null : markdown,
+    contents: query.includeHeadings === 'false' ? contents.filter(node => !node.type.startsWith('heading')) : contents,
+  };
+}
+
+module.exports = createLimitlessRouter;
@@ -0,0 +1,130 @@
+const express = require('express');
+const { loadFixture, dayNumber } = require('./fixtures');
+
+// Stand-in for the OpenWeatherMap APIs used by OpenWeatherMapProvider, mounted at /openweathermap.
+//   GET /data/2.5/weather                  q ("City[,state][,country]") or lat/lon; current conditions
+//   GET /data/3.0/onecall/day_summary      lat, lon, date (YYYY-MM-DD); daily aggregation
+//   GET /geo/1.0/direct                    q, limit; direct geocoding
+// Fixture cities answer by name; weather comes from the fixture samples, one picked per date and location
+// so repeated requests agree. Temperatures in the samples are Celsius and converted for `units`.
+
+function createOpenWeatherMapRouter({ requireKey, fixtureOptions }) {
+  const router = express.Router();
+  const { cities = [], samples = [] } = loadFixture('openweathermap', fixtureOptions);
+
+  // OpenWeatherMap takes the key as the appid query parameter.
+  router.use(requireKey(req => req.query.appid, {
+    cod: 401,
+    message: 'Invalid API key. Please see https://openweathermap.org/faq#error401 for more info.',
+  }));
+
+  router.get('/data/2.5/weather', (req, res) => {
+    const city = req.query.q ? findCities(cities, req.query.q)[0] : nearestCity(cities, req.query.lat, req.query.lon);
+    if (!city) return res.status(404).json({ cod: '404', message: 'city not found' });
+
+    const now = new Date();
+    const date = now.toISOString().slice(0, 10);
+    const sample = pickSample(samples, date, city.name);
+    const convert = temperatureConverter(req.query.units);
+    res.json({
+      coord: { lon: city.lon, lat: city.lat },
+      weather: [{ main: sample.main, description: sample.description, icon: sample.icon }],
+      main: {
+        temp: convert((sample.tempMax + sample.tempMin) / 2),
+        temp_min: convert(sample.tempMin),
+        temp_max: convert(sample.tempMax),
+        humidity: sample.humidity,
+      },
+      wind: { speed: sample.windSpeed },
+      clouds: { all: sample.cloudCover },
+      dt: Math.floor(now.getTime() / 1000),
+      // Fixed local sunrise/sunset times (06:45 and 18:30) are plenty for a stand-in.
+      sys: {
+        country: city.country,
+        sunrise: localTimeToUnix(date, 6 * 60 + 45, city.timezoneOffset),
+        sunset: localTimeToUnix(date, 18 * 60 + 30, city.timezoneOffset),
+      },
+      timezone: city.timezoneOffset || 0,
+      name: city.name,
+      cod: 200,
+    });
+  });
+
+  router.get('/data/3.0/onecall/day_summary', (req, res) => {
+    const { lat, lon, date } = req.query;
+    if (lat === undefined || lon === undefined || isNaN(Number(lat)) || isNaN(Number(lon))) {
+      return res.status(400).json({ cod: '400', message: 'Nothing to geocode' });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      return res.status(400).json({ cod: '400', message: 'date is required in YYYY-MM-DD format' });
+    }
+
+    const sample = pickSample(samples, date, `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`);
+    const convert = temperatureConverter(req.query.units);
+    res.json({
+      lat: Number(lat),
+      lon: Number(lon),
+      tz: '+00:00',
+      date,
+      units: req.query.units || 'standard',
+      cloud_cover: { afternoon: sample.cloudCover },
+      humidity: { afternoon: sample.humidity },
+      precipitation: { total: sample.precipitation },
+      temperature: {
+        min: convert(sample.tempMin),
+        max: convert(sample.tempMax),
+        afternoon: convert(sample.tempMax - 1),
+        night: convert(sample.tempMin + 1),
+        evening: convert((sample.tempMax + sample.tempMin) / 2),
+        morning: convert(sample.tempMin + 2),
+      },
+      wind: { max: { speed: sample.windSpeed } },
+    });
+  });
+
+  router.get('/geo/1.0/direct', (req, res) => {
+    if (!req.query.q) return res.status(400).json({ cod: '400', message: 'Nothing to geocode' });
+    const limit = Math.min(Number(req.query.limit) || 5, 5);
+    res.json(findCities(cities, req.query.q).slice(0, limit).map(({ name, lat, lon, country, state }) => ({
+      name, lat, lon, country, ...(state ? { state } : {}),
+    })));
+  });
+
+  return router;
+}
+
+// Match on the city name (the part before the first comma), then narrow by country, state or state code when given.
+function findCities(cities, query) {
+  const [name, ...qualifiers] = String(query).split(',').map(part => part.trim().toLowerCase());
+  return cities.filter(city => {
+    if (city.name.toLowerCase() !== name) return false;
+    return qualifiers.every(qualifier => [city.country, city.state, city.stateCode]
+      .filter(Boolean)
+      .some(value => value.toLowerCase() === qualifier || value.toLowerCase().startsWith(qualifier)));
+  });
+}
+
+function nearestCity(cities, lat, lon) {
+  if (lat === undefined || lon === undefined || isNaN(Number(lat)) || isNaN(Number(lon))) return null;
+  const distance = city => (city.lat - Number(lat)) ** 2 + (city.lon - Number(lon)) ** 2;
+  return cities.reduce((nearest, city) => (!nearest || distance(city) < distance(nearest) ? city : nearest), null);
+}
+
+function pickSample(samples, date, key) {
+  const keyNumber = [...key].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return samples[(dayNumber(date) + keyNumber) % samples.length];
+}
+
+// Samples are Celsius; the API defaults to Kelvin ("standard") and also offers "imperial" (Fahrenheit).
+function temperatureConverter(units) {
+  const round = value => Math.round(value * 100) / 100;
+  if (units === 'metric') return celsius => round(celsius);
+  if (units === 'imperial') return celsius => round(celsius * 9 / 5 + 32);
+  return celsius => round(celsius + 273.15);
+}
+
+function localTimeToUnix(date, minutesOfDay, timezoneOffset = 0) {
+  return Math.floor(new Date(`${date}T00:00:00Z`).getTime() / 1000) + minutesOfDay * 60 - timezoneOffset;
+}
+
+module.exports = createOpenWeatherMapRouter;
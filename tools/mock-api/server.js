@@ -0,0 +1,172 @@
+const express = require('express');
+const logger = require('../../src/backend/utils/logger').child({ service: 'mock-api' });
+const createLimitlessRouter = require('./limitless');
+const createBeeRouter = require('./bee');
+const createOpenWeatherMapRouter = require('./openweathermap');
+
+// Offline stand-in for the Limitless, Bee and OpenWeatherMap APIs, serving fixture data (see fixtures/) so the
+// connectors can be developed, demoed and tested end to end without network access or real API keys.
+// Point a connector at it through its baseUrl in config/lifeboard.config.yml:
+//   limitless: http://localhost:4010/limitless/v1
+//   bee:       http://localhost:4010/bee/v1/me
+//   weather:   http://localhost:4010/openweathermap/data/2.5 (plus oneCallUrl and geocodingUrl)
+//
+// Environment:
+//   MOCK_API_PORT        Port to listen on (default 4010)
+//   MOCK_API_KEY         Only accept this key; by default any non-empty key is accepted (a missing one gets 401)
+//   MOCK_API_FIXTURES    Directory with limitless.json, bee.json and openweathermap.json (default: the bundled ones)
+//   MOCK_API_SHIFT_DATES "false" serves fixture timestamps as written instead of moving them up to today
+//   MOCK_API_LATENCY_MS  Delay added to every API response
+//   MOCK_API_ERRORS      Random failures for every route, e.g. "429:0.1,500:0.05,malformed:0.02"
+//
+// Control endpoints (no key needed):
+//   GET    /__mock            Settings and active error rules
+//   POST   /__mock/errors     Add an error rule: { error: 429 | 500 | ... | "malformed", match: "/bee/v1/me/facts",
+//                             times: 2, rate: 0.5, retryAfter: 1 }. Without `times` the rule stays until cleared;
+//                             without `rate` it applies to every matching request.
+//   DELETE /__mock/errors     Remove all error rules
+//   GET    /__mock/requests   Recent API requests (newest last), handy for asserting what a connector sent
+//   DELETE /__mock/requests   Clear the request log
+
+const DEFAULT_PORT = 4010;
+const REQUEST_LOG_SIZE = 200;
+
+// Turn "429:0.1,malformed:0.02" into error rules that apply to every route.
+function parseErrorSpec(spec) {
+  if (!spec) return [];
+  return spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [error, rate] = part.split(':');
+    return normalizeRule({ error, rate: rate === undefined ? 1 : Number(rate) });
+  });
+}
+
+// Validate an error rule; throws with a message meant for the caller.
+function normalizeRule({ error, match = '/', times, rate = 1, retryAfter = 1 }) {
+  const status = Number(error);
+  if (error !== 'malformed' && !(Number.isInteger(status) && status >= 400 && status <= 599)) {
+    throw new Error(`error must be an HTTP status between 400 and 599 or 'malformed' (got '${error}')`);
+  }
+  if (typeof match !== 'string' || !match.startsWith('/')) throw new Error("match must be a path prefix starting with '/'");
+  if (times !== undefined && !(Number.isInteger(times) && times > 0)) throw new Error('times must be a positive integer');
+  if (typeof rate !== 'number' || isNaN(rate) || rate <= 0 || rate > 1) throw new Error('rate must be a number above 0 and at most 1');
+  if (!(Number.isFinite(Number(retryAfter)) && Number(retryAfter) >= 0)) throw new Error('retryAfter must be a number of seconds');
+  return {
+    error: error === 'malformed' ? 'malformed' : status,
+    match,
+    ...(times !== undefined ? { remaining: times } : {}),
+    rate,
+    retryAfter: Number(retryAfter),
+  };
+}
+
+function createMockApi({
+  apiKey = process.env.MOCK_API_KEY,
+  fixtureDir = process.env.MOCK_API_FIXTURES,
+  shiftDates = process.env.MOCK_API_SHIFT_DATES !== 'false',
+  latencyMs = Number(process.env.MOCK_API_LATENCY_MS) || 0,
+  errors = process.env.MOCK_API_ERRORS,
+} = {}) {
+  const app = express();
+  const state = {
+    errorRules: typeof errors === 'string' ? parseErrorSpec(errors) : (errors || []).map(normalizeRule),
+    requests: [],
+  };
+  const fixtureOptions = { fixtureDir, shiftDates };
+
+  app.use(express.json());
+
+  // Control endpoints come first so injected errors and latency never reach them.
+  app.get('/__mock', (req, res) => {
+    res.json({ api_key_required: Boolean(apiKey), shift_dates: shiftDates, latency_ms: latencyMs, error_rules: state.errorRules });
+  });
+
+  app.post('/__mock/errors', (req, res) => {
+    let rule;
+    try {
+      rule = normalizeRule(req.body || {});
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    state.errorRules.push(rule);
+    logger.info(`Mock API: Added error rule ${JSON.stringify(rule)}`);
+    res.status(201).json({ error_rules: state.errorRules });
+  });
+
+  app.delete('/__mock/errors', (req, res) => {
+    state.errorRules = [];
+    res.json({ error_rules: state.errorRules });
+  });
+
+  app.get('/__mock/requests', (req, res) => res.json({ requests: state.requests }));
+
+  app.delete('/__mock/requests', (req, res) => {
+    state.requests = [];
+    res.json({ requests: state.requests });
+  });
+
+  // Record every API request, then apply latency and error injection.
+  app.use((req, res, next) => {
+    const entry = { method: req.method, path: req.path, query: req.query, status: null, injected: null, at: new Date().toISOString() };
+    state.requests.push(entry);
+    if (state.requests.length > REQUEST_LOG_SIZE) state.requests.shift();
+    res.on('finish', () => { entry.status = res.statusCode; });
+
+    const respond = () => {
+      const rule = takeErrorRule(state, req.path);
+      if (!rule) return next();
+
+      entry.injected = rule.error;
+      logger.info(`Mock API: Injecting ${rule.error} for ${req.method} ${req.originalUrl}`);
+      if (rule.error === 'malformed') {
+        // A 200 whose body is cut off mid-document, as from a dropped connection or a broken proxy.
+        return res.status(200).type('application/json').send('{"data": {"items": [{"id": "truncated", "title": "Unterminated');
+      }
+      if (rule.error === 429) res.set('Retry-After', String(rule.retryAfter));
+      res.status(rule.error).json({ error: `Injected HTTP ${rule.error} from the mock API` });
+    };
+    if (latencyMs > 0) setTimeout(respond, latencyMs);
+    else respond();
+  });
+
+  const requireKey = (extractKey, unauthorizedBody) => (req, res, next) => {
+    const key = extractKey(req);
+    if (!key || key === 'undefined' || (apiKey && key !== apiKey)) return res.status(401).json(unauthorizedBody);
+    next();
+  };
+
+  app.use('/limitless/v1', createLimitlessRouter({ requireKey, fixtureOptions }));
+  app.use('/bee/v1/me', createBeeRouter({ requireKey, fixtureOptions }));
+  app.use('/openweathermap', createOpenWeatherMapRouter({ requireKey, fixtureOptions }));
+
+  app.use((req, res) => res.status(404).json({ error: `No mock route for ${req.method} ${req.path}` }));
+
+  app.use((err, req, res, next) => {
+    logger.error(`Mock API: ${err.message}`, { stack: err.stack, path: req.path });
+    res.status(500).json({ error: err.message });
+  });
+
+  return app;
+}
+
+// The first rule matching the path that fires (per its rate) and still has uses left.
+function takeErrorRule(state, requestPath) {
+  for (const rule of state.errorRules) {
+    if (!requestPath.startsWith(rule.match)) continue;
+    if (Math.random() >= rule.rate) continue;
+    if (rule.remaining !== undefined) {
+      rule.remaining--;
+      if (rule.remaining === 0) state.errorRules = state.errorRules.filter(candidate => candidate !== rule);
+    }
+    return rule;
+  }
+  return null;
+}
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_API_PORT) || DEFAULT_PORT;
+  createMockApi().listen(port, () => {
+    logger.info(`Mock API listening on http://localhost:${port} (Limitless: /limitless/v1, Bee: /bee/v1/me, OpenWeatherMap: /openweathermap)`);
+  });
+}
+
+module.exports = { createMockApi, parseErrorSpec };